@@ -2,13 +2,20 @@ const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const User = require('../models/User');
 
+// The login time is kept with the session so sessions started before a
+// password change can be ended
 passport.serializeUser((user, done) => {
-  done(null, user.id);
+  done(null, { id: user.id, iat: Math.floor(Date.now() / 1000) });
 });
 
-passport.deserializeUser(async (id, done) => {
+passport.deserializeUser(async (data, done) => {
   try {
+    // Sessions from before the login time was stored hold only the user ID
+    const { id, iat = 0 } = typeof data === 'string' ? { id: data } : data;
     const user = await User.findById(id);
+    if (user && user.changedPasswordAfter(iat)) {
+      return done(null, false);
+    }
     done(null, user);
   } catch (error) {
     done(error, null);
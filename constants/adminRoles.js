@@ -94,7 +94,8 @@ const PERMISSIONS = {
   MANAGE_DESIGN: 'manage_design',
   MANAGE_PARTNERS: 'manage_partners',
   MANAGE_TESTIMONIALS: 'manage_testimonials',
-  MANAGE_ANNOUNCEMENTS: 'manage_announcements'
+  MANAGE_ANNOUNCEMENTS: 'manage_announcements',
+  MANAGE_RECYCLE_BIN: 'manage_recycle_bin'
 };
 
 const ALL_PERMISSIONS = Object.values(PERMISSIONS);
@@ -137,6 +138,26 @@ const ROLE_PERMISSIONS = {
   ]
 };
 
+// Roles that must enable two-factor authentication before privileged routes
+// work. Events admins are the election admins: elections are managed under
+// MANAGE_EVENTS.
+const TWO_FACTOR_REQUIRED_ROLES = [
+  ADMIN_ROLES.SUPER_ADMIN,
+  ADMIN_ROLES.EVENTS_ADMIN
+];
+
+const requiresTwoFactor = (role) => TWO_FACTOR_REQUIRED_ROLES.includes(role);
+
+// Admin groups cannot grant these: managing admins and security stays with
+// super admins
+const NON_DELEGABLE_PERMISSIONS = [
+  PERMISSIONS.MANAGE_ADMINS,
+  PERMISSIONS.MANAGE_SECURITY
+];
+
+// Member roles within an admin group, lowest first
+const GROUP_ROLES = ['member', 'moderator', 'admin'];
+
 const checkPermission = (userRole, requiredPermission) => {
   const permissions = ROLE_PERMISSIONS[userRole] || [];
   return permissions.includes(requiredPermission);
@@ -160,5 +181,9 @@ module.exports = {
   ROLE_PERMISSIONS,
   checkPermission,
   hasMultiplePermissions,
-  hasAnyPermission
+  hasAnyPermission,
+  TWO_FACTOR_REQUIRED_ROLES,
+  requiresTwoFactor,
+  NON_DELEGABLE_PERMISSIONS,
+  GROUP_ROLES
 };
@@ -22,6 +22,9 @@ const VotingLink = require('../models/VotingLink');
 const ContactInfo = require('../models/ContactInfo');
 const { APIError, asyncHandler } = require('../middleware/errorMiddleware');
 const { ROLE_PERMISSIONS } = require('../constants/adminRoles');
+const auditLogService = require('../services/auditLog.service');
+const adminAccountService = require('../services/adminAccount.service');
+const approvalService = require('../services/approval.service');
 const logger = require('../utils/logger');
 const cache = require('../utils/cache');
 
@@ -355,96 +358,6 @@ exports.updateAdmin = asyncHandler(async (req, res) => {
   }
 });
 
-/**
- * Delete admin (Super Admin only)
- * @route DELETE /api/admin/:adminId
- * @access Private (Super Admin)
- */
-exports.deleteAdmin = asyncHandler(async (req, res) => {
-  try {
-    const admin = await Admin.findById(req.params.adminId);
-    
-    if (!admin) {
-      throw new APIError('Admin not found', 404);
-    }
-
-    // Don't allow deleting yourself
-    if (admin.user.toString() === req.user.id) {
-      throw new APIError('Cannot delete your own admin account', 400);
-    }
-
-    await Admin.findByIdAndDelete(req.params.adminId);
-
-    // Optionally, remove admin role from user
-    await User.findByIdAndUpdate(admin.user, {
-      $pull: { roles: 'admin' }
-    });
-
-    res.status(200).json({
-      success: true,
-      data: {}
-    });
-  } catch (error) {
-    logger.error('Error deleting admin:', error);
-    throw new APIError('Failed to delete admin', 500);
-  }
-});
-
-/**
- * Get admin activity logs
- * @route GET /api/admin/logs/activity
- * @access Private (View Logs Permission)
- */
-exports.getActivityLogs = asyncHandler(async (req, res) => {
-  try {
-    const { action, adminId, startDate, endDate, page = 1, limit = 20 } = req.query;
-    const query = {};
-
-    // Build query based on filters
-    if (action) query.action = action;
-    if (adminId) query.admin = adminId;
-    if (startDate || endDate) {
-      query.timestamp = {};
-      if (startDate) query.timestamp.$gte = new Date(startDate);
-      if (endDate) {
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
-        query.timestamp.$lte = end;
-      }
-    }
-
-    const options = {
-      page: parseInt(page, 10),
-      limit: parseInt(limit, 10),
-      sort: { timestamp: -1 },
-      populate: {
-        path: 'admin',
-        select: 'user',
-        populate: {
-          path: 'user',
-          select: 'firstName lastName email'
-        }
-      }
-    };
-
-    const logs = await Admin.paginate(query, options);
-
-    res.status(200).json({
-      success: true,
-      data: logs.docs,
-      pagination: {
-        total: logs.totalDocs,
-        pages: logs.totalPages,
-        page: logs.page,
-        limit: logs.limit
-      }
-    });
-  } catch (error) {
-    logger.error('Error fetching activity logs:', error);
-    throw new APIError('Failed to fetch activity logs', 500);
-  }
-});
-
 /**
  * Get admin statistics
  * @route GET /api/admin/stats/roles
@@ -564,17 +477,19 @@ exports.getDashboardStats = asyncHandler(async (req, res) => {
     totalUsers,
     totalEvents,
     totalPosts,
-    activeAdminsCount
+    activeAdminsCount,
+    pendingApprovals
   ] = await Promise.all([
     User.countDocuments().lean(),
     Event.countDocuments().lean(),
     Post.countDocuments().lean(),
-    Admin.countDocuments({ isActive: true }).lean()
+    Admin.countDocuments({ isActive: true }).lean(),
+    approvalService.countPending()
   ]);
 
   // Get recent activity from admin instance (need populated admin for this)
   const adminInstance = req.admin || await Admin.findOne({ user: req.user._id });
-  const recentActivity = adminInstance ? adminInstance.getRecentActivity(10) : [];
+  const recentActivity = adminInstance ? await adminInstance.getRecentActivity(10) : [];
 
   res.status(200).json({
     success: true,
@@ -583,6 +498,7 @@ exports.getDashboardStats = asyncHandler(async (req, res) => {
       totalEvents,
       totalPosts,
       activeAdmins: activeAdminsCount,
+      pendingApprovals,
       recentActivity
     }
   });
@@ -871,6 +787,9 @@ exports.updateAdminRole = asyncHandler(async (req, res) => {
     finalDepartment = 'Administration'; // Fallback to valid enum value
   }
 
+  const auditedFields = 'adminRole department notes permissions';
+  const previous = await Admin.findById(req.params.adminId).select(auditedFields).lean();
+
   const admin = await Admin.findByIdAndUpdate(
     req.params.adminId,
     {
@@ -892,6 +811,16 @@ exports.updateAdminRole = asyncHandler(async (req, res) => {
     await superAdmin.logAction('update_admin_role', 'admin_management', {
       targetAdminId: admin._id,
       newRole: adminRole
+    }, req, {
+      resource: { type: 'admin', id: admin._id, label: admin.user?.email },
+      before: previous,
+      after: {
+        _id: admin._id,
+        adminRole: admin.adminRole,
+        department: admin.department,
+        notes: admin.notes,
+        permissions: admin.permissions
+      }
     });
   }
 
@@ -971,50 +900,25 @@ exports.activateAdmin = asyncHandler(async (req, res) => {
 /**
  * Delete admin (Super Admin only)
  * Permanently deletes admin and associated user from database
+ * Needs a second admin's approval when delete_admin is under dual control
  */
 exports.deleteAdmin = asyncHandler(async (req, res) => {
-  const admin = await Admin.findById(req.params.adminId);
-
-  if (!admin) {
-    throw new APIError('Admin not found', 404);
+  let deleted;
+  try {
+    deleted = await adminAccountService.deleteAdminAccount(req.params.adminId, req.user._id);
+  } catch (error) {
+    throw new APIError(error.message, /not found/i.test(error.message) ? 404 : 400);
   }
 
-  const userId = admin.user;
-
-  // Delete admin record
-  await Admin.findByIdAndDelete(req.params.adminId);
-
-  // Delete associated user and all related records
-  await User.findByIdAndDelete(userId);
-
-  // Delete member profile if exists
-  const Member = require('../models/Member');
-  await Member.deleteOne({ user: userId });
-
-  // Delete all posts by this user
-  const Post = require('../models/Post');
-  await Post.deleteMany({ author: userId });
-
-  // Delete all events by this user
-  const Event = require('../models/Event');
-  await Event.deleteMany({ organizer: userId });
-
-  // Delete all gallery items by this user
-  const GalleryItem = require('../models/GalleryItem');
-  await GalleryItem.deleteMany({ uploadedBy: userId });
-
-  // Delete comments by this user in posts
-  await Post.updateMany(
-    { 'comments.user': userId },
-    { $pull: { comments: { user: userId } } }
-  );
-
-  // Delete other related records
-  const Notification = require('../models/Notification');
-  await Notification.deleteMany({ user: userId });
-
-  const TwoFactorAuth = require('../models/TwoFactorAuth');
-  await TwoFactorAuth.deleteOne({ user: userId });
+  const superAdmin = await Admin.findOne({ user: req.user._id });
+  if (superAdmin) {
+    await superAdmin.logAction('delete_admin', 'admin_management', {
+      targetAdminId: req.params.adminId,
+      targetEmail: deleted.email
+    }, req, {
+      resource: { type: 'admin', id: req.params.adminId, label: deleted.email }
+    });
+  }
 
   res.status(200).json({
     success: true,
@@ -1023,40 +927,29 @@ exports.deleteAdmin = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get admin activity logs (Super Admin only)
+ * Get audit log entries (Super Admin only)
+ * @route GET /api/admin/logs/activity
+ * @access Private (View Logs Permission)
+ * Query: actorId, adminId, action, module, resourceType, resourceId, startDate, endDate, page, limit
  */
 exports.getActivityLogs = asyncHandler(async (req, res) => {
-  const { adminId, limit = 100, page = 1 } = req.query;
-
-  let query = Admin.find({ isActive: true });
-
-  if (adminId) {
-    query = query.where('_id').equals(adminId);
+  let result;
+  try {
+    result = await auditLogService.listEntries(req.query);
+  } catch (error) {
+    if (/^Invalid /.test(error.message)) {
+      throw new APIError(error.message, 400);
+    }
+    throw error;
   }
 
-  const admins = await query.select('user adminRole activityLog').limit(limit);
-
-  // Combine all logs and sort by timestamp
-  const allLogs = [];
-  admins.forEach(admin => {
-    admin.activityLog.forEach(log => {
-      allLogs.push({
-        admin: admin._id,
-        adminRole: admin.adminRole,
-        ...log.toObject()
-      });
-    });
-  });
-
-  const sortedLogs = allLogs.sort((a, b) => b.timestamp - a.timestamp);
-  const paginatedLogs = sortedLogs.slice((page - 1) * limit, page * limit);
-
   res.status(200).json({
     success: true,
-    count: paginatedLogs.length,
-    total: sortedLogs.length,
-    page: parseInt(page),
-    data: paginatedLogs
+    count: result.entries.length,
+    total: result.pagination.total,
+    page: result.pagination.page,
+    pagination: result.pagination,
+    data: result.entries
   });
 });
 
@@ -1073,7 +966,11 @@ exports.logAdminAction = asyncHandler(async (req, res) => {
 
   const { action, module, details } = req.body;
 
-  await admin.logAction(action, module, details);
+  if (!action || !module) {
+    throw new APIError('action and module are required', 400);
+  }
+
+  await admin.logAction(action, module, details, req);
 
   res.status(200).json({
     success: true,
@@ -1082,32 +979,44 @@ exports.logAdminAction = asyncHandler(async (req, res) => {
 });
 
 /**
- * Export activity logs to CSV (Super Admin only)
+ * Export audit log entries as CSV or JSON (Super Admin only)
+ * Streams the entries, so exports are not limited in size.
+ * @route GET /api/admin/logs/export
+ * @access Private (View Logs Permission)
+ * Query: format (csv|json), plus the filters of getActivityLogs
  */
-exports.exportActivityLogs = asyncHandler(async (req, res) => {
-  const { adminId } = req.query;
-
-  let query = Admin.find({ isActive: true });
-
-  if (adminId) {
-    query = query.where('_id').equals(adminId);
+exports.exportAuditLogs = asyncHandler(async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    throw new APIError('format must be csv or json', 400);
   }
 
-  const admins = await query.select('user adminRole activityLog');
-
-  // Build CSV content
-  let csvContent = 'Admin ID,Admin Role,Action,Module,Timestamp,Details\n';
+  let query;
+  try {
+    query = auditLogService.buildQuery(req.query);
+  } catch (error) {
+    throw new APIError(error.message, 400);
+  }
 
-  admins.forEach(admin => {
-    admin.activityLog.forEach(log => {
-      const details = JSON.stringify(log.details || {}).replace(/"/g, '""');
-      csvContent += `${admin._id},"${admin.adminRole}","${log.action}","${log.module}","${log.timestamp}","${details}"\n`;
-    });
-  });
+  const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Type', format === 'json' ? 'application/json' : 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
 
-  res.setHeader('Content-Type', 'text/csv');
-  res.setHeader('Content-Disposition', 'attachment; filename="admin-logs.csv"');
-  res.send(csvContent);
+  try {
+    const count = await auditLogService.streamExport(query, format, res);
+
+    const admin = req.admin || await Admin.findOne({ user: req.user._id });
+    if (admin) {
+      await admin.logAction('export_audit_log', 'security', {
+        format,
+        filters: req.query,
+        entries: count
+      }, req);
+    }
+  } catch (error) {
+    // The response is already streaming, so the error cannot be sent to the client
+    logger.error('Audit log export failed:', error);
+  }
 });
 
 /**
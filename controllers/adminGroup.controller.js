@@ -2,6 +2,16 @@ const AdminGroup = require('../models/AdminGroup');
 const Admin = require('../models/Admin');
 const { APIError, asyncHandler } = require('../middleware/errorMiddleware');
 const logger = require('../utils/logger');
+const { normalizeGroupGrants } = require('../utils/permissionUtil');
+
+// Reject permissions and grants that do not exist or cannot be delegated
+const validateGrants = (permissions, grants) => {
+  try {
+    return normalizeGroupGrants(permissions, grants);
+  } catch (error) {
+    throw new APIError(error.message, 400);
+  }
+};
 
 /**
  * @desc    Create a new admin group
@@ -9,7 +19,8 @@ const logger = require('../utils/logger');
  * @access  Private/Admin
  */
 exports.createGroup = asyncHandler(async (req, res) => {
-  const { name, description, permissions, settings } = req.body;
+  const { name, description, settings } = req.body;
+  const { permissions, grants } = validateGrants(req.body.permissions, req.body.grants);
 
   // Check if group with name already exists
   const existingGroup = await AdminGroup.findOne({ name });
@@ -21,6 +32,7 @@ exports.createGroup = asyncHandler(async (req, res) => {
     name,
     description,
     permissions,
+    grants,
     settings: {
       ...settings,
       maxMembers: settings?.maxMembers || 50,
@@ -174,7 +186,7 @@ exports.getGroupById = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 exports.updateGroup = asyncHandler(async (req, res) => {
-  const { name, description, permissions, settings } = req.body;
+  const { name, description, settings } = req.body;
   
   const group = await AdminGroup.findById(req.params.id);
   
@@ -202,7 +214,19 @@ exports.updateGroup = asyncHandler(async (req, res) => {
   }
 
   if (description !== undefined) group.description = description;
-  if (permissions) group.permissions = permissions;
+  if (req.body.permissions || req.body.grants) {
+    // Group admins manage members; what the group grants is a super admin decision
+    if (req.admin.adminRole !== 'super_admin') {
+      throw new APIError('Only super admins can change group permissions', 403);
+    }
+    const { permissions, grants } = validateGrants(req.body.permissions || [], req.body.grants || []);
+    if (req.body.permissions) {
+      group.permissions = permissions;
+    }
+    if (req.body.grants) {
+      group.grants = grants;
+    }
+  }
   if (settings) {
     group.settings = {
       ...group.settings,
@@ -0,0 +1,107 @@
+/**
+ * Approval Controller
+ * List, approve, reject and cancel four-eyes approval requests
+ */
+
+const approvalService = require('../services/approval.service');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+
+const APPROVAL_STATUSES = ['pending', 'executed', 'failed', 'rejected', 'cancelled', 'expired'];
+
+const toAPIError = (error) => {
+  if (/not found/i.test(error.message)) {
+    return new APIError(error.message, 404);
+  }
+  if (/not authorized|different admin/i.test(error.message)) {
+    return new APIError(error.message, 403);
+  }
+  return new APIError(error.message, 409);
+};
+
+/**
+ * List approval requests
+ * GET /api/admin/approvals
+ * Query: status (default pending), action, page, limit
+ */
+exports.listRequests = asyncHandler(async (req, res) => {
+  const { status, action, page, limit } = req.query;
+
+  if (status && !APPROVAL_STATUSES.includes(status)) {
+    throw new APIError(`status must be one of: ${APPROVAL_STATUSES.join(', ')}`, 400);
+  }
+  if (action && !approvalService.ACTIONS.includes(action)) {
+    throw new APIError(`action must be one of: ${approvalService.ACTIONS.join(', ')}`, 400);
+  }
+
+  const result = await approvalService.listRequests({ status, action, page, limit }, req.admin);
+
+  res.json({
+    success: true,
+    data: result.items,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * Approve a request, which runs its action
+ * POST /api/admin/approvals/:id/approve
+ * Body: { note }
+ */
+exports.approveRequest = asyncHandler(async (req, res) => {
+  let outcome;
+  try {
+    outcome = await approvalService.approveRequest(req.params.id, req, req.body?.note);
+  } catch (error) {
+    throw toAPIError(error);
+  }
+
+  const { request, result } = outcome;
+  if (request.status === 'failed') {
+    throw new APIError(`Request approved, but the action failed: ${request.error}`, 409);
+  }
+
+  res.json({
+    success: true,
+    message: `${approvalService.labelFor(request.action)} approved and carried out`,
+    data: { request, result }
+  });
+});
+
+/**
+ * Reject a request
+ * POST /api/admin/approvals/:id/reject
+ * Body: { note }
+ */
+exports.rejectRequest = asyncHandler(async (req, res) => {
+  let request;
+  try {
+    request = await approvalService.rejectRequest(req.params.id, req, req.body?.note);
+  } catch (error) {
+    throw toAPIError(error);
+  }
+
+  res.json({
+    success: true,
+    message: 'Request rejected',
+    data: request
+  });
+});
+
+/**
+ * Withdraw your own request
+ * POST /api/admin/approvals/:id/cancel
+ */
+exports.cancelRequest = asyncHandler(async (req, res) => {
+  let request;
+  try {
+    request = await approvalService.cancelRequest(req.params.id, req);
+  } catch (error) {
+    throw toAPIError(error);
+  }
+
+  res.json({
+    success: true,
+    message: 'Request cancelled',
+    data: request
+  });
+});
@@ -1,4 +1,3 @@
-const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const User = require("../models/User");
 const Member = require("../models/Member");
@@ -6,16 +5,21 @@ const Admin = require("../models/Admin");
 const authValidator = require("../validators/authValidator");
 const { asyncHandler, APIError } = require("../middleware/errorMiddleware");
 const { ROLE_PERMISSIONS } = require("../constants/adminRoles");
+const twoFactorService = require("../services/twoFactor.service");
+const sessionService = require("../services/session.service");
+const adminAccountService = require("../services/adminAccount.service");
+const emailService = require("../utils/emailService");
 const logger = require("../utils/logger");
 
 /**
- * Generate JWT Token
+ * Start a session for the request's device
+ * @returns {Object} { token, refreshToken, expiresIn }
  */
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET || "your-secret-key", {
-    expiresIn: process.env.JWT_EXPIRE || "7d",
+const createSessionTokens = (req, userId) =>
+  sessionService.createSession(userId, {
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
   });
-};
 
 // Department mapping - must use valid enum values from Admin model:
 // ['Executive', 'Leadership', 'Communications', 'Events', 'Membership', 'Administration']
@@ -31,6 +35,45 @@ const roleDepartmentMap = {
   contact_admin: "Communications", // Contact page
 };
 
+/**
+ * Finish a login: issue a token, or a two-factor challenge when the user has
+ * two-factor enabled and the device is not trusted
+ */
+const sendLoginResponse = async (req, res, user, profile, message) => {
+  const challenge = await twoFactorService.createLoginChallenge(user._id, req.body && req.body.deviceToken);
+  if (challenge) {
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication required",
+      twoFactorRequired: true,
+      ...challenge,
+    });
+  }
+
+  const tokens = await createSessionTokens(req, user._id);
+
+  res.status(200).json({
+    success: true,
+    message,
+    ...tokens,
+    user: profile,
+  });
+};
+
+/**
+ * Create a verification token and email the link to the user
+ * A failed send is logged; the user can ask for the link again
+ */
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const result = await emailService.sendEmailVerification(user, verificationToken);
+  if (!result.success) {
+    logger.warn(`Verification email to user ${user._id} was not sent: ${result.error || result.message}`);
+  }
+};
+
 const resolveDepartment = (role, fallback) => {
   if (fallback) {
     return fallback;
@@ -142,14 +185,16 @@ exports.register = asyncHandler(async (req, res) => {
     membershipTier: "basic",
   });
 
-  // Generate token
-  const token = generateToken(user._id);
+  await sendVerificationEmail(user);
+
+  // Start a session
+  const tokens = await createSessionTokens(req, user._id);
 
   // Return response
   res.status(201).json({
     success: true,
-    message: "User registered successfully",
-    token,
+    message: "User registered successfully. Please check your email to verify your address",
+    ...tokens,
     user: user.getProfileInfo(),
   });
 });
@@ -197,17 +242,48 @@ exports.login = asyncHandler(async (req, res) => {
     }
   });
 
-  // Generate token
-  const token = generateToken(user._id);
-
   // Return response without sensitive data
   const { password: _, ...userProfile } = user;
 
+  await sendLoginResponse(req, res, user, userProfile, "Login successful");
+});
+
+/**
+ * Complete login with a two-factor code
+ * POST /api/auth/login/2fa
+ * Body: challengeToken, code (TOTP or backup code), trustDevice, deviceName
+ */
+exports.completeTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, trustDevice, deviceName } = req.body;
+  if (!challengeToken || !code) {
+    throw new APIError("Challenge token and code are required", 400);
+  }
+
+  let result;
+  try {
+    result = await twoFactorService.completeLoginChallenge(challengeToken, code, {
+      trustDevice: Boolean(trustDevice),
+      deviceName,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+  } catch (error) {
+    throw new APIError(error.message, 401);
+  }
+
+  const user = await User.findById(result.userId);
+  if (!user || !user.isActive) {
+    throw new APIError("Account is deactivated", 403);
+  }
+
+  const tokens = await createSessionTokens(req, user._id);
+
   res.status(200).json({
     success: true,
     message: "Login successful",
-    token,
-    user: userProfile,
+    ...tokens,
+    user: user.getProfileInfo(),
+    deviceToken: result.deviceToken,
   });
 });
 
@@ -293,28 +369,251 @@ exports.changePassword = asyncHandler(async (req, res) => {
     throw new APIError("Current password is incorrect", 401);
   }
 
-  // Update password
+  // Update password; all sessions end and this device gets a new one
   user.password = newPassword;
   await user.save();
+  await sessionService.revokeAllSessions(user._id, "password_changed");
+  const tokens = await createSessionTokens(req, user._id);
 
   res.status(200).json({
     success: true,
     message: "Password changed successfully",
+    ...tokens,
   });
 });
 
 /**
- * Logout user
+ * Verify email address with an emailed token
+ * POST /api/auth/verify-email
+ */
+exports.verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+  if (!token || typeof token !== "string") {
+    throw new APIError("Verification token is required", 400);
+  }
+
+  // Claim the token atomically so it can only be used once
+  const user = await User.findOneAndUpdate(
+    {
+      verificationToken: User.hashToken(token),
+      verificationTokenExpire: { $gt: new Date() },
+    },
+    {
+      $set: { isVerified: true },
+      $unset: { verificationToken: 1, verificationTokenExpire: 1 },
+    },
+    { new: true },
+  );
+
+  if (!user) {
+    throw new APIError("Verification link is invalid or has expired", 400);
+  }
+
+  logger.info(`Email verified for user ${user._id}`);
+
+  res.status(200).json({
+    success: true,
+    message: "Email verified successfully",
+    user: user.getProfileInfo(),
+  });
+});
+
+/**
+ * Resend the verification email
+ * POST /api/auth/resend-verification
+ */
+exports.resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user) {
+    throw new APIError("User not found", 404);
+  }
+
+  if (user.isVerified) {
+    throw new APIError("Email is already verified", 400);
+  }
+
+  const wait = user.verificationResendWait();
+  if (wait > 0) {
+    return res.status(429).json({
+      success: false,
+      message: `Please wait ${wait} seconds before requesting another verification email`,
+      retryAfter: wait,
+    });
+  }
+
+  await sendVerificationEmail(user);
+
+  res.status(200).json({
+    success: true,
+    message: "Verification email sent",
+  });
+});
+
+/**
+ * Request a password reset link
+ * POST /api/auth/forgot-password
+ * Responds the same whether or not the email is registered
+ */
+exports.forgotPassword = asyncHandler(async (req, res) => {
+  const errors = authValidator.validateForgotPassword(req.body);
+  if (errors) {
+    return res.status(400).json({
+      success: false,
+      errors,
+    });
+  }
+
+  const response = {
+    success: true,
+    message: "If an account exists for this email, a password reset link has been sent",
+  };
+
+  const user = await User.findOne({ email: req.body.email.toLowerCase() });
+  if (!user || !user.isActive) {
+    return res.status(200).json(response);
+  }
+
+  // A new link replaces any earlier one
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  const result = await emailService.sendPasswordResetEmail(user, resetToken);
+  if (!result.success) {
+    logger.warn(`Password reset email to user ${user._id} was not sent: ${result.error || result.message}`);
+  }
+
+  res.status(200).json(response);
+});
+
+/**
+ * Reset password with an emailed token
+ * POST /api/auth/reset-password
+ * The token is single-use; existing sessions and tokens stop working
+ */
+exports.resetPassword = asyncHandler(async (req, res) => {
+  const errors = authValidator.validatePasswordReset(req.body);
+  if (errors) {
+    return res.status(400).json({
+      success: false,
+      errors,
+    });
+  }
+
+  // Claim the token atomically so it can only be used once
+  const user = await User.findOneAndUpdate(
+    {
+      resetPasswordToken: User.hashToken(req.body.token),
+      resetPasswordExpire: { $gt: new Date() },
+    },
+    { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 } },
+    { new: true },
+  );
+
+  if (!user || !user.isActive) {
+    throw new APIError("Password reset link is invalid or has expired", 400);
+  }
+
+  // Saving the new password sets passwordChangedAt, which ends existing sessions and tokens
+  user.password = req.body.password;
+  await user.save();
+  await sessionService.revokeAllSessions(user._id, "password_changed");
+
+  logger.info(`Password reset for user ${user._id}`);
+
+  res.status(200).json({
+    success: true,
+    message: "Password reset successfully. Please log in with your new password",
+  });
+});
+
+/**
+ * Logout user, ending the current session
  * POST /api/auth/logout
  */
 exports.logout = asyncHandler(async (req, res) => {
-  // On client side, token should be removed from localStorage
+  await sessionService.revokeSession(req.user._id, req.sessionId, "logout").catch(() => {});
+
   res.status(200).json({
     success: true,
     message: "Logout successful",
   });
 });
 
+/**
+ * Exchange a refresh token for a new access token
+ * The refresh token is rotated; the one sent can't be used again
+ * POST /api/auth/refresh
+ * Body: refreshToken
+ */
+exports.refreshToken = asyncHandler(async (req, res) => {
+  try {
+    const tokens = await sessionService.refresh(req.body.refreshToken, {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    res.status(200).json({
+      success: true,
+      ...tokens,
+    });
+  } catch (error) {
+    // Another tab refreshed first; the client should pick up its tokens
+    if (error.code === "REFRESH_TOKEN_ROTATED") {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    throw new APIError(error.message, 401);
+  }
+});
+
+/**
+ * List the current user's active sessions
+ * GET /api/auth/sessions
+ */
+exports.getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listSessions(req.user._id, req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    data: sessions,
+  });
+});
+
+/**
+ * Revoke one of the current user's sessions
+ * DELETE /api/auth/sessions/:sessionId
+ */
+exports.revokeSession = asyncHandler(async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user._id, req.params.sessionId);
+  } catch (error) {
+    throw new APIError(error.message, 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Session revoked",
+  });
+});
+
+/**
+ * Revoke all of the current user's sessions except this one
+ * POST /api/auth/sessions/revoke-others
+ */
+exports.revokeOtherSessions = asyncHandler(async (req, res) => {
+  const revoked = await sessionService.revokeOtherSessions(req.user._id, req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    message: `${revoked} other session${revoked === 1 ? "" : "s"} signed out`,
+    data: { revoked },
+  });
+});
+
 /**
  * Google OAuth callback
  * GET /api/auth/google/callback
@@ -343,15 +642,7 @@ exports.googleCallback = asyncHandler(async (req, res) => {
     });
   }
 
-  // Generate token
-  const token = generateToken(user._id);
-
-  res.status(200).json({
-    success: true,
-    message: "Google authentication successful",
-    token,
-    user: user.getProfileInfo(),
-  });
+  await sendLoginResponse(req, res, user, user.getProfileInfo(), "Google authentication successful");
 });
 
 /**
@@ -475,6 +766,9 @@ exports.deleteUser = asyncHandler(async (req, res) => {
   const TwoFactorAuth = require("../models/TwoFactorAuth");
   await TwoFactorAuth.deleteOne({ user: userId });
 
+  const Session = require("../models/Session");
+  await Session.deleteMany({ user: userId });
+
   // Delete the user
   await User.findByIdAndDelete(userId);
 
@@ -485,16 +779,44 @@ exports.deleteUser = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Force-logout a user, ending all of their sessions (admin only)
+ * POST /api/auth/users/:id/force-logout
+ */
+exports.forceLogoutUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select("firstName lastName email");
+
+  if (!user) {
+    throw new APIError("User not found", 404);
+  }
+
+  const revoked = await sessionService.revokeAllSessions(user._id, "admin_forced", req.user._id);
+
+  const actingAdmin = await Admin.findOne({ user: req.user._id });
+  if (actingAdmin) {
+    await actingAdmin.logAction("force_logout", "user_management", {
+      targetUserId: user._id,
+      targetEmail: user.email,
+      sessionsRevoked: revoked,
+    }, req, {
+      resource: { type: "user", id: user._id, label: user.email },
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${user.firstName} ${user.lastName} has been logged out of ${revoked} session${revoked === 1 ? "" : "s"}`,
+    data: { revoked },
+  });
+});
+
 /**
  * Deactivate user account
  * POST /api/auth/deactivate
  */
 exports.deactivateAccount = asyncHandler(async (req, res) => {
-  const user = await User.findByIdAndUpdate(
-    req.user._id,
-    { isActive: false },
-    { new: true },
-  );
+  await User.findByIdAndUpdate(req.user._id, { isActive: false });
+  await sessionService.revokeAllSessions(req.user._id, "account_deactivated");
 
   res.status(200).json({
     success: true,
@@ -663,13 +985,12 @@ exports.createAdminLogin = asyncHandler(async (req, res) => {
         targetUserId: user._id,
         adminRole: adminRole,
         userName: `${user.firstName} ${user.lastName}`,
+      }, req, {
+        resource: { type: "user", id: user._id, label: user.email },
       });
     }
   }
 
-  // Generate token for immediate use if needed
-  const token = generateToken(user._id);
-
   res.status(201).json({
     success: true,
     message: "Admin login credentials created successfully",
@@ -680,7 +1001,6 @@ exports.createAdminLogin = asyncHandler(async (req, res) => {
       createdAt: user.createdAt,
       adminRole: admin?.adminRole || null,
       adminId: admin?._id || null,
-      token, // Temporary token for first setup
     },
   });
 });
@@ -785,6 +1105,8 @@ exports.assignAdminRole = asyncHandler(async (req, res) => {
       targetUserId: userId,
       adminRole: adminRole,
       userName: `${user.firstName} ${user.lastName}`,
+    }, req, {
+      resource: { type: "user", id: user._id, label: user.email },
     });
   }
 
@@ -798,6 +1120,7 @@ exports.assignAdminRole = asyncHandler(async (req, res) => {
 /**
  * Generate temporary admin password (Super Admin only)
  * POST /api/auth/admin/reset-password
+ * Needs a second admin's approval when reset_admin_password is under dual control
  */
 exports.resetAdminPassword = asyncHandler(async (req, res) => {
   const { adminId } = req.body;
@@ -806,46 +1129,28 @@ exports.resetAdminPassword = asyncHandler(async (req, res) => {
     throw new APIError("Admin ID is required", 400);
   }
 
-  // Generate random password
-  const characters =
-    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*";
-  let temporaryPassword = "";
-  for (let i = 0; i < 12; i++) {
-    temporaryPassword += characters.charAt(
-      Math.floor(Math.random() * characters.length),
-    );
+  let reset;
+  try {
+    reset = await adminAccountService.resetAdminPassword(adminId);
+  } catch (error) {
+    throw new APIError(error.message, 404);
   }
 
-  // Find admin and update password
-  const admin = await Admin.findById(adminId).populate("user");
-
-  if (!admin) {
-    throw new APIError("Admin not found", 404);
-  }
-
-  // Update user password
-  const user = admin.user;
-  user.password = temporaryPassword;
-  await user.save();
-
   // Log the action
   const superAdmin = await Admin.findOne({ user: req.user._id });
   if (superAdmin) {
     await superAdmin.logAction("reset_admin_password", "admin_management", {
       targetAdminId: adminId,
-      targetEmail: user.email,
+      targetEmail: reset.adminEmail,
+    }, req, {
+      resource: { type: "admin", id: adminId, label: reset.adminEmail },
     });
   }
 
   res.status(200).json({
     success: true,
     message: "Admin password reset successfully",
-    data: {
-      adminEmail: user.email,
-      temporaryPassword: temporaryPassword,
-      adminName: `${user.firstName} ${user.lastName}`,
-      note: "Share this temporary password with the admin. They should change it on first login.",
-    },
+    data: reset,
   });
 });
 
@@ -925,12 +1230,18 @@ exports.deactivateAdminCredentials = asyncHandler(async (req, res) => {
   const TwoFactorAuth = require("../models/TwoFactorAuth");
   await TwoFactorAuth.deleteOne({ user: userId });
 
+  const Session = require("../models/Session");
+  await Session.deleteMany({ user: userId });
+
   // Log the action (before deleting superAdmin record if it's the same)
   const superAdmin = await Admin.findOne({ user: req.user._id });
   if (superAdmin && superAdmin._id.toString() !== adminId) {
     await superAdmin.logAction("deactivate_admin", "admin_management", {
       targetAdminId: adminId,
       targetEmail: userEmail,
+    }, req, {
+      resource: { type: "admin", id: adminId, label: userEmail },
+      before: { adminRole: admin.adminRole, user: userId },
     });
   }
 
@@ -973,6 +1284,8 @@ exports.reactivateAdminCredentials = asyncHandler(async (req, res) => {
     await superAdmin.logAction("reactivate_admin", "admin_management", {
       targetAdminId: adminId,
       targetEmail: admin.user.email,
+    }, req, {
+      resource: { type: "admin", id: adminId, label: admin.user.email },
     });
   }
 
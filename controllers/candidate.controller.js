@@ -9,6 +9,20 @@ const Election = require('../models/Election');
 const VotingLog = require('../models/VotingLog');
 const cloudinary = require('cloudinary').v2;
 
+// Fields an admin may change; the position, election, chapter, vote counts
+// and withdrawal status are set by the system
+const UPDATABLE_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'bio',
+  'manifesto',
+  'qualifications',
+  'achievements',
+  'socialLinks',
+  'order'
+];
+
 /**
  * Add candidate to position
  */
@@ -134,7 +148,13 @@ exports.addCandidate = async (req, res) => {
 exports.updateCandidate = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const body = req.body || {};
+    const updateData = {};
+    for (const field of UPDATABLE_FIELDS) {
+      if (body[field] !== undefined) {
+        updateData[field] = body[field];
+      }
+    }
 
     const candidate = await Candidate.findById(id);
     if (!candidate) {
@@ -234,6 +254,14 @@ exports.withdrawCandidate = async (req, res) => {
       });
     }
 
+    const election = await Election.findById(candidate.electionId);
+    if (election && election.isCertified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot withdraw a candidate after the results are certified'
+      });
+    }
+
     candidate.isWithdrawn = true;
     candidate.withdrawnAt = new Date();
     await candidate.save();
@@ -356,14 +356,11 @@ const updateAnnouncementSettings = async (req, res) => {
 
 /**
  * Reset design settings to defaults
+ * Needs a second admin's approval when reset_design_settings is under dual control
  */
 const resetDesignSettings = async (req, res) => {
   try {
-    // Create a new document with default values
-    await DesignSettings.deleteMany({});
-    const settings = await DesignSettings.create({
-      lastUpdatedBy: req.user.id
-    });
+    const settings = await DesignSettings.resetToDefaults(req.user.id);
 
     res.json({
       success: true,
@@ -0,0 +1,367 @@
+/**
+ * Dispute Controller
+ * Handles election disputes, their investigation and vote invalidation
+ */
+
+const mongoose = require('mongoose');
+const ElectionDispute = require('../models/ElectionDispute');
+const Election = require('../models/Election');
+const Position = require('../models/Position');
+const Vote = require('../models/Vote');
+const VotingLog = require('../models/VotingLog');
+const disputeService = require('../services/dispute.service');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+
+const logDispute = (req, action, dispute, details) => VotingLog.log({
+  actorId: req.user._id,
+  actorEmail: req.user.email,
+  actorRole: req.user.role,
+  action,
+  resource: {
+    type: 'dispute',
+    id: dispute._id
+  },
+  electionId: dispute.electionId,
+  chapter: dispute.chapter,
+  details: {
+    subject: dispute.subject,
+    status: dispute.status,
+    ...details
+  },
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+  success: true
+});
+
+const loadDispute = async (id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new APIError('Dispute not found', 404);
+  }
+  const dispute = await ElectionDispute.findById(id);
+  if (!dispute) {
+    throw new APIError('Dispute not found', 404);
+  }
+  return dispute;
+};
+
+const requireUnresolved = (dispute, action) => {
+  if (!dispute.isUnresolved()) {
+    throw new APIError(`Cannot ${action} a ${dispute.status} dispute`, 400);
+  }
+};
+
+/**
+ * File a dispute against an election (Candidate or Observer)
+ * Body: { subject, description, category?, positionId? }
+ */
+exports.fileDispute = asyncHandler(async (req, res) => {
+  const { electionId } = req.params;
+  const { subject, description, category, positionId } = req.body;
+
+  const election = await Election.findById(electionId);
+  if (!election) {
+    throw new APIError('Election not found', 404);
+  }
+
+  const lockReason = disputeService.getLockReason(election);
+  if (lockReason) {
+    throw new APIError(lockReason, 400);
+  }
+
+  const capacity = await disputeService.getFilingCapacity(election, req.user);
+  if (!capacity) {
+    throw new APIError('Only candidates and observers of this election can file disputes', 403);
+  }
+
+  if (positionId) {
+    const position = mongoose.isValidObjectId(positionId)
+      ? await Position.exists({ _id: positionId, electionId: election._id })
+      : null;
+    if (!position) {
+      throw new APIError('Position must belong to this election', 400);
+    }
+  }
+
+  const dispute = await ElectionDispute.create({
+    electionId: election._id,
+    chapter: election.chapter,
+    filedBy: req.user._id,
+    filedByEmail: req.user.email,
+    ...capacity,
+    category,
+    positionId,
+    subject,
+    description
+  });
+
+  await logDispute(req, 'dispute_filed', dispute, {
+    filedAs: dispute.filedAs,
+    category: dispute.category,
+    positionId: dispute.positionId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Dispute filed',
+    data: dispute
+  });
+});
+
+/**
+ * List disputes I have filed
+ */
+exports.getMyDisputes = asyncHandler(async (req, res) => {
+  const disputes = await ElectionDispute.find({ filedBy: req.user._id })
+    .select('-notes')
+    .populate('electionId', 'title status')
+    .populate('positionId', 'name')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: disputes
+  });
+});
+
+/**
+ * Withdraw a dispute I filed, before any votes are invalidated under it
+ */
+exports.withdrawDispute = asyncHandler(async (req, res) => {
+  const dispute = await loadDispute(req.params.id);
+
+  if (dispute.filedBy.toString() !== req.user._id.toString()) {
+    throw new APIError('Only the member who filed the dispute can withdraw it', 403);
+  }
+  requireUnresolved(dispute, 'withdraw');
+  if (dispute.invalidatedVotes.length > 0) {
+    throw new APIError('Votes have been invalidated under this dispute; it must be resolved by an admin', 400);
+  }
+
+  dispute.status = 'withdrawn';
+  await dispute.save();
+
+  await logDispute(req, 'dispute_withdrawn', dispute);
+
+  res.json({
+    success: true,
+    message: 'Dispute withdrawn',
+    data: dispute
+  });
+});
+
+/**
+ * List disputes for an election (Admin)
+ */
+exports.getElectionDisputes = asyncHandler(async (req, res) => {
+  const query = { electionId: req.params.electionId };
+  if (req.query.status) {query.status = req.query.status;}
+
+  const disputes = await ElectionDispute.find(query)
+    .select('-notes')
+    .populate('filedBy', 'firstName lastName email')
+    .populate('assignedTo', 'firstName lastName email')
+    .populate('positionId', 'name')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: disputes
+  });
+});
+
+/**
+ * Get a dispute with its investigation notes (Admin)
+ */
+exports.getDispute = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new APIError('Dispute not found', 404);
+  }
+
+  const dispute = await ElectionDispute.findById(req.params.id)
+    .populate('electionId', 'title status secretBallot')
+    .populate('filedBy', 'firstName lastName email')
+    .populate('candidateId', 'name')
+    .populate('positionId', 'name')
+    .populate('assignedTo', 'firstName lastName email')
+    .populate('notes.author', 'firstName lastName email')
+    .populate('resolution.resolvedBy', 'firstName lastName email')
+    .lean();
+  if (!dispute) {
+    throw new APIError('Dispute not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: dispute
+  });
+});
+
+/**
+ * Start investigating a dispute (Admin)
+ * Body: { assignedTo? } - defaults to the current admin
+ */
+exports.startInvestigation = asyncHandler(async (req, res) => {
+  const dispute = await loadDispute(req.params.id);
+
+  if (dispute.status !== 'open') {
+    throw new APIError(`Cannot start investigating a ${dispute.status} dispute`, 400);
+  }
+
+  const { assignedTo } = req.body;
+  if (assignedTo && !mongoose.isValidObjectId(assignedTo)) {
+    throw new APIError('Invalid assignee ID', 400);
+  }
+
+  dispute.status = 'investigating';
+  dispute.assignedTo = assignedTo || req.user._id;
+  dispute.investigationStartedAt = new Date();
+  await dispute.save();
+
+  await logDispute(req, 'dispute_investigation_started', dispute, {
+    assignedTo: dispute.assignedTo
+  });
+
+  res.json({
+    success: true,
+    message: 'Investigation started',
+    data: dispute
+  });
+});
+
+/**
+ * Add an investigation note (Admin)
+ * Body: { note }
+ */
+exports.addNote = asyncHandler(async (req, res) => {
+  const dispute = await loadDispute(req.params.id);
+  requireUnresolved(dispute, 'add notes to');
+
+  const note = String(req.body.note || '').trim();
+  if (!note) {
+    throw new APIError('A note is required', 400);
+  }
+
+  dispute.notes.push({ author: req.user._id, note });
+  await dispute.save();
+
+  await logDispute(req, 'dispute_note_added', dispute, { noteCount: dispute.notes.length });
+
+  res.status(201).json({
+    success: true,
+    message: 'Note added',
+    data: dispute.notes[dispute.notes.length - 1]
+  });
+});
+
+/**
+ * List the votes of a disputed election for investigation (Admin)
+ * Query: positionId, candidateId, memberEmail, status, page, limit
+ */
+exports.getDisputeVotes = asyncHandler(async (req, res) => {
+  const dispute = await loadDispute(req.params.id);
+  const { positionId, candidateId, memberEmail, status } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  const election = await Election.findById(dispute.electionId).select('secretBallot').lean();
+  if (election && election.secretBallot) {
+    throw new APIError('Secret ballots carry no voter identity and cannot be listed', 400);
+  }
+
+  const query = { electionId: dispute.electionId };
+  if (positionId) {query.positionId = positionId;}
+  if (candidateId) {query.$or = [{ candidateId }, { candidateIds: candidateId }];}
+  if (memberEmail) {query.memberEmail = String(memberEmail).trim().toLowerCase();}
+  if (status) {query.status = status;}
+
+  const [votes, total] = await Promise.all([
+    Vote.find(query)
+      .select('memberId memberEmail memberName candidateId candidateIds positionId chapter timestamp castByProxyId status invalidatedAt invalidationReason')
+      .populate('candidateIds', 'name')
+      .populate('positionId', 'name')
+      .sort({ timestamp: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Vote.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    data: votes,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+/**
+ * Invalidate votes under a dispute (Admin)
+ * Body: { voteIds, reason }
+ */
+exports.invalidateVotes = asyncHandler(async (req, res) => {
+  const dispute = await loadDispute(req.params.id);
+
+  let result;
+  try {
+    result = await disputeService.invalidateVotes(dispute, req.body, req.user, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    throw new APIError(error.message, 400);
+  }
+
+  res.json({
+    success: true,
+    message: `${result.invalidated.length} vote(s) invalidated`,
+    data: result
+  });
+});
+
+/**
+ * Resolve a dispute (Admin)
+ * Body: { outcome: 'upheld' | 'dismissed', summary }
+ */
+exports.resolveDispute = asyncHandler(async (req, res) => {
+  const dispute = await loadDispute(req.params.id);
+  requireUnresolved(dispute, 'resolve');
+
+  const { outcome, summary } = req.body;
+  if (!['upheld', 'dismissed'].includes(outcome)) {
+    throw new APIError("outcome must be 'upheld' or 'dismissed'", 400);
+  }
+  if (!summary || !String(summary).trim()) {
+    throw new APIError('A resolution summary is required', 400);
+  }
+  if (outcome === 'dismissed' && dispute.invalidatedVotes.length > 0) {
+    throw new APIError('Votes were invalidated under this dispute; it cannot be dismissed', 400);
+  }
+
+  dispute.status = outcome;
+  dispute.resolution = {
+    summary,
+    resolvedBy: req.user._id,
+    resolvedAt: new Date()
+  };
+  await dispute.save();
+
+  await logDispute(req, 'dispute_resolved', dispute, {
+    outcome,
+    summary,
+    invalidatedVotes: dispute.invalidatedVotes.length
+  });
+
+  res.json({
+    success: true,
+    message: `Dispute ${outcome}`,
+    data: dispute
+  });
+});
+
+module.exports = exports;
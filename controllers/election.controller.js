@@ -7,7 +7,10 @@ const Election = require('../models/Election');
 const Position = require('../models/Position');
 const Candidate = require('../models/Candidate');
 const VotingLog = require('../models/VotingLog');
-const { emitElectionStatus } = require('../services/socket.service');
+const auditChainService = require('../services/auditChain.service');
+const electionLifecycle = require('../services/electionLifecycle.service');
+const resultsCertification = require('../services/resultsCertification.service');
+const turnoutAnalytics = require('../services/turnoutAnalytics.service');
 const { asyncHandler, APIError } = require('../middleware/errorHandler');
 const cache = require('../config/cache');
 const logger = require('../utils/logger');
@@ -25,7 +28,10 @@ exports.createElection = asyncHandler(async (req, res) => {
     endTime,
     allowMultiplePositions,
     requireVerification,
-    publicResults
+    publicResults,
+    secretBallot,
+    eligibilityRules,
+    proxyVoting
   } = req.body;
 
   // Validate required fields
@@ -59,6 +65,9 @@ exports.createElection = asyncHandler(async (req, res) => {
     allowMultiplePositions: allowMultiplePositions !== false,
     requireVerification: requireVerification !== false,
     publicResults: publicResults || false,
+    secretBallot: secretBallot || false,
+    eligibilityRules,
+    proxyVoting,
     status: 'pending'
   });
 
@@ -166,27 +175,12 @@ exports.startElection = asyncHandler(async (req, res) => {
     });
   }
 
-  await election.start(req.user._id);
-
-  // Emit status change
-  emitElectionStatus(election._id, 'active');
-
-  // Log action
-  await VotingLog.log({
-    actorId: req.user._id,
-    actorEmail: req.user.email,
-    actorRole: req.user.role,
-    action: 'election_started',
-    resource: {
-      type: 'election',
-      id: election._id
-    },
-    electionId: election._id,
-    chapter: election.chapter,
-    ip: req.ip,
-    userAgent: req.get('user-agent'),
-    success: true
-  });
+  try {
+    await electionLifecycle.openElection(election, electionLifecycle.actorFromRequest(req));
+  } catch (error) {
+    // Opened by the scheduler or another admin since it was loaded
+    throw new APIError(error.message, 409);
+  }
 
   res.json({
     success: true,
@@ -197,6 +191,7 @@ exports.startElection = asyncHandler(async (req, res) => {
 
 /**
  * Close election
+ * Needs a second admin's approval when close_election is under dual control
  */
 exports.closeElection = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -216,34 +211,12 @@ exports.closeElection = asyncHandler(async (req, res) => {
     });
   }
 
-  await election.close();
-
-  // Calculate final statistics
-  await election.calculateTurnout();
-
-  // Emit status change
-  emitElectionStatus(election._id, 'closed');
-
-  // Log action
-  await VotingLog.log({
-    actorId: req.user._id,
-    actorEmail: req.user.email,
-    actorRole: req.user.role,
-    action: 'election_closed',
-    resource: {
-      type: 'election',
-      id: election._id
-    },
-    electionId: election._id,
-    chapter: election.chapter,
-    details: {
-      totalVotesCast: election.totalVotesCast,
-      turnoutPercentage: election.turnoutPercentage
-    },
-    ip: req.ip,
-    userAgent: req.get('user-agent'),
-    success: true
-  });
+  // Records final turnout, logs the close and seals the audit chain
+  try {
+    await electionLifecycle.closeElection(election, electionLifecycle.actorFromRequest(req));
+  } catch (error) {
+    throw new APIError(error.message, 409);
+  }
 
   res.json({
     success: true,
@@ -363,16 +336,44 @@ exports.exportResults = asyncHandler(async (req, res) => {
   const voteService = require('../services/vote.service');
   const results = await voteService.getElectionResults(id);
 
+  // Positions whose last seat is tied and has no recorded tie-break yet
+  const unresolvedTies = results.positions
+    .filter(positionData => positionData.tie && !positionData.tie.resolved)
+    .map(positionData => ({
+      positionId: positionData.position._id,
+      positionName: positionData.position.name,
+      seats: positionData.tie.seats,
+      candidates: positionData.candidates
+        .filter(candidate => positionData.tie.candidates.includes(candidate._id.toString()))
+        .map(candidate => ({ _id: candidate._id, name: candidate.name, votesCount: candidate.votesCount }))
+    }));
+
   if (format === 'csv') {
     // Generate CSV
-    let csv = 'Position,Candidate,Votes,Percentage\n';
+    let csv = 'Position,Seats,Candidate,Votes,Percentage,Result\n';
 
     results.positions.forEach(positionData => {
+      const tiedIds = positionData.tie && !positionData.tie.resolved ? positionData.tie.candidates : [];
+
       positionData.candidates.forEach(candidate => {
-        csv += `"${positionData.position.name}","${candidate.name}",${candidate.votesCount},${candidate.votePercentage}%\n`;
+        let outcome = '';
+        if (candidate.isElected) {
+          outcome = 'Elected';
+        } else if (tiedIds.includes(candidate._id.toString())) {
+          outcome = 'Tied - awaiting tie-break';
+        }
+
+        csv += `"${positionData.position.name}",${positionData.position.seats},"${candidate.name}",${candidate.votesCount},${candidate.votePercentage}%,${outcome}\n`;
       });
     });
 
+    if (unresolvedTies.length > 0) {
+      csv += '\nUnresolved Ties\nPosition,Seats In Tie,Tied Candidates\n';
+      unresolvedTies.forEach(tie => {
+        csv += `"${tie.positionName}",${tie.seats},"${tie.candidates.map(c => c.name).join('; ')}"\n`;
+      });
+    }
+
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', `attachment; filename=election-${id}-results.csv`);
     res.send(csv);
@@ -380,10 +381,175 @@ exports.exportResults = asyncHandler(async (req, res) => {
     // Return JSON
     res.json({
       success: true,
-      data: results
+      data: {
+        ...results,
+        unresolvedTies
+      }
     });
   }
 });
 
-module.exports = exports;
+/**
+ * Verify an election's audit chain and report the first broken link
+ */
+exports.verifyAuditChain = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const election = await Election.findById(id).select('_id').lean();
+  if (!election) {
+    throw new APIError('Election not found', 404);
+  }
+
+  const verification = await auditChainService.verifyChain(id);
+
+  res.json({
+    success: true,
+    message: verification.valid
+      ? 'Audit chain is intact'
+      : 'Audit chain verification failed',
+    data: verification
+  });
+});
+
+/**
+ * Download the signed audit chain of a closed election
+ */
+exports.exportAuditChain = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const election = await Election.findById(id).select('status chapter auditChain').lean();
+  if (!election) {
+    throw new APIError('Election not found', 404);
+  }
+
+  if (election.status !== 'closed') {
+    throw new APIError('The audit chain can only be exported after the election closes', 400);
+  }
+
+  if (!election.auditChain || !election.auditChain.signature) {
+    throw new APIError('This election closed before audit chain sealing was enabled', 400);
+  }
 
+  const chain = await auditChainService.exportChain(id);
+
+  await VotingLog.log({
+    actorId: req.user._id,
+    actorEmail: req.user.email,
+    actorRole: req.user.role,
+    action: 'audit_chain_exported',
+    resource: {
+      type: 'election',
+      id: election._id
+    },
+    electionId: election._id,
+    chapter: election.chapter,
+    details: {
+      entryCount: chain.seal.entryCount,
+      valid: chain.verification.valid
+    },
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    success: true
+  });
+
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Content-Disposition', `attachment; filename=election-${id}-audit-chain.json`);
+  res.send(JSON.stringify(chain, null, 2));
+});
+
+/**
+ * Review results before certification
+ * Returns the tallies, the hash that would be certified, and anything
+ * blocking certification (open election, unresolved ties)
+ */
+exports.reviewCertification = asyncHandler(async (req, res) => {
+  const election = await Election.findById(req.params.id).select('_id').lean();
+  if (!election) {
+    throw new APIError('Election not found', 404);
+  }
+
+  const review = await resultsCertification.reviewResults(req.params.id);
+
+  res.json({
+    success: true,
+    data: {
+      results: review.results,
+      resultsHash: review.resultsHash,
+      canCertify: review.blockers.length === 0,
+      blockers: review.blockers,
+      warnings: review.warnings
+    }
+  });
+});
+
+/**
+ * Certify the results of a closed election (Returning Officer)
+ * Body: { notes, resultsHash } - resultsHash from the review, optional
+ */
+exports.certifyResults = asyncHandler(async (req, res) => {
+  const { notes, resultsHash } = req.body;
+
+  const election = await Election.findById(req.params.id).select('_id').lean();
+  if (!election) {
+    throw new APIError('Election not found', 404);
+  }
+
+  let certification;
+  try {
+    certification = await resultsCertification.certifyResults(
+      req.params.id,
+      req.user,
+      { notes, resultsHash },
+      electionLifecycle.actorFromRequest(req)
+    );
+  } catch (error) {
+    throw new APIError(error.message, 409);
+  }
+
+  res.json({
+    success: true,
+    message: 'Election results certified',
+    data: certification
+  });
+});
+
+/**
+ * Download the official results PDF of a certified election
+ */
+exports.downloadResultsPdf = asyncHandler(async (req, res) => {
+  const election = await Election.findById(req.params.id).select('_id').lean();
+  if (!election) {
+    throw new APIError('Election not found', 404);
+  }
+
+  let pdf;
+  try {
+    pdf = await resultsCertification.generateResultsPdf(req.params.id);
+  } catch (error) {
+    throw new APIError(error.message, 400);
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=election-${req.params.id}-official-results.pdf`);
+  res.send(pdf);
+});
+
+/**
+ * Turnout analytics with demographic breakdowns, the hourly voting curve
+ * and voting link conversion (Admin)
+ * Unlike the public analytics, small groups are not merged or withheld
+ */
+exports.getTurnoutAnalytics = asyncHandler(async (req, res) => {
+  try {
+    const analytics = await turnoutAnalytics.getTurnoutAnalytics(req.params.id);
+
+    res.json({
+      success: true,
+      data: analytics
+    });
+  } catch (error) {
+    throw new APIError(error.message, 404);
+  }
+});
+
+module.exports = exports;
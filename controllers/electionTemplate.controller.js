@@ -0,0 +1,213 @@
+/**
+ * Election Template Controller
+ * Handles election templates and creating elections from templates or past elections
+ */
+
+const mongoose = require('mongoose');
+const ElectionTemplate = require('../models/ElectionTemplate');
+const VotingLog = require('../models/VotingLog');
+const templateService = require('../services/electionTemplate.service');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+
+// Fields of a template that can be written directly
+const TEMPLATE_FIELDS = [
+  'name',
+  'description',
+  'title',
+  'electionDescription',
+  'chapter',
+  'isNational',
+  'settings',
+  'eligibilityRules',
+  'positions'
+];
+
+const pickTemplateFields = (body) => TEMPLATE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) {
+    fields[key] = body[key];
+  }
+  return fields;
+}, {});
+
+const loadTemplate = async (id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new APIError('Template not found', 404);
+  }
+  const template = await ElectionTemplate.findOne({ _id: id, isActive: true });
+  if (!template) {
+    throw new APIError('Template not found', 404);
+  }
+  return template;
+};
+
+const logTemplate = (req, template) => VotingLog.log({
+  actorId: req.user._id,
+  actorEmail: req.user.email,
+  actorRole: req.user.role,
+  action: 'election_template_saved',
+  resource: {
+    type: 'template',
+    id: template._id
+  },
+  electionId: template.sourceElectionId,
+  chapter: template.chapter,
+  details: {
+    name: template.name,
+    positions: template.positions.length
+  },
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+  success: true
+});
+
+// Election creation errors are caused by the request
+const createElection = async (req, source) => {
+  try {
+    return await templateService.createElection(source, req.body, req.user, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    if (/not found/i.test(error.message)) {
+      throw new APIError(error.message, 404);
+    }
+    throw new APIError(error.message, 400);
+  }
+};
+
+/**
+ * List templates
+ * Query: chapter
+ */
+exports.listTemplates = asyncHandler(async (req, res) => {
+  const query = { isActive: true };
+  if (req.query.chapter) {query.chapter = req.query.chapter;}
+
+  const templates = await ElectionTemplate.find(query)
+    .populate('createdBy', 'firstName lastName email')
+    .populate('sourceElectionId', 'title startTime')
+    .sort({ name: 1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: templates
+  });
+});
+
+/**
+ * Get a template
+ */
+exports.getTemplate = asyncHandler(async (req, res) => {
+  const template = await loadTemplate(req.params.id);
+
+  res.json({
+    success: true,
+    data: template
+  });
+});
+
+/**
+ * Create a template
+ * Body: { electionId, name?, description? } to save an election's structure,
+ * or the template fields themselves
+ */
+exports.createTemplate = asyncHandler(async (req, res) => {
+  const { electionId, name, description } = req.body;
+
+  let template;
+  if (electionId) {
+    if (!mongoose.isValidObjectId(electionId)) {
+      throw new APIError('Election not found', 404);
+    }
+    try {
+      template = await templateService.saveTemplateFromElection(electionId, { name, description }, req.user);
+    } catch (error) {
+      throw new APIError(error.message, 404);
+    }
+  } else {
+    template = await ElectionTemplate.create({
+      ...pickTemplateFields(req.body),
+      createdBy: req.user._id
+    });
+  }
+
+  await logTemplate(req, template);
+
+  res.status(201).json({
+    success: true,
+    message: 'Template saved',
+    data: template
+  });
+});
+
+/**
+ * Update a template
+ */
+exports.updateTemplate = asyncHandler(async (req, res) => {
+  const template = await loadTemplate(req.params.id);
+
+  template.set(pickTemplateFields(req.body));
+  await template.save();
+
+  await logTemplate(req, template);
+
+  res.json({
+    success: true,
+    message: 'Template updated',
+    data: template
+  });
+});
+
+/**
+ * Delete a template
+ * Elections already created from it are unaffected.
+ */
+exports.deleteTemplate = asyncHandler(async (req, res) => {
+  const template = await loadTemplate(req.params.id);
+
+  template.isActive = false;
+  await template.save();
+
+  res.json({
+    success: true,
+    message: 'Template deleted'
+  });
+});
+
+/**
+ * Create a pending election from a template
+ * Body: { startTime, endTime, title?, description?, chapter?, isNational?,
+ *   nominationPeriod? }
+ */
+exports.createElectionFromTemplate = asyncHandler(async (req, res) => {
+  await loadTemplate(req.params.id);
+
+  const result = await createElection(req, { templateId: req.params.id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Election created from template. Awaiting superadmin approval.',
+    data: result
+  });
+});
+
+/**
+ * Clone a past election into a new pending election
+ * Body: as for templates, plus carryOverCandidates: true or candidate IDs
+ */
+exports.cloneElection = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new APIError('Election not found', 404);
+  }
+
+  const result = await createElection(req, { electionId: req.params.id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Election cloned. Awaiting superadmin approval.',
+    data: result
+  });
+});
+
+module.exports = exports;
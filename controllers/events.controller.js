@@ -6,6 +6,7 @@ const { asyncHandler, APIError } = require('../middleware/errorMiddleware');
 const cloudinary = require('cloudinary').v2;
 const fs = require('fs');
 const { cache } = require('../config/cache');
+const recycleBin = require('../services/recycleBin.service');
 
 /**
  * Get all events with filtering
@@ -399,7 +400,7 @@ exports.updateEvent = asyncHandler(async (req, res) => {
 
 /**
  * Delete event
- * Permanently deletes event and all related data from database
+ * Moves the event, with its embedded attendees and registrations, to the recycle bin
  * DELETE /api/events/:id
  */
 exports.deleteEvent = asyncHandler(async (req, res) => {
@@ -415,12 +416,11 @@ exports.deleteEvent = asyncHandler(async (req, res) => {
     throw new APIError('Not authorized to delete this event', 403);
   }
 
-  // Permanently delete event (attendees and registrations are embedded and will be deleted with event)
-  await Event.findByIdAndDelete(req.params.id);
+  await recycleBin.moveToBin('event', event, req.user._id, req.body?.reason);
 
   res.status(200).json({
     success: true,
-    message: 'Event and all related data permanently deleted from database'
+    message: 'Event moved to the recycle bin'
   });
 });
 
@@ -1,6 +1,7 @@
 const GalleryItem = require('../models/GalleryItem');
 const { asyncHandler, APIError } = require('../middleware/errorMiddleware');
 const cache = require('../config/cache');
+const recycleBin = require('../services/recycleBin.service');
 
 /**
  * Get all gallery items with filtering
@@ -176,6 +177,7 @@ exports.updateGalleryItem = asyncHandler(async (req, res) => {
 
 /**
  * Delete gallery item
+ * Moves the item to the recycle bin
  * DELETE /api/gallery/:id
  */
 exports.deleteGalleryItem = asyncHandler(async (req, res) => {
@@ -190,12 +192,11 @@ exports.deleteGalleryItem = asyncHandler(async (req, res) => {
     throw new APIError('Not authorized to delete this item', 403);
   }
 
-  // Permanently delete gallery item from database
-  await GalleryItem.findByIdAndDelete(req.params.id);
+  await recycleBin.moveToBin('gallery', item, req.user._id, req.body?.reason);
 
   res.status(200).json({
     success: true,
-    message: 'Gallery item permanently deleted from database'
+    message: 'Gallery item moved to the recycle bin'
   });
 });
 
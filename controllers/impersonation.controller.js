@@ -0,0 +1,113 @@
+/**
+ * Impersonation Controller
+ * Start, inspect and stop sessions in which a super admin views the app as a member
+ */
+
+const impersonationService = require('../services/impersonation.service');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+
+const toAPIError = (error) => {
+  if (/not found/i.test(error.message)) {
+    return new APIError(error.message, 404);
+  }
+  return new APIError(error.message, 400);
+};
+
+const requireImpersonation = (req) => {
+  if (!req.impersonation) {
+    throw new APIError('This session is not an impersonation session', 400);
+  }
+};
+
+/**
+ * Start viewing the app as a member
+ * POST /api/admin/impersonation
+ * Body: { userId, reason, readOnly (default true), durationMinutes }
+ */
+exports.startImpersonation = asyncHandler(async (req, res) => {
+  const { userId, reason, readOnly, durationMinutes } = req.body || {};
+
+  if (!userId) {
+    throw new APIError('userId is required', 400);
+  }
+
+  let result;
+  try {
+    result = await impersonationService.startImpersonation(userId, req, { reason, readOnly, durationMinutes });
+  } catch (error) {
+    throw toAPIError(error);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Viewing as ${result.impersonation.user.email} until ${result.impersonation.expiresAt.toISOString()}`,
+    data: result
+  });
+});
+
+/**
+ * Active impersonation sessions
+ * GET /api/admin/impersonation
+ */
+exports.listImpersonations = asyncHandler(async (req, res) => {
+  const sessions = await impersonationService.listActive();
+
+  res.json({
+    success: true,
+    data: sessions
+  });
+});
+
+/**
+ * The impersonation session the request is made in
+ * GET /api/admin/impersonation/current
+ */
+exports.getCurrentImpersonation = asyncHandler(async (req, res) => {
+  requireImpersonation(req);
+
+  const session = await impersonationService.findActive(req.impersonation.sessionId);
+  if (!session) {
+    throw new APIError('Impersonation session not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: impersonationService.toSummary(session)
+  });
+});
+
+/**
+ * Stop the impersonation session the request is made in
+ * POST /api/admin/impersonation/stop
+ */
+exports.stopCurrentImpersonation = asyncHandler(async (req, res) => {
+  requireImpersonation(req);
+
+  try {
+    await impersonationService.stopImpersonation(req.impersonation.sessionId, req);
+  } catch (error) {
+    throw toAPIError(error);
+  }
+
+  res.json({
+    success: true,
+    message: 'Impersonation session ended'
+  });
+});
+
+/**
+ * End any impersonation session
+ * DELETE /api/admin/impersonation/:sessionId
+ */
+exports.endImpersonation = asyncHandler(async (req, res) => {
+  try {
+    await impersonationService.stopImpersonation(req.params.sessionId, req);
+  } catch (error) {
+    throw toAPIError(error);
+  }
+
+  res.json({
+    success: true,
+    message: 'Impersonation session ended'
+  });
+});
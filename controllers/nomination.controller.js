@@ -0,0 +1,538 @@
+/**
+ * Nomination Controller
+ * Handles candidate nominations, seconding and admin review
+ */
+
+const mongoose = require('mongoose');
+const Nomination = require('../models/Nomination');
+const Candidate = require('../models/Candidate');
+const Position = require('../models/Position');
+const Election = require('../models/Election');
+const User = require('../models/User');
+const VotingLog = require('../models/VotingLog');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+const cloudinary = require('cloudinary').v2;
+
+const MEMBER_FIELDS = 'firstName lastName email chapter yearOfStudy membershipStatus isVerified isActive';
+
+const logNomination = (req, action, nomination, details) => VotingLog.log({
+  actorId: req.user._id,
+  actorEmail: req.user.email,
+  actorRole: req.user.role,
+  action,
+  resource: {
+    type: 'nomination',
+    id: nomination._id
+  },
+  electionId: nomination.electionId,
+  chapter: nomination.chapter,
+  details,
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+  success: true
+});
+
+/**
+ * Check a member against a position's candidate requirements
+ * @returns {string|null} Reason the member cannot stand, or null if eligible
+ */
+const checkCandidateEligibility = (member, position) => {
+  const requirements = position.candidateRequirements || {};
+
+  if (!member.isActive) {
+    return 'Nominee account is not active';
+  }
+
+  if (requirements.requireVerified !== false && !member.isVerified) {
+    return 'Nominee must be a verified member';
+  }
+
+  if (requirements.chapters && requirements.chapters.length > 0 &&
+      !requirements.chapters.includes(member.chapter)) {
+    return `Nominee must belong to one of: ${requirements.chapters.join(', ')}`;
+  }
+
+  if (requirements.yearsOfStudy && requirements.yearsOfStudy.length > 0 &&
+      !requirements.yearsOfStudy.includes(member.yearOfStudy)) {
+    return `Nominee must be in year of study ${requirements.yearsOfStudy.join(', ')}`;
+  }
+
+  if (requirements.membershipStatuses && requirements.membershipStatuses.length > 0 &&
+      !requirements.membershipStatuses.includes(member.membershipStatus)) {
+    return `Nominee membership status must be ${requirements.membershipStatuses.join(' or ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Upload a nomination photo to Cloudinary
+ */
+const uploadPhoto = async (file) => {
+  const uploadResult = await cloudinary.uploader.upload(file.path, {
+    folder: 'elp/candidates',
+    transformation: [
+      { width: 400, height: 400, crop: 'fill', gravity: 'face' },
+      { quality: 'auto' }
+    ]
+  });
+  return { photoUrl: uploadResult.secure_url, photoPublicId: uploadResult.public_id };
+};
+
+const loadNomination = async (id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new APIError('Nomination not found', 404);
+  }
+  const nomination = await Nomination.findById(id);
+  if (!nomination) {
+    throw new APIError('Nomination not found', 404);
+  }
+  return nomination;
+};
+
+/**
+ * Set an election's nomination period
+ */
+exports.setNominationPeriod = asyncHandler(async (req, res) => {
+  const election = await Election.findById(req.params.electionId);
+  if (!election) {
+    throw new APIError('Election not found', 404);
+  }
+
+  if (!['pending', 'approved'].includes(election.status)) {
+    throw new APIError('Nominations can only be configured before the election starts', 400);
+  }
+
+  const { opensAt, closesAt, requiredSeconders, allowSelfNomination } = req.body;
+  const opens = new Date(opensAt);
+  const closes = new Date(closesAt);
+
+  if (isNaN(opens) || isNaN(closes) || closes <= opens) {
+    throw new APIError('opensAt and closesAt are required and closesAt must be after opensAt', 400);
+  }
+
+  if (closes > election.startTime) {
+    throw new APIError('Nominations must close before the election starts', 400);
+  }
+
+  election.nominationPeriod = {
+    opensAt: opens,
+    closesAt: closes,
+    requiredSeconders: requiredSeconders !== undefined ? Number(requiredSeconders) : 0,
+    allowSelfNomination: allowSelfNomination !== false
+  };
+  await election.save();
+
+  res.json({
+    success: true,
+    message: 'Nomination period updated',
+    data: election.nominationPeriod
+  });
+});
+
+/**
+ * Nominate a member (or yourself) for a position
+ * Body: { nomineeId?, nomineeEmail?, manifesto, bio } - defaults to self-nomination
+ */
+exports.createNomination = asyncHandler(async (req, res) => {
+  const { positionId } = req.params;
+  const { nomineeId, nomineeEmail, manifesto, bio } = req.body;
+
+  const position = await Position.findById(positionId);
+  if (!position) {
+    throw new APIError('Position not found', 404);
+  }
+
+  const election = await Election.findById(position.electionId);
+  if (!election) {
+    throw new APIError('Election not found', 404);
+  }
+
+  if (!election.isNominationOpen()) {
+    throw new APIError('Nominations are not open for this election', 400);
+  }
+
+  // Resolve the nominee
+  let nominee;
+  if (nomineeId || nomineeEmail) {
+    if (nomineeId && !mongoose.isValidObjectId(nomineeId)) {
+      throw new APIError('Invalid nominee ID', 400);
+    }
+    nominee = await User.findOne(nomineeId
+      ? { _id: nomineeId }
+      : { email: String(nomineeEmail).trim().toLowerCase() }
+    ).select(MEMBER_FIELDS);
+  } else {
+    nominee = await User.findById(req.user._id).select(MEMBER_FIELDS);
+  }
+
+  if (!nominee) {
+    throw new APIError('Nominee not found', 404);
+  }
+
+  const isSelfNomination = nominee._id.toString() === req.user._id.toString();
+  if (isSelfNomination && !election.nominationPeriod.allowSelfNomination) {
+    throw new APIError('Self-nomination is not allowed for this election', 400);
+  }
+
+  const ineligibleReason = checkCandidateEligibility(nominee, position);
+  if (ineligibleReason) {
+    throw new APIError(ineligibleReason, 400);
+  }
+
+  const existing = await Nomination.findActive(position._id, nominee._id);
+  if (existing) {
+    throw new APIError('This member has already been nominated for this position', 409);
+  }
+
+  let photo = {};
+  if (req.file) {
+    try {
+      photo = await uploadPhoto(req.file);
+    } catch (uploadError) {
+      console.error('Cloudinary upload error:', uploadError);
+      throw new APIError('Failed to upload photo', 500);
+    }
+  }
+
+  const nomination = await Nomination.create({
+    electionId: election._id,
+    positionId: position._id,
+    chapter: position.chapter,
+    nomineeId: nominee._id,
+    nominatedBy: req.user._id,
+    isSelfNomination,
+    nomineeAccepted: isSelfNomination,
+    nomineeAcceptedAt: isSelfNomination ? new Date() : undefined,
+    manifesto,
+    bio,
+    ...photo
+  });
+
+  await logNomination(req, 'nomination_submitted', nomination, {
+    positionId: position._id,
+    nomineeId: nominee._id,
+    isSelfNomination
+  });
+
+  res.status(201).json({
+    success: true,
+    message: isSelfNomination
+      ? 'Nomination submitted'
+      : 'Nomination submitted. The nominee must accept it before it can be approved.',
+    data: nomination
+  });
+});
+
+/**
+ * Second a nomination
+ */
+exports.secondNomination = asyncHandler(async (req, res) => {
+  const nomination = await loadNomination(req.params.id);
+
+  if (nomination.status !== 'pending') {
+    throw new APIError(`Cannot second a ${nomination.status} nomination`, 400);
+  }
+
+  const election = await Election.findById(nomination.electionId);
+  if (!election || !election.isNominationOpen()) {
+    throw new APIError('Nominations are not open for this election', 400);
+  }
+
+  const memberId = req.user._id.toString();
+  if ([nomination.nomineeId.toString(), nomination.nominatedBy.toString()].includes(memberId)) {
+    throw new APIError('The nominee and nominator cannot second a nomination', 400);
+  }
+
+  if (nomination.seconders.some(s => s.memberId.toString() === memberId)) {
+    throw new APIError('You have already seconded this nomination', 409);
+  }
+
+  const seconder = await User.findById(req.user._id).select(MEMBER_FIELDS);
+  if (!seconder || !seconder.isActive || !seconder.isVerified) {
+    throw new APIError('Only active, verified members can second nominations', 403);
+  }
+
+  // Conditional push so a double-submit cannot add the same seconder twice
+  const { modifiedCount } = await Nomination.updateOne(
+    { _id: nomination._id, status: 'pending', 'seconders.memberId': { $ne: seconder._id } },
+    { $push: { seconders: { memberId: seconder._id, memberEmail: seconder.email } } }
+  );
+  if (modifiedCount === 0) {
+    throw new APIError('You have already seconded this nomination', 409);
+  }
+  nomination.seconders.push({ memberId: seconder._id, memberEmail: seconder.email });
+
+  await logNomination(req, 'nomination_seconded', nomination, {
+    seconderCount: nomination.seconders.length
+  });
+
+  res.json({
+    success: true,
+    message: 'Nomination seconded',
+    data: {
+      seconderCount: nomination.seconders.length,
+      requiredSeconders: election.nominationPeriod.requiredSeconders
+    }
+  });
+});
+
+/**
+ * Nominee accepts a nomination made by someone else
+ */
+exports.acceptNomination = asyncHandler(async (req, res) => {
+  const nomination = await loadNomination(req.params.id);
+
+  if (nomination.nomineeId.toString() !== req.user._id.toString()) {
+    throw new APIError('Only the nominee can accept this nomination', 403);
+  }
+
+  if (nomination.status !== 'pending') {
+    throw new APIError(`Cannot accept a ${nomination.status} nomination`, 400);
+  }
+
+  if (!nomination.nomineeAccepted) {
+    nomination.nomineeAccepted = true;
+    nomination.nomineeAcceptedAt = new Date();
+    if (req.body.manifesto !== undefined) {nomination.manifesto = req.body.manifesto;}
+    if (req.body.bio !== undefined) {nomination.bio = req.body.bio;}
+    await nomination.save();
+  }
+
+  res.json({
+    success: true,
+    message: 'Nomination accepted',
+    data: nomination
+  });
+});
+
+/**
+ * Withdraw a pending nomination (nominee or nominator)
+ */
+exports.withdrawNomination = asyncHandler(async (req, res) => {
+  const nomination = await loadNomination(req.params.id);
+  const memberId = req.user._id.toString();
+
+  if (![nomination.nomineeId.toString(), nomination.nominatedBy.toString()].includes(memberId)) {
+    throw new APIError('Only the nominee or nominator can withdraw this nomination', 403);
+  }
+
+  if (nomination.status !== 'pending') {
+    throw new APIError(`Cannot withdraw a ${nomination.status} nomination`, 400);
+  }
+
+  nomination.status = 'withdrawn';
+  await nomination.save();
+
+  await logNomination(req, 'nomination_withdrawn', nomination, {});
+
+  res.json({
+    success: true,
+    message: 'Nomination withdrawn'
+  });
+});
+
+/**
+ * List my nominations (as nominee or nominator)
+ */
+exports.getMyNominations = asyncHandler(async (req, res) => {
+  const nominations = await Nomination.find({
+    $or: [{ nomineeId: req.user._id }, { nominatedBy: req.user._id }]
+  })
+    .populate('positionId', 'name')
+    .populate('electionId', 'title status nominationPeriod')
+    .populate('nomineeId', 'firstName lastName email')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: nominations
+  });
+});
+
+/**
+ * List the pending nominations of an election, which members can second
+ * Contact details, seconder identities and review data are left out.
+ */
+exports.getElectionNominations = asyncHandler(async (req, res) => {
+  const { electionId } = req.params;
+  const { positionId } = req.query;
+
+  const query = { electionId, status: 'pending' };
+  if (positionId) {query.positionId = positionId;}
+
+  const nominations = await Nomination.find(query)
+    .select('positionId nomineeId nominatedBy isSelfNomination nomineeAccepted manifesto bio photoUrl seconders.memberId createdAt')
+    .populate('positionId', 'name')
+    .populate('nomineeId', 'firstName lastName')
+    .populate('nominatedBy', 'firstName lastName')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: nominations.map(({ seconders, ...nomination }) => ({
+      ...nomination,
+      seconderCount: seconders.length,
+      secondedByMe: seconders.some(seconder => seconder.memberId.equals(req.user._id))
+    }))
+  });
+});
+
+/**
+ * List nominations for an election in full, for review
+ * Filter with ?status= and ?positionId=.
+ */
+exports.getElectionNominationsForReview = asyncHandler(async (req, res) => {
+  const { electionId } = req.params;
+  const { status, positionId } = req.query;
+
+  const query = { electionId };
+  if (status) {query.status = status;}
+  if (positionId) {query.positionId = positionId;}
+
+  const nominations = await Nomination.find(query)
+    .populate('positionId', 'name')
+    .populate('nomineeId', 'firstName lastName email yearOfStudy')
+    .populate('nominatedBy', 'firstName lastName email')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: nominations.map(nomination => ({
+      ...nomination,
+      seconderCount: nomination.seconders.length
+    }))
+  });
+});
+
+/**
+ * Approve a nomination, creating the candidate
+ */
+exports.approveNomination = asyncHandler(async (req, res) => {
+  const nomination = await loadNomination(req.params.id);
+
+  if (nomination.status !== 'pending') {
+    throw new APIError(`Cannot approve a ${nomination.status} nomination`, 400);
+  }
+
+  const [election, position, nominee] = await Promise.all([
+    Election.findById(nomination.electionId),
+    Position.findById(nomination.positionId),
+    User.findById(nomination.nomineeId).select(MEMBER_FIELDS)
+  ]);
+
+  if (!election || !position) {
+    throw new APIError('Election or position no longer exists', 404);
+  }
+
+  if (!['pending', 'approved'].includes(election.status)) {
+    throw new APIError('Nominations can only be approved before the election starts', 400);
+  }
+
+  if (!nomination.nomineeAccepted) {
+    throw new APIError('The nominee has not accepted this nomination', 400);
+  }
+
+  const requiredSeconders = (election.nominationPeriod && election.nominationPeriod.requiredSeconders) || 0;
+  if (nomination.seconders.length < requiredSeconders) {
+    throw new APIError(`Nomination needs ${requiredSeconders} seconder(s) but has ${nomination.seconders.length}`, 400);
+  }
+
+  // Re-check eligibility - the member's record may have changed since nominating
+  if (!nominee) {
+    throw new APIError('Nominee not found', 404);
+  }
+  const ineligibleReason = checkCandidateEligibility(nominee, position);
+  if (ineligibleReason) {
+    throw new APIError(ineligibleReason, 400);
+  }
+
+  // Claim the nomination first so concurrent approvals cannot both create a candidate
+  const claimed = await Nomination.findOneAndUpdate(
+    { _id: nomination._id, status: 'pending' },
+    { $set: { status: 'approved', reviewedBy: req.user._id, reviewedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new APIError('Nomination has already been reviewed', 409);
+  }
+
+  let candidate;
+  try {
+    candidate = await Candidate.create({
+      name: `${nominee.firstName} ${nominee.lastName}`,
+      email: nominee.email,
+      manifesto: nomination.manifesto,
+      bio: nomination.bio,
+      photoUrl: nomination.photoUrl,
+      photoPublicId: nomination.photoPublicId,
+      positionId: position._id,
+      electionId: election._id,
+      chapter: position.chapter,
+      nominationId: nomination._id,
+      memberId: nominee._id,
+      order: 0
+    });
+  } catch (error) {
+    await Nomination.updateOne(
+      { _id: nomination._id },
+      { $set: { status: 'pending' }, $unset: { reviewedBy: 1, reviewedAt: 1 } }
+    );
+    throw error;
+  }
+
+  claimed.candidateId = candidate._id;
+  await claimed.save();
+
+  await position.updateCandidateCount();
+
+  await logNomination(req, 'nomination_approved', claimed, {
+    candidateId: candidate._id,
+    positionId: position._id,
+    seconderCount: claimed.seconders.length
+  });
+
+  res.json({
+    success: true,
+    message: 'Nomination approved and candidate created',
+    data: {
+      nomination: claimed,
+      candidate
+    }
+  });
+});
+
+/**
+ * Reject a nomination
+ */
+exports.rejectNomination = asyncHandler(async (req, res) => {
+  const nomination = await loadNomination(req.params.id);
+  const { reason } = req.body;
+
+  if (nomination.status !== 'pending') {
+    throw new APIError(`Cannot reject a ${nomination.status} nomination`, 400);
+  }
+
+  if (!reason) {
+    throw new APIError('A rejection reason is required', 400);
+  }
+
+  nomination.status = 'rejected';
+  nomination.reviewedBy = req.user._id;
+  nomination.reviewedAt = new Date();
+  nomination.rejectionReason = reason;
+  await nomination.save();
+
+  await logNomination(req, 'nomination_rejected', nomination, { reason });
+
+  res.json({
+    success: true,
+    message: 'Nomination rejected',
+    data: nomination
+  });
+});
+
+module.exports = exports;
@@ -0,0 +1,211 @@
+/**
+ * Observer Controller
+ * Handles observer appointments and the read-only observer views
+ */
+
+const mongoose = require('mongoose');
+const ElectionObserver = require('../models/ElectionObserver');
+const Election = require('../models/Election');
+const User = require('../models/User');
+const VotingLog = require('../models/VotingLog');
+const observerService = require('../services/observer.service');
+const socketService = require('../services/socket.service');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+
+const logObserver = (req, action, observer) => VotingLog.log({
+  actorId: req.user._id,
+  actorEmail: req.user.email,
+  actorRole: req.user.role,
+  action,
+  resource: {
+    type: 'observer',
+    id: observer._id
+  },
+  electionId: observer.electionId,
+  details: {
+    observerEmail: observer.userEmail,
+    organization: observer.organization,
+    expiresAt: observer.expiresAt
+  },
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+  success: true
+});
+
+/**
+ * Appoint an observer to an election (Admin)
+ * Reappointing a revoked observer reactivates their appointment.
+ * Body: { userId | email, organization?, expiresAt? }
+ */
+exports.appointObserver = asyncHandler(async (req, res) => {
+  const { electionId } = req.params;
+  const { userId, email, organization, expiresAt } = req.body;
+
+  const election = await Election.findById(electionId);
+  if (!election) {
+    throw new APIError('Election not found', 404);
+  }
+
+  if (!userId && !email) {
+    throw new APIError('userId or email is required', 400);
+  }
+  if (userId && !mongoose.isValidObjectId(userId)) {
+    throw new APIError('Invalid user ID', 400);
+  }
+
+  const user = await User.findOne(userId
+    ? { _id: userId }
+    : { email: String(email).trim().toLowerCase() }
+  );
+  if (!user) {
+    throw new APIError('User not found', 404);
+  }
+  if (!user.isActive) {
+    throw new APIError('An observer must be an active user', 400);
+  }
+
+  const expiry = expiresAt ? new Date(expiresAt) : undefined;
+  if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+    throw new APIError('expiresAt must be a future date', 400);
+  }
+
+  let observer = await ElectionObserver.findOne({ electionId: election._id, userId: user._id });
+  if (observer && observer.isCurrent()) {
+    throw new APIError('This user is already an observer of this election', 409);
+  }
+
+  if (!observer) {
+    observer = new ElectionObserver({ electionId: election._id, userId: user._id });
+  }
+  observer.set({
+    userEmail: user.email,
+    organization,
+    expiresAt: expiry,
+    status: 'active',
+    appointedBy: req.user._id,
+    revokedBy: undefined,
+    revokedAt: undefined
+  });
+  await observer.save();
+
+  await logObserver(req, 'observer_appointed', observer);
+
+  res.status(201).json({
+    success: true,
+    message: 'Observer appointed',
+    data: observer
+  });
+});
+
+/**
+ * List the observers of an election (Admin)
+ */
+exports.getElectionObservers = asyncHandler(async (req, res) => {
+  const query = { electionId: req.params.electionId };
+  if (req.query.status) {query.status = req.query.status;}
+
+  const observers = await ElectionObserver.find(query)
+    .populate('userId', 'firstName lastName email')
+    .populate('appointedBy', 'firstName lastName email')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: observers
+  });
+});
+
+/**
+ * Revoke an observer appointment (Admin)
+ * Also removes the observer from the live observer room.
+ */
+exports.revokeObserver = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new APIError('Observer not found', 404);
+  }
+
+  const observer = await ElectionObserver.findById(req.params.id);
+  if (!observer) {
+    throw new APIError('Observer not found', 404);
+  }
+  if (observer.status === 'revoked') {
+    throw new APIError('Observer has already been revoked', 400);
+  }
+
+  observer.status = 'revoked';
+  observer.revokedBy = req.user._id;
+  observer.revokedAt = new Date();
+  await observer.save();
+
+  await socketService.removeObserver(observer.electionId, observer.userId);
+  await logObserver(req, 'observer_revoked', observer);
+
+  res.json({
+    success: true,
+    message: 'Observer revoked',
+    data: observer
+  });
+});
+
+/**
+ * List the elections I am currently observing
+ */
+exports.getMyObservedElections = asyncHandler(async (req, res) => {
+  const observers = await ElectionObserver.find({
+    userId: req.user._id,
+    status: 'active',
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  })
+    .populate('electionId', 'title status startTime endTime chapter isNational secretBallot')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: observers
+  });
+});
+
+/**
+ * Live turnout by hour and by chapter (Observer)
+ */
+exports.getTurnout = asyncHandler(async (req, res) => {
+  try {
+    const turnout = await observerService.getTurnout(req.params.electionId);
+
+    res.json({
+      success: true,
+      data: turnout
+    });
+  } catch (error) {
+    throw new APIError(error.message, 404);
+  }
+});
+
+/**
+ * Voting log activity with voter identities redacted (Observer)
+ * Query: page, limit, action, before
+ */
+exports.getActivity = asyncHandler(async (req, res) => {
+  const activity = await observerService.getActivity(req.params.electionId, req.query);
+
+  res.json({
+    success: true,
+    data: activity
+  });
+});
+
+/**
+ * Voting link delivery statistics (Observer)
+ */
+exports.getDeliveryStats = asyncHandler(async (req, res) => {
+  const stats = await observerService.getDeliveryStats(req.params.electionId);
+
+  res.json({
+    success: true,
+    data: stats
+  });
+});
+
+module.exports = exports;
@@ -4,6 +4,7 @@
  */
 
 const Partner = require('../models/Partner');
+const recycleBin = require('../services/recycleBin.service');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -246,6 +247,7 @@ const updatePartner = async (req, res) => {
 
 /**
  * Delete partner
+ * Moves the partner to the recycle bin; the logo is kept until it is purged
  */
 const deletePartner = async (req, res) => {
   try {
@@ -259,21 +261,11 @@ const deletePartner = async (req, res) => {
       });
     }
 
-    // Delete logo file if exists
-    if (partner.logo) {
-      try {
-        const logoPath = path.join(__dirname, '..', partner.logo);
-        await fs.unlink(logoPath);
-      } catch (cleanupError) {
-        console.error('Error deleting logo:', cleanupError);
-      }
-    }
-
-    await Partner.findByIdAndDelete(id);
+    await recycleBin.moveToBin('partner', partner, req.user._id, req.body?.reason);
 
     res.json({
       success: true,
-      message: 'Partner deleted successfully'
+      message: 'Partner moved to the recycle bin'
     });
   } catch (error) {
     console.error('Error deleting partner:', error);
@@ -0,0 +1,56 @@
+/**
+ * Permission Controller
+ * Inspect effective admin permissions and explain access decisions
+ */
+
+const permissionService = require('../services/permission.service');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+
+const toAPIError = (error) => (/invalid/i.test(error.message) ? new APIError(error.message, 400) : error);
+
+/**
+ * A user's effective permissions, from their admin role and admin groups
+ * GET /api/admin/permissions/users/:userId
+ */
+exports.getEffectivePermissions = asyncHandler(async (req, res) => {
+  let result;
+  try {
+    result = await permissionService.effectiveForUser(req.params.userId);
+  } catch (error) {
+    throw toAPIError(error);
+  }
+
+  if (!result) {
+    throw new APIError('Admin profile not found for this user', 404);
+  }
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Why a user can or cannot use a permission
+ * GET /api/admin/permissions/explain
+ * Query: userId, permission, chapter (optional, the resource's chapter)
+ */
+exports.explainPermission = asyncHandler(async (req, res) => {
+  const { userId, permission, chapter } = req.query;
+
+  if (!userId || !permission) {
+    throw new APIError('userId and permission are required', 400);
+  }
+
+  let result;
+  try {
+    result = await permissionService.explain(userId, permission, { chapter });
+  } catch (error) {
+    throw toAPIError(error);
+  }
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Position Controller
+ * Handles tie-breaks for positions once an election closes
+ */
+
+const mongoose = require('mongoose');
+const tieBreakService = require('../services/tieBreak.service');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+
+const toAPIError = (error) => {
+  if (/not found/i.test(error.message)) {
+    return new APIError(error.message, 404);
+  }
+  if (/already been resolved/i.test(error.message)) {
+    return new APIError(error.message, 409);
+  }
+  return new APIError(error.message, 400);
+};
+
+/**
+ * Record a tie-break for a tied position
+ * POST /api/positions/:id/tie-break
+ * Body: { method: 'seeded_draw' | 'runoff', winners, runoffElectionId, notes }
+ * The seed of a seeded draw is generated by the server and cannot be supplied.
+ */
+exports.recordTieBreak = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new APIError('Position not found', 404);
+  }
+
+  const { method, seed, winners, runoffElectionId, notes } = req.body || {};
+  if (seed !== undefined) {
+    throw new APIError('The draw seed is generated by the server and cannot be supplied', 400);
+  }
+
+  let tieBreak;
+  try {
+    tieBreak = await tieBreakService.recordTieBreak(
+      req.params.id,
+      { method, winners, runoffElectionId, notes },
+      req.user,
+      { ip: req.ip, userAgent: req.get('user-agent') }
+    );
+  } catch (error) {
+    throw toAPIError(error);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Tie-break recorded successfully',
+    data: tieBreak
+  });
+});
@@ -2,6 +2,7 @@ const Post = require('../models/Post');
 const postValidator = require('../validators/postValidator');
 const { asyncHandler, APIError } = require('../middleware/errorMiddleware');
 const cache = require('../utils/cache');
+const recycleBin = require('../services/recycleBin.service');
 
 /**
  * Get all posts with filtering
@@ -274,7 +275,7 @@ exports.updatePost = asyncHandler(async (req, res) => {
 
 /**
  * Delete post
- * Permanently deletes post and all comments from database
+ * Moves the post, with its embedded comments, to the recycle bin
  * DELETE /api/posts/:id
  */
 exports.deletePost = asyncHandler(async (req, res) => {
@@ -289,12 +290,11 @@ exports.deletePost = asyncHandler(async (req, res) => {
     throw new APIError('Not authorized to delete this post', 403);
   }
 
-  // Permanently delete post (comments are embedded and will be deleted with post)
-  await Post.findByIdAndDelete(req.params.id);
+  await recycleBin.moveToBin('post', post, req.user._id, req.body?.reason);
 
   res.status(200).json({
     success: true,
-    message: 'Post and all comments permanently deleted from database'
+    message: 'Post moved to the recycle bin'
   });
 });
 
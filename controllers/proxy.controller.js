@@ -0,0 +1,373 @@
+/**
+ * Proxy Controller
+ * Handles proxy vote delegations and their admin review
+ */
+
+const mongoose = require('mongoose');
+const ProxyDelegation = require('../models/ProxyDelegation');
+const Election = require('../models/Election');
+const Position = require('../models/Position');
+const User = require('../models/User');
+const VotingLog = require('../models/VotingLog');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+
+const logDelegation = (req, action, delegation, details) => VotingLog.log({
+  actorId: req.user._id,
+  actorEmail: req.user.email,
+  actorRole: req.user.role,
+  action,
+  resource: {
+    type: 'proxy',
+    id: delegation._id
+  },
+  electionId: delegation.electionId,
+  chapter: delegation.chapter,
+  details: {
+    principalId: delegation.principalId,
+    proxyId: delegation.proxyId,
+    ...details
+  },
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+  success: true
+});
+
+const loadDelegation = async (id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new APIError('Proxy delegation not found', 404);
+  }
+  const delegation = await ProxyDelegation.findById(id);
+  if (!delegation) {
+    throw new APIError('Proxy delegation not found', 404);
+  }
+  return delegation;
+};
+
+const maxProxies = (election) =>
+  (election.proxyVoting && election.proxyVoting.maxProxiesPerMember) || 1;
+
+const APPROVE_ATTEMPTS = 3;
+
+/**
+ * Approve a pending delegation without taking its proxy over the cap
+ * The status change and the recount run in one transaction. Every live
+ * delegation of the proxy is touched first, so two approvals for the same
+ * proxy write to the same documents and one of them is retried against the
+ * other's result instead of both passing the cap check.
+ * @returns {Object} The approved delegation
+ */
+const approveWithinCap = async (delegation, election, reviewerId) => {
+  for (let attempt = 1; ; attempt++) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      await ProxyDelegation.updateMany(
+        {
+          electionId: delegation.electionId,
+          proxyId: delegation.proxyId,
+          status: { $in: ['pending', 'approved'] }
+        },
+        { $currentDate: { updatedAt: true } },
+        { session }
+      );
+
+      const result = await ProxyDelegation.updateOne(
+        { _id: delegation._id, status: 'pending' },
+        { $set: { status: 'approved', reviewedBy: reviewerId, reviewedAt: new Date() } },
+        { session }
+      );
+      if (result.modifiedCount === 0) {
+        throw new APIError('This delegation is no longer pending', 409);
+      }
+
+      const held = await ProxyDelegation.countDocuments({
+        electionId: delegation.electionId,
+        proxyId: delegation.proxyId,
+        status: 'approved'
+      }).session(session);
+      if (held > maxProxies(election)) {
+        throw new APIError(`This member already holds the maximum of ${maxProxies(election)} proxies`, 400);
+      }
+
+      await session.commitTransaction();
+      return ProxyDelegation.findById(delegation._id);
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      const transient = typeof error.hasErrorLabel === 'function' &&
+        error.hasErrorLabel('TransientTransactionError');
+      if (!transient || attempt >= APPROVE_ATTEMPTS) {
+        throw error;
+      }
+    } finally {
+      session.endSession();
+    }
+  }
+};
+
+/**
+ * Configure proxy voting for an election
+ */
+exports.updateProxySettings = asyncHandler(async (req, res) => {
+  const election = await Election.findById(req.params.electionId);
+  if (!election) {
+    throw new APIError('Election not found', 404);
+  }
+
+  if (election.status === 'closed' || election.status === 'cancelled') {
+    throw new APIError(`Cannot change proxy settings of a ${election.status} election`, 400);
+  }
+
+  const { enabled, maxProxiesPerMember } = req.body;
+  if (enabled !== undefined) {
+    election.proxyVoting.enabled = Boolean(enabled);
+  }
+  if (maxProxiesPerMember !== undefined) {
+    election.proxyVoting.maxProxiesPerMember = Number(maxProxiesPerMember);
+  }
+  await election.save();
+
+  res.json({
+    success: true,
+    message: 'Proxy voting settings updated',
+    data: election.proxyVoting
+  });
+});
+
+/**
+ * Request a delegation of my vote to another member
+ * Body: { proxyId | proxyEmail, positionIds?, reason }
+ */
+exports.requestDelegation = asyncHandler(async (req, res) => {
+  const { electionId } = req.params;
+  const { proxyId, proxyEmail, positionIds = [], reason } = req.body;
+
+  const election = await Election.findById(electionId);
+  if (!election) {
+    throw new APIError('Election not found', 404);
+  }
+
+  if (!election.proxyVoting || !election.proxyVoting.enabled) {
+    throw new APIError('Proxy voting is not enabled for this election', 400);
+  }
+
+  if (!['pending', 'approved', 'active'].includes(election.status)) {
+    throw new APIError('Proxies can only be requested before or during the election', 400);
+  }
+
+  if (!proxyId && !proxyEmail) {
+    throw new APIError('proxyId or proxyEmail is required', 400);
+  }
+  if (proxyId && !mongoose.isValidObjectId(proxyId)) {
+    throw new APIError('Invalid proxy ID', 400);
+  }
+
+  const proxy = await User.findOne(proxyId
+    ? { _id: proxyId }
+    : { email: String(proxyEmail).trim().toLowerCase() }
+  );
+  if (!proxy) {
+    throw new APIError('Proxy member not found', 404);
+  }
+
+  if (proxy._id.toString() === req.user._id.toString()) {
+    throw new APIError('You cannot appoint yourself as proxy', 400);
+  }
+
+  if (!proxy.isActive || !proxy.isVerified) {
+    throw new APIError('A proxy must be an active, verified member', 400);
+  }
+
+  // Positions covered must belong to this election
+  if (!Array.isArray(positionIds) || positionIds.some(id => !mongoose.isValidObjectId(id))) {
+    throw new APIError('positionIds must be an array of position IDs', 400);
+  }
+  if (positionIds.length > 0) {
+    const count = await Position.countDocuments({ _id: { $in: positionIds }, electionId });
+    if (count !== positionIds.length) {
+      throw new APIError('Every position must belong to this election', 400);
+    }
+  }
+
+  // No delegation chains: a principal cannot hold proxies, nor a proxy delegate
+  const [existing, proxyIsPrincipal, principalHolds, proxyLoad] = await Promise.all([
+    ProxyDelegation.findActiveForPrincipal(electionId, req.user._id),
+    ProxyDelegation.findActiveForPrincipal(electionId, proxy._id),
+    ProxyDelegation.countHeldBy(electionId, req.user._id, ['pending', 'approved']),
+    ProxyDelegation.countHeldBy(electionId, proxy._id, ['pending', 'approved'])
+  ]);
+
+  if (existing) {
+    throw new APIError('You already have a pending or approved proxy for this election', 409);
+  }
+  if (proxyIsPrincipal) {
+    throw new APIError('This member has delegated their own vote and cannot act as proxy', 400);
+  }
+  if (principalHolds > 0) {
+    throw new APIError('You hold proxies for other members and cannot delegate your own vote', 400);
+  }
+  if (proxyLoad >= maxProxies(election)) {
+    throw new APIError(`This member already holds the maximum of ${maxProxies(election)} proxies`, 400);
+  }
+
+  const delegation = await ProxyDelegation.create({
+    electionId,
+    chapter: election.chapter,
+    principalId: req.user._id,
+    principalEmail: req.user.email,
+    proxyId: proxy._id,
+    proxyEmail: proxy.email,
+    positionIds,
+    reason,
+    requestedBy: req.user._id
+  });
+
+  await logDelegation(req, 'proxy_requested', delegation, { positionIds, reason });
+
+  res.status(201).json({
+    success: true,
+    message: 'Proxy requested. It takes effect once approved by an admin.',
+    data: delegation
+  });
+});
+
+/**
+ * List my delegations (as principal or proxy)
+ */
+exports.getMyDelegations = asyncHandler(async (req, res) => {
+  const delegations = await ProxyDelegation.find({
+    $or: [{ principalId: req.user._id }, { proxyId: req.user._id }]
+  })
+    .populate('electionId', 'title status startTime endTime')
+    .populate('principalId', 'firstName lastName email')
+    .populate('proxyId', 'firstName lastName email')
+    .populate('positionIds', 'name')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: delegations
+  });
+});
+
+/**
+ * List delegations for an election (Admin)
+ */
+exports.getElectionDelegations = asyncHandler(async (req, res) => {
+  const query = { electionId: req.params.electionId };
+  if (req.query.status) {query.status = req.query.status;}
+
+  const delegations = await ProxyDelegation.find(query)
+    .populate('principalId', 'firstName lastName email')
+    .populate('proxyId', 'firstName lastName email')
+    .populate('positionIds', 'name')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: delegations
+  });
+});
+
+/**
+ * Approve a delegation (Admin)
+ */
+exports.approveDelegation = asyncHandler(async (req, res) => {
+  const delegation = await loadDelegation(req.params.id);
+
+  if (delegation.status !== 'pending') {
+    throw new APIError(`Cannot approve a ${delegation.status} delegation`, 400);
+  }
+
+  const [election, proxy] = await Promise.all([
+    Election.findById(delegation.electionId),
+    User.findById(delegation.proxyId)
+  ]);
+
+  if (!election || !election.proxyVoting || !election.proxyVoting.enabled) {
+    throw new APIError('Proxy voting is not enabled for this election', 400);
+  }
+
+  if (!['pending', 'approved', 'active'].includes(election.status)) {
+    throw new APIError(`Cannot approve proxies for a ${election.status} election`, 400);
+  }
+
+  if (!proxy || !proxy.isActive || !proxy.isVerified) {
+    throw new APIError('A proxy must be an active, verified member', 400);
+  }
+
+  const approved = await approveWithinCap(delegation, election, req.user._id);
+
+  await logDelegation(req, 'proxy_approved', approved, { positionIds: approved.positionIds });
+
+  res.json({
+    success: true,
+    message: 'Proxy delegation approved',
+    data: approved
+  });
+});
+
+/**
+ * Reject a delegation (Admin)
+ */
+exports.rejectDelegation = asyncHandler(async (req, res) => {
+  const delegation = await loadDelegation(req.params.id);
+  const { reason } = req.body;
+
+  if (delegation.status !== 'pending') {
+    throw new APIError(`Cannot reject a ${delegation.status} delegation`, 400);
+  }
+
+  if (!reason) {
+    throw new APIError('A rejection reason is required', 400);
+  }
+
+  delegation.status = 'rejected';
+  delegation.reviewedBy = req.user._id;
+  delegation.reviewedAt = new Date();
+  delegation.rejectionReason = reason;
+  await delegation.save();
+
+  await logDelegation(req, 'proxy_rejected', delegation, { reason });
+
+  res.json({
+    success: true,
+    message: 'Proxy delegation rejected',
+    data: delegation
+  });
+});
+
+/**
+ * Revoke a delegation (principal, or an admin via the admin route)
+ * Ballots the proxy has already cast stand.
+ */
+exports.revokeDelegation = asyncHandler(async (req, res) => {
+  const delegation = await loadDelegation(req.params.id);
+
+  if (!req.admin && delegation.principalId.toString() !== req.user._id.toString()) {
+    throw new APIError('Only the member who delegated their vote can revoke it', 403);
+  }
+
+  if (!['pending', 'approved'].includes(delegation.status)) {
+    throw new APIError(`Cannot revoke a ${delegation.status} delegation`, 400);
+  }
+
+  delegation.status = 'revoked';
+  delegation.revokedBy = req.user._id;
+  delegation.revokedAt = new Date();
+  await delegation.save();
+
+  await logDelegation(req, 'proxy_revoked', delegation, {});
+
+  res.json({
+    success: true,
+    message: 'Proxy delegation revoked',
+    data: delegation
+  });
+});
+
+module.exports = exports;
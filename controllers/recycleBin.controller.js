@@ -0,0 +1,91 @@
+/**
+ * Recycle Bin Controller
+ * Browse, restore and permanently delete deleted content
+ */
+
+const recycleBinService = require('../services/recycleBin.service');
+const Admin = require('../models/Admin');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+
+const toAPIError = (error) => {
+  if (/not found/i.test(error.message)) {
+    return new APIError(error.message, 404);
+  }
+  return new APIError(error.message, 409);
+};
+
+const logAction = async (req, action, entry) => {
+  const admin = await Admin.findOne({ user: req.user._id });
+  if (admin) {
+    await admin.logAction(action, 'content_management', {
+      itemType: entry.itemType,
+      itemId: entry.itemId,
+      title: entry.metadata?.title
+    }, req, {
+      resource: { type: entry.itemType, id: entry.itemId, label: entry.metadata?.title }
+    });
+  }
+};
+
+/**
+ * List deleted items
+ * GET /api/admin/recycle-bin
+ * Query: itemType, status (deleted|restored|purged), search, page, limit
+ */
+exports.listItems = asyncHandler(async (req, res) => {
+  const { itemType, status, search, page, limit } = req.query;
+
+  if (itemType && !recycleBinService.ITEM_TYPES.includes(itemType)) {
+    throw new APIError(`itemType must be one of: ${recycleBinService.ITEM_TYPES.join(', ')}`, 400);
+  }
+
+  const result = await recycleBinService.listItems({ itemType, status, search, page, limit });
+
+  res.json({
+    success: true,
+    data: result.items,
+    pagination: result.pagination,
+    retentionDays: result.retentionDays
+  });
+});
+
+/**
+ * Restore a deleted item
+ * POST /api/admin/recycle-bin/:id/restore
+ */
+exports.restoreItem = asyncHandler(async (req, res) => {
+  let entry;
+  try {
+    entry = await recycleBinService.restoreItem(req.params.id, req.user._id);
+  } catch (error) {
+    throw toAPIError(error);
+  }
+
+  await logAction(req, 'restore_item', entry);
+
+  res.json({
+    success: true,
+    message: `${entry.metadata?.title || 'Item'} restored`,
+    data: { itemType: entry.itemType, itemId: entry.itemId }
+  });
+});
+
+/**
+ * Permanently delete an item and its uploaded files
+ * DELETE /api/admin/recycle-bin/:id
+ */
+exports.purgeItem = asyncHandler(async (req, res) => {
+  let entry;
+  try {
+    entry = await recycleBinService.purgeItem(req.params.id, req.user._id);
+  } catch (error) {
+    throw toAPIError(error);
+  }
+
+  await logAction(req, 'purge_item', entry);
+
+  res.json({
+    success: true,
+    message: 'Item permanently deleted'
+  });
+});
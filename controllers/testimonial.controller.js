@@ -4,6 +4,7 @@
  */
 
 const Testimonial = require('../models/Testimonial');
+const recycleBin = require('../services/recycleBin.service');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -249,6 +250,7 @@ const updateTestimonial = async (req, res) => {
 
 /**
  * Delete testimonial
+ * Moves the testimonial to the recycle bin; the author image is kept until it is purged
  */
 const deleteTestimonial = async (req, res) => {
   try {
@@ -262,21 +264,11 @@ const deleteTestimonial = async (req, res) => {
       });
     }
 
-    // Delete author image file if exists
-    if (testimonial.authorImage) {
-      try {
-        const imagePath = path.join(__dirname, '..', testimonial.authorImage);
-        await fs.unlink(imagePath);
-      } catch (cleanupError) {
-        console.error('Error deleting image:', cleanupError);
-      }
-    }
-
-    await Testimonial.findByIdAndDelete(id);
+    await recycleBin.moveToBin('testimonial', testimonial, req.user._id, req.body?.reason);
 
     res.json({
       success: true,
-      message: 'Testimonial deleted successfully'
+      message: 'Testimonial moved to the recycle bin'
     });
   } catch (error) {
     console.error('Error deleting testimonial:', error);
@@ -0,0 +1,116 @@
+/**
+ * Two-Factor Authentication Controller
+ * Handles enrollment, backup codes and trusted devices for the current user
+ */
+
+const twoFactorService = require('../services/twoFactor.service');
+const { asyncHandler, APIError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+/**
+ * Get two-factor status
+ * GET /api/auth/2fa/status
+ */
+exports.getStatus = asyncHandler(async (req, res) => {
+  const status = await twoFactorService.getStatus(req.user._id);
+
+  res.json({
+    success: true,
+    data: status
+  });
+});
+
+/**
+ * Start enrollment: returns the secret and the otpauth:// URI for a QR code
+ * POST /api/auth/2fa/setup
+ */
+exports.beginSetup = asyncHandler(async (req, res) => {
+  try {
+    const setup = await twoFactorService.beginSetup(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then enter a code to confirm',
+      data: setup
+    });
+  } catch (error) {
+    throw new APIError(error.message, 400);
+  }
+});
+
+/**
+ * Confirm enrollment with a code; returns backup codes once
+ * POST /api/auth/2fa/verify
+ * Body: code
+ */
+exports.confirmSetup = asyncHandler(async (req, res) => {
+  try {
+    const backupCodes = await twoFactorService.confirmSetup(req.user, req.body.code);
+    logger.info(`Two-factor authentication enabled for user ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    throw new APIError(error.message, 400);
+  }
+});
+
+/**
+ * Disable two-factor authentication
+ * POST /api/auth/2fa/disable
+ * Body: code (TOTP or backup code)
+ */
+exports.disable = asyncHandler(async (req, res) => {
+  try {
+    await twoFactorService.disable(req.user, req.body.code);
+    logger.info(`Two-factor authentication disabled for user ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    throw new APIError(error.message, 400);
+  }
+});
+
+/**
+ * Replace backup codes
+ * POST /api/auth/2fa/backup-codes
+ * Body: code (TOTP or backup code)
+ */
+exports.regenerateBackupCodes = asyncHandler(async (req, res) => {
+  try {
+    const backupCodes = await twoFactorService.regenerateBackupCodes(req.user, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Earlier codes no longer work',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    throw new APIError(error.message, 400);
+  }
+});
+
+/**
+ * Stop trusting a device
+ * DELETE /api/auth/2fa/trusted-devices/:deviceId
+ */
+exports.removeTrustedDevice = asyncHandler(async (req, res) => {
+  try {
+    await twoFactorService.removeTrustedDevice(req.user._id, req.params.deviceId);
+
+    res.json({
+      success: true,
+      message: 'Device removed'
+    });
+  } catch (error) {
+    throw new APIError(error.message, 404);
+  }
+});
+
+module.exports = exports;
@@ -3,7 +3,12 @@
  * Handles voting operations
  */
 
+const mongoose = require('mongoose');
 const voteService = require('../services/vote.service');
+const votingCodeService = require('../services/votingCode.service');
+const resultsCertification = require('../services/resultsCertification.service');
+const turnoutAnalytics = require('../services/turnoutAnalytics.service');
+const Election = require('../models/Election');
 const VotingLog = require('../models/VotingLog');
 const { asyncHandler, APIError } = require('../middleware/errorMiddleware');
 const cache = require('../utils/cache');
@@ -14,12 +19,42 @@ const logger = require('../utils/logger');
  */
 exports.validateVotingLink = async (req, res) => {
   try {
-    const { token } = req.body;
+    const { token, code, identifier, electionId } = req.body;
 
-    if (!token) {
+    if (!token && !code) {
       return res.status(400).json({
         success: false,
-        message: 'Voting token is required'
+        message: 'Voting token or code is required'
+      });
+    }
+
+    // A one-time code is exchanged for the token of the link it was issued on
+    if (!token) {
+      if (!identifier) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your email or phone number is required with a voting code'
+        });
+      }
+      if (electionId && !mongoose.isValidObjectId(electionId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid election ID'
+        });
+      }
+
+      const link = await votingCodeService.redeemCode(
+        { code, identifier, electionId },
+        { ip: req.ip, userAgent: req.get('user-agent') }
+      );
+      const result = await voteService.validateVotingLink(link.token, link.memberId);
+
+      return res.json({
+        success: true,
+        data: {
+          ...result,
+          token: link.token
+        }
       });
     }
 
@@ -44,16 +79,20 @@ exports.submitVote = async (req, res) => {
   try {
     const {
       candidateId,
+      candidateIds,
       positionId,
       electionId,
       token
     } = req.body;
 
+    // Ranked-choice and approval ballots send candidateIds instead of candidateId
+    const hasSelection = candidateId || (Array.isArray(candidateIds) && candidateIds.length > 0);
+
     // Validate required fields
-    if (!candidateId || !positionId || !electionId) {
+    if (!hasSelection || !positionId || !electionId) {
       return res.status(400).json({
         success: false,
-        message: 'candidateId, positionId, and electionId are required'
+        message: 'candidateId (or candidateIds), positionId, and electionId are required'
       });
     }
 
@@ -68,9 +107,10 @@ exports.submitVote = async (req, res) => {
     }
 
     // Cast vote
-    const vote = await voteService.castVote({
+    const { vote, receipt } = await voteService.castVote({
       memberId,
       candidateId,
+      candidateIds,
       positionId,
       electionId,
       token,
@@ -85,8 +125,14 @@ exports.submitVote = async (req, res) => {
       data: {
         voteId: vote._id,
         candidateId,
+        candidateIds,
         positionId,
-        electionId
+        electionId,
+        receipt: {
+          code: receipt.code,
+          ballotHash: receipt.ballotHash,
+          note: 'Keep this receipt code to check your ballot on the election bulletin board'
+        }
       }
     });
   } catch (error) {
@@ -97,6 +143,114 @@ exports.submitVote = async (req, res) => {
   }
 };
 
+/**
+ * Submit a ballot as proxy for another member
+ * The authenticated user is the proxy; principalId is the member voted for.
+ */
+exports.submitProxyVote = async (req, res) => {
+  try {
+    const {
+      principalId,
+      candidateId,
+      candidateIds,
+      positionId,
+      electionId
+    } = req.body;
+
+    const hasSelection = candidateId || (Array.isArray(candidateIds) && candidateIds.length > 0);
+
+    if (!principalId || !hasSelection || !positionId || !electionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'principalId, candidateId (or candidateIds), positionId, and electionId are required'
+      });
+    }
+
+    const { vote, receipt } = await voteService.castVote({
+      memberId: principalId,
+      proxyId: req.user._id,
+      candidateId,
+      candidateIds,
+      positionId,
+      electionId,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Proxy vote cast successfully',
+      data: {
+        voteId: vote._id,
+        principalId,
+        candidateId,
+        candidateIds,
+        positionId,
+        electionId,
+        receipt: {
+          code: receipt.code,
+          ballotHash: receipt.ballotHash,
+          note: 'Share this receipt code with the member you voted for so they can check the ballot on the bulletin board'
+        }
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to cast proxy vote'
+    });
+  }
+};
+
+/**
+ * Get the public bulletin board of hashed ballots
+ */
+exports.getBulletinBoard = async (req, res) => {
+  try {
+    const { electionId } = req.params;
+
+    const board = await voteService.getBulletinBoard(electionId);
+
+    res.json({
+      success: true,
+      data: board
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to get bulletin board'
+    });
+  }
+};
+
+/**
+ * Verify a ballot receipt appears on the bulletin board
+ */
+exports.verifyReceipt = async (req, res) => {
+  try {
+    const { receiptCode } = req.body;
+
+    if (!receiptCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Receipt code is required'
+      });
+    }
+
+    const result = await voteService.verifyReceipt(receiptCode);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to verify receipt'
+    });
+  }
+};
+
 /**
  * Get election results
  * Optimized with caching and lean queries
@@ -142,6 +296,76 @@ exports.getResults = asyncHandler(async (req, res) => {
   res.json(response);
 });
 
+/**
+ * Download the official results PDF
+ * Available to members once results are certified and published
+ */
+exports.getResultsPdf = asyncHandler(async (req, res) => {
+  const { electionId } = req.params;
+
+  const election = await Election.findById(electionId)
+    .select('publicResults certification')
+    .lean();
+  if (!election) {
+    throw new APIError('Election not found', 404);
+  }
+
+  if (!election.publicResults) {
+    throw new APIError('Results for this election are not public', 403);
+  }
+
+  if (!election.certification || !election.certification.certifiedAt) {
+    throw new APIError('Results have not been certified yet', 404);
+  }
+
+  const pdf = await resultsCertification.generateResultsPdf(electionId);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=election-${electionId}-official-results.pdf`);
+  res.send(pdf);
+});
+
+/**
+ * Get turnout analytics for the post-election report
+ * Available once voting has closed on an election with public results.
+ * Only participation is reported, with small groups merged or withheld.
+ */
+exports.getTurnoutAnalytics = asyncHandler(async (req, res) => {
+  const { electionId } = req.params;
+
+  const election = await Election.findById(electionId)
+    .select('publicResults status')
+    .lean();
+  if (!election) {
+    throw new APIError('Election not found', 404);
+  }
+
+  if (!election.publicResults) {
+    throw new APIError('Results for this election are not public', 403);
+  }
+
+  if (election.status !== 'closed') {
+    throw new APIError('Turnout analytics are available once voting has closed', 403);
+  }
+
+  const cacheKey = `turnout-analytics:${electionId}`;
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    return res.json(cached);
+  }
+
+  const analytics = await turnoutAnalytics.getPublicTurnoutAnalytics(electionId);
+  const response = {
+    success: true,
+    data: analytics
+  };
+
+  // Turnout no longer changes once voting has closed
+  cache.set(cacheKey, response, 60000);
+
+  res.json(response);
+});
+
 /**
  * Get live results snapshot
  */
@@ -0,0 +1,221 @@
+/**
+ * Voter Roll Controller
+ * Eligibility rules, admin overrides and CSV import/export of election voter rolls
+ */
+
+const mongoose = require('mongoose');
+const Election = require('../models/Election');
+const VotingLog = require('../models/VotingLog');
+const voterRollService = require('../services/voterRoll.service');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+
+const RULE_FIELDS = ['chapters', 'yearsOfStudy', 'membershipStatuses', 'membershipTiers'];
+
+const loadElection = async (id) => {
+  const election = await Election.findById(id);
+  if (!election) {
+    throw new APIError('Election not found', 404);
+  }
+  return election;
+};
+
+const assertEditable = (election) => {
+  if (election.voterRoll && election.voterRoll.frozenAt) {
+    throw new APIError('The voter roll is frozen once the election starts', 400);
+  }
+};
+
+const logRollChange = (req, election, details) => VotingLog.log({
+  actorId: req.user._id,
+  actorEmail: req.user.email,
+  actorRole: req.user.role,
+  action: 'voter_roll_updated',
+  resource: {
+    type: 'election',
+    id: election._id
+  },
+  electionId: election._id,
+  chapter: election.chapter,
+  details,
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+  success: true
+});
+
+/**
+ * Get an election's voter roll
+ * Returns the frozen snapshot once the election has started, otherwise a
+ * preview of who the current rules and overrides would admit.
+ */
+exports.getVoterRoll = asyncHandler(async (req, res) => {
+  const election = await loadElection(req.params.id);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+  const roll = await voterRollService.getRoll(election, { page, limit, search: req.query.search });
+
+  res.json({
+    success: true,
+    data: {
+      eligibilityRules: election.eligibilityRules,
+      voterRoll: election.voterRoll,
+      frozen: roll.frozen,
+      members: roll.members
+    },
+    pagination: {
+      page,
+      limit,
+      total: roll.total,
+      pages: Math.ceil(roll.total / limit)
+    }
+  });
+});
+
+/**
+ * Replace an election's eligibility rules
+ */
+exports.updateEligibilityRules = asyncHandler(async (req, res) => {
+  const election = await loadElection(req.params.id);
+  assertEditable(election);
+
+  const rules = {};
+  RULE_FIELDS.forEach(field => {
+    const value = req.body[field];
+    if (value !== undefined && !Array.isArray(value)) {
+      throw new APIError(`${field} must be an array`, 400);
+    }
+    rules[field] = value || [];
+  });
+
+  election.eligibilityRules = rules;
+  await election.save();
+
+  await logRollChange(req, election, { eligibilityRules: rules });
+
+  res.json({
+    success: true,
+    message: 'Eligibility rules updated',
+    data: election.eligibilityRules
+  });
+});
+
+/**
+ * Add or remove members regardless of the rules
+ * Body: { action: 'add' | 'remove', memberIds?: [], emails?: [], reason? }
+ */
+exports.addOverrides = asyncHandler(async (req, res) => {
+  const election = await loadElection(req.params.id);
+  assertEditable(election);
+
+  const { action, memberIds = [], emails = [], reason } = req.body;
+
+  if (!['add', 'remove'].includes(action)) {
+    throw new APIError('action must be "add" or "remove"', 400);
+  }
+
+  if (!Array.isArray(memberIds) || !Array.isArray(emails) || memberIds.length + emails.length === 0) {
+    throw new APIError('Provide memberIds or emails to override', 400);
+  }
+
+  const invalidIds = memberIds.filter(id => !mongoose.isValidObjectId(id));
+  if (invalidIds.length > 0) {
+    throw new APIError(`Invalid member IDs: ${invalidIds.join(', ')}`, 400);
+  }
+
+  const changes = [
+    ...memberIds.map(memberId => ({ memberId, action, reason })),
+    ...emails.map(email => ({ email, action, reason }))
+  ];
+
+  const result = await voterRollService.applyOverrides(election, changes, { createdBy: req.user._id });
+
+  await logRollChange(req, election, { override: action, applied: result.applied, reason });
+
+  res.json({
+    success: true,
+    message: `${result.applied} member(s) ${action === 'add' ? 'added to' : 'removed from'} the voter roll`,
+    data: result
+  });
+});
+
+/**
+ * Remove an override so the rules decide again
+ */
+exports.removeOverride = asyncHandler(async (req, res) => {
+  const election = await loadElection(req.params.id);
+  assertEditable(election);
+
+  if (!mongoose.isValidObjectId(req.params.memberId)) {
+    throw new APIError('Invalid member ID', 400);
+  }
+
+  const removed = await voterRollService.clearOverride(election, req.params.memberId);
+  if (!removed) {
+    throw new APIError('No override found for this member', 404);
+  }
+
+  await logRollChange(req, election, { overrideCleared: req.params.memberId });
+
+  res.json({
+    success: true,
+    message: 'Override removed'
+  });
+});
+
+/**
+ * Import overrides from CSV
+ * Accepts an uploaded file (field "file") or a "csv" string in the body.
+ * Columns: email or memberId, optional action (add/remove), optional reason.
+ */
+exports.importVoterRoll = asyncHandler(async (req, res) => {
+  const election = await loadElection(req.params.id);
+  assertEditable(election);
+
+  const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+  if (!csvText) {
+    throw new APIError('Upload a CSV file or provide csv in the request body', 400);
+  }
+
+  const { changes, invalidRows } = voterRollService.parseOverrideCsv(csvText);
+  if (changes.length === 0) {
+    throw new APIError('No valid rows found in CSV', 400);
+  }
+
+  const result = await voterRollService.applyOverrides(election, changes, {
+    createdBy: req.user._id,
+    source: 'import'
+  });
+
+  await logRollChange(req, election, {
+    import: true,
+    rows: changes.length,
+    applied: result.applied,
+    notFound: result.notFound.length,
+    invalidRows: invalidRows.length
+  });
+
+  res.json({
+    success: true,
+    message: `Imported ${result.applied} override(s)`,
+    data: {
+      applied: result.applied,
+      notFound: result.notFound,
+      invalidRows
+    }
+  });
+});
+
+/**
+ * Export the voter roll as CSV
+ */
+exports.exportVoterRoll = asyncHandler(async (req, res) => {
+  const election = await loadElection(req.params.id);
+
+  const csv = await voterRollService.exportRollCsv(election);
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename=election-${election._id}-voter-roll.csv`);
+  res.send(csv);
+});
+
+module.exports = exports;
@@ -8,10 +8,13 @@ const VotingLink = require('../models/VotingLink');
 const Election = require('../models/Election');
 const User = require('../models/User');
 const VotingLog = require('../models/VotingLog');
-const emailService = require('../services/email.service');
+const VoterRollEntry = require('../models/VoterRollEntry');
+const linkDelivery = require('../services/linkDelivery.service');
+const votingCodeService = require('../services/votingCode.service');
+const smsService = require('../services/sms.service');
 
 /**
- * Generate voting links for verified members
+ * Generate voting links for members on the election's voter roll
  */
 exports.generateVotingLinks = async (req, res) => {
   try {
@@ -33,28 +36,28 @@ exports.generateVotingLinks = async (req, res) => {
       });
     }
 
-    // Get eligible members
-    const query = {
-      role: 'member',
-      isActive: true,
-      chapter: election.chapter
-    };
-
-    if (election.requireVerification) {
-      query.isVerified = true;
+    // Links are issued from the voter roll frozen when the election started
+    if (!election.voterRoll || !election.voterRoll.frozenAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Voting links can be generated once the election has started and its voter roll is frozen'
+      });
     }
 
-    // If specific member IDs provided, use those
+    const rollQuery = { electionId };
+
+    // If specific member IDs provided, limit to those on the roll
     if (memberIds && Array.isArray(memberIds) && memberIds.length > 0) {
-      query._id = { $in: memberIds };
+      rollQuery.memberId = { $in: memberIds };
     }
 
-    const members = await User.find(query);
+    const rollMemberIds = await VoterRollEntry.find(rollQuery).distinct('memberId');
+    const members = await User.find({ _id: { $in: rollMemberIds }, isActive: true });
 
     if (members.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'No eligible members found'
+        message: 'No eligible members found on the voter roll'
       });
     }
 
@@ -100,28 +103,6 @@ exports.generateVotingLinks = async (req, res) => {
         generatedBy: req.user._id
       });
 
-      // Send email if configured
-      if (process.env.SMTP_HOST && req.body.sendEmails !== false) {
-        try {
-          const frontendUrl = process.env.FRONTEND_URL || 'https://embuni-elc-frontend.vercel.app';
-          const voteUrl = `${frontendUrl}/vote/${token}`;
-
-          await emailService.sendVotingLink({
-            to: member.email,
-            name: `${member.firstName} ${member.lastName}`,
-            electionTitle: election.title,
-            voteUrl,
-            expiresAt: election.endTime
-          });
-
-          votingLink.emailSent = true;
-          votingLink.emailSentAt = new Date();
-          await votingLink.save();
-        } catch (emailError) {
-          console.error('Failed to send voting link email:', emailError);
-        }
-      }
-
       // Log action
       await VotingLog.log({
         actorId: req.user._id,
@@ -150,13 +131,20 @@ exports.generateVotingLinks = async (req, res) => {
         link: {
           _id: votingLink._id,
           token: votingLink.token,
-          expiresAt: votingLink.expiresAt,
-          emailSent: votingLink.emailSent
+          expiresAt: votingLink.expiresAt
         },
         alreadyExists: false
       });
     }
 
+    // New links are emailed in batches by the delivery worker
+    let queued = 0;
+    if (req.body.sendEmails !== false) {
+      queued = await linkDelivery.queueInvitations(
+        links.filter(l => !l.alreadyExists).map(l => l.link._id)
+      );
+    }
+
     res.json({
       success: true,
       message: `Generated ${links.length} voting links`,
@@ -164,7 +152,8 @@ exports.generateVotingLinks = async (req, res) => {
         links,
         total: links.length,
         newLinks: links.filter(l => !l.alreadyExists).length,
-        existingLinks: links.filter(l => l.alreadyExists).length
+        existingLinks: links.filter(l => l.alreadyExists).length,
+        queuedForDelivery: queued
       }
     });
   } catch (error) {
@@ -220,5 +209,243 @@ exports.getVotingLinks = async (req, res) => {
   }
 };
 
-module.exports = exports;
+/**
+ * Resend selected voting links
+ * Body: { linkIds }
+ */
+exports.resendVotingLinks = async (req, res) => {
+  try {
+    const { electionId } = req.params;
+    const { linkIds } = req.body;
+
+    if (!Array.isArray(linkIds) || linkIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'linkIds must be a non-empty array'
+      });
+    }
+
+    const election = await Election.findById(electionId);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    if (election.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Links can only be resent while the election is active'
+      });
+    }
+
+    const queued = await linkDelivery.resendLinks(electionId, linkIds);
+
+    await VotingLog.log({
+      actorId: req.user._id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'vote_link_resent',
+      resource: {
+        type: 'election',
+        id: election._id
+      },
+      electionId,
+      chapter: election.chapter,
+      details: {
+        requested: linkIds.length,
+        queued
+      },
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      success: true
+    });
+
+    res.json({
+      success: true,
+      message: `Queued ${queued} of ${linkIds.length} links for resending`,
+      data: { requested: linkIds.length, queued }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend voting links',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remind every member who has not voted yet
+ */
+exports.remindNonVoters = async (req, res) => {
+  try {
+    const { electionId } = req.params;
+
+    const election = await Election.findById(electionId);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    if (election.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reminders can only be sent while the election is active'
+      });
+    }
+
+    const queued = await linkDelivery.remindNonVoters(election);
+
+    await VotingLog.log({
+      actorId: req.user._id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'vote_link_reminders_queued',
+      resource: {
+        type: 'election',
+        id: election._id
+      },
+      electionId,
+      chapter: election.chapter,
+      details: { queued },
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      success: true
+    });
+
+    res.json({
+      success: true,
+      message: `Queued reminders for ${queued} members who have not voted`,
+      data: { queued }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue reminders',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the delivery dashboard for an election
+ */
+exports.getDeliveryDashboard = async (req, res) => {
+  try {
+    const { electionId } = req.params;
+
+    const election = await Election.findById(electionId).select('title status').lean();
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    const stats = await linkDelivery.getDeliveryStats(electionId);
+
+    res.json({
+      success: true,
+      data: {
+        election,
+        ...stats
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get delivery dashboard',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Issue numeric one-time voting codes
+ * Body: { memberIds?, linkIds?, sendSms } - without sendSms the codes are
+ * returned for the admin to hand over
+ */
+exports.issueVotingCodes = async (req, res) => {
+  try {
+    const { electionId } = req.params;
+    const { memberIds, linkIds, sendSms = false } = req.body;
+
+    const election = await Election.findById(electionId);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
 
+    if (!['approved', 'active'].includes(election.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Voting codes can only be issued before or during the election'
+      });
+    }
+
+    if (sendSms && !smsService.isEnabled()) {
+      return res.status(400).json({
+        success: false,
+        message: 'SMS is not configured; issue the codes without sendSms'
+      });
+    }
+
+    const issued = await votingCodeService.issueCodes(
+      election,
+      { memberIds, linkIds, sendSms: Boolean(sendSms) },
+      req.user
+    );
+
+    if (issued.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open voting links found; generate voting links first'
+      });
+    }
+
+    const smsFailed = issued.filter(entry => entry.sms && entry.sms.status === 'failed').length;
+
+    await VotingLog.log({
+      actorId: req.user._id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'vote_code_issued',
+      resource: {
+        type: 'election',
+        id: election._id
+      },
+      electionId,
+      chapter: election.chapter,
+      details: {
+        issued: issued.length,
+        channel: sendSms ? 'sms' : 'manual',
+        smsFailed
+      },
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      success: true
+    });
+
+    res.json({
+      success: true,
+      message: sendSms
+        ? `Issued ${issued.length} voting codes by SMS (${smsFailed} failed)`
+        : `Issued ${issued.length} voting codes`,
+      data: issued
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue voting codes',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
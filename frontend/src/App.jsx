@@ -27,6 +27,7 @@ import { ContactProvider } from './context/ContactContext';
 // Layout Components (eagerly loaded - needed immediately)
 import Navbar from './components/Navbar';
 import Footer from './components/Footer';
+import ImpersonationBanner from './components/ImpersonationBanner';
 import LoadingSpinner from './components/LoadingSpinner';
 
 // Lazy load all pages for code splitting and better performance
@@ -39,6 +40,9 @@ const Gallery = lazy(() => import('./pages/Gallery'));
 const Resources = lazy(() => import('./pages/Resources'));
 const Contact = lazy(() => import('./pages/Contact'));
 const Login = lazy(() => import('./pages/Login'));
+const ForgotPassword = lazy(() => import('./pages/ForgotPassword'));
+const ResetPassword = lazy(() => import('./pages/ResetPassword'));
+const VerifyEmail = lazy(() => import('./pages/VerifyEmail'));
 const VotePage = lazy(() => import('./pages/VotePage'));
 const LiveResults = lazy(() => import('./pages/LiveResults'));
 const Mentorship = lazy(() => import('./pages/Mentorship'));
@@ -116,8 +120,12 @@ return (
                 <Route path="/resources" element={<Resources />} />
                 <Route path="/contact" element={<Contact />} />
                 <Route path="/login" element={<Login />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
                 
                 {/* Voting Routes */}
+                <Route path="/vote" element={<VotePage />} />
                 <Route path="/vote/:token" element={<VotePage />} />
                 <Route path="/elections/:electionId/results" element={<LiveResults />} />
                 
@@ -382,6 +390,7 @@ return (
               </Routes>
             </Suspense>
             </main>
+            <ImpersonationBanner />
           </div>
             </ToastProvider>
         </ContactProvider>
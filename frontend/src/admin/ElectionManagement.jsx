@@ -7,7 +7,8 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { 
   Calendar, Plus, CheckCircle2, XCircle, Clock, 
-  Users, BarChart3, Settings, Send, Download
+  Users, BarChart3, Settings, Send, Download, Mail, RefreshCw, AlertTriangle,
+  Copy, Save
 } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { toast } from 'react-toastify';
@@ -21,6 +22,18 @@ const ElectionManagement = () => {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showLinkModal, setShowLinkModal] = useState(false);
   const [selectedElection, setSelectedElection] = useState(null);
+  const [showDeliveryModal, setShowDeliveryModal] = useState(false);
+  const [delivery, setDelivery] = useState(null);
+  const [selectedLinkIds, setSelectedLinkIds] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+  const [showCloneModal, setShowCloneModal] = useState(false);
+  const [cloneData, setCloneData] = useState({
+    title: '',
+    startTime: '',
+    endTime: '',
+    carryOverCandidates: false
+  });
 
   const [formData, setFormData] = useState({
     title: '',
@@ -59,12 +72,33 @@ const ElectionManagement = () => {
     }
   };
 
+  const openCreateModal = async () => {
+    setTemplateId('');
+    setShowCreateModal(true);
+
+    try {
+      const response = await fetch(
+        buildUrl('/election-templates'),
+        {
+          headers: { 'Authorization': `Bearer ${token}` }
+        }
+      );
+      const data = await response.json();
+
+      if (data.success) {
+        setTemplates(data.data);
+      }
+    } catch (error) {
+      console.error('Failed to load templates:', error);
+    }
+  };
+
   const handleCreateElection = async (e) => {
     e.preventDefault();
     
     try {
       const response = await fetch(
-        buildUrl('/elections'),
+        buildUrl(templateId ? `/election-templates/${templateId}/elections` : '/elections'),
         {
           method: 'POST',
           headers: {
@@ -193,7 +227,7 @@ const ElectionManagement = () => {
       const data = await response.json();
 
       if (data.success) {
-        toast.success(`Generated ${data.data.total} voting links`);
+        toast.success(`Generated ${data.data.total} voting links, ${data.data.queuedForDelivery} queued for email`);
         setShowLinkModal(false);
       } else {
         toast.error(data.message || 'Failed to generate links');
@@ -203,6 +237,168 @@ const ElectionManagement = () => {
     }
   };
 
+  const loadDelivery = async (electionId) => {
+    try {
+      const response = await fetch(
+        buildUrl(`/voting-links/elections/${electionId}/delivery`),
+        {
+          headers: { 'Authorization': `Bearer ${token}` }
+        }
+      );
+
+      const data = await response.json();
+
+      if (data.success) {
+        setDelivery(data.data);
+        setSelectedLinkIds([]);
+      } else {
+        toast.error(data.message || 'Failed to load delivery status');
+      }
+    } catch (error) {
+      toast.error('Failed to load delivery status');
+    }
+  };
+
+  const openDelivery = (election) => {
+    setSelectedElection(election);
+    setDelivery(null);
+    setShowDeliveryModal(true);
+    loadDelivery(election._id);
+  };
+
+  const toggleLinkSelection = (linkId) => {
+    setSelectedLinkIds((ids) =>
+      ids.includes(linkId) ? ids.filter((id) => id !== linkId) : [...ids, linkId]
+    );
+  };
+
+  const handleResend = async (electionId) => {
+    try {
+      const response = await fetch(
+        buildUrl(`/voting-links/elections/${electionId}/resend`),
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+          },
+          body: JSON.stringify({ linkIds: selectedLinkIds })
+        }
+      );
+
+      const data = await response.json();
+
+      if (data.success) {
+        toast.success(data.message);
+        loadDelivery(electionId);
+      } else {
+        toast.error(data.message || 'Failed to resend links');
+      }
+    } catch (error) {
+      toast.error('Failed to resend links');
+    }
+  };
+
+  const handleRemind = async (electionId) => {
+    if (!window.confirm('Send a reminder to every member who has not voted yet?')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        buildUrl(`/voting-links/elections/${electionId}/remind`),
+        {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${token}` }
+        }
+      );
+
+      const data = await response.json();
+
+      if (data.success) {
+        toast.success(data.message);
+        loadDelivery(electionId);
+      } else {
+        toast.error(data.message || 'Failed to send reminders');
+      }
+    } catch (error) {
+      toast.error('Failed to send reminders');
+    }
+  };
+
+  const handleSaveTemplate = async (election) => {
+    try {
+      const response = await fetch(
+        buildUrl('/election-templates'),
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+          },
+          body: JSON.stringify({ electionId: election._id, name: election.title })
+        }
+      );
+
+      const data = await response.json();
+
+      if (data.success) {
+        toast.success('Saved as template');
+      } else {
+        toast.error(data.message || 'Failed to save template');
+      }
+    } catch (error) {
+      toast.error('Failed to save template');
+    }
+  };
+
+  const openClone = (election) => {
+    setSelectedElection(election);
+    setCloneData({
+      title: election.title,
+      startTime: '',
+      endTime: '',
+      carryOverCandidates: false
+    });
+    setShowCloneModal(true);
+  };
+
+  const handleClone = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await fetch(
+        buildUrl(`/elections/${selectedElection._id}/clone`),
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+          },
+          body: JSON.stringify(cloneData)
+        }
+      );
+
+      const data = await response.json();
+
+      if (data.success) {
+        const { carried, skipped } = data.data.candidates;
+        toast.success(
+          cloneData.carryOverCandidates
+            ? `Election cloned with ${carried.length} candidate(s)${skipped.length ? `, ${skipped.length} skipped` : ''}. Awaiting approval.`
+            : 'Election cloned. Awaiting approval.'
+        );
+        setShowCloneModal(false);
+        setSelectedElection(null);
+        loadElections();
+      } else {
+        toast.error(data.message || 'Failed to clone election');
+      }
+    } catch (error) {
+      toast.error('Failed to clone election');
+    }
+  };
+
   const handleExport = async (electionId) => {
     try {
       const response = await fetch(
@@ -252,7 +448,7 @@ const ElectionManagement = () => {
             </div>
             {hasPermission('MANAGE_EVENTS') && (
               <button
-                onClick={() => setShowCreateModal(true)}
+                onClick={openCreateModal}
                 className="btn-primary flex items-center gap-2"
               >
                 <Plus size={20} />
@@ -341,6 +537,15 @@ const ElectionManagement = () => {
                       Start Election
                     </button>
                   )}
+                  {['active', 'closed'].includes(election.status) && hasPermission('VIEW_REPORTS') && (
+                    <button
+                      onClick={() => openDelivery(election)}
+                      className="btn-outline text-sm"
+                    >
+                      <Mail size={16} className="mr-1" />
+                      Delivery
+                    </button>
+                  )}
                   {election.status === 'active' && (
                     <>
                       <button
@@ -371,6 +576,24 @@ const ElectionManagement = () => {
                       Export Results
                     </button>
                   )}
+                  {hasPermission('MANAGE_EVENTS') && (
+                    <>
+                      <button
+                        onClick={() => openClone(election)}
+                        className="btn-outline text-sm"
+                      >
+                        <Copy size={16} className="mr-1" />
+                        Clone
+                      </button>
+                      <button
+                        onClick={() => handleSaveTemplate(election)}
+                        className="btn-outline text-sm"
+                      >
+                        <Save size={16} className="mr-1" />
+                        Save as Template
+                      </button>
+                    </>
+                  )}
                 </div>
               </div>
             ))
@@ -388,13 +611,37 @@ const ElectionManagement = () => {
               </h2>
             </div>
             <form onSubmit={handleCreateElection} className="p-6 space-y-4">
+              {templates.length > 0 && (
+                <div>
+                  <label className="block text-sm font-semibold text-charcoal mb-2">
+                    Template
+                  </label>
+                  <select
+                    className="input-field"
+                    value={templateId}
+                    onChange={(e) => setTemplateId(e.target.value)}
+                  >
+                    <option value="">No template</option>
+                    {templates.map((template) => (
+                      <option key={template._id} value={template._id}>
+                        {template.name} ({template.positions.length} positions)
+                      </option>
+                    ))}
+                  </select>
+                  {templateId && (
+                    <p className="text-xs text-neutral-500 mt-1">
+                      Positions, eligibility rules and settings come from the template. Title, description and chapter left blank use the template's.
+                    </p>
+                  )}
+                </div>
+              )}
               <input
                 type="text"
                 placeholder="Election Title *"
                 className="input-field"
                 value={formData.title}
                 onChange={(e) => setFormData({ ...formData, title: e.target.value })}
-                required
+                required={!templateId}
               />
               <textarea
                 placeholder="Description"
@@ -409,7 +656,7 @@ const ElectionManagement = () => {
                 className="input-field"
                 value={formData.chapter}
                 onChange={(e) => setFormData({ ...formData, chapter: e.target.value })}
-                required
+                required={!templateId}
               />
               <div className="grid grid-cols-2 gap-4">
                 <div>
@@ -454,6 +701,81 @@ const ElectionManagement = () => {
         </div>
       )}
 
+      {/* Clone Election Modal */}
+      {showCloneModal && selectedElection && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg max-w-md w-full">
+            <div className="p-6 border-b">
+              <h2 className="font-heading text-2xl font-bold text-charcoal">
+                Clone Election
+              </h2>
+            </div>
+            <form onSubmit={handleClone} className="p-6 space-y-4">
+              <p className="text-neutral-600">
+                Creates a new pending election with the positions, eligibility rules and settings of <strong>{selectedElection.title}</strong>.
+              </p>
+              <input
+                type="text"
+                placeholder="Election Title *"
+                className="input-field"
+                value={cloneData.title}
+                onChange={(e) => setCloneData({ ...cloneData, title: e.target.value })}
+                required
+              />
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-semibold text-charcoal mb-2">
+                    Start Time *
+                  </label>
+                  <input
+                    type="datetime-local"
+                    className="input-field"
+                    value={cloneData.startTime}
+                    onChange={(e) => setCloneData({ ...cloneData, startTime: e.target.value })}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-charcoal mb-2">
+                    End Time *
+                  </label>
+                  <input
+                    type="datetime-local"
+                    className="input-field"
+                    value={cloneData.endTime}
+                    onChange={(e) => setCloneData({ ...cloneData, endTime: e.target.value })}
+                    required
+                  />
+                </div>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-charcoal">
+                <input
+                  type="checkbox"
+                  checked={cloneData.carryOverCandidates}
+                  onChange={(e) => setCloneData({ ...cloneData, carryOverCandidates: e.target.checked })}
+                />
+                Carry over candidates who are re-running
+              </label>
+              <div className="flex gap-3">
+                <button type="submit" className="btn-primary flex-1">
+                  Clone Election
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowCloneModal(false);
+                    setSelectedElection(null);
+                  }}
+                  className="btn-outline"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
       {/* Generate Links Modal */}
       {showLinkModal && selectedElection && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -489,6 +811,126 @@ const ElectionManagement = () => {
           </div>
         </div>
       )}
+
+      {/* Link Delivery Modal */}
+      {showDeliveryModal && selectedElection && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6 border-b flex justify-between items-center">
+              <h2 className="font-heading text-2xl font-bold text-charcoal">
+                Link Delivery: {selectedElection.title}
+              </h2>
+              <button
+                onClick={() => loadDelivery(selectedElection._id)}
+                className="btn-outline text-sm"
+              >
+                <RefreshCw size={16} />
+              </button>
+            </div>
+            {!delivery ? (
+              <div className="p-12 flex justify-center">
+                <div className="spinner"></div>
+              </div>
+            ) : (
+              <div className="p-6 space-y-6">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  {[
+                    ['Links', delivery.totals.links],
+                    ['Voted', delivery.totals.used],
+                    ['Not yet voted', delivery.totals.notYetVoted],
+                    ['Reminders sent', delivery.totals.remindersSent]
+                  ].map(([label, value]) => (
+                    <div key={label} className="card p-4 text-center">
+                      <div className="text-2xl font-bold text-charcoal">{value}</div>
+                      <div className="text-sm text-neutral-600">{label}</div>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="flex flex-wrap gap-2 text-sm">
+                  {Object.entries(delivery.byDeliveryStatus).map(([status, count]) => (
+                    <span key={status} className="px-3 py-1 rounded-full bg-gray-100 text-gray-800">
+                      {status.replace('_', ' ')}: {count}
+                    </span>
+                  ))}
+                </div>
+
+                <div>
+                  <h3 className="font-heading text-lg font-bold text-charcoal mb-2 flex items-center gap-2">
+                    <AlertTriangle size={18} className="text-red-600" />
+                    Failed and bounced ({delivery.problems.length})
+                  </h3>
+                  {delivery.problems.length === 0 ? (
+                    <p className="text-neutral-600 text-sm">No delivery problems.</p>
+                  ) : (
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-neutral-600 border-b">
+                          <th className="py-2"></th>
+                          <th className="py-2">Member</th>
+                          <th className="py-2">Status</th>
+                          <th className="py-2">Attempts</th>
+                          <th className="py-2">Last error</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {delivery.problems.map((link) => (
+                          <tr key={link._id} className="border-b">
+                            <td className="py-2">
+                              <input
+                                type="checkbox"
+                                checked={selectedLinkIds.includes(link._id)}
+                                onChange={() => toggleLinkSelection(link._id)}
+                                disabled={!['pending', 'sent'].includes(link.status)}
+                              />
+                            </td>
+                            <td className="py-2">{link.memberEmail}</td>
+                            <td className="py-2">{link.delivery.status}</td>
+                            <td className="py-2">{link.delivery.attemptCount}</td>
+                            <td className="py-2 text-red-600">{link.delivery.lastError}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+
+                {selectedElection.status === 'active' && hasPermission('MANAGE_MEMBERS') && (
+                  <div className="flex gap-3">
+                    <button
+                      onClick={() => handleResend(selectedElection._id)}
+                      disabled={selectedLinkIds.length === 0}
+                      className="btn-outline text-sm"
+                    >
+                      <Send size={16} className="mr-1" />
+                      Resend Selected ({selectedLinkIds.length})
+                    </button>
+                    <button
+                      onClick={() => handleRemind(selectedElection._id)}
+                      className="btn-primary text-sm"
+                    >
+                      <Mail size={16} className="mr-1" />
+                      Remind Non-Voters
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+            <div className="p-6 border-t">
+              <button
+                onClick={() => {
+                  setShowDeliveryModal(false);
+                  setSelectedElection(null);
+                  setDelivery(null);
+                }}
+                className="btn-outline"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
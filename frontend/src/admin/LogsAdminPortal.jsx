@@ -54,14 +54,14 @@ const LogsAdminPortal = () => {
     });
   };
 
-  const handleExportLogs = async () => {
+  const handleExportLogs = async (format) => {
     try {
-      const response = await adminService.exportActivityLogs(token);
-      const blob = new Blob([response], { type: 'text/csv' });
+      const response = await adminService.exportAuditLogs(token, { format });
+      const blob = new Blob([response], { type: format === 'json' ? 'application/json' : 'text/csv' });
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `system-logs-${new Date().toISOString().split('T')[0]}.csv`;
+      a.download = `audit-log-${new Date().toISOString().split('T')[0]}.${format}`;
       document.body.appendChild(a);
       a.click();
       window.URL.revokeObjectURL(url);
@@ -76,6 +76,8 @@ const LogsAdminPortal = () => {
     const matchesSearch = 
       log.action?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       log.module?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      log.actorEmail?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      log.resource?.label?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       JSON.stringify(log.details)?.toLowerCase().includes(searchTerm.toLowerCase());
     return matchesSearch;
   });
@@ -104,11 +106,18 @@ const LogsAdminPortal = () => {
             </div>
             <div className="flex gap-3">
               <button
-                onClick={handleExportLogs}
+                onClick={() => handleExportLogs('csv')}
                 className="btn-outline flex items-center gap-2"
               >
                 <Download size={20} />
-                Export Logs
+                Export CSV
+              </button>
+              <button
+                onClick={() => handleExportLogs('json')}
+                className="btn-outline flex items-center gap-2"
+              >
+                <Download size={20} />
+                Export JSON
               </button>
               <button
                 onClick={loadLogs}
@@ -219,8 +228,23 @@ const LogsAdminPortal = () => {
                             Role: {log.adminRole}
                           </span>
                         )}
+                        {log.actorEmail && (
+                          <span className="inline-block mr-2">
+                            By: {log.actorEmail}
+                          </span>
+                        )}
                         {log.timestamp && new Date(log.timestamp).toLocaleString()}
                       </p>
+                      {log.resource?.type && (
+                        <p className="text-sm text-neutral-600">
+                          {log.resource.type}: {log.resource.label || log.resource.id}
+                        </p>
+                      )}
+                      {log.changes && (
+                        <pre className="text-xs text-neutral-500 mt-2 bg-white p-2 rounded overflow-x-auto">
+                          {JSON.stringify(log.changes, null, 2)}
+                        </pre>
+                      )}
                       {log.details && (
                         <pre className="text-xs text-neutral-500 mt-2 bg-white p-2 rounded overflow-x-auto">
                           {JSON.stringify(log.details, null, 2)}
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Key, Trash2, RefreshCw, Copy, Check } from 'lucide-react';
+import { Plus, Key, Trash2, RefreshCw, Copy, Check, LogOut } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { adminCredentialService } from '../services/adminCredentialService';
 import { ROLE_LABELS, ROLE_ICONS } from '../constants/adminRoles';
@@ -91,6 +91,10 @@ const ManageAdminLogins = () => {
 
     try {
       const response = await adminCredentialService.resetAdminPassword(token, adminId);
+      if (response.code === 'APPROVAL_REQUIRED') {
+        toast.info(response.message);
+        return;
+      }
       setTempPassword(response.data);
       toast.success('Password reset successfully');
     } catch (error) {
@@ -122,6 +126,17 @@ const ManageAdminLogins = () => {
     }
   };
 
+  const handleForceLogout = async (userId) => {
+    if (!window.confirm('Sign this admin out of all devices?')) return;
+
+    try {
+      const response = await adminCredentialService.forceLogoutUser(token, userId);
+      toast.success(response.message || 'Admin signed out');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out admin');
+    }
+  };
+
   const copyToClipboard = (text, id) => {
     navigator.clipboard.writeText(text);
     setCopiedId(id);
@@ -347,6 +362,13 @@ const ManageAdminLogins = () => {
                       >
                         <Key size={18} />
                       </button>
+                      <button
+                        onClick={() => handleForceLogout(admin.userId)}
+                        title="Sign Out Everywhere"
+                        className="text-orange-600 hover:text-orange-800"
+                      >
+                        <LogOut size={18} />
+                      </button>
                       {admin.isActive ? (
                         <button
                           onClick={() => handleDeactivate(admin.adminId)}
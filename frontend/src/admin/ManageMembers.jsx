@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
-import { Search, Filter, Edit, Trash2, CheckCircle, XCircle, Mail, Phone } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { Search, Filter, Edit, Trash2, CheckCircle, XCircle, Mail, Phone, LogOut, Eye } from 'lucide-react';
 import { toast } from 'react-toastify';
 import axios from 'axios';
 import { useAuth } from '../context/AuthContext';
 
 const ManageMembers = () => {
-  const { token } = useAuth();
+  const { token, hasPermission, adminProfile, startImpersonation } = useAuth();
+  const navigate = useNavigate();
   const [members, setMembers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -46,6 +48,34 @@ const ManageMembers = () => {
     }
   };
 
+  const handleForceLogout = async (userId) => {
+    if (!confirm('Sign this member out of all devices?')) return;
+
+    try {
+      const response = await axios.post(
+        `/api/auth/users/${userId}/force-logout`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      toast.success(response.data.message || 'Member signed out');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out member');
+    }
+  };
+
+  const handleViewAs = async (user) => {
+    const reason = prompt(`Why do you need to view the site as ${user.firstName} ${user.lastName}? This is recorded in the audit log.`);
+    if (reason === null) return;
+
+    try {
+      const impersonation = await startImpersonation(user._id, reason);
+      toast.info(`Viewing as ${impersonation.user.name}. Changes are blocked in this read-only session.`);
+      navigate('/portal/dashboard');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to view as member');
+    }
+  };
+
   const handleRoleChange = async (memberId, newRole) => {
     try {
       await axios.put(
@@ -221,6 +251,24 @@ const ManageMembers = () => {
                             >
                               <Edit size={18} />
                             </button>
+                            {hasPermission('manage_security') && member.user?._id && (
+                              <button
+                                onClick={() => handleForceLogout(member.user._id)}
+                                className="p-2 text-orange-600 hover:bg-orange-50 rounded-lg transition-colors"
+                                title="Sign Out Everywhere"
+                              >
+                                <LogOut size={18} />
+                              </button>
+                            )}
+                            {adminProfile?.adminRole === 'super_admin' && member.user?._id && (
+                              <button
+                                onClick={() => handleViewAs(member.user)}
+                                className="p-2 text-neutral-700 hover:bg-neutral-100 rounded-lg transition-colors"
+                                title="View as Member"
+                              >
+                                <Eye size={18} />
+                              </button>
+                            )}
                             <button
                               onClick={() => {
                                 if (confirm('Are you sure you want to delete this member?')) {
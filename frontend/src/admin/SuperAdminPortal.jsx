@@ -10,6 +10,8 @@
  * - Deactivate/remove admin accounts
  * - View activity logs
  * - Monitor admin activity
+ * - Restore or permanently delete items in the recycle bin
+ * - Approve or reject sensitive actions requested by other admins
  */
 
 import React, { useState, useEffect, useRef } from 'react';
@@ -23,6 +25,8 @@ import {
 import { useAuth } from '../context/AuthContext';
 import { adminCredentialService } from '../services/adminCredentialService';
 import { adminService } from '../services/adminService';
+import RecycleBin from '../components/admin/RecycleBin';
+import PendingApprovals from '../components/admin/PendingApprovals';
 import { ROLE_LABELS, ROLE_ICONS, ROLE_COLORS, ADMIN_ROLES } from '../constants/adminRoles';
 import { toast } from 'react-toastify';
 
@@ -34,6 +38,7 @@ const SuperAdminPortal = () => {
   const [logsLoading, setLogsLoading] = useState(false);
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [showLogs, setShowLogs] = useState(false);
+  const [showRecycleBin, setShowRecycleBin] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [filterRole, setFilterRole] = useState('all');
   const [selectedAdmin, setSelectedAdmin] = useState(null);
@@ -192,6 +197,10 @@ const SuperAdminPortal = () => {
 
     try {
       const response = await adminCredentialService.resetAdminPassword(token, adminId);
+      if (response.code === 'APPROVAL_REQUIRED') {
+        toast.info(response.message);
+        return;
+      }
       setTempPassword(response.data);
       toast.success('Password reset successfully');
     } catch (error) {
@@ -264,6 +273,13 @@ const SuperAdminPortal = () => {
                 <Activity size={20} />
                 {showLogs ? 'Hide Logs' : 'View Logs'}
               </button>
+              <button
+                onClick={() => setShowRecycleBin(!showRecycleBin)}
+                className="btn-outline flex items-center gap-2"
+              >
+                <Trash2 size={20} />
+                {showRecycleBin ? 'Hide Recycle Bin' : 'Recycle Bin'}
+              </button>
               <button
                 onClick={loadAdmins}
                 className="btn-outline flex items-center gap-2"
@@ -277,6 +293,9 @@ const SuperAdminPortal = () => {
       </div>
 
       <div className="container-custom py-8">
+        {/* Actions waiting for a second admin */}
+        <PendingApprovals token={token} />
+
         {/* Stats Cards */}
         <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
           <div className="card p-6">
@@ -696,6 +715,9 @@ const SuperAdminPortal = () => {
           </div>
         )}
 
+        {/* Recycle Bin Panel */}
+        {showRecycleBin && <RecycleBin token={token} />}
+
         {/* Info Box */}
         <div className="card p-6 mt-6 bg-yellow-50 border-l-4 border-yellow-500">
           <h3 className="font-heading font-bold mb-2 text-yellow-900 flex items-center gap-2">
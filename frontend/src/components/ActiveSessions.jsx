@@ -0,0 +1,113 @@
+/**
+ * Active Sessions
+ * Devices signed in to the current account, with sign-out controls
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Monitor, LogOut } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { useAuth } from '../context/AuthContext';
+import { authService } from '../services/authService';
+
+const ActiveSessions = () => {
+  const { token } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await authService.getSessions(token);
+      setSessions(response.data);
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (token) {
+      loadSessions();
+    }
+  }, [token, loadSessions]);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      await authService.revokeSession(token, sessionId);
+      toast.success('Device signed out');
+      await loadSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out device');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out of every other device?')) return;
+
+    setWorking(true);
+    try {
+      const response = await authService.revokeOtherSessions(token);
+      toast.success(response.message || 'Other devices signed out');
+      await loadSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out other devices');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  const hasOthers = sessions.some((session) => !session.current);
+
+  return (
+    <div className="card p-8 mt-8 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-heading text-xl font-bold text-charcoal">Active Sessions</h3>
+        {hasOthers && (
+          <button type="button" onClick={handleRevokeOthers} disabled={working} className="btn-outline text-sm">
+            Sign Out Other Devices
+          </button>
+        )}
+      </div>
+
+      <ul className="divide-y divide-neutral-200">
+        {sessions.map((session) => (
+          <li key={session._id} className="py-3 flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <Monitor size={20} className="text-neutral-500" />
+              <div>
+                <p className="text-sm text-charcoal flex items-center gap-2">
+                  {session.deviceName}
+                  {session.current && (
+                    <span className="px-2 py-0.5 bg-green-100 text-green-800 rounded-full text-xs font-medium">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-neutral-500">
+                  {session.ip || 'Unknown IP'} · last seen {new Date(session.lastSeenAt).toLocaleString()}
+                </p>
+              </div>
+            </div>
+            {!session.current && (
+              <button
+                type="button"
+                onClick={() => handleRevoke(session._id)}
+                className="text-red-600 hover:text-red-700"
+                title="Sign out this device"
+              >
+                <LogOut size={18} />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ActiveSessions;
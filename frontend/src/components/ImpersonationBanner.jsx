@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Eye, LogOut } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * ImpersonationBanner - Shown on every page while a super admin views the app as a member
+ */
+const ImpersonationBanner = () => {
+  const { impersonation, stopImpersonation } = useAuth();
+  const navigate = useNavigate();
+  const [stopping, setStopping] = useState(false);
+
+  if (!impersonation) return null;
+
+  const handleStop = async () => {
+    setStopping(true);
+    try {
+      const returnTo = await stopImpersonation();
+      navigate(returnTo || '/');
+    } finally {
+      setStopping(false);
+    }
+  };
+
+  return (
+    <>
+      {/* Keeps the end of the page clear of the banner */}
+      <div className="h-16" aria-hidden="true"></div>
+      <div
+        role="status"
+        className="fixed bottom-0 inset-x-0 z-50 bg-yellow-400 text-charcoal shadow-lg"
+      >
+        <div className="container-custom flex flex-col md:flex-row md:items-center md:justify-between gap-2 py-3">
+          <div className="flex items-center gap-2 text-sm">
+            <Eye size={18} className="shrink-0" />
+            <span>
+              Viewing as <strong>{impersonation.user.name}</strong> ({impersonation.user.email})
+              {impersonation.readOnly ? ' · read-only' : ''}
+              {' · ends '}
+              {new Date(impersonation.expiresAt).toLocaleTimeString()}
+              {' · every action is logged'}
+            </span>
+          </div>
+          <button
+            onClick={handleStop}
+            disabled={stopping}
+            className="btn-outline text-sm flex items-center gap-1 bg-white"
+          >
+            <LogOut size={16} />
+            Stop viewing
+          </button>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ImpersonationBanner;
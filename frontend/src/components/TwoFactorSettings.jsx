@@ -0,0 +1,251 @@
+/**
+ * Two-Factor Settings
+ * Enrollment, backup codes and trusted devices for the signed-in user
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { ShieldCheck, ShieldAlert, Smartphone, KeyRound, Trash2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { useAuth } from '../context/AuthContext';
+import { authService } from '../services/authService';
+
+const TwoFactorSettings = () => {
+  const { token } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await authService.getTwoFactorStatus(token);
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Failed to load two-factor status:', error);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (token) {
+      loadStatus();
+    }
+  }, [token, loadStatus]);
+
+  // Run an action that needs a current code, then refresh the status
+  const runWithCode = async (action, successMessage) => {
+    setWorking(true);
+    try {
+      const response = await action();
+      toast.success(response.message || successMessage);
+      setCode('');
+      await loadStatus();
+      return response;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Request failed');
+      return null;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleBeginSetup = async () => {
+    setWorking(true);
+    try {
+      const response = await authService.beginTwoFactorSetup(token);
+      setSetup(response.data);
+      setBackupCodes(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start setup');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleConfirmSetup = async (e) => {
+    e.preventDefault();
+    const response = await runWithCode(
+      () => authService.confirmTwoFactorSetup(token, code.trim()),
+      'Two-factor authentication enabled'
+    );
+    if (response) {
+      setSetup(null);
+      setBackupCodes(response.data.backupCodes);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    const response = await runWithCode(
+      () => authService.regenerateBackupCodes(token, code.trim()),
+      'New backup codes generated'
+    );
+    if (response) {
+      setBackupCodes(response.data.backupCodes);
+    }
+  };
+
+  const handleDisable = async () => {
+    if (!window.confirm('Turn off two-factor authentication? Trusted devices will also be forgotten.')) {
+      return;
+    }
+    const response = await runWithCode(
+      () => authService.disableTwoFactor(token, code.trim()),
+      'Two-factor authentication disabled'
+    );
+    if (response) {
+      setBackupCodes(null);
+    }
+  };
+
+  const handleRemoveDevice = async (deviceId) => {
+    try {
+      await authService.removeTrustedDevice(token, deviceId);
+      toast.success('Device removed');
+      await loadStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove device');
+    }
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <div className="card p-8 mt-8 space-y-6">
+      <div className="flex items-center justify-between">
+        <h3 className="font-heading text-xl font-bold text-charcoal flex items-center gap-2">
+          {status.enabled ? <ShieldCheck className="text-green-600" /> : <ShieldAlert className="text-yellow-600" />}
+          Two-Factor Authentication
+        </h3>
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+          status.enabled ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+        }`}>
+          {status.enabled ? 'Enabled' : 'Off'}
+        </span>
+      </div>
+
+      {status.required && !status.enabled && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-neutral-700">
+          Your admin role requires two-factor authentication. Admin tools stay locked until you enable it.
+        </div>
+      )}
+
+      {backupCodes && (
+        <div className="bg-neutral-50 border border-neutral-200 rounded-lg p-4">
+          <p className="font-bold text-charcoal mb-2 flex items-center gap-2">
+            <KeyRound size={18} />
+            Backup codes
+          </p>
+          <p className="text-sm text-neutral-600 mb-3">
+            Each code works once. Save them somewhere safe; they will not be shown again.
+          </p>
+          <div className="grid grid-cols-2 sm:grid-cols-5 gap-2 font-mono text-sm">
+            {backupCodes.map((backupCode) => (
+              <span key={backupCode} className="bg-white border border-neutral-200 rounded px-2 py-1 text-center">
+                {backupCode}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {!status.enabled && !setup && (
+        <div>
+          <p className="text-sm text-neutral-600 mb-4">
+            Protect your account with a code from an authenticator app each time you sign in.
+          </p>
+          <button type="button" onClick={handleBeginSetup} disabled={working} className="btn-primary">
+            Set Up Two-Factor
+          </button>
+        </div>
+      )}
+
+      {!status.enabled && setup && (
+        <form onSubmit={handleConfirmSetup} className="space-y-4">
+          <p className="text-sm text-neutral-600">
+            Add this account to your authenticator app by opening the setup link on your phone, or by entering the key manually.
+          </p>
+          <div className="bg-neutral-50 border border-neutral-200 rounded-lg p-4 space-y-2">
+            <a href={setup.otpauthUri} className="text-primary hover:underline text-sm break-all">
+              Open in authenticator app
+            </a>
+            <p className="font-mono text-sm break-all">{setup.secret}</p>
+          </div>
+          <div className="flex flex-col sm:flex-row gap-4">
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+              className="input-field"
+              placeholder="6-digit code"
+            />
+            <button type="submit" disabled={working} className="btn-primary whitespace-nowrap">
+              Verify and Enable
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status.enabled && (
+        <>
+          <p className="text-sm text-neutral-600">
+            {status.backupCodesRemaining} backup codes remaining. Enter a current code to replace your backup codes or turn two-factor off.
+          </p>
+          <div className="flex flex-col sm:flex-row gap-4">
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="input-field"
+              placeholder="Authenticator or backup code"
+            />
+            <button type="button" onClick={handleRegenerate} disabled={working || !code} className="btn-outline whitespace-nowrap">
+              New Backup Codes
+            </button>
+            <button type="button" onClick={handleDisable} disabled={working || !code} className="btn-outline whitespace-nowrap text-red-600">
+              Turn Off
+            </button>
+          </div>
+
+          <div>
+            <h4 className="font-semibold text-charcoal mb-2">Trusted devices</h4>
+            {status.trustedDevices.length === 0 ? (
+              <p className="text-sm text-neutral-500">No trusted devices.</p>
+            ) : (
+              <ul className="divide-y divide-neutral-200">
+                {status.trustedDevices.map((device) => (
+                  <li key={device._id} className="py-2 flex items-center justify-between">
+                    <div className="flex items-center gap-3">
+                      <Smartphone size={18} className="text-neutral-500" />
+                      <div>
+                        <p className="text-sm text-charcoal">{device.deviceName}</p>
+                        <p className="text-xs text-neutral-500">
+                          {device.ip} · last used {new Date(device.lastUsedAt).toLocaleString()}
+                        </p>
+                      </div>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveDevice(device._id)}
+                      className="text-red-600 hover:text-red-700"
+                      title="Stop trusting this device"
+                    >
+                      <Trash2 size={18} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ShieldCheck, Check, X, Clock, Copy } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { adminService } from '../../services/adminService';
+
+const personName = (person) => (person ? `${person.firstName} ${person.lastName}` : 'Unknown');
+
+/**
+ * PendingApprovals - Sensitive admin actions waiting for a second admin
+ */
+const PendingApprovals = ({ token }) => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [workingId, setWorkingId] = useState(null);
+  const [temporaryPassword, setTemporaryPassword] = useState(null);
+
+  const loadRequests = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminService.getApprovalRequests(token, { status: 'pending' });
+      setRequests(response.data || []);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load approval requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  const handleApprove = async (request) => {
+    if (!window.confirm(`Approve "${request.label}" for ${request.resource?.label}? It will be carried out immediately.`)) return;
+
+    setWorkingId(request._id);
+    try {
+      const response = await adminService.approveRequest(token, request._id);
+      toast.success(response.message || 'Request approved');
+      if (response.data?.result?.temporaryPassword) {
+        setTemporaryPassword(response.data.result);
+      }
+      await loadRequests();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to approve request');
+      await loadRequests();
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const handleReject = async (request) => {
+    const note = window.prompt('Reason for rejecting (optional):');
+    if (note === null) return;
+
+    setWorkingId(request._id);
+    try {
+      await adminService.rejectRequest(token, request._id, note);
+      toast.success('Request rejected');
+      await loadRequests();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reject request');
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const handleCancel = async (request) => {
+    if (!window.confirm('Withdraw this request?')) return;
+
+    setWorkingId(request._id);
+    try {
+      await adminService.cancelApprovalRequest(token, request._id);
+      toast.success('Request withdrawn');
+      await loadRequests();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to withdraw request');
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const copyPassword = () => {
+    navigator.clipboard.writeText(temporaryPassword.temporaryPassword);
+    toast.success('Copied to clipboard');
+  };
+
+  return (
+    <div className="card p-6 mb-6">
+      <h3 className="font-heading text-xl font-bold text-charcoal flex items-center gap-2 mb-4">
+        <ShieldCheck size={24} />
+        Pending Approvals
+        {requests.length > 0 && (
+          <span className="bg-yellow-100 text-yellow-800 text-sm font-medium px-2 py-0.5 rounded-full">
+            {requests.length}
+          </span>
+        )}
+      </h3>
+
+      {temporaryPassword && (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-4">
+          <p className="text-sm text-green-900">
+            Temporary password for <strong>{temporaryPassword.adminEmail}</strong>:
+          </p>
+          <div className="flex items-center gap-2 mt-2">
+            <code className="bg-white px-3 py-1 rounded border font-mono">{temporaryPassword.temporaryPassword}</code>
+            <button onClick={copyPassword} title="Copy" className="text-green-700 hover:text-green-900">
+              <Copy size={18} />
+            </button>
+            <button onClick={() => setTemporaryPassword(null)} title="Dismiss" className="text-neutral-500 hover:text-neutral-700">
+              <X size={18} />
+            </button>
+          </div>
+          <p className="text-xs text-green-800 mt-2">{temporaryPassword.note}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-4">
+          <div className="spinner mx-auto"></div>
+        </div>
+      ) : requests.length === 0 ? (
+        <p className="text-neutral-500 text-sm">No actions are waiting for approval</p>
+      ) : (
+        <div className="space-y-3">
+          {requests.map((request) => (
+            <div
+              key={request._id}
+              className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 border border-neutral-200 rounded-lg p-4"
+            >
+              <div>
+                <p className="font-medium text-charcoal">
+                  {request.label}: {request.resource?.label || 'n/a'}
+                </p>
+                <p className="text-xs text-neutral-500">
+                  Requested by {personName(request.requestedBy)} on {new Date(request.createdAt).toLocaleString()}
+                </p>
+                {request.reason && (
+                  <p className="text-xs text-neutral-500">Reason: {request.reason}</p>
+                )}
+                <p className="text-xs text-neutral-500 flex items-center gap-1 mt-1">
+                  <Clock size={12} />
+                  Expires {new Date(request.expiresAt).toLocaleString()}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                {request.canDecide && (
+                  <>
+                    <button
+                      onClick={() => handleApprove(request)}
+                      disabled={workingId === request._id}
+                      className="btn-primary text-sm flex items-center gap-1"
+                    >
+                      <Check size={16} />
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleReject(request)}
+                      disabled={workingId === request._id}
+                      className="btn-outline text-sm flex items-center gap-1 text-red-600"
+                    >
+                      <X size={16} />
+                      Reject
+                    </button>
+                  </>
+                )}
+                {request.canCancel && (
+                  <button
+                    onClick={() => handleCancel(request)}
+                    disabled={workingId === request._id}
+                    className="btn-outline text-sm"
+                  >
+                    Withdraw
+                  </button>
+                )}
+                {!request.canDecide && !request.canCancel && (
+                  <span className="text-xs text-neutral-500">Waiting for an authorized admin</span>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PendingApprovals;
@@ -0,0 +1,256 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Trash2, RotateCcw, Search, Paperclip } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { adminService } from '../../services/adminService';
+
+const ITEM_TYPE_LABELS = {
+  post: 'Post',
+  event: 'Event',
+  gallery: 'Gallery Item',
+  partner: 'Partner',
+  testimonial: 'Testimonial',
+};
+
+const STATUS_OPTIONS = [
+  { value: 'deleted', label: 'In Bin' },
+  { value: 'restored', label: 'Restored' },
+  { value: 'purged', label: 'Permanently Deleted' },
+];
+
+const personName = (person) => (person ? `${person.firstName} ${person.lastName}` : 'Unknown');
+
+/**
+ * RecycleBin - Browse, restore or permanently delete deleted content
+ */
+const RecycleBin = ({ token }) => {
+  const [items, setItems] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [workingId, setWorkingId] = useState(null);
+  const [filters, setFilters] = useState({ itemType: '', status: 'deleted', search: '' });
+  const [searchInput, setSearchInput] = useState('');
+  const [page, setPage] = useState(1);
+
+  const loadItems = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { status: filters.status, page };
+      if (filters.itemType) params.itemType = filters.itemType;
+      if (filters.search) params.search = filters.search;
+
+      const response = await adminService.getRecycleBin(token, params);
+      setItems(response.data || []);
+      setPagination(response.pagination || { page: 1, pages: 1, total: 0 });
+      setRetentionDays(response.retentionDays);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load recycle bin');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, filters, page]);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  const updateFilter = (key, value) => {
+    setFilters((current) => ({ ...current, [key]: value }));
+    setPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilter('search', searchInput.trim());
+  };
+
+  const handleRestore = async (item) => {
+    setWorkingId(item._id);
+    try {
+      const response = await adminService.restoreRecycleBinItem(token, item._id);
+      toast.success(response.message || 'Item restored');
+      await loadItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to restore item');
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const handlePurge = async (item) => {
+    const label = item.metadata?.title || ITEM_TYPE_LABELS[item.itemType];
+    if (!window.confirm(`Permanently delete "${label}" and its uploaded files? This cannot be undone.`)) return;
+
+    setWorkingId(item._id);
+    try {
+      const response = await adminService.purgeRecycleBinItem(token, item._id);
+      toast.success(response.message || 'Item permanently deleted');
+      await loadItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete item');
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  return (
+    <div className="card p-6 mt-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2 mb-4">
+        <h3 className="font-heading text-xl font-bold text-charcoal flex items-center gap-2">
+          <Trash2 size={24} />
+          Recycle Bin
+        </h3>
+        {retentionDays && (
+          <p className="text-sm text-neutral-500">
+            Items are permanently deleted {retentionDays} days after deletion
+          </p>
+        )}
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-4 mb-4">
+        <form onSubmit={handleSearch} className="flex-1 relative">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-neutral-400" size={20} />
+          <input
+            type="text"
+            placeholder="Search by title or name..."
+            className="input-field pl-10"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+          />
+        </form>
+        <select
+          className="input-field md:w-48"
+          value={filters.itemType}
+          onChange={(e) => updateFilter('itemType', e.target.value)}
+        >
+          <option value="">All Types</option>
+          {Object.entries(ITEM_TYPE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select
+          className="input-field md:w-56"
+          value={filters.status}
+          onChange={(e) => updateFilter('status', e.target.value)}
+        >
+          {STATUS_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-8">
+          <div className="spinner mx-auto"></div>
+        </div>
+      ) : items.length === 0 ? (
+        <p className="text-neutral-500 text-center py-8">No items found</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-neutral-200 bg-neutral-50">
+                <th className="px-4 py-3 text-left text-sm font-bold text-charcoal">Item</th>
+                <th className="px-4 py-3 text-left text-sm font-bold text-charcoal">Type</th>
+                <th className="px-4 py-3 text-left text-sm font-bold text-charcoal">Deleted</th>
+                <th className="px-4 py-3 text-left text-sm font-bold text-charcoal">
+                  {filters.status === 'deleted' ? 'Purged On' : 'Handled'}
+                </th>
+                {filters.status === 'deleted' && (
+                  <th className="px-4 py-3 text-left text-sm font-bold text-charcoal">Actions</th>
+                )}
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item) => (
+                <tr key={item._id} className="border-b border-neutral-100 hover:bg-neutral-50">
+                  <td className="px-4 py-3">
+                    <p className="font-medium text-charcoal">{item.metadata?.title || 'Untitled'}</p>
+                    {item.deletionReason && (
+                      <p className="text-xs text-neutral-500">Reason: {item.deletionReason}</p>
+                    )}
+                    {item.files?.length > 0 && (
+                      <p className="text-xs text-neutral-500 flex items-center gap-1 mt-1">
+                        <Paperclip size={12} />
+                        {item.files.length} uploaded file{item.files.length === 1 ? '' : 's'}
+                      </p>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm">{ITEM_TYPE_LABELS[item.itemType] || item.itemType}</td>
+                  <td className="px-4 py-3 text-sm">
+                    <p>{new Date(item.deletedAt).toLocaleString()}</p>
+                    <p className="text-xs text-neutral-500">by {personName(item.deletedBy)}</p>
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    {item.restored && (
+                      <>
+                        <p>Restored {new Date(item.restoredAt).toLocaleString()}</p>
+                        <p className="text-xs text-neutral-500">by {personName(item.restoredBy)}</p>
+                      </>
+                    )}
+                    {item.permanentlyDeleted && (
+                      <>
+                        <p>Deleted {new Date(item.permanentlyDeletedAt).toLocaleString()}</p>
+                        <p className="text-xs text-neutral-500">
+                          {item.permanentlyDeletedBy ? `by ${personName(item.permanentlyDeletedBy)}` : 'Retention period ended'}
+                        </p>
+                      </>
+                    )}
+                    {item.purgeAt && new Date(item.purgeAt).toLocaleDateString()}
+                  </td>
+                  {filters.status === 'deleted' && (
+                    <td className="px-4 py-3">
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => handleRestore(item)}
+                          disabled={workingId === item._id}
+                          title="Restore"
+                          className="text-green-600 hover:text-green-800"
+                        >
+                          <RotateCcw size={18} />
+                        </button>
+                        <button
+                          onClick={() => handlePurge(item)}
+                          disabled={workingId === item._id}
+                          title="Delete Permanently"
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          <Trash2 size={18} />
+                        </button>
+                      </div>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination.pages > 1 && (
+        <div className="flex items-center justify-between mt-4 text-sm">
+          <p className="text-neutral-500">{pagination.total} items</p>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="btn-outline text-sm"
+            >
+              Previous
+            </button>
+            <span>Page {pagination.page} of {pagination.pages}</span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.pages}
+              className="btn-outline text-sm"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecycleBin;
@@ -122,6 +122,7 @@ export const PERMISSIONS = {
   MANAGE_PARTNERS: 'manage_partners',
   MANAGE_TESTIMONIALS: 'manage_testimonials',
   MANAGE_ANNOUNCEMENTS: 'manage_announcements',
+  MANAGE_RECYCLE_BIN: 'manage_recycle_bin',
 };
 
 export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
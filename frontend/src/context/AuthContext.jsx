@@ -2,6 +2,12 @@ import React, { createContext, useState, useContext, useEffect, useCallback, use
 import { authService } from '../services/authService';
 import { adminService } from '../services/adminService';
 import { checkPermission } from '../constants/adminRoles';
+import { tokenManager } from '../utils/tokenManager';
+
+// Kept across logouts so a trusted device can skip the two-factor step
+const TRUSTED_DEVICE_KEY = 'twoFactorDeviceToken';
+// The admin's own tokens, put aside while they view the app as a member
+const IMPERSONATOR_KEY = 'impersonatorSession';
 
 const AuthContext = createContext();
 
@@ -17,17 +23,28 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [adminProfile, setAdminProfile] = useState(null);
   const [token, setToken] = useState(localStorage.getItem('token'));
+  const [impersonation, setImpersonation] = useState(null);
   const [loading, setLoading] = useState(true);
 
   const loadUser = useCallback(async () => {
     try {
-      const userData = await authService.getProfile(token);
+      // Refreshes the access token first if it has expired
+      const accessToken = tokenManager.refreshToken ? await tokenManager.getAccessToken() : token;
+      const userData = await authService.getProfile(accessToken);
       setUser(userData);
+
+      // Tokens of an impersonation session name the admin in an act claim
+      if (tokenManager.getTokenInfo()?.impersonatedBy) {
+        const current = await adminService.getCurrentImpersonation(accessToken);
+        setImpersonation(current.data);
+      } else {
+        setImpersonation(null);
+      }
       
       // Load admin profile if user is admin
       if (userData && (userData.role === 'admin' || userData.role === 'moderator')) {
         try {
-          const adminData = await adminService.getAdminProfile(token);
+          const adminData = await adminService.getAdminProfile(accessToken);
           setAdminProfile(adminData.data);
         } catch (error) {
           // Not an admin or admin profile doesn't exist
@@ -50,11 +67,30 @@ export const AuthProvider = ({ children }) => {
     }
   }, [token]);
 
-  const login = useCallback(async (email, password) => {
-    const response = await authService.login(email, password);
+  // Follow silent refreshes, and logouts in other tabs
+  useEffect(() => {
+    const handleTokensUpdated = ({ accessToken }) => setToken(accessToken);
+    const handleSessionEnded = () => {
+      setUser(null);
+      setAdminProfile(null);
+      setImpersonation(null);
+      setToken(null);
+    };
+
+    tokenManager.addListener('tokensUpdated', handleTokensUpdated);
+    tokenManager.addListener('tokensCleared', handleSessionEnded);
+    tokenManager.addListener('refreshFailed', handleSessionEnded);
+    return () => {
+      tokenManager.removeListener('tokensUpdated', handleTokensUpdated);
+      tokenManager.removeListener('tokensCleared', handleSessionEnded);
+      tokenManager.removeListener('refreshFailed', handleSessionEnded);
+    };
+  }, []);
+
+  const finishLogin = useCallback(async (response) => {
+    tokenManager.setTokens(response.token, response.refreshToken, response.expiresIn);
     setToken(response.token);
     setUser(response.user);
-    localStorage.setItem('token', response.token);
     
     // Load admin profile if admin
     if (response.user && (response.user.role === 'admin' || response.user.role === 'moderator')) {
@@ -68,24 +104,124 @@ export const AuthProvider = ({ children }) => {
         setAdminProfile(null);
       }
     }
-    
-    return response;
   }, []);
 
+  const login = useCallback(async (email, password) => {
+    const deviceToken = localStorage.getItem(TRUSTED_DEVICE_KEY) || undefined;
+    const response = await authService.login(email, password, deviceToken);
+
+    // Two-factor accounts get a challenge instead of a token; the caller asks for a code
+    if (response.twoFactorRequired) {
+      return response;
+    }
+
+    await finishLogin(response);
+    return response;
+  }, [finishLogin]);
+
+  const completeTwoFactorLogin = useCallback(async (challengeToken, code, trustDevice) => {
+    const response = await authService.completeTwoFactorLogin(
+      challengeToken,
+      code,
+      trustDevice,
+      navigator.userAgent.slice(0, 100)
+    );
+    if (response.deviceToken) {
+      localStorage.setItem(TRUSTED_DEVICE_KEY, response.deviceToken);
+    }
+
+    await finishLogin(response);
+    return response;
+  }, [finishLogin]);
+
   const register = useCallback(async (userData) => {
     const response = await authService.register(userData);
+    tokenManager.setTokens(response.token, response.refreshToken, response.expiresIn);
     setToken(response.token);
     setUser(response.user);
-    localStorage.setItem('token', response.token);
     return response;
   }, []);
 
+  /**
+   * View the app as a member (super admins only)
+   * The admin's own tokens are put aside until the session is stopped.
+   */
+  const startImpersonation = useCallback(async (userId, reason, readOnly = true) => {
+    const response = await adminService.startImpersonation(token, userId, { reason, readOnly });
+
+    localStorage.setItem(IMPERSONATOR_KEY, JSON.stringify({
+      tokens: {
+        accessToken: tokenManager.accessToken,
+        refreshToken: tokenManager.refreshToken,
+        tokenExpiry: tokenManager.tokenExpiry
+      },
+      returnTo: window.location.pathname
+    }));
+
+    setLoading(true);
+    setAdminProfile(null);
+    setImpersonation(response.data.impersonation);
+    // No refresh token: the session ends when its access token does
+    tokenManager.setTokens(response.data.token, null, response.data.expiresIn);
+    return response.data.impersonation;
+  }, [token]);
+
+  /**
+   * Stop viewing as a member and return to the admin's own account
+   * @returns {string|null} Page the admin started from
+   */
+  const stopImpersonation = useCallback(async () => {
+    const saved = JSON.parse(localStorage.getItem(IMPERSONATOR_KEY) || 'null');
+    const currentToken = localStorage.getItem('token');
+    if (currentToken && tokenManager.getTokenInfo()?.impersonatedBy) {
+      await adminService.stopImpersonation(currentToken).catch(() => {});
+    }
+
+    localStorage.removeItem(IMPERSONATOR_KEY);
+    setImpersonation(null);
+
+    if (saved?.tokens?.accessToken) {
+      // Admin routes wait while the admin's profile loads again
+      setLoading(true);
+      const expiresIn = Math.max(0, Math.floor((saved.tokens.tokenExpiry - Date.now()) / 1000));
+      tokenManager.setTokens(saved.tokens.accessToken, saved.tokens.refreshToken, expiresIn);
+      return saved.returnTo || null;
+    }
+
+    tokenManager.clearTokens();
+    setToken(null);
+    return null;
+  }, []);
+
+  // Impersonation sessions are short; return to the admin's account when one runs out
+  useEffect(() => {
+    if (!impersonation) return undefined;
+
+    const remaining = new Date(impersonation.expiresAt).getTime() - Date.now();
+    const timer = setTimeout(() => {
+      stopImpersonation();
+    }, Math.max(0, remaining));
+    return () => clearTimeout(timer);
+  }, [impersonation, stopImpersonation]);
+
   const logout = useCallback(() => {
+    // Signing out of an impersonation session returns the admin to their own account
+    if (localStorage.getItem(IMPERSONATOR_KEY)) {
+      stopImpersonation();
+      return;
+    }
+
+    // End the session on the server; the local logout doesn't wait for it
+    const currentToken = localStorage.getItem('token');
+    if (currentToken) {
+      authService.logout(currentToken).catch(() => {});
+    }
+
+    tokenManager.clearTokens();
     setUser(null);
     setAdminProfile(null);
     setToken(null);
-    localStorage.removeItem('token');
-  }, []);
+  }, [stopImpersonation]);
 
   const updateUser = useCallback((updatedUser) => {
     setUser(updatedUser);
@@ -108,15 +244,19 @@ export const AuthProvider = ({ children }) => {
     user,
     adminProfile,
     token,
+    impersonation,
     loading,
     login,
+    completeTwoFactorLogin,
     register,
     logout,
+    startImpersonation,
+    stopImpersonation,
     updateUser,
     isAdmin,
     hasPermission,
     isAuthenticated
-  }), [user, adminProfile, token, loading, login, register, logout, updateUser, isAdmin, hasPermission, isAuthenticated]);
+  }), [user, adminProfile, token, impersonation, loading, login, completeTwoFactorLogin, register, logout, startImpersonation, stopImpersonation, updateUser, isAdmin, hasPermission, isAuthenticated]);
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
 };
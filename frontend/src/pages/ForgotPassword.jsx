@@ -0,0 +1,100 @@
+/**
+ * Forgot Password Page
+ * Requests a password reset link by email
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Mail, CheckCircle2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { authService } from '../services/authService';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await authService.forgotPassword(email);
+      setSent(true);
+    } catch (error) {
+      const errors = error.response?.data?.errors;
+      const message = errors && typeof errors === 'object'
+        ? Object.values(errors)[0]
+        : error.response?.data?.message;
+      toast.error(message || 'Failed to request a password reset. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-neutral-50 py-12">
+      <div className="container-custom">
+        <div className="max-w-md mx-auto">
+          <div className="text-center mb-8">
+            <h1 className="font-heading text-4xl font-bold text-charcoal mb-2">
+              Forgot Password
+            </h1>
+            <p className="text-neutral-600">
+              Enter your email address and we will send you a link to reset your password
+            </p>
+          </div>
+
+          <div className="card p-8">
+            {sent ? (
+              <div className="text-center space-y-4">
+                <CheckCircle2 className="w-12 h-12 text-green-600 mx-auto" />
+                <p className="text-neutral-700">
+                  If an account exists for <strong>{email}</strong>, a password reset link is on its way. The link expires in 10 minutes.
+                </p>
+                <Link to="/login" className="btn-primary w-full text-center block">
+                  Back to Login
+                </Link>
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <div>
+                  <label className="block text-sm font-semibold text-charcoal mb-2">
+                    Email Address
+                  </label>
+                  <div className="relative">
+                    <Mail size={20} className="absolute left-3 top-1/2 transform -translate-y-1/2 text-neutral-400" />
+                    <input
+                      type="email"
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      required
+                      className="input-field pl-11"
+                      placeholder="your.email@example.com"
+                    />
+                  </div>
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full btn-primary"
+                >
+                  {loading ? <div className="spinner w-5 h-5 mx-auto"></div> : 'Send Reset Link'}
+                </button>
+
+                <p className="text-center text-sm">
+                  <Link to="/login" className="text-primary hover:underline">
+                    Back to Login
+                  </Link>
+                </p>
+              </form>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
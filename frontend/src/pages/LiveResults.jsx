@@ -5,7 +5,7 @@
 
 import React, { useState, useEffect, useRef } from 'react';
 import { useParams } from 'react-router-dom';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
 import { io } from 'socket.io-client';
 import { CheckCircle2, Users, TrendingUp, Clock } from 'lucide-react';
 import { toast } from 'react-toastify';
@@ -19,10 +19,20 @@ const LiveResults = () => {
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(true);
   const [connected, setConnected] = useState(false);
+  const [receiptCode, setReceiptCode] = useState('');
+  const [receiptCheck, setReceiptCheck] = useState(null);
+  const [analytics, setAnalytics] = useState(null);
   const socketRef = useRef(null);
 
   const COLORS = ['#667eea', '#764ba2', '#f093fb', '#4facfe', '#00f2fe', '#43e97b', '#fa709a'];
 
+  const BREAKDOWN_LABELS = {
+    chapter: 'Chapter',
+    yearOfStudy: 'Year of Study',
+    course: 'Course',
+    membershipTier: 'Membership Tier'
+  };
+
   useEffect(() => {
     // Load initial results
     loadInitialResults();
@@ -87,6 +97,29 @@ const LiveResults = () => {
     };
   }, [electionId]);
 
+  // Turnout analytics are published once voting has closed on elections with public results
+  const electionStatus = results?.election?.status;
+  useEffect(() => {
+    if (electionStatus === 'closed') {
+      loadAnalytics();
+    }
+  }, [electionId, electionStatus]);
+
+  const loadAnalytics = async () => {
+    try {
+      const response = await fetch(
+        buildUrl(`/vote/results/${electionId}/analytics`)
+      );
+      const data = await response.json();
+
+      if (data.success) {
+        setAnalytics(data.data);
+      }
+    } catch (error) {
+      console.error('Failed to load turnout analytics:', error);
+    }
+  };
+
   const loadInitialResults = async () => {
     try {
       const response = await fetch(
@@ -105,6 +138,31 @@ const LiveResults = () => {
     }
   };
 
+  const verifyReceipt = async (event) => {
+    event.preventDefault();
+    if (!receiptCode.trim()) {
+      return;
+    }
+
+    try {
+      const response = await fetch(buildUrl('/vote/receipts/verify'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ receiptCode: receiptCode.trim() })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setReceiptCheck(data.data);
+      } else {
+        toast.error(data.message || 'Failed to verify receipt');
+      }
+    } catch (error) {
+      console.error('Receipt verification error:', error);
+      toast.error('Failed to verify receipt');
+    }
+  };
+
   const handleVoteUpdate = (update) => {
     setResults(prev => {
       if (!prev) return prev;
@@ -228,6 +286,16 @@ const LiveResults = () => {
                   <p className="text-neutral-600 mb-6">{position.description}</p>
                 )}
 
+                {/* Tie Notice */}
+                {positionData.tie && !positionData.tie.resolved && (
+                  <div className="bg-orange-50 border border-orange-200 rounded-lg p-4 mb-6">
+                    <p className="font-bold text-charcoal">Tie</p>
+                    <p className="text-neutral-600">
+                      {positionData.tie.candidates.length} candidates are tied for {positionData.tie.seats} seat(s). The returning officer will record a tie-break.
+                    </p>
+                  </div>
+                )}
+
                 {/* Leader Badge */}
                 {leader && leader.votesCount > 0 && (
                   <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
@@ -299,6 +367,11 @@ const LiveResults = () => {
                           <div>
                             <h4 className="font-heading font-bold text-charcoal">
                               {candidate.name}
+                              {candidate.isElected && election.status === 'closed' && (
+                                <span className="ml-2 px-2 py-0.5 bg-green-100 text-green-800 rounded-full text-xs font-medium">
+                                  Elected
+                                </span>
+                              )}
                             </h4>
                             {candidate.bio && (
                               <p className="text-sm text-neutral-600">{candidate.bio}</p>
@@ -325,6 +398,35 @@ const LiveResults = () => {
                   ))}
                 </div>
 
+                {/* Instant-runoff rounds (ranked-choice positions) */}
+                {positionData.runoff && positionData.runoff.rounds.length > 0 && (
+                  <div className="mt-6">
+                    <h3 className="font-heading font-bold text-charcoal mb-4">Instant-Runoff Rounds</h3>
+                    <div className="space-y-3">
+                      {positionData.runoff.rounds.map((round) => (
+                        <div key={round.round} className="border border-neutral-200 rounded-lg p-4">
+                          <p className="font-bold text-charcoal mb-2">Round {round.round}</p>
+                          <ul className="text-sm text-neutral-700 space-y-1">
+                            {round.tallies.map((tally) => (
+                              <li key={tally.candidateId} className="flex justify-between">
+                                <span>
+                                  {tally.name}
+                                  {round.elected === tally.candidateId && ' — elected'}
+                                  {round.eliminated.includes(tally.candidateId) && ' — eliminated'}
+                                </span>
+                                <span>{tally.votes}</span>
+                              </li>
+                            ))}
+                          </ul>
+                          {round.exhausted > 0 && (
+                            <p className="text-xs text-neutral-500 mt-2">{round.exhausted} exhausted ballots</p>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Statistics */}
                 <div className="mt-6 grid grid-cols-3 gap-4 pt-6 border-t border-neutral-200">
                   <div className="text-center">
@@ -347,6 +449,129 @@ const LiveResults = () => {
           })}
         </div>
 
+        {/* Turnout Analytics */}
+        {analytics && (
+          <div className="card p-6 mt-8">
+            <h2 className="font-heading text-2xl font-bold text-charcoal mb-2">Turnout Analytics</h2>
+            <p className="text-sm text-neutral-600 mb-6">
+              Who took part and when. Small groups are combined so no individual voter can be identified, and no choices are shown.
+            </p>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+              <div className="text-center">
+                <p className="text-2xl font-bold text-charcoal">{analytics.summary.voted}</p>
+                <p className="text-sm text-neutral-600">Voters</p>
+              </div>
+              <div className="text-center">
+                <p className="text-2xl font-bold text-charcoal">{analytics.summary.eligible}</p>
+                <p className="text-sm text-neutral-600">Eligible</p>
+              </div>
+              <div className="text-center">
+                <p className="text-2xl font-bold text-charcoal">{analytics.summary.turnoutPercentage}%</p>
+                <p className="text-sm text-neutral-600">Turnout</p>
+              </div>
+              <div className="text-center">
+                <p className="text-2xl font-bold text-charcoal">{analytics.links.linkToVoteRate}%</p>
+                <p className="text-sm text-neutral-600">Voting Links Used</p>
+              </div>
+            </div>
+
+            {/* Hourly voting curve */}
+            {analytics.byHour.length > 0 && (
+              <div className="mb-8">
+                <h3 className="font-heading font-bold text-charcoal mb-4">Voting Over Time</h3>
+                <ResponsiveContainer width="100%" height={300}>
+                  <LineChart
+                    data={analytics.byHour.map((point) => ({
+                      ...point,
+                      label: new Date(point.hour).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit' })
+                    }))}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" />
+                    <YAxis yAxisId="voters" />
+                    <YAxis yAxisId="turnout" orientation="right" unit="%" />
+                    <Tooltip />
+                    <Legend />
+                    <Line yAxisId="voters" type="monotone" dataKey="voters" name="Voters this hour" stroke="#667eea" />
+                    <Line yAxisId="turnout" type="monotone" dataKey="cumulativeTurnoutPercentage" name="Turnout (%)" stroke="#43e97b" dot={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+
+            {/* Demographic breakdowns */}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+              {Object.entries(analytics.breakdowns)
+                .filter(([, rows]) => rows.length > 0)
+                .map(([field, rows]) => (
+                  <div key={field}>
+                    <h3 className="font-heading font-bold text-charcoal mb-4">
+                      Turnout by {BREAKDOWN_LABELS[field] || field}
+                    </h3>
+                    <ResponsiveContainer width="100%" height={250}>
+                      <BarChart data={rows.filter((row) => !row.suppressed)}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="group" />
+                        <YAxis unit="%" domain={[0, 100]} />
+                        <Tooltip />
+                        <Bar dataKey="turnoutPercentage" name="Turnout (%)" fill="#764ba2" />
+                      </BarChart>
+                    </ResponsiveContainer>
+                    {rows.some((row) => row.suppressed) && (
+                      <p className="text-xs text-neutral-500 mt-2">Groups too small to report are not shown.</p>
+                    )}
+                  </div>
+                ))}
+            </div>
+
+            {/* Voting link conversion */}
+            <div className="grid grid-cols-3 gap-4 pt-6 border-t border-neutral-200">
+              <div className="text-center">
+                <p className="text-2xl font-bold text-charcoal">{analytics.links.links}</p>
+                <p className="text-sm text-neutral-600">Voting Links Issued</p>
+              </div>
+              <div className="text-center">
+                <p className="text-2xl font-bold text-charcoal">{analytics.links.openRate}%</p>
+                <p className="text-sm text-neutral-600">Opened</p>
+              </div>
+              <div className="text-center">
+                <p className="text-2xl font-bold text-charcoal">{analytics.links.openToVoteRate}%</p>
+                <p className="text-sm text-neutral-600">Opened Links Used to Vote</p>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Receipt Verification */}
+        <div className="card p-6 mt-8">
+          <h2 className="font-heading text-xl font-bold text-charcoal mb-2">Check Your Ballot Receipt</h2>
+          <p className="text-sm text-neutral-600 mb-4">
+            Enter the receipt code you were given when voting to confirm your ballot is on the bulletin board. Your choice is not shown.
+          </p>
+          <form onSubmit={verifyReceipt} className="flex flex-col sm:flex-row gap-3">
+            <input
+              type="text"
+              value={receiptCode}
+              onChange={(e) => setReceiptCode(e.target.value)}
+              placeholder="XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX"
+              className="input-field flex-1 font-mono"
+            />
+            <button type="submit" className="btn-primary">Verify</button>
+          </form>
+          {receiptCheck && (
+            <p className={`mt-4 text-sm font-medium ${receiptCheck.found && receiptCheck.intact && !receiptCheck.invalidated ? 'text-green-700' : 'text-red-700'}`}>
+              {receiptCheck.found
+                ? (!receiptCheck.intact
+                  ? 'Your receipt was found but the ballot record failed its integrity check. Please contact the electoral commission.'
+                  : receiptCheck.invalidated
+                    ? `Your ballot for ${receiptCheck.position?.name || 'this position'} is on the bulletin board but was invalidated under an election dispute and is not counted.`
+                    : `Your ballot for ${receiptCheck.position?.name || 'this position'} is recorded on the bulletin board.`)
+                : 'No ballot with this receipt code was found.'}
+            </p>
+          )}
+        </div>
+
         {/* Last Update */}
         <div className="mt-6 text-center text-sm text-neutral-500">
           <Clock size={16} className="inline mr-1" />
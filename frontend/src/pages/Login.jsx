@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { Mail, Lock, User, Phone, BookOpen } from 'lucide-react';
+import { Mail, Lock, User, Phone, BookOpen, ShieldCheck } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { useRecaptcha } from '../hooks/useRecaptcha';
 import { toast } from 'react-toastify';
@@ -8,7 +8,7 @@ import { toast } from 'react-toastify';
 const Login = () => {
   const [isLogin, setIsLogin] = useState(true);
   const [loading, setLoading] = useState(false);
-  const { login, register } = useAuth();
+  const { login, completeTwoFactorLogin, register } = useAuth();
   const navigate = useNavigate();
   
   // reCAPTCHA for login
@@ -21,6 +21,11 @@ const Login = () => {
     password: ''
   });
 
+  // Set when the account needs a second login step
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [trustDevice, setTrustDevice] = useState(false);
+
   const [registerData, setRegisterData] = useState({
     firstName: '',
     lastName: '',
@@ -41,20 +46,29 @@ const Login = () => {
     setRegisterData({ ...registerData, [e.target.name]: e.target.value });
   };
 
+  const redirectAfterLogin = (loggedInUser) => {
+    // Route based on user role
+    if (loggedInUser && (loggedInUser.role === 'admin' || loggedInUser.role === 'moderator')) {
+      navigate('/admin/dashboard');
+    } else {
+      navigate('/portal/dashboard');
+    }
+  };
+
  const handleLogin = async (e) => {
   e.preventDefault();
   setLoading(true);
 
   try {
     const response = await login(loginData.email, loginData.password);
-    toast.success('Login successful!');
-    
-    // Route based on user role
-    if (response.user && (response.user.role === 'admin' || response.user.role === 'moderator')) {
-      navigate('/admin/dashboard');
-    } else {
-      navigate('/portal/dashboard');
+    if (response.twoFactorRequired) {
+      setTwoFactor({ challengeToken: response.challengeToken });
+      setTwoFactorCode('');
+      return;
     }
+
+    toast.success('Login successful!');
+    redirectAfterLogin(response.user);
   } catch (error) {
     toast.error(error.response?.data?.message || 'Login failed. Please try again.');
   } finally {
@@ -62,6 +76,25 @@ const Login = () => {
   }
 };
 
+  const handleTwoFactor = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await completeTwoFactorLogin(twoFactor.challengeToken, twoFactorCode.trim(), trustDevice);
+      toast.success('Login successful!');
+      redirectAfterLogin(response.user);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Verification failed. Please try again.');
+      // An expired challenge cannot be retried; start over with the password
+      if (error.response?.data?.message?.includes('expired')) {
+        setTwoFactor(null);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleRegister = async (e) => {
     e.preventDefault();
 
@@ -129,7 +162,7 @@ const Login = () => {
       }
       
       const response = await register(cleanedData);
-      toast.success('Registration successful! Welcome to ELP!');
+      toast.success('Registration successful! Please check your email to verify your address.');
       
       // Members always go to member portal after registration
       navigate('/portal/dashboard');
@@ -199,7 +232,56 @@ const Login = () => {
                 </button>
               </div>
 
-              {isLogin ? (
+              {isLogin && twoFactor ? (
+                /* Two-Factor Step */
+                <form onSubmit={handleTwoFactor} className="space-y-6">
+                  <div className="text-center">
+                    <ShieldCheck size={40} className="text-primary mx-auto mb-2" />
+                    <h2 className="font-heading text-xl font-bold text-charcoal">Two-Factor Authentication</h2>
+                    <p className="text-sm text-neutral-600 mt-1">
+                      Enter the 6-digit code from your authenticator app, or one of your backup codes.
+                    </p>
+                  </div>
+
+                  <input
+                    type="text"
+                    inputMode="text"
+                    autoComplete="one-time-code"
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                    required
+                    autoFocus
+                    className="input-field text-center tracking-widest"
+                    placeholder="123456"
+                  />
+
+                  <label className="flex items-center text-sm">
+                    <input
+                      type="checkbox"
+                      checked={trustDevice}
+                      onChange={(e) => setTrustDevice(e.target.checked)}
+                      className="mr-2"
+                    />
+                    <span className="text-neutral-600">Trust this device for 30 days</span>
+                  </label>
+
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="w-full btn-primary"
+                  >
+                    {loading ? <div className="spinner w-5 h-5 mx-auto"></div> : 'Verify'}
+                  </button>
+
+                  <button
+                    type="button"
+                    onClick={() => setTwoFactor(null)}
+                    className="w-full text-sm text-neutral-600 hover:underline"
+                  >
+                    Back to login
+                  </button>
+                </form>
+              ) : isLogin ? (
                 /* Login Form */
                 <form onSubmit={handleLogin} className="space-y-6">
                   <div>
@@ -0,0 +1,140 @@
+/**
+ * Reset Password Page
+ * Sets a new password using the token from a password reset email
+ */
+
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Lock } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { authService } from '../services/authService';
+import { useAuth } from '../context/AuthContext';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+  const { logout } = useAuth();
+  const [loading, setLoading] = useState(false);
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password !== formData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await authService.resetPassword(token, formData.password, formData.confirmPassword);
+      // Any session on this device ended with the password change
+      logout();
+      toast.success(response.message || 'Password reset successfully');
+      navigate('/login');
+    } catch (error) {
+      const errors = error.response?.data?.errors;
+      const message = errors && typeof errors === 'object'
+        ? Object.values(errors)[0]
+        : error.response?.data?.message;
+      toast.error(message || 'Failed to reset password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-neutral-50 py-12">
+      <div className="container-custom">
+        <div className="max-w-md mx-auto">
+          <div className="text-center mb-8">
+            <h1 className="font-heading text-4xl font-bold text-charcoal mb-2">
+              Reset Password
+            </h1>
+            <p className="text-neutral-600">
+              Choose a new password for your account
+            </p>
+          </div>
+
+          <div className="card p-8">
+            {!token ? (
+              <div className="text-center space-y-4">
+                <p className="text-neutral-700">
+                  This password reset link is incomplete. Please use the link from your email or request a new one.
+                </p>
+                <Link to="/forgot-password" className="btn-primary w-full text-center block">
+                  Request a New Link
+                </Link>
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <div>
+                  <label className="block text-sm font-semibold text-charcoal mb-2">
+                    New Password
+                  </label>
+                  <div className="relative">
+                    <Lock size={20} className="absolute left-3 top-1/2 transform -translate-y-1/2 text-neutral-400" />
+                    <input
+                      type="password"
+                      name="password"
+                      value={formData.password}
+                      onChange={handleChange}
+                      required
+                      minLength={6}
+                      className="input-field pl-11"
+                      placeholder="••••••••"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-semibold text-charcoal mb-2">
+                    Confirm New Password
+                  </label>
+                  <div className="relative">
+                    <Lock size={20} className="absolute left-3 top-1/2 transform -translate-y-1/2 text-neutral-400" />
+                    <input
+                      type="password"
+                      name="confirmPassword"
+                      value={formData.confirmPassword}
+                      onChange={handleChange}
+                      required
+                      minLength={6}
+                      className="input-field pl-11"
+                      placeholder="••••••••"
+                    />
+                  </div>
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full btn-primary"
+                >
+                  {loading ? <div className="spinner w-5 h-5 mx-auto"></div> : 'Reset Password'}
+                </button>
+
+                <p className="text-center text-sm text-neutral-600">
+                  Link expired?{' '}
+                  <Link to="/forgot-password" className="text-primary hover:underline">
+                    Request a new one
+                  </Link>
+                </p>
+              </form>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,80 @@
+/**
+ * Verify Email Page
+ * Confirms an email address using the token from a verification email
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { CheckCircle2, AlertCircle } from 'lucide-react';
+import { authService } from '../services/authService';
+import { useAuth } from '../context/AuthContext';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, updateUser } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  // Tokens are single-use, so the request must not be repeated
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    authService.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        setMessage(response.message || 'Email verified successfully');
+        if (user) {
+          updateUser({ ...user, isVerified: true });
+        }
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Verification link is invalid or has expired');
+      });
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-neutral-50 py-12">
+      <div className="container-custom">
+        <div className="max-w-md mx-auto card p-8 text-center space-y-4">
+          {status === 'verifying' && (
+            <>
+              <div className="spinner w-12 h-12 mx-auto"></div>
+              <p className="text-neutral-600">Verifying your email address...</p>
+            </>
+          )}
+
+          {status === 'verified' && (
+            <>
+              <CheckCircle2 className="w-12 h-12 text-green-600 mx-auto" />
+              <h1 className="font-heading text-2xl font-bold text-charcoal">Email Verified</h1>
+              <p className="text-neutral-600">{message}</p>
+              <Link to={user ? '/portal/dashboard' : '/login'} className="btn-primary w-full text-center block">
+                {user ? 'Go to Dashboard' : 'Log In'}
+              </Link>
+            </>
+          )}
+
+          {status === 'error' && (
+            <>
+              <AlertCircle className="w-12 h-12 text-red-600 mx-auto" />
+              <h1 className="font-heading text-2xl font-bold text-charcoal">Verification Failed</h1>
+              <p className="text-neutral-600">{message}</p>
+              <p className="text-sm text-neutral-600">
+                You can request a new verification email from your profile.
+              </p>
+              <Link to={user ? '/portal/profile' : '/login'} className="btn-primary w-full text-center block">
+                {user ? 'Go to Profile' : 'Log In'}
+              </Link>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
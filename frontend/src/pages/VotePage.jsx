@@ -1,6 +1,7 @@
 /**
  * Vote Page
  * Accessible via unique voting token link: /vote/:token
+ * or with a one-time voting code at /vote
  */
 
 import React, { useState, useEffect } from 'react';
@@ -11,34 +12,50 @@ import { useRecaptcha } from '../hooks/useRecaptcha';
 import { buildUrl } from '../config/api';
 
 const VotePage = () => {
-  const { token } = useParams();
+  const { token: linkToken } = useParams();
   const navigate = useNavigate();
-  const [loading, setLoading] = useState(true);
+  // Link token, from the URL or received in exchange for a voting code
+  const [token, setToken] = useState(linkToken || null);
+  const [codeForm, setCodeForm] = useState({ identifier: '', code: '' });
+  const [loading, setLoading] = useState(Boolean(linkToken));
   const [submitting, setSubmitting] = useState(false);
   const [electionData, setElectionData] = useState(null);
   const [selectedCandidates, setSelectedCandidates] = useState({});
+  // In-progress ranked-choice / approval selections, keyed by position
+  const [draftBallots, setDraftBallots] = useState({});
+  // Ballot receipt codes issued this session, keyed by position
+  const [receipts, setReceipts] = useState({});
   const [votedPositions, setVotedPositions] = useState(new Set());
   const recaptcha = useRecaptcha('v3', 'vote');
 
   useEffect(() => {
-    if (token) {
-      validateToken();
+    if (linkToken) {
+      validateToken({ token: linkToken });
     }
-  }, [token]);
+  }, [linkToken]);
+
+  /**
+   * Validate a voting link token, or redeem a one-time voting code
+   * @param {Object} credentials - { token } or { code, identifier }
+   */
+  const validateToken = async (credentials) => {
+    const isCode = Boolean(credentials.code);
 
-  const validateToken = async () => {
     try {
       setLoading(true);
       const response = await fetch(buildUrl('/vote/validate-link'), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ token })
+        body: JSON.stringify(credentials)
       });
 
       const data = await response.json();
 
       if (data.success) {
         setElectionData(data.data);
+        if (data.data.token) {
+          setToken(data.data.token);
+        }
         
         // Mark positions that are already voted
         const voted = new Set();
@@ -49,25 +66,56 @@ const VotePage = () => {
         });
         setVotedPositions(voted);
       } else {
-        toast.error(data.message || 'Invalid voting link');
-        navigate('/');
+        toast.error(data.message || (isCode ? 'Invalid voting code' : 'Invalid voting link'));
+        if (!isCode) {
+          navigate('/');
+        }
       }
     } catch (error) {
       console.error('Token validation error:', error);
-      toast.error('Failed to validate voting link');
-      navigate('/');
+      toast.error(isCode ? 'Failed to check voting code' : 'Failed to validate voting link');
+      if (!isCode) {
+        navigate('/');
+      }
     } finally {
       setLoading(false);
     }
   };
 
-  const handleVote = async (positionId, candidateId) => {
+  const toggleDraftSelection = (positionId, candidateId, maxSelections = Infinity) => {
+    const current = draftBallots[positionId] || [];
+    if (!current.includes(candidateId) && current.length >= maxSelections) {
+      toast.warning(`You can select at most ${maxSelections} candidates for this position`);
+      return;
+    }
+    const next = current.includes(candidateId)
+      ? current.filter(id => id !== candidateId)
+      : [...current, candidateId];
+    setDraftBallots({ ...draftBallots, [positionId]: next });
+  };
+
+  /**
+   * Submit a ballot for a position
+   * @param {string} positionId
+   * @param {string|string[]} selection - candidate ID for plurality, or the
+   *   ranked / approved candidate IDs for ranked-choice and approval positions
+   */
+  const handleVote = async (positionId, selection) => {
     if (votedPositions.has(positionId)) {
       toast.warning('You have already voted for this position');
       return;
     }
 
-    if (!window.confirm('Are you sure you want to vote for this candidate? This action cannot be undone.')) {
+    const isBallot = Array.isArray(selection);
+    if (isBallot && selection.length === 0) {
+      toast.warning('Select at least one candidate');
+      return;
+    }
+
+    const confirmMessage = isBallot
+      ? 'Are you sure you want to submit this ballot? This action cannot be undone.'
+      : 'Are you sure you want to vote for this candidate? This action cannot be undone.';
+    if (!window.confirm(confirmMessage)) {
       return;
     }
 
@@ -89,7 +137,7 @@ const VotePage = () => {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          candidateId,
+          ...(isBallot ? { candidateIds: selection } : { candidateId: selection }),
           positionId,
           electionId: electionData.election._id,
           token,
@@ -101,13 +149,11 @@ const VotePage = () => {
 
       if (data.success) {
         toast.success('Vote cast successfully!');
-        setSelectedCandidates({ ...selectedCandidates, [positionId]: candidateId });
+        setSelectedCandidates({ ...selectedCandidates, [positionId]: isBallot ? selection[0] : selection });
         setVotedPositions(new Set([...votedPositions, positionId]));
-        
-        // Redirect to results after a delay
-        setTimeout(() => {
-          navigate(`/elections/${electionData.election._id}/results`);
-        }, 2000);
+        if (data.data.receipt) {
+          setReceipts({ ...receipts, [positionId]: data.data.receipt.code });
+        }
       } else {
         toast.error(data.message || 'Failed to cast vote');
       }
@@ -130,6 +176,48 @@ const VotePage = () => {
     );
   }
 
+  if (!electionData && !linkToken) {
+    return (
+      <div className="min-h-screen bg-neutral-50 flex items-center justify-center p-4">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            validateToken(codeForm);
+          }}
+          className="card p-8 max-w-md w-full space-y-4"
+        >
+          <h1 className="font-heading text-2xl font-bold text-charcoal">
+            Vote with a Code
+          </h1>
+          <p className="text-neutral-600 text-sm">
+            Enter the email or phone number on your membership and the one-time code you received.
+          </p>
+          <input
+            type="text"
+            placeholder="Email or phone number"
+            className="input-field"
+            value={codeForm.identifier}
+            onChange={(e) => setCodeForm({ ...codeForm, identifier: e.target.value })}
+            required
+          />
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="Voting code"
+            className="input-field"
+            value={codeForm.code}
+            onChange={(e) => setCodeForm({ ...codeForm, code: e.target.value })}
+            required
+          />
+          <button type="submit" className="btn-primary w-full">
+            Continue
+          </button>
+        </form>
+      </div>
+    );
+  }
+
   if (!electionData) {
     return null;
   }
@@ -175,7 +263,7 @@ const VotePage = () => {
           <div className="card p-6 mb-6 bg-blue-50 border-blue-200">
             <h3 className="font-heading font-bold text-charcoal mb-2">Voting Instructions</h3>
             <ul className="list-disc list-inside text-sm text-neutral-700 space-y-1">
-              <li>Select one candidate per position</li>
+              <li>Select one candidate per position, unless the position asks you to rank or approve candidates</li>
               <li>You can vote for multiple positions</li>
               <li>Once submitted, your vote cannot be changed</li>
               <li>Your vote is anonymous and secure</li>
@@ -188,6 +276,12 @@ const VotePage = () => {
           {positions.map((position) => {
             const hasVoted = votedPositions.has(position._id);
             const selectedCandidate = selectedCandidates[position._id];
+            const votingMethod = position.votingMethod || 'plurality';
+            const seats = position.seats || 1;
+            // Multi-seat plurality positions collect up to `seats` selections before submitting
+            const usesDraft = votingMethod !== 'plurality' || seats > 1;
+            const maxSelections = votingMethod === 'plurality' ? seats : Infinity;
+            const draft = draftBallots[position._id] || [];
 
             return (
               <div key={position._id} className="card p-6">
@@ -197,6 +291,21 @@ const VotePage = () => {
                 {position.description && (
                   <p className="text-neutral-600 mb-6">{position.description}</p>
                 )}
+                {!hasVoted && votingMethod === 'plurality' && seats > 1 && (
+                  <p className="text-sm text-neutral-600 mb-4">
+                    {seats} seats are available. Select up to {seats} candidates.
+                  </p>
+                )}
+                {!hasVoted && votingMethod === 'ranked_choice' && (
+                  <p className="text-sm text-neutral-600 mb-4">
+                    Rank candidates in order of preference by selecting them one at a time. You may rank as many as you like.
+                  </p>
+                )}
+                {!hasVoted && votingMethod === 'approval' && (
+                  <p className="text-sm text-neutral-600 mb-4">
+                    Approve every candidate you support.
+                  </p>
+                )}
 
                 {hasVoted ? (
                   <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-center">
@@ -207,6 +316,15 @@ const VotePage = () => {
                         Selected: {position.candidates.find(c => c._id === selectedCandidate)?.name}
                       </p>
                     )}
+                    {receipts[position._id] && (
+                      <div className="mt-4">
+                        <p className="text-sm text-green-800">Your ballot receipt code:</p>
+                        <p className="font-mono text-lg font-bold text-charcoal break-all">{receipts[position._id]}</p>
+                        <p className="text-xs text-green-700 mt-1">
+                          Save this code now - it is shown only once. Use it on the results page to check your ballot appears on the bulletin board.
+                        </p>
+                      </div>
+                    )}
                   </div>
                 ) : (
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -244,24 +362,56 @@ const VotePage = () => {
                                 <p className="mt-2 text-neutral-600">{candidate.manifesto}</p>
                               </details>
                             )}
-                            <button
-                              onClick={() => handleVote(position._id, candidate._id)}
-                              disabled={!isActive || submitting}
-                              className="btn-primary mt-3 w-full"
-                            >
-                              {submitting ? (
-                                <>
-                                  <Loader2 size={16} className="inline mr-2 animate-spin" />
-                                  Submitting...
-                                </>
-                              ) : (
-                                'Vote for this Candidate'
-                              )}
-                            </button>
+                            {!usesDraft ? (
+                              <button
+                                onClick={() => handleVote(position._id, candidate._id)}
+                                disabled={!isActive || submitting}
+                                className="btn-primary mt-3 w-full"
+                              >
+                                {submitting ? (
+                                  <>
+                                    <Loader2 size={16} className="inline mr-2 animate-spin" />
+                                    Submitting...
+                                  </>
+                                ) : (
+                                  'Vote for this Candidate'
+                                )}
+                              </button>
+                            ) : (
+                              <button
+                                onClick={() => toggleDraftSelection(position._id, candidate._id, maxSelections)}
+                                disabled={!isActive || submitting}
+                                className={`${draft.includes(candidate._id) ? 'btn-primary' : 'btn-outline'} mt-3 w-full`}
+                              >
+                                {votingMethod === 'ranked_choice'
+                                  ? (draft.includes(candidate._id)
+                                    ? `Ranked #${draft.indexOf(candidate._id) + 1}`
+                                    : 'Rank this Candidate')
+                                  : votingMethod === 'approval'
+                                    ? (draft.includes(candidate._id) ? 'Approved' : 'Approve this Candidate')
+                                    : (draft.includes(candidate._id) ? 'Selected' : 'Select this Candidate')}
+                              </button>
+                            )}
                           </div>
                         </div>
                       </div>
                     ))}
+                    {usesDraft && (
+                      <button
+                        onClick={() => handleVote(position._id, draft)}
+                        disabled={!isActive || submitting || draft.length === 0}
+                        className="btn-primary md:col-span-2"
+                      >
+                        {submitting ? (
+                          <>
+                            <Loader2 size={16} className="inline mr-2 animate-spin" />
+                            Submitting...
+                          </>
+                        ) : (
+                          'Submit Ballot'
+                        )}
+                      </button>
+                    )}
                   </div>
                 )}
               </div>
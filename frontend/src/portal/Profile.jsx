@@ -1,16 +1,27 @@
-import React, { useState, useRef } from 'react';
-import { User, Mail, Phone, BookOpen, Save, Camera, Upload } from 'lucide-react';
+import React, { useState, useRef, useEffect } from 'react';
+import { User, Mail, Phone, BookOpen, Save, Camera, Upload, CheckCircle2, AlertCircle } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { authService } from '../services/authService';
 import { toast } from 'react-toastify';
 import { buildUrl } from '../config/api';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import ActiveSessions from '../components/ActiveSessions';
 
 const Profile = () => {
   const { user, token, updateUser } = useAuth();
   const [editing, setEditing] = useState(false);
   const [saving, setSaving] = useState(false);
   const [uploadingPhoto, setUploadingPhoto] = useState(false);
+  const [sendingVerification, setSendingVerification] = useState(false);
+  const [resendWait, setResendWait] = useState(0);
   const fileInputRef = useRef(null);
+
+  // Count down until another verification email may be requested
+  useEffect(() => {
+    if (resendWait <= 0) return undefined;
+    const timer = setTimeout(() => setResendWait(resendWait - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendWait]);
   
   const [formData, setFormData] = useState({
     firstName: user?.firstName || '',
@@ -88,6 +99,23 @@ const Profile = () => {
     }
   };
 
+  const handleResendVerification = async () => {
+    setSendingVerification(true);
+    try {
+      const response = await authService.resendVerification(token);
+      toast.success(response.message || 'Verification email sent');
+      setResendWait(60);
+    } catch (error) {
+      const retryAfter = error.response?.data?.retryAfter;
+      if (retryAfter) {
+        setResendWait(retryAfter);
+      }
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setSendingVerification(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setSaving(true);
@@ -167,13 +195,46 @@ const Profile = () => {
               <h2 className="font-heading text-2xl font-bold text-charcoal">
                 {user?.firstName} {user?.lastName}
               </h2>
-              <p className="text-neutral-600">{user?.email}</p>
+              <p className="text-neutral-600 flex items-center gap-2">
+                {user?.email}
+                {user?.isVerified ? (
+                  <span className="inline-flex items-center gap-1 px-2 py-0.5 bg-green-100 text-green-800 rounded-full text-xs font-medium">
+                    <CheckCircle2 size={14} />
+                    Verified
+                  </span>
+                ) : (
+                  <span className="inline-flex items-center gap-1 px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded-full text-xs font-medium">
+                    <AlertCircle size={14} />
+                    Not verified
+                  </span>
+                )}
+              </p>
               <p className="text-sm text-primary font-medium mt-1 capitalize">
                 {user?.membershipStatus || 'Active'} Member
               </p>
             </div>
           </div>
 
+          {/* Email Verification */}
+          {user && !user.isVerified && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-8 flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+              <div>
+                <p className="font-bold text-charcoal">Verify your email address</p>
+                <p className="text-sm text-neutral-600">
+                  Until your email is verified you cannot register for events, comment, take part in nominations or proxy voting, or request mentorship and internships. Check your inbox for the verification link.
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={handleResendVerification}
+                disabled={sendingVerification || resendWait > 0}
+                className="btn-outline whitespace-nowrap"
+              >
+                {resendWait > 0 ? `Resend in ${resendWait}s` : sendingVerification ? 'Sending...' : 'Resend Email'}
+              </button>
+            </div>
+          )}
+
           {/* Form */}
           <form onSubmit={handleSubmit}>
             <div className="space-y-6">
@@ -409,6 +470,9 @@ const Profile = () => {
             </div>
           </form>
         </div>
+
+        <TwoFactorSettings />
+        <ActiveSessions />
       </div>
     </div>
   );
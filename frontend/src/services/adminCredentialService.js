@@ -66,5 +66,17 @@ export const adminCredentialService = {
       { headers: { Authorization: `Bearer ${token}` } }
     );
     return response.data;
+  },
+
+  /**
+   * End all sessions of a user
+   */
+  async forceLogoutUser(token, userId) {
+    const response = await axios.post(
+      `${API_URL}/users/${userId}/force-logout`,
+      {},
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    return response.data;
   }
 };
@@ -99,8 +99,9 @@ export const adminService = {
     return response.data;
   },
 
-  async exportActivityLogs(token, params = {}) {
-    const response = await api.post('/logs/export', {}, {
+  // params.format: 'csv' (default) or 'json', plus the getActivityLogs filters
+  async exportAuditLogs(token, params = {}) {
+    const response = await api.get('/logs/export', {
       params,
       headers: { Authorization: `Bearer ${token}` },
       responseType: 'blob'
@@ -114,5 +115,81 @@ export const adminService = {
       headers: { Authorization: `Bearer ${token}` }
     });
     return response.data;
+  },
+
+  // Recycle Bin (Super Admin only)
+  async getRecycleBin(token, params = {}) {
+    const response = await api.get('/recycle-bin', {
+      params,
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  async restoreRecycleBinItem(token, itemId) {
+    const response = await api.post(`/recycle-bin/${itemId}/restore`, {}, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  async purgeRecycleBinItem(token, itemId) {
+    const response = await api.delete(`/recycle-bin/${itemId}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  // Four-eyes Approvals
+  async getApprovalRequests(token, params = {}) {
+    const response = await api.get('/approvals', {
+      params,
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  async approveRequest(token, requestId, note) {
+    const response = await api.post(`/approvals/${requestId}/approve`, { note }, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  async rejectRequest(token, requestId, note) {
+    const response = await api.post(`/approvals/${requestId}/reject`, { note }, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  async cancelApprovalRequest(token, requestId) {
+    const response = await api.post(`/approvals/${requestId}/cancel`, {}, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  // Impersonation ("view as user")
+  async startImpersonation(token, userId, { reason, readOnly = true, durationMinutes } = {}) {
+    const response = await api.post('/impersonation', { userId, reason, readOnly, durationMinutes }, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  // Made with the impersonation token
+  async getCurrentImpersonation(token) {
+    const response = await api.get('/impersonation/current', {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  async stopImpersonation(token) {
+    const response = await api.post('/impersonation/stop', {}, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
   }
 };
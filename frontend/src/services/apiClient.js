@@ -10,6 +10,7 @@
 import axios from 'axios';
 import { toast } from 'react-toastify';
 import { API_BASE_URL } from '../config/api';
+import { tokenManager } from '../utils/tokenManager';
 
 /**
  * Create axios instance with default configuration
@@ -74,8 +75,19 @@ apiClient.interceptors.response.use(
     if (status === 401 && !originalRequest._retry) {
       originalRequest._retry = true;
 
+      // Try once with a refreshed access token
+      if (tokenManager.refreshToken) {
+        try {
+          const accessToken = await tokenManager.refreshAccessToken();
+          originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+          return apiClient(originalRequest);
+        } catch (refreshError) {
+          // Session has ended; fall through to the login redirect
+        }
+      }
+
       // Clear token and redirect to login
-      localStorage.removeItem('token');
+      tokenManager.clearTokens();
       
       // Only show toast if not already on login page
       if (!window.location.pathname.includes('/login')) {
@@ -14,10 +14,21 @@ export const authService = {
     return response.data;
   },
 
-  async login(email, password) {
+  async login(email, password, deviceToken) {
     const response = await api.post('/login', { 
       email, 
-      password
+      password,
+      deviceToken
+    });
+    return response.data;
+  },
+
+  async completeTwoFactorLogin(challengeToken, code, trustDevice, deviceName) {
+    const response = await api.post('/login/2fa', {
+      challengeToken,
+      code,
+      trustDevice,
+      deviceName
     });
     return response.data;
   },
@@ -41,5 +52,94 @@ export const authService = {
       headers: { Authorization: `Bearer ${token}` }
     });
     return response.data;
+  },
+
+  async verifyEmail(token) {
+    const response = await api.post('/verify-email', { token });
+    return response.data;
+  },
+
+  async resendVerification(token) {
+    const response = await api.post('/resend-verification', {}, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  async forgotPassword(email) {
+    const response = await api.post('/forgot-password', { email });
+    return response.data;
+  },
+
+  async resetPassword(token, password, confirmPassword) {
+    const response = await api.post('/reset-password', {
+      token,
+      password,
+      confirmPassword
+    });
+    return response.data;
+  },
+
+  async getTwoFactorStatus(token) {
+    const response = await api.get('/2fa/status', {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  async beginTwoFactorSetup(token) {
+    const response = await api.post('/2fa/setup', {}, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  async confirmTwoFactorSetup(token, code) {
+    const response = await api.post('/2fa/verify', { code }, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  async disableTwoFactor(token, code) {
+    const response = await api.post('/2fa/disable', { code }, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  async regenerateBackupCodes(token, code) {
+    const response = await api.post('/2fa/backup-codes', { code }, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  async removeTrustedDevice(token, deviceId) {
+    const response = await api.delete(`/2fa/trusted-devices/${deviceId}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  async getSessions(token) {
+    const response = await api.get('/sessions', {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  async revokeSession(token, sessionId) {
+    const response = await api.delete(`/sessions/${sessionId}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  async revokeOtherSessions(token) {
+    const response = await api.post('/sessions/revoke-others', {}, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
   }
 };
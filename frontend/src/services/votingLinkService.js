@@ -70,6 +70,32 @@ const votingLinkService = {
     return response.data;
   },
 
+  /**
+   * Get the delivery dashboard for an election
+   */
+  getDeliveryDashboard: async (electionId) => {
+    const response = await apiClient.get(`/api/voting-links/elections/${electionId}/delivery`);
+    return response.data;
+  },
+
+  /**
+   * Resend selected voting links
+   */
+  resendLinks: async (electionId, linkIds) => {
+    const response = await apiClient.post(`/api/voting-links/elections/${electionId}/resend`, {
+      linkIds
+    });
+    return response.data;
+  },
+
+  /**
+   * Remind members who have not voted yet
+   */
+  remindNonVoters: async (electionId) => {
+    const response = await apiClient.post(`/api/voting-links/elections/${electionId}/remind`);
+    return response.data;
+  },
+
   /**
    * Bulk generate links for members
    */
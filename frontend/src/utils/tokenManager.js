@@ -1,8 +1,14 @@
 /**
  * JWT Token Management with Refresh Mechanism
  * Handles token refresh, rotation, and secure storage
+ *
+ * Access tokens are short-lived; the refresh token is exchanged for a new pair
+ * shortly before expiry. The server rotates refresh tokens on every use, so
+ * tokens are shared between tabs through localStorage.
  */
 
+import { API_BASE_URL } from '../config/api';
+
 class TokenManager {
   constructor() {
     this.accessToken = null;
@@ -11,6 +17,8 @@ class TokenManager {
     this.refreshPromise = null;
     this.listeners = new Set();
     this.storageKey = 'elp_tokens';
+    // The rest of the app reads the access token from here
+    this.accessTokenKey = 'token';
   }
 
   /**
@@ -20,6 +28,7 @@ class TokenManager {
     this.loadTokensFromStorage();
     this.setupTokenRefresh();
     this.setupVisibilityChange();
+    this.setupStorageSync();
   }
 
   /**
@@ -54,8 +63,8 @@ class TokenManager {
       return true;
     }
     
-    // Add 5-minute buffer
-    return Date.now() >= (this.tokenExpiry - 5 * 60 * 1000);
+    // Add 2-minute buffer so requests never carry a token about to expire
+    return Date.now() >= (this.tokenExpiry - 2 * 60 * 1000);
   }
 
   /**
@@ -90,29 +99,40 @@ class TokenManager {
    * Perform actual token refresh
    */
   async performTokenRefresh() {
-    const response = await fetch('/api/auth/refresh', {
+    const sentRefreshToken = this.refreshToken;
+    const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
-        refreshToken: this.refreshToken
+        refreshToken: sentRefreshToken
       })
     });
 
-    if (!response.ok) {
-      throw new Error(`Token refresh failed: ${response.status}`);
+    const data = await response.json().catch(() => ({}));
+
+    // Another tab refreshed first; use the tokens it stored
+    if (response.status === 409 && data.code === 'REFRESH_TOKEN_ROTATED') {
+      this.loadTokensFromStorage();
+      if (this.refreshToken && this.refreshToken !== sentRefreshToken) {
+        return {
+          accessToken: this.accessToken,
+          refreshToken: this.refreshToken,
+          expiresIn: Math.max(0, Math.floor((this.tokenExpiry - Date.now()) / 1000))
+        };
+      }
     }
 
-    const data = await response.json();
-    
-    if (!data.success) {
-      throw new Error(data.message || 'Token refresh failed');
+    if (!response.ok || !data.success) {
+      const error = new Error(data.message || `Token refresh failed: ${response.status}`);
+      error.status = response.status;
+      throw error;
     }
 
     return {
-      accessToken: data.accessToken,
-      refreshToken: data.refreshToken || this.refreshToken,
+      accessToken: data.token,
+      refreshToken: data.refreshToken,
       expiresIn: data.expiresIn
     };
   }
@@ -122,6 +142,11 @@ class TokenManager {
    */
   handleRefreshFailure(error) {
     console.error('Token refresh failed:', error);
+
+    // Network errors and server hiccups keep the session; try again later
+    if (!error.status || error.status >= 500) {
+      return;
+    }
     
     // Clear invalid tokens
     this.clearTokens();
@@ -129,8 +154,8 @@ class TokenManager {
     // Notify listeners
     this.notifyListeners('refreshFailed', error);
     
-    // Redirect to login if needed
-    if (error.message.includes('invalid') || error.message.includes('expired')) {
+    // Redirect to login if the session has ended
+    if (error.status === 401 && !window.location.pathname.includes('/login')) {
       this.redirectToLogin();
     }
   }
@@ -154,7 +179,7 @@ class TokenManager {
    */
   setupVisibilityChange() {
     document.addEventListener('visibilitychange', () => {
-      if (!document.hidden && this.isTokenExpired()) {
+      if (!document.hidden && this.isTokenExpired() && this.refreshToken) {
         this.refreshAccessToken().catch(error => {
           console.error('Visibility refresh failed:', error);
         });
@@ -163,7 +188,30 @@ class TokenManager {
   }
 
   /**
-   * Save tokens to secure storage
+   * Pick up tokens refreshed, set or cleared in another tab
+   */
+  setupStorageSync() {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== this.storageKey) return;
+
+      if (event.newValue) {
+        this.loadTokensFromStorage();
+        this.notifyListeners('tokensUpdated', {
+          accessToken: this.accessToken,
+          refreshToken: this.refreshToken
+        });
+      } else {
+        this.accessToken = null;
+        this.refreshToken = null;
+        this.tokenExpiry = null;
+        this.notifyListeners('tokensCleared');
+      }
+    });
+  }
+
+  /**
+   * Save tokens to storage
+   * localStorage is shared by all tabs, which rotation requires
    */
   saveTokensToStorage() {
     const tokenData = {
@@ -173,13 +221,8 @@ class TokenManager {
     };
 
     try {
-      // Use secure storage if available
-      if (this.isSecureStorageAvailable()) {
-        sessionStorage.setItem(this.storageKey, JSON.stringify(tokenData));
-      } else {
-        // Fallback to regular storage with encryption
-        localStorage.setItem(this.storageKey, this.encryptData(tokenData));
-      }
+      localStorage.setItem(this.storageKey, JSON.stringify(tokenData));
+      localStorage.setItem(this.accessTokenKey, this.accessToken);
     } catch (error) {
       console.error('Failed to save tokens:', error);
     }
@@ -190,21 +233,8 @@ class TokenManager {
    */
   loadTokensFromStorage() {
     try {
-      let tokenData;
-      
-      // Try secure storage first
-      if (this.isSecureStorageAvailable()) {
-        const stored = sessionStorage.getItem(this.storageKey);
-        if (stored) {
-          tokenData = JSON.parse(stored);
-        }
-      } else {
-        // Try encrypted storage
-        const stored = localStorage.getItem(this.storageKey);
-        if (stored) {
-          tokenData = this.decryptData(stored);
-        }
-      }
+      const stored = localStorage.getItem(this.storageKey);
+      const tokenData = stored ? JSON.parse(stored) : null;
 
       if (tokenData) {
         this.accessToken = tokenData.accessToken;
@@ -217,40 +247,6 @@ class TokenManager {
     }
   }
 
-  /**
-   * Check if secure storage is available
-   */
-  isSecureStorageAvailable() {
-    try {
-      sessionStorage.setItem('test', 'test');
-      sessionStorage.removeItem('test');
-      return true;
-    } catch (error) {
-      return false;
-    }
-  }
-
-  /**
-   * Encrypt data for storage
-   */
-  encryptData(data) {
-    // Simple encryption - in production, use proper encryption
-    const encoded = JSON.stringify(data);
-    return btoa(encoded);
-  }
-
-  /**
-   * Decrypt data from storage
-   */
-  decryptData(encryptedData) {
-    try {
-      const decoded = atob(encryptedData);
-      return JSON.parse(decoded);
-    } catch (error) {
-      return null;
-    }
-  }
-
   /**
    * Clear all tokens
    */
@@ -260,8 +256,8 @@ class TokenManager {
     this.tokenExpiry = null;
     
     try {
-      sessionStorage.removeItem(this.storageKey);
       localStorage.removeItem(this.storageKey);
+      localStorage.removeItem(this.accessTokenKey);
     } catch (error) {
       console.error('Failed to clear tokens:', error);
     }
@@ -323,10 +319,10 @@ class TokenManager {
       const decoded = JSON.parse(atob(payload));
       
       return {
-        userId: decoded.sub,
-        email: decoded.email,
-        role: decoded.role,
-        permissions: decoded.permissions,
+        userId: decoded.id,
+        sessionId: decoded.sid,
+        // Set when an admin is viewing the app as this user
+        impersonatedBy: decoded.act?.sub,
         issuedAt: decoded.iat,
         expiresAt: decoded.exp
       };
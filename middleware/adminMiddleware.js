@@ -1,5 +1,39 @@
-const { checkPermission, hasAnyPermission } = require('../constants/adminRoles');
+const { requiresTwoFactor } = require('../constants/adminRoles');
 const Admin = require('../models/Admin');
+const TwoFactorAuth = require('../models/TwoFactorAuth');
+const permissionService = require('../services/permission.service');
+const { normalizePermission, isPermission, evaluate } = require('../utils/permissionUtil');
+
+// Fail at startup rather than deny every request for a misspelled permission
+const toPermission = (permission) => {
+  if (!isPermission(permission)) {
+    throw new Error(`Unknown permission '${permission}'`);
+  }
+  return normalizePermission(permission);
+};
+
+/**
+ * Reject admins whose role requires two-factor authentication but who have not enabled it
+ * ensureAdminProfile stays ungated so these admins can still reach their profile and enroll.
+ * @returns {boolean} true when the response has been sent
+ */
+const rejectWithoutTwoFactor = async (admin, res) => {
+  if (!requiresTwoFactor(admin.adminRole)) {
+    return false;
+  }
+
+  const enabled = await TwoFactorAuth.exists({ user: admin.user, enabled: true });
+  if (enabled) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Two-factor authentication is required for your admin role. Enable it in your profile settings.',
+    code: 'TWO_FACTOR_REQUIRED'
+  });
+  return true;
+};
 
 /**
  * Check if user is admin (based on Admin model)
@@ -16,6 +50,9 @@ exports.admin = async (req, res, next) => {
   // Check Admin model - this is the source of truth
   const admin = await Admin.findOne({ user: req.user._id, isActive: true });
   if (admin) {
+    if (await rejectWithoutTwoFactor(admin, res)) {
+      return;
+    }
     req.admin = admin;
     next();
   } else {
@@ -69,6 +106,9 @@ exports.strictAdmin = async (req, res, next) => {
   // Check Admin model - this is the source of truth
   const admin = await Admin.findOne({ user: req.user._id, isActive: true });
   if (admin) {
+    if (await rejectWithoutTwoFactor(admin, res)) {
+      return;
+    }
     req.admin = admin;
     next();
   } else {
@@ -80,10 +120,42 @@ exports.strictAdmin = async (req, res, next) => {
 };
 
 /**
- * Check if user has specific permission
+ * Check if user is a super admin
+ * For actions no permission or admin group grant can delegate
+ */
+exports.superAdmin = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required.'
+    });
+  }
+
+  const admin = await Admin.findOne({ user: req.user._id, isActive: true });
+  if (!admin || admin.adminRole !== 'super_admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Super admin role required.'
+    });
+  }
+
+  if (await rejectWithoutTwoFactor(admin, res)) {
+    return;
+  }
+  req.admin = admin;
+  next();
+};
+
+/**
+ * Check if user has specific permission, from their admin role or admin groups
  * @param {string} permission - Permission to check
+ * @param {Object} [options]
+ * @param {Function} [options.scope] - async (req) => { chapter } of the resource,
+ *   so chapter-scoped group grants can apply
  */
-exports.requirePermission = (permission) => {
+exports.requirePermission = (permission, options = {}) => {
+  const required = toPermission(permission);
+
   return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -101,17 +173,25 @@ exports.requirePermission = (permission) => {
       });
     }
 
+    if (await rejectWithoutTwoFactor(admin, res)) {
+      return;
+    }
+
     // Super admin has all permissions
     if (admin.adminRole === 'super_admin') {
+      req.admin = admin;
       return next();
     }
 
-    if (checkPermission(admin.adminRole, permission)) {
+    const scope = options.scope ? await options.scope(req) : {};
+    const decision = await permissionService.can(admin, required, scope);
+    if (decision.allowed) {
+      req.admin = admin;
       next();
     } else {
       res.status(403).json({
         success: false,
-        message: `Access denied. Permission '${permission}' required.`
+        message: `Access denied. Permission '${required}' required${decision.chapter ? ` for chapter ${decision.chapter}` : ''}.`
       });
     }
   };
@@ -120,8 +200,11 @@ exports.requirePermission = (permission) => {
 /**
  * Check if user has any of the required permissions
  * @param {string[]} permissions - Array of permissions to check
+ * @param {Object} [options] - See requirePermission
  */
-exports.requireAnyPermission = (permissions) => {
+exports.requireAnyPermission = (permissions, options = {}) => {
+  const required = permissions.map(toPermission);
+
   return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -139,12 +222,20 @@ exports.requireAnyPermission = (permissions) => {
       });
     }
 
+    if (await rejectWithoutTwoFactor(admin, res)) {
+      return;
+    }
+
     // Super admin has all permissions
     if (admin.adminRole === 'super_admin') {
+      req.admin = admin;
       return next();
     }
 
-    if (hasAnyPermission(admin.adminRole, permissions)) {
+    const scope = options.scope ? await options.scope(req) : {};
+    const grants = await permissionService.grantsFor(admin);
+    if (required.some(permission => evaluate(grants, permission, scope).allowed)) {
+      req.admin = admin;
       next();
     } else {
       res.status(403).json({
@@ -175,6 +266,10 @@ exports.verifyAdminOwnership = async (req, res, next) => {
     });
   }
 
+  if (await rejectWithoutTwoFactor(admin, res)) {
+    return;
+  }
+
   // Super admin can access anything
   if (admin.adminRole === 'super_admin') {
     return next();
@@ -190,3 +285,5 @@ exports.verifyAdminOwnership = async (req, res, next) => {
 
   next();
 };
+
+exports.rejectWithoutTwoFactor = rejectWithoutTwoFactor;
@@ -0,0 +1,34 @@
+const approvalService = require('../services/approval.service');
+
+/**
+ * Hold an action for a second admin's approval when it is under dual control
+ * Responds 202 with the pending request instead of calling the handler;
+ * approving the request runs the action. Place after the permission check.
+ * @param {string} action - Key from approvalService.ACTIONS
+ * @param {Function} getPayload - (req) => what the action runs on, e.g. { adminId }
+ */
+exports.requireApproval = (action, getPayload) => {
+  return async (req, res, next) => {
+    if (!approvalService.isRequired(action)) {
+      return next();
+    }
+
+    let request;
+    try {
+      request = await approvalService.createRequest(action, getPayload(req), req, req.body?.reason);
+    } catch (error) {
+      const status = /not found/i.test(error.message) ? 404 : /cannot|only/i.test(error.message) ? 400 : 409;
+      return res.status(status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `${approvalService.labelFor(action)} needs approval from a second admin. The request expires ${request.expiresAt.toISOString()}.`,
+      code: 'APPROVAL_REQUIRED',
+      data: request
+    });
+  };
+};
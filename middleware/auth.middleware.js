@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Admin = require('../models/Admin');
+const sessionService = require('../services/session.service');
 const { asyncHandler, APIError } = require('./errorMiddleware');
 
 /**
@@ -29,12 +30,21 @@ const protect = asyncHandler(async (req, res, next) => {
       throw new APIError('Token is valid but user not found', 401);
     }
 
+    if (user.changedPasswordAfter(decoded.iat)) {
+      throw new APIError('Token is invalid - user password has been changed', 401);
+    }
+
+    if (!(await sessionService.validateSession(decoded.sid, decoded.id, req.ip))) {
+      throw new APIError('Session has ended, please login again', 401);
+    }
+
     // Check if user is active
     if (user.status !== 'active') {
       throw new APIError('Account is not active', 401);
     }
 
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -129,7 +139,8 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
       const user = await User.findById(decoded.id).select('-password');
       
-      if (user && user.status === 'active') {
+      if (user && user.status === 'active' &&
+        await sessionService.validateSession(decoded.sid, decoded.id, req.ip)) {
         req.user = user;
         
         // Load admin profile if user is admin
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/session.service');
 const crypto = require('crypto');
 
 /**
@@ -53,13 +54,22 @@ exports.authenticateToken = async (req, res, next) => {
       }
 
       // Check if user's password was changed after token was issued
-      if (req.user.passwordChangedAt && decoded.iat < req.user.passwordChangedAt.getTime() / 1000) {
+      if (req.user.changedPasswordAfter(decoded.iat)) {
         return res.status(401).json({
           success: false,
           message: 'Token is invalid - user password has been changed'
         });
       }
 
+      // The token's session must not have been logged out or revoked
+      if (!(await sessionService.validateSession(decoded.sid, decoded.id, req.ip))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has ended, please login again'
+        });
+      }
+      req.sessionId = decoded.sid;
+
       // Add session fingerprint for additional security
       req.sessionFingerprint = crypto
         .createHash('sha256')
@@ -118,6 +128,12 @@ exports.optionalAuth = async (req, res, next) => {
         });
         req.user = await User.findById(decoded.id).select('-password');
 
+        // Tokens issued before a password change, or whose session has ended, are ignored
+        if (req.user && (req.user.changedPasswordAfter(decoded.iat) ||
+          !(await sessionService.validateSession(decoded.sid, decoded.id, req.ip)))) {
+          req.user = null;
+        }
+
         // Add session fingerprint if user is authenticated
         if (req.user) {
           req.sessionFingerprint = crypto
@@ -139,6 +155,29 @@ exports.optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Require a verified email address - use after protect
+ * Unverified members can sign in and manage their profile, but not act as members
+ */
+exports.requireVerified = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required, no token provided'
+    });
+  }
+
+  if (!req.user.isVerified) {
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address to continue'
+    });
+  }
+
+  next();
+};
+
 /**
  * Verify user owns the resource (for updates/deletes)
  * NEW ADMIN STRUCTURE: Admin access is determined by Admin model, not User.role
@@ -184,6 +223,11 @@ exports.strictAdmin = async (req, res, next) => {
     });
   }
 
+  const { rejectWithoutTwoFactor } = require('./adminMiddleware');
+  if (await rejectWithoutTwoFactor(admin, res)) {
+    return;
+  }
+
   req.admin = admin;
   req.isAdmin = true;
   next();
@@ -0,0 +1,26 @@
+const { getObserverAccess } = require('../services/observer.service');
+
+/**
+ * Allow election observers of req.params.electionId, and admins with the
+ * VIEW_REPORTS permission, through to read-only observer routes
+ * Sets req.observer for observers.
+ */
+exports.requireObserverAccess = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required.'
+    });
+  }
+
+  const access = await getObserverAccess(req.user._id, req.params.electionId);
+  if (!access) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. You are not an observer of this election.'
+    });
+  }
+
+  req.observer = access.observer;
+  next();
+};
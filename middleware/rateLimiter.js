@@ -235,6 +235,59 @@ const passwordResetLimiter = rateLimit({
   }
 });
 
+/**
+ * Password reset IP rate limiter
+ * Limits reset requests and token redemptions per IP, on top of the per-email limit
+ */
+const passwordResetIpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Limit each IP to 10 password reset requests per hour
+  store: redisClient ? new RedisStore({
+    sendCommand: (...args) => redisClient.call(...args)
+  }) : undefined,
+  keyGenerator: (req) => {
+    // Use ipKeyGenerator for proper IPv6 support
+    return `reset:ip-only:${ipKeyGenerator(req)}`;
+  },
+  handler: (req, res) => {
+    console.warn(`Password reset IP rate limit exceeded: ${req.ip}`);
+    res.status(429).json({
+      success: false,
+      message: 'Too many password reset attempts, please try again later',
+      retryAfter: '1 hour'
+    });
+  }
+});
+
+/**
+ * Voting code rate limiter
+ * Limits one-time code guesses per IP, on top of the per-link attempt limit
+ */
+const votingCodeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit to 10 failed code redemptions per windowMs
+  skipSuccessfulRequests: true,
+  store: redisClient ? new RedisStore({
+    sendCommand: (...args) => redisClient.call(...args)
+  }) : undefined,
+  skip: (req) => {
+    // Only code redemptions count; link tokens are not guessable
+    return !req.body || !req.body.code;
+  },
+  keyGenerator: (req) => {
+    // Use ipKeyGenerator for proper IPv6 support
+    return `votecode:ip:${ipKeyGenerator(req)}`;
+  },
+  handler: (req, res) => {
+    console.warn(`Voting code rate limit exceeded: ${req.ip}`);
+    res.status(429).json({
+      success: false,
+      message: 'Too many voting code attempts, please try again after 15 minutes',
+      retryAfter: '15 minutes'
+    });
+  }
+});
+
 module.exports = {
   apiLimiter,
   authLimiter,
@@ -242,5 +295,7 @@ module.exports = {
   createLimiter,
   commentLimiter,
   contactLimiter,
-  passwordResetLimiter
+  passwordResetLimiter,
+  passwordResetIpLimiter,
+  votingCodeLimiter
 };
@@ -0,0 +1,18 @@
+/**
+ * Request ID Middleware
+ * Gives every request an ID for correlating logs, errors and audit entries
+ */
+
+const crypto = require('crypto');
+
+// Reuse an incoming ID (e.g. from a load balancer) only when it looks like one
+const VALID_REQUEST_ID = /^[A-Za-z0-9._-]{1,128}$/;
+
+const requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-ID', req.id);
+  next();
+};
+
+module.exports = requestId;
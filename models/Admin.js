@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditLog = require('../services/auditLog.service');
 
 const adminSchema = new mongoose.Schema(
   {
@@ -53,19 +54,6 @@ const adminSchema = new mongoose.Schema(
         widgets: { type: [String], default: ['stats', 'recentActivity'] }
       }
     },
-    activityLog: [
-      {
-        action: String,
-        module: String,
-        timestamp: {
-          type: Date,
-          default: Date.now
-        },
-        details: mongoose.Schema.Types.Mixed,
-        ipAddress: String,
-        userAgent: String
-      }
-    ],
     lastLogin: {
       timestamp: Date,
       ipAddress: String,
@@ -98,7 +86,6 @@ const adminSchema = new mongoose.Schema(
 adminSchema.index({ user: 1 });
 adminSchema.index({ adminRole: 1 });
 adminSchema.index({ isActive: 1 });
-adminSchema.index({ 'activityLog.timestamp': -1 });
 adminSchema.index({ 'metadata.lastActive': -1 });
 
 /**
@@ -116,27 +103,23 @@ adminSchema.virtual('email').get(function() {
  * Methods
  */
 
-// Log admin action with additional context
-adminSchema.methods.logAction = async function(action, module, details = {}, req = {}) {
-  const logEntry = {
+// Log admin action to the central audit log (models/AuditLog.js)
+// change: optional { resource, before, after } for actions on a specific record
+adminSchema.methods.logAction = async function(action, module, details = {}, req, change = {}) {
+  const entry = await auditLog.record({
+    req,
+    actor: this.user?._id || this.user,
+    admin: this,
     action,
     module,
     details,
-    timestamp: new Date(),
-    ipAddress: req.ip || req.connection?.remoteAddress,
-    userAgent: req.get('user-agent')
-  };
+    ...change
+  });
 
-  this.activityLog.push(logEntry);
   this.metadata.lastActive = new Date();
+  await this.constructor.updateOne({ _id: this._id }, { 'metadata.lastActive': this.metadata.lastActive });
 
-  // Keep only last 1000 logs per admin
-  if (this.activityLog.length > 1000) {
-    this.activityLog = this.activityLog.slice(-1000);
-  }
-
-  await this.save();
-  return logEntry;
+  return entry;
 };
 
 // Update last login with additional context
@@ -159,22 +142,12 @@ adminSchema.methods.updateLastLogin = async function(req = {}) {
 };
 
 // Get recent activity with pagination
-adminSchema.methods.getRecentActivity = function(limit = 50, page = 1) {
-  const skip = (page - 1) * limit;
-  const total = this.activityLog.length;
-  const activities = this.activityLog
-    .slice()
-    .sort((a, b) => b.timestamp - a.timestamp)
-    .slice(skip, skip + limit);
-    
+adminSchema.methods.getRecentActivity = async function(limit = 50, page = 1) {
+  const { entries, pagination } = await auditLog.listEntries({ adminId: this._id, limit, page });
+
   return {
-    data: activities,
-    pagination: {
-      total,
-      page,
-      pages: Math.ceil(total / limit),
-      limit
-    }
+    data: entries,
+    pagination
   };
 };
 
@@ -275,27 +248,19 @@ adminSchema.statics.getAdminStats = async function() {
       { $group: { _id: '$adminRole', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
     ]),
-    this.aggregate([
-      { $unwind: '$activityLog' },
-      { $sort: { 'activityLog.timestamp': -1 } },
-      { $limit: 10 },
-      { 
-        $project: {
-          _id: 0,
-          admin: '$user',
-          action: '$activityLog.action',
-          module: '$activityLog.module',
-          timestamp: '$activityLog.timestamp'
-        }
-      }
-    ])
+    auditLog.recentEntries(10)
   ]);
 
   return {
     totalAdmins,
     activeAdmins,
     adminsByRole,
-    recentActivity
+    recentActivity: recentActivity.map(entry => ({
+      admin: entry.actor,
+      action: entry.action,
+      module: entry.module,
+      timestamp: entry.timestamp
+    }))
   };
 };
 
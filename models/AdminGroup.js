@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { GROUP_ROLES } = require('../constants/adminRoles');
 
 const adminGroupSchema = new mongoose.Schema({
   name: { 
@@ -20,7 +21,7 @@ const adminGroupSchema = new mongoose.Schema({
     },
     role: {
       type: String,
-      enum: ['member', 'moderator', 'admin'],
+      enum: GROUP_ROLES,
       default: 'member'
     },
     joinedAt: {
@@ -32,10 +33,29 @@ const adminGroupSchema = new mongoose.Schema({
       ref: 'Admin'
     }
   }],
+  // Permissions or admin role names granted to every member, everywhere
   permissions: [{
     type: String,
     trim: true
   }],
+  // Grants limited to chapters and/or to members with a minimum group role,
+  // e.g. events_admin for one chapter only
+  grants: [{
+    permission: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    chapters: [{
+      type: String,
+      trim: true
+    }],
+    minRole: {
+      type: String,
+      enum: GROUP_ROLES,
+      default: 'member'
+    }
+  }],
   settings: {
     isPublic: {
       type: Boolean,
@@ -0,0 +1,82 @@
+/**
+ * Approval Request Model
+ * Sensitive admin actions waiting for a second admin's approval
+ *
+ * A request is created instead of running the action, and runs once a
+ * different authorized admin approves it before expiresAt. See
+ * services/approval.service.js for the actions and their rules.
+ */
+
+const mongoose = require('mongoose');
+
+const approvalRequestSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // approved is held only while the action runs
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'executed', 'failed', 'rejected', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+
+  // What the action runs on, e.g. { adminId } or { electionId }
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  resource: {
+    type: {
+      type: String
+    },
+    id: mongoose.Schema.Types.ObjectId,
+    label: String
+  },
+  // One pending request per action and target
+  targetKey: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date,
+  decisionNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  executedAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+approvalRequestSchema.index({ status: 1, expiresAt: 1 });
+approvalRequestSchema.index({ requestedBy: 1, createdAt: -1 });
+approvalRequestSchema.index(
+  { action: 1, targetKey: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('ApprovalRequest', approvalRequestSchema);
@@ -0,0 +1,91 @@
+/**
+ * Audit Log Model
+ * Append-only record of administrative actions across the platform
+ *
+ * Entries cannot be updated or deleted through the application. They are
+ * removed only by MongoDB once expiresAt passes, which is set from the
+ * retention policy of the entry's module when it is written.
+ */
+
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Actor Information
+  // Omitted for automated actions
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorEmail: String,
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  adminRole: String,
+
+  // Action Details
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  module: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Resource Information
+  resource: {
+    type: {
+      type: String
+    },
+    id: mongoose.Schema.Types.ObjectId,
+    label: String
+  },
+
+  // Changed fields only, see utils/auditDiffUtil.js
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  details: mongoose.Schema.Types.Mixed,
+
+  // Request Information
+  requestId: String,
+  ipAddress: String,
+  userAgent: String,
+
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  // Unset means the entry is kept indefinitely
+  expiresAt: Date
+});
+
+// Indexes
+auditLogSchema.index({ actor: 1, timestamp: -1 });
+auditLogSchema.index({ admin: 1, timestamp: -1 });
+auditLogSchema.index({ 'resource.type': 1, 'resource.id': 1, timestamp: -1 });
+auditLogSchema.index({ action: 1, timestamp: -1 });
+auditLogSchema.index({ module: 1, timestamp: -1 });
+auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Prevent modification of existing entries
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) {
+    throw new Error('Audit log entries are append-only and cannot be modified');
+  }
+});
+
+auditLogSchema.pre(['findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'updateOne', 'updateMany'], function() {
+  throw new Error('Audit log entries are append-only and cannot be updated');
+});
+
+auditLogSchema.pre(['findOneAndDelete', 'deleteOne', 'deleteMany'], function() {
+  throw new Error('Audit log entries are append-only and cannot be deleted');
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,82 @@
+/**
+ * Ballot Model
+ * Ballot records for secret-ballot elections
+ *
+ * A ballot carries no voter identity, request metadata or timestamps, and
+ * uses a random string _id instead of an ObjectId (which embeds its creation
+ * time), so the application never shows who cast it. It is not anonymous to
+ * anyone with direct database access: it is written in the same transaction
+ * as the voter's BallotReceipt, so insertion order, BallotReceipt.createdAt
+ * and the voting log sequence can still link the two.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const ballotSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+
+  // Ballot Details
+  electionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  positionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Position',
+    required: true
+  },
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate',
+    required: true
+  },
+  // All selected candidates - preference order for ranked-choice ballots,
+  // the approved set for approval ballots. candidateId holds the first entry.
+  candidateIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate'
+  }],
+
+  // Status (for potential disputes)
+  status: {
+    type: String,
+    enum: ['cast', 'invalidated'],
+    default: 'cast'
+  }
+}, {
+  timestamps: false,
+  versionKey: false
+});
+
+// Indexes
+ballotSchema.index({ electionId: 1, positionId: 1 });
+ballotSchema.index({ candidateId: 1 });
+ballotSchema.index({ candidateIds: 1 });
+
+// Prevent updates and deletes
+ballotSchema.pre('findOneAndUpdate', function() {
+  throw new Error('Ballots are immutable and cannot be updated');
+});
+
+ballotSchema.pre('findOneAndDelete', function() {
+  throw new Error('Ballots are immutable and cannot be deleted');
+});
+
+ballotSchema.pre('deleteMany', function() {
+  throw new Error('Ballots are immutable and cannot be deleted');
+});
+
+// Method: Get ballot count for candidate
+ballotSchema.statics.getCandidateBallots = async function(candidateId) {
+  return this.countDocuments({
+    candidateId,
+    status: 'cast'
+  });
+};
+
+module.exports = mongoose.model('Ballot', ballotSchema);
@@ -0,0 +1,85 @@
+/**
+ * Ballot Receipt Model
+ * Records that a member has participated in a position of a secret-ballot
+ * election, without recording how they voted
+ */
+
+const mongoose = require('mongoose');
+
+const ballotReceiptSchema = new mongoose.Schema({
+  // Voter Information
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  memberEmail: {
+    type: String,
+    required: true
+  },
+
+  // Participation Details
+  positionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Position',
+    required: true
+  },
+  electionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  chapter: {
+    type: String,
+    required: true
+  },
+
+  // Voting Link Token (for audit)
+  linkTokenHash: String,
+
+  // Audit Information
+  ipAddress: String,
+  userAgent: String,
+
+  // Proxy Voting - set when a proxy cast this vote on the member's behalf
+  castByProxyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  delegationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProxyDelegation'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes - the unique index is what prevents double voting
+ballotReceiptSchema.index({ memberId: 1, positionId: 1, electionId: 1 }, { unique: true });
+ballotReceiptSchema.index({ electionId: 1, positionId: 1 });
+ballotReceiptSchema.index({ chapter: 1 });
+
+// Prevent updates and deletes
+ballotReceiptSchema.pre('findOneAndUpdate', function() {
+  throw new Error('Ballot receipts are immutable and cannot be updated');
+});
+
+ballotReceiptSchema.pre('findOneAndDelete', function() {
+  throw new Error('Ballot receipts are immutable and cannot be deleted');
+});
+
+ballotReceiptSchema.pre('deleteMany', function() {
+  throw new Error('Ballot receipts are immutable and cannot be deleted');
+});
+
+// Method: Check if member already participated in position
+ballotReceiptSchema.statics.hasVoted = async function(memberId, positionId, electionId) {
+  const receipt = await this.findOne({
+    memberId,
+    positionId,
+    electionId
+  });
+  return !!receipt;
+};
+
+module.exports = mongoose.model('BallotReceipt', ballotReceiptSchema);
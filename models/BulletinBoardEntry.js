@@ -0,0 +1,77 @@
+/**
+ * Bulletin Board Entry Model
+ * Public, voter-verifiable record of every ballot in an election
+ *
+ * Entries carry no voter identity or timestamps. The board publishes the
+ * ballot hashes and the ballots' selections as two separate lists, so
+ * observers can recount the election and voters can find their ballot hash,
+ * but nothing a voter holds links their receipt to their selections.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const bulletinBoardEntrySchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+
+  electionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  positionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Position',
+    required: true
+  },
+
+  // SHA-256 of the receipt code handed to the voter; never published
+  receiptHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Secret part of the ballot hash; never published
+  nonce: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Candidate IDs in ballot order (preference order for ranked choice)
+  selections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate'
+  }],
+
+  // SHA-256 over receiptHash, positionId, selections and nonce
+  ballotHash: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: false,
+  versionKey: false
+});
+
+// Indexes
+bulletinBoardEntrySchema.index({ electionId: 1, ballotHash: 1 });
+
+// Prevent updates and deletes
+bulletinBoardEntrySchema.pre('findOneAndUpdate', function() {
+  throw new Error('Bulletin board entries are immutable and cannot be updated');
+});
+
+bulletinBoardEntrySchema.pre('findOneAndDelete', function() {
+  throw new Error('Bulletin board entries are immutable and cannot be deleted');
+});
+
+bulletinBoardEntrySchema.pre('deleteMany', function() {
+  throw new Error('Bulletin board entries are immutable and cannot be deleted');
+});
+
+module.exports = mongoose.model('BulletinBoardEntry', bulletinBoardEntrySchema);
@@ -28,6 +28,15 @@ const candidateSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Set when the candidate came through the nomination workflow
+  nominationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Nomination'
+  },
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
 
   // Candidate Information
   email: {
@@ -103,14 +112,24 @@ candidateSchema.index({ votesCount: -1 });
 // Method: Update vote count and percentage
 candidateSchema.methods.updateVoteStats = async function() {
   const Vote = mongoose.model('Vote');
+  const Ballot = mongoose.model('Ballot');
   const Position = mongoose.model('Position');
 
   // Get total votes for this position
   const position = await Position.findById(this.positionId);
   if (!position) {return;}
 
-  // Get candidate votes
-  const votes = await Vote.countDocuments({ candidateId: this._id });
+  // Get candidate votes (secret-ballot elections record Ballots without voter identity).
+  // Ranked-choice ballots count first preferences; plurality and approval
+  // ballots count every selected candidate. Invalidated votes are not counted.
+  const filter = position.votingMethod === 'ranked_choice'
+    ? { candidateId: this._id, status: 'cast' }
+    : { $or: [{ candidateId: this._id }, { candidateIds: this._id }], status: 'cast' };
+  const [identifiedVotes, ballots] = await Promise.all([
+    Vote.countDocuments(filter),
+    Ballot.countDocuments(filter)
+  ]);
+  const votes = identifiedVotes + ballots;
   this.votesCount = votes;
 
   // Calculate percentage
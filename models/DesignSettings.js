@@ -236,6 +236,12 @@ designSettingsSchema.statics.updateSettings = async function(data, userId) {
   return settings;
 };
 
+// Replace the settings with a fresh document holding the defaults
+designSettingsSchema.statics.resetToDefaults = async function(userId) {
+  await this.deleteMany({});
+  return this.create({ lastUpdatedBy: userId });
+};
+
 // Helper method to get public settings
 designSettingsSchema.methods.toPublicJSON = function() {
   return {
@@ -34,6 +34,7 @@ const electionSchema = new mongoose.Schema({
     enum: ['pending', 'approved', 'active', 'closed', 'cancelled'],
     default: 'pending'
   },
+  closedAt: Date,
   startTime: {
     type: Date,
     required: [true, 'Start time is required']
@@ -74,6 +75,70 @@ const electionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Secret ballot: participation receipts are stored apart from ballots, so
+  // no record names the voter next to their choice (see models/Ballot.js for
+  // what this does not hide)
+  secretBallot: {
+    type: Boolean,
+    default: false
+  },
+
+  // Nomination Period
+  // Members nominate themselves or others between opensAt and closesAt;
+  // a nomination needs requiredSeconders seconders before it can be approved
+  nominationPeriod: {
+    opensAt: Date,
+    closesAt: Date,
+    requiredSeconders: {
+      type: Number,
+      default: 0,
+      min: [0, 'Required seconders cannot be negative']
+    },
+    allowSelfNomination: {
+      type: Boolean,
+      default: true
+    }
+  },
+
+  // Proxy Voting
+  // Members may delegate their vote to another verified member, subject to
+  // admin approval; nobody may hold more than maxProxiesPerMember proxies
+  proxyVoting: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    maxProxiesPerMember: {
+      type: Number,
+      default: 1,
+      min: [1, 'A proxy must be able to hold at least one delegation']
+    }
+  },
+
+  // Eligibility Rules
+  // Empty lists place no restriction. With no chapters listed, chapter
+  // elections are limited to their own chapter and national ones are open
+  // to every chapter.
+  eligibilityRules: {
+    chapters: [String],
+    yearsOfStudy: [Number],
+    membershipStatuses: [{
+      type: String,
+      enum: ['pending', 'active', 'inactive', 'suspended']
+    }],
+    membershipTiers: [{
+      type: String,
+      enum: ['basic', 'active', 'leader', 'vip']
+    }]
+  },
+
+  // Voter Roll (frozen when the election starts)
+  voterRoll: {
+    frozenAt: Date,
+    size: Number,
+    // SHA-256 over the sorted member IDs on the roll
+    hash: String
+  },
 
   // Statistics
   totalEligibleVoters: {
@@ -84,11 +149,40 @@ const electionSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Distinct members who cast at least one vote
+  totalVotersParticipated: {
+    type: Number,
+    default: 0
+  },
   turnoutPercentage: {
     type: Number,
     default: 0
   },
 
+  // Audit Chain (sealed when the election closes)
+  auditChain: {
+    headHash: String,
+    entryCount: Number,
+    signature: String,
+    sealedAt: Date
+  },
+
+  // Results Certification (locks the election once set)
+  certification: {
+    certifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    certifierName: String,
+    certifiedAt: Date,
+    notes: {
+      type: String,
+      maxlength: [2000, 'Certification notes cannot exceed 2000 characters']
+    },
+    resultsHash: String,
+    signature: String
+  },
+
   // Metadata
   notes: String,
   tags: [String]
@@ -110,36 +204,84 @@ electionSchema.virtual('isActive').get(function() {
          now <= this.endTime;
 });
 
+// Virtual: Check if results have been certified
+electionSchema.virtual('isCertified').get(function() {
+  return Boolean(this.certification && this.certification.certifiedAt);
+});
+
+// A certified election is final: only the certifying save itself may write
+electionSchema.pre('save', function() {
+  if (this.isNew || !this.isModified()) {
+    return;
+  }
+  if (this.isCertified && !this.isModified('certification.certifiedAt')) {
+    throw new Error('Election results have been certified and can no longer be changed');
+  }
+});
+
+// Move the election between statuses with a conditional update, so only one
+// of several concurrent callers (an admin and the scheduler, or two server
+// instances) performs a given transition
+const transition = async (election, from, update) => {
+  const { modifiedCount } = await election.constructor.updateOne(
+    { _id: election._id, status: from },
+    { $set: update }
+  );
+  if (modifiedCount === 0) {
+    return false;
+  }
+
+  Object.keys(update).forEach(path => {
+    election.set(path, update[path]);
+    election.unmarkModified(path);
+  });
+  return true;
+};
+
 // Method: Start election
 electionSchema.methods.start = async function(adminId) {
-  if (this.status !== 'approved') {
+  if (this.status !== 'approved' || !(await transition(this, 'approved', { status: 'active' }))) {
     throw new Error('Only approved elections can be started');
   }
-  this.status = 'active';
-  await this.save();
   return this;
 };
 
 // Method: Close election
 electionSchema.methods.close = async function() {
-  if (this.status !== 'active') {
+  if (this.status !== 'active' || !(await transition(this, 'active', { status: 'closed', closedAt: new Date() }))) {
     throw new Error('Only active elections can be closed');
   }
-  this.status = 'closed';
-  await this.save();
   return this;
 };
 
+// Method: Check if nominations are currently open
+electionSchema.methods.isNominationOpen = function() {
+  const { opensAt, closesAt } = this.nominationPeriod || {};
+  const now = new Date();
+  return ['pending', 'approved'].includes(this.status) &&
+         Boolean(opensAt && closesAt) &&
+         now >= opensAt &&
+         now <= closesAt;
+};
+
 // Method: Calculate turnout
+// Turnout is the share of the frozen voter roll that cast at least one vote;
+// invalidated votes no longer count as votes cast but their voters still took part
 electionSchema.methods.calculateTurnout = async function() {
-  const Vote = mongoose.model('Vote');
-  const votesCount = await Vote.countDocuments({
-    electionId: this._id
-  });
+  const Vote = mongoose.model(this.secretBallot ? 'Ballot' : 'Vote');
+  const Participation = mongoose.model(this.secretBallot ? 'BallotReceipt' : 'Vote');
+  const [votesCount, voters] = await Promise.all([
+    Vote.countDocuments({ electionId: this._id, status: 'cast' }),
+    Participation.distinct('memberId', { electionId: this._id })
+  ]);
 
   this.totalVotesCast = votesCount;
+  this.totalVotersParticipated = voters.length;
+  if (this.voterRoll && this.voterRoll.frozenAt) {
+    this.totalEligibleVoters = this.voterRoll.size;
+  }
   if (this.totalEligibleVoters > 0) {
-    this.turnoutPercentage = (votesCount / this.totalEligibleVoters * 100).toFixed(2);
+    this.turnoutPercentage = (voters.length / this.totalEligibleVoters * 100).toFixed(2);
   }
   await this.save();
   return this.turnoutPercentage;
@@ -0,0 +1,144 @@
+/**
+ * Election Dispute Model
+ * A complaint against an election filed by one of its candidates or observers
+ *
+ * Admins investigate the dispute and may invalidate specific votes under it.
+ * Each invalidation is recorded on the dispute as well as on the vote, so the
+ * certified results can show what was removed and why.
+ */
+
+const mongoose = require('mongoose');
+
+const disputeNoteSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  note: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const invalidatedVoteSchema = new mongoose.Schema({
+  voteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vote',
+    required: true
+  },
+  positionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Position'
+  },
+  candidateIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate'
+  }],
+  ballotHash: String,
+  reason: String,
+  invalidatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invalidatedAt: Date
+}, { _id: false });
+
+const electionDisputeSchema = new mongoose.Schema({
+  electionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  chapter: String,
+
+  // Complainant
+  filedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filedByEmail: String,
+  filedAs: {
+    type: String,
+    enum: ['candidate', 'observer'],
+    required: true
+  },
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate'
+  },
+
+  // Complaint
+  category: {
+    type: String,
+    enum: ['irregular_votes', 'voter_eligibility', 'procedure', 'other'],
+    default: 'other'
+  },
+  positionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Position'
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [5000, 'Description cannot exceed 5000 characters']
+  },
+
+  // Investigation
+  status: {
+    type: String,
+    enum: ['open', 'investigating', 'upheld', 'dismissed', 'withdrawn'],
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  investigationStartedAt: Date,
+  notes: [disputeNoteSchema],
+  invalidatedVotes: [invalidatedVoteSchema],
+
+  // Resolution
+  resolution: {
+    summary: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Resolution summary cannot exceed 2000 characters']
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+electionDisputeSchema.index({ electionId: 1, status: 1 });
+electionDisputeSchema.index({ filedBy: 1, createdAt: -1 });
+
+// Statuses that still need an admin decision
+electionDisputeSchema.statics.UNRESOLVED_STATUSES = ['open', 'investigating'];
+
+// Method: Check whether the dispute is still awaiting a decision
+electionDisputeSchema.methods.isUnresolved = function() {
+  return this.constructor.UNRESOLVED_STATUSES.includes(this.status);
+};
+
+module.exports = mongoose.model('ElectionDispute', electionDisputeSchema);
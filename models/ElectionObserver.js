@@ -0,0 +1,71 @@
+/**
+ * Election Observer Model
+ * A user appointed to watch one election read-only
+ *
+ * Observers see turnout, redacted voting log activity and delivery statistics
+ * for the elections they are appointed to, and nothing else. An appointment
+ * ends when it is revoked or reaches expiresAt.
+ */
+
+const mongoose = require('mongoose');
+
+const electionObserverSchema = new mongoose.Schema({
+  electionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userEmail: String,
+
+  // Who the observer represents, e.g. the electoral commission
+  organization: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Organization cannot exceed 200 characters']
+  },
+  expiresAt: Date,
+
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  appointedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+electionObserverSchema.index({ electionId: 1, userId: 1 }, { unique: true });
+electionObserverSchema.index({ userId: 1, status: 1 });
+
+// Method: Check whether the appointment is currently in force
+electionObserverSchema.methods.isCurrent = function() {
+  return this.status === 'active' && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Static: Find a user's current appointment to an election
+electionObserverSchema.statics.findCurrent = function(electionId, userId) {
+  return this.findOne({
+    electionId,
+    userId,
+    status: 'active',
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+module.exports = mongoose.model('ElectionObserver', electionObserverSchema);
@@ -0,0 +1,161 @@
+/**
+ * Election Template Model
+ * The reusable structure of an election: its settings, eligibility rules and
+ * positions, without dates, candidates or votes
+ *
+ * Templates are saved from an existing election or written directly, and new
+ * elections are created from them as pending drafts.
+ */
+
+const mongoose = require('mongoose');
+
+const templatePositionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Position name is required'],
+    trim: true,
+    maxlength: [100, 'Position name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  votingMethod: {
+    type: String,
+    enum: ['plurality', 'ranked_choice', 'approval'],
+    default: 'plurality'
+  },
+  seats: {
+    type: Number,
+    default: 1,
+    min: [1, 'A position must have at least one seat']
+  },
+  candidateRequirements: {
+    chapters: [String],
+    yearsOfStudy: [Number],
+    membershipStatuses: [{
+      type: String,
+      enum: ['pending', 'active', 'inactive', 'suspended']
+    }],
+    requireVerified: {
+      type: Boolean,
+      default: true
+    }
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const electionTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [200, 'Template name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+
+  // Defaults for elections created from the template
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  electionDescription: {
+    type: String,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  chapter: {
+    type: String,
+    trim: true
+  },
+  isNational: {
+    type: Boolean,
+    default: false
+  },
+
+  // Settings
+  settings: {
+    allowMultiplePositions: {
+      type: Boolean,
+      default: true
+    },
+    requireVerification: {
+      type: Boolean,
+      default: true
+    },
+    publicResults: {
+      type: Boolean,
+      default: false
+    },
+    secretBallot: {
+      type: Boolean,
+      default: false
+    },
+    nominations: {
+      requiredSeconders: {
+        type: Number,
+        default: 0,
+        min: [0, 'Required seconders cannot be negative']
+      },
+      allowSelfNomination: {
+        type: Boolean,
+        default: true
+      }
+    },
+    proxyVoting: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      maxProxiesPerMember: {
+        type: Number,
+        default: 1,
+        min: [1, 'A proxy must be able to hold at least one delegation']
+      }
+    }
+  },
+
+  eligibilityRules: {
+    chapters: [String],
+    yearsOfStudy: [Number],
+    membershipStatuses: [{
+      type: String,
+      enum: ['pending', 'active', 'inactive', 'suspended']
+    }],
+    membershipTiers: [{
+      type: String,
+      enum: ['basic', 'active', 'leader', 'vip']
+    }]
+  },
+
+  positions: [templatePositionSchema],
+
+  // Provenance
+  sourceElectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+electionTemplateSchema.index({ isActive: 1, name: 1 });
+electionTemplateSchema.index({ chapter: 1 });
+
+module.exports = mongoose.model('ElectionTemplate', electionTemplateSchema);
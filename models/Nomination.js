@@ -0,0 +1,119 @@
+/**
+ * Nomination Model
+ * A member's nomination (of themselves or another member) for a position
+ *
+ * Nominations collect seconders during the election's nomination period.
+ * An admin approves a nomination into a Candidate or rejects it.
+ */
+
+const mongoose = require('mongoose');
+
+const nominationSchema = new mongoose.Schema({
+  // References
+  electionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  positionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Position',
+    required: true
+  },
+  chapter: {
+    type: String,
+    required: true
+  },
+
+  // Nominee and Nominator
+  nomineeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  nominatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isSelfNomination: {
+    type: Boolean,
+    default: false
+  },
+  // A member nominated by someone else must accept before approval
+  nomineeAccepted: {
+    type: Boolean,
+    default: false
+  },
+  nomineeAcceptedAt: Date,
+
+  // Candidate Information
+  manifesto: {
+    type: String,
+    maxlength: [5000, 'Manifesto cannot exceed 5000 characters']
+  },
+  bio: {
+    type: String,
+    maxlength: [1000, 'Bio cannot exceed 1000 characters']
+  },
+  photoUrl: {
+    type: String,
+    default: null
+  },
+  photoPublicId: String,
+
+  // Seconders
+  seconders: [{
+    memberId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    memberEmail: String,
+    secondedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Review
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String,
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+nominationSchema.index({ electionId: 1, status: 1 });
+nominationSchema.index({ positionId: 1, nomineeId: 1 });
+nominationSchema.index({ nomineeId: 1 });
+nominationSchema.index({ nominatedBy: 1 });
+
+// Virtual: Seconder count
+nominationSchema.virtual('seconderCount').get(function() {
+  return this.seconders ? this.seconders.length : 0;
+});
+
+// Static: Find the live (pending or approved) nomination of a member for a position
+nominationSchema.statics.findActive = function(positionId, nomineeId) {
+  return this.findOne({
+    positionId,
+    nomineeId,
+    status: { $in: ['pending', 'approved'] }
+  });
+};
+
+module.exports = mongoose.model('Nomination', nominationSchema);
@@ -28,6 +28,82 @@ const positionSchema = new mongoose.Schema({
     required: true
   },
 
+  // Voting Method
+  // plurality: one candidate per ballot
+  // ranked_choice: candidates ranked in preference order, tallied by instant runoff
+  // approval: any number of candidates approved, most approvals wins
+  votingMethod: {
+    type: String,
+    enum: ['plurality', 'ranked_choice', 'approval'],
+    default: 'plurality'
+  },
+
+  // Seats
+  // Multi-seat positions elect the top N candidates; plurality ballots may
+  // select up to N candidates
+  seats: {
+    type: Number,
+    default: 1,
+    min: [1, 'A position must have at least one seat'],
+    validate: {
+      validator: function(value) {
+        return value === 1 || this.votingMethod !== 'ranked_choice';
+      },
+      message: 'Ranked-choice positions elect a single winner'
+    }
+  },
+
+  // Who may stand for the position (checked when nominations are made and
+  // approved). Empty lists place no restriction.
+  candidateRequirements: {
+    chapters: [String],
+    yearsOfStudy: [Number],
+    membershipStatuses: [{
+      type: String,
+      enum: ['pending', 'active', 'inactive', 'suspended']
+    }],
+    requireVerified: {
+      type: Boolean,
+      default: true
+    }
+  },
+
+  // Tie-break resolutions recorded after the count; the latest entry applies
+  tieBreaks: [{
+    method: {
+      type: String,
+      enum: ['seeded_draw', 'runoff'],
+      required: true
+    },
+    candidates: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Candidate'
+    }],
+    seats: Number,
+    seed: String,
+    drawOrder: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Candidate'
+    }],
+    winners: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Candidate'
+    }],
+    runoffElectionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Election'
+    },
+    notes: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // Ordering
   order: {
     type: Number,
@@ -69,8 +145,14 @@ positionSchema.methods.updateCandidateCount = async function() {
 // Update vote count
 positionSchema.methods.updateVoteCount = async function() {
   const Vote = mongoose.model('Vote');
-  const count = await Vote.countDocuments({ positionId: this._id });
-  this.totalVotes = count;
+  const Ballot = mongoose.model('Ballot');
+  // Secret-ballot elections record Ballots without voter identity instead of Votes.
+  // Invalidated votes are not counted.
+  const [votes, ballots] = await Promise.all([
+    Vote.countDocuments({ positionId: this._id, status: 'cast' }),
+    Ballot.countDocuments({ positionId: this._id, status: 'cast' })
+  ]);
+  this.totalVotes = votes + ballots;
   await this.save();
 };
 
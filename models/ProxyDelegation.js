@@ -0,0 +1,102 @@
+/**
+ * Proxy Delegation Model
+ * A member's (principal's) formal delegation of their vote to another member (proxy)
+ *
+ * Delegations take effect once approved by an admin. The proxy then casts
+ * separate ballots on the principal's behalf for the covered positions.
+ */
+
+const mongoose = require('mongoose');
+
+const proxyDelegationSchema = new mongoose.Schema({
+  electionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  chapter: {
+    type: String,
+    required: true
+  },
+
+  // Parties
+  principalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  principalEmail: String,
+  proxyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  proxyEmail: String,
+
+  // Positions the proxy may vote on; empty covers every position
+  positionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Position'
+  }],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  // Review
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'revoked'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+proxyDelegationSchema.index({ electionId: 1, principalId: 1, status: 1 });
+proxyDelegationSchema.index({ electionId: 1, proxyId: 1, status: 1 });
+proxyDelegationSchema.index({ electionId: 1, status: 1 });
+
+// Method: Check whether the delegation covers a position
+proxyDelegationSchema.methods.coversPosition = function(positionId) {
+  return this.positionIds.length === 0 ||
+    this.positionIds.some(id => id.toString() === positionId.toString());
+};
+
+// Static: Find the live (pending or approved) delegation of a principal
+proxyDelegationSchema.statics.findActiveForPrincipal = function(electionId, principalId) {
+  return this.findOne({
+    electionId,
+    principalId,
+    status: { $in: ['pending', 'approved'] }
+  });
+};
+
+// Static: Count the approved delegations a proxy holds
+proxyDelegationSchema.statics.countHeldBy = function(electionId, proxyId, statuses = ['approved']) {
+  return this.countDocuments({
+    electionId,
+    proxyId,
+    status: { $in: statuses }
+  });
+};
+
+module.exports = mongoose.model('ProxyDelegation', proxyDelegationSchema);
@@ -9,7 +9,7 @@ const recycleBinSchema = new mongoose.Schema({
   // Item Information
   itemType: {
     type: String,
-    enum: ['post', 'event', 'gallery', 'member', 'comment', 'document', 'other'],
+    enum: ['post', 'event', 'gallery', 'partner', 'testimonial', 'member', 'comment', 'document', 'other'],
     required: true
   },
   itemId: {
@@ -20,6 +20,11 @@ const recycleBinSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     required: true
   },
+  // Uploaded files kept until the item is purged (local /uploads paths or Cloudinary ids)
+  files: [{
+    path: String,
+    publicId: String
+  }],
 
   // Deletion Information
   deletedBy: {
@@ -71,13 +76,14 @@ const recycleBinSchema = new mongoose.Schema({
 
 // Indexes
 recycleBinSchema.index({ itemType: 1, itemId: 1 });
+recycleBinSchema.index({ itemType: 1, restored: 1, permanentlyDeleted: 1, deletedAt: -1 });
 recycleBinSchema.index({ deletedBy: 1 });
 recycleBinSchema.index({ deletedAt: -1 });
 recycleBinSchema.index({ restored: 1 });
 recycleBinSchema.index({ permanentlyDeleted: 1 });
 
-// Auto-delete after 30 days
-recycleBinSchema.index({ deletedAt: 1 }, { expireAfterSeconds: 2592000 }); // 30 days
+// No TTL index: the purge job in services/recycleBin.service.js removes expired
+// items so their uploaded files are deleted too
 
 module.exports = mongoose.model('RecycleBin', recycleBinSchema);
 
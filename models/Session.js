@@ -0,0 +1,95 @@
+/**
+ * Session Model
+ * Server-side login sessions backing short-lived access tokens
+ *
+ * Each login creates a session holding the hash of its current refresh token.
+ * Access tokens carry the session id (sid), so revoking a session ends its
+ * access tokens immediately. Impersonation sessions let an admin view the app
+ * as the user; they expire quickly and cannot be refreshed.
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Refresh tokens are rotated on every use; only hashes are stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousRefreshTokenHash: {
+    type: String,
+    select: false
+  },
+  rotatedAt: Date,
+
+  // Device
+  deviceName: String,
+  userAgent: String,
+  ip: String,
+
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Set when an admin started the session to view the app as this user
+  impersonation: {
+    type: new mongoose.Schema({
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      reason: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 500
+      },
+      readOnly: {
+        type: Boolean,
+        default: true
+      }
+    }, { _id: false }),
+    default: undefined
+  },
+
+  // Revocation
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'admin_forced', 'password_changed', 'account_deactivated', 'refresh_token_reuse', 'impersonation_ended']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousRefreshTokenHash: 1 }, { sparse: true });
+sessionSchema.index({ 'impersonation.by': 1, revokedAt: 1 }, { sparse: true });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -61,13 +61,24 @@ const twoFactorAuthSchema = new mongoose.Schema({
 
   // Security
   lastUsedAt: Date,
+  // Time step of the last TOTP code accepted; codes at or before it are refused
+  lastTotpCounter: Number,
   failedAttempts: {
     type: Number,
     default: 0
   },
   lockedUntil: Date,
 
-  // Trusted Devices
+  // Pending login challenge (hash of the challenge token)
+  pendingLogin: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date
+  },
+
+  // Trusted Devices (deviceId is the hash of the token kept by the device)
   trustedDevices: [{
     deviceId: String,
     deviceName: String,
@@ -96,6 +107,26 @@ const twoFactorAuthSchema = new mongoose.Schema({
 // Indexes
 twoFactorAuthSchema.index({ user: 1 });
 twoFactorAuthSchema.index({ enabled: 1 });
+twoFactorAuthSchema.index({ 'pendingLogin.tokenHash': 1 }, { sparse: true });
+
+// Wrong codes allowed before verification is locked, and for how long
+twoFactorAuthSchema.statics.MAX_FAILED_ATTEMPTS = 5;
+twoFactorAuthSchema.statics.LOCK_DURATION_MS = 15 * 60 * 1000;
+
+// Whether verification is locked after too many wrong codes
+twoFactorAuthSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
+// Count a wrong code, locking verification once the limit is reached
+twoFactorAuthSchema.methods.recordFailure = async function() {
+  this.failedAttempts += 1;
+  if (this.failedAttempts >= this.constructor.MAX_FAILED_ATTEMPTS) {
+    this.lockedUntil = new Date(Date.now() + this.constructor.LOCK_DURATION_MS);
+    this.failedAttempts = 0;
+  }
+  await this.save();
+};
 
 module.exports = mongoose.model('TwoFactorAuth', twoFactorAuthSchema);
 
@@ -1,7 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const validator = require('validator');
 
+// Password reset links expire after 10 minutes
+const RESET_TOKEN_TTL_MS = 10 * 60 * 1000;
+// Email verification links expire after 24 hours and can be resent once a minute
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
 const userSchema = new mongoose.Schema({
   // Basic Information
   firstName: {
@@ -76,6 +83,10 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  chapter: {
+    type: String,
+    trim: true
+  },
 
   // Role & Permissions
   // NOTE: Admin access is now determined by the Admin model, not this role field.
@@ -178,10 +189,13 @@ const userSchema = new mongoose.Schema({
   // Password Reset
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // Tokens and sessions issued before this second are no longer accepted
+  passwordChangedAt: Date,
 
   // Email Verification
   verificationToken: String,
   verificationTokenExpire: Date,
+  verificationSentAt: Date,
 
   // Tracking
   lastLogin: {
@@ -192,10 +206,10 @@ const userSchema = new mongoose.Schema({
 });
 
 // Hash password before saving
-userSchema.pre('save', async function(next) {
+userSchema.pre('save', async function() {
   // Only hash password if it's modified or new
   if (!this.isModified('password')) {
-    return next();
+    return;
   }
 
   // Only hash if password exists (Google OAuth users may not have password)
@@ -204,7 +218,9 @@ userSchema.pre('save', async function(next) {
     this.password = await bcrypt.hash(this.password, salt);
   }
 
-  next();
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
 });
 
 // Method to compare password
@@ -215,6 +231,52 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Whether the password was changed after a token or session was issued
+// @param {number} issuedAt - Issue time in seconds (JWT iat)
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return issuedAt < Math.floor(this.passwordChangedAt.getTime() / 1000);
+};
+
+// Create a password reset token; only its hash is stored
+// Returns the plain token to be emailed to the user
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = this.constructor.hashToken(resetToken);
+  this.resetPasswordExpire = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+
+  return resetToken;
+};
+
+// Create an email verification token; only its hash is stored
+// Returns the plain token to be emailed to the user
+userSchema.methods.createVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.verificationToken = this.constructor.hashToken(verificationToken);
+  this.verificationTokenExpire = new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS);
+  this.verificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Seconds until another verification email may be sent, 0 if one may be sent now
+userSchema.methods.verificationResendWait = function() {
+  if (!this.verificationSentAt) {
+    return 0;
+  }
+  const wait = this.verificationSentAt.getTime() + VERIFICATION_RESEND_COOLDOWN_MS - Date.now();
+  return wait > 0 ? Math.ceil(wait / 1000) : 0;
+};
+
+// Hash an emailed token (password reset, email verification) for storage and lookup
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 // Method to get profile information (excludes sensitive data like studentId)
 userSchema.methods.getProfileInfo = function() {
   return {
@@ -249,6 +311,7 @@ userSchema.set('toJSON', {
     delete ret.resetPasswordExpire;
     delete ret.verificationToken;
     delete ret.verificationTokenExpire;
+    delete ret.verificationSentAt;
     return ret;
   }
 });
@@ -262,8 +325,12 @@ userSchema.set('toObject', {
     delete ret.resetPasswordExpire;
     delete ret.verificationToken;
     delete ret.verificationTokenExpire;
+    delete ret.verificationSentAt;
     return ret;
   }
 });
 
+userSchema.index({ resetPasswordToken: 1 }, { sparse: true });
+userSchema.index({ verificationToken: 1 }, { sparse: true });
+
 module.exports = mongoose.model('User', userSchema);
@@ -27,6 +27,12 @@ const voteSchema = new mongoose.Schema({
     ref: 'Candidate',
     required: true
   },
+  // All selected candidates - preference order for ranked-choice ballots,
+  // the approved set for approval ballots. candidateId holds the first entry.
+  candidateIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate'
+  }],
   positionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Position',
@@ -63,6 +69,16 @@ const voteSchema = new mongoose.Schema({
   ipAddress: String,
   userAgent: String,
 
+  // Proxy Voting - set when a proxy cast this vote on the member's behalf
+  castByProxyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  delegationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProxyDelegation'
+  },
+
   // Verification
   verified: {
     type: Boolean,
@@ -80,7 +96,10 @@ const voteSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
-  invalidationReason: String
+  invalidationReason: String,
+
+  // The ballot's hash on the bulletin board, where invalidations are published
+  ballotHash: String
 }, {
   timestamps: true
 });
@@ -89,9 +108,11 @@ const voteSchema = new mongoose.Schema({
 voteSchema.index({ memberId: 1, positionId: 1, electionId: 1 }, { unique: true });
 voteSchema.index({ electionId: 1, positionId: 1 });
 voteSchema.index({ candidateId: 1 });
+voteSchema.index({ candidateIds: 1 });
 voteSchema.index({ timestamp: -1 });
 voteSchema.index({ chapter: 1 });
 voteSchema.index({ linkTokenHash: 1 });
+voteSchema.index({ ballotHash: 1 }, { sparse: true });
 
 // Prevent updates and deletes
 voteSchema.pre('findOneAndUpdate', function() {
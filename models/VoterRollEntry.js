@@ -0,0 +1,65 @@
+/**
+ * Voter Roll Entry Model
+ * Frozen snapshot of the members eligible to vote in an election
+ *
+ * Written once when the election starts. Voting, link generation and turnout
+ * all read the snapshot, so later changes to members or rules do not alter
+ * who could vote.
+ */
+
+const mongoose = require('mongoose');
+
+const voterRollEntrySchema = new mongoose.Schema({
+  electionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Member details as they were when the roll was frozen
+  memberEmail: String,
+  memberName: String,
+  chapter: String,
+  yearOfStudy: Number,
+  membershipStatus: String,
+  membershipTier: String,
+
+  // rules: matched the eligibility rules; override: added by an admin
+  source: {
+    type: String,
+    enum: ['rules', 'override'],
+    default: 'rules'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+voterRollEntrySchema.index({ electionId: 1, memberId: 1 }, { unique: true });
+voterRollEntrySchema.index({ electionId: 1, chapter: 1 });
+
+// Prevent updates and deletes
+voterRollEntrySchema.pre('findOneAndUpdate', function() {
+  throw new Error('Voter roll entries are frozen and cannot be updated');
+});
+
+voterRollEntrySchema.pre('findOneAndDelete', function() {
+  throw new Error('Voter roll entries are frozen and cannot be deleted');
+});
+
+voterRollEntrySchema.pre('deleteMany', function() {
+  throw new Error('Voter roll entries are frozen and cannot be deleted');
+});
+
+// Static: Check whether a member is on an election's frozen roll
+voterRollEntrySchema.statics.isOnRoll = async function(electionId, memberId, session = null) {
+  const entry = await this.exists({ electionId, memberId }).session(session);
+  return Boolean(entry);
+};
+
+module.exports = mongoose.model('VoterRollEntry', voterRollEntrySchema);
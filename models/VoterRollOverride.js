@@ -0,0 +1,53 @@
+/**
+ * Voter Roll Override Model
+ * Admin additions to and removals from an election's rule-based voter roll
+ *
+ * Overrides are applied on top of the election's eligibility rules until the
+ * roll is frozen at election start.
+ */
+
+const mongoose = require('mongoose');
+
+const voterRollOverrideSchema = new mongoose.Schema({
+  electionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  memberEmail: String,
+
+  // add: on the roll regardless of the rules; remove: off the roll regardless of the rules
+  action: {
+    type: String,
+    enum: ['add', 'remove'],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+voterRollOverrideSchema.index({ electionId: 1, memberId: 1 }, { unique: true });
+voterRollOverrideSchema.index({ electionId: 1, action: 1 });
+
+module.exports = mongoose.model('VoterRollOverride', voterRollOverrideSchema);
@@ -81,6 +81,71 @@ const votingLinkSchema = new mongoose.Schema({
   },
   emailSentAt: Date,
 
+  // Numeric One-Time Code (alternative to the URL token, e.g. for SMS/USSD)
+  // Shares the link's status and expiry; locked after too many wrong tries
+  code: {
+    codeHash: String,
+    issuedAt: Date,
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedAt: Date,
+    redeemedAt: Date,
+    channel: {
+      type: String,
+      enum: ['sms', 'manual']
+    },
+    sms: {
+      to: String,
+      status: {
+        type: String,
+        enum: ['sent', 'failed']
+      },
+      messageId: String,
+      error: String,
+      sentAt: Date
+    }
+  },
+
+  // Email Delivery (processed in batches by the link delivery worker)
+  delivery: {
+    status: {
+      type: String,
+      enum: ['not_queued', 'queued', 'sending', 'sent', 'failed', 'bounced'],
+      default: 'not_queued'
+    },
+    // What the queued message is: the first invitation, a resend or a reminder
+    kind: {
+      type: String,
+      enum: ['invitation', 'resend', 'reminder']
+    },
+    queuedAt: Date,
+    nextAttemptAt: Date,
+    attemptCount: {
+      type: Number,
+      default: 0
+    },
+    lastAttemptAt: Date,
+    lastError: String,
+    remindersSent: {
+      type: Number,
+      default: 0
+    },
+    lastReminderAt: Date,
+    attempts: [{
+      kind: String,
+      attemptedAt: Date,
+      success: Boolean,
+      messageId: String,
+      error: String
+    }]
+  },
+
   // Access Tracking
   accessedAt: Date,
   accessCount: {
@@ -97,6 +162,9 @@ votingLinkSchema.index({ memberId: 1, electionId: 1 });
 votingLinkSchema.index({ tokenHash: 1 });
 votingLinkSchema.index({ status: 1 });
 votingLinkSchema.index({ expiresAt: 1 });
+votingLinkSchema.index({ 'delivery.status': 1, 'delivery.nextAttemptAt': 1 });
+votingLinkSchema.index({ electionId: 1, 'delivery.status': 1 });
+votingLinkSchema.index({ memberId: 1, 'code.issuedAt': 1 });
 
 // Method: Mark as used
 votingLinkSchema.methods.markAsUsed = async function(positionIds = []) {
@@ -1,16 +1,24 @@
 /**
  * Voting Log Model
  * Comprehensive audit log for all voting-related actions
+ *
+ * Entries form a hash chain per election (entries without an election share
+ * one global chain): each entry stores the hash of the entry before it, so a
+ * deleted or edited row breaks every link after it.
  */
 
 const mongoose = require('mongoose');
+const { hashEntry, GENESIS_HASH } = require('../utils/auditChainUtil');
 
 const votingLogSchema = new mongoose.Schema({
   // Actor Information
+  // Omitted for automated actions (actorRole 'system')
   actorId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return this.actorRole !== 'system';
+    }
   },
   actorEmail: String,
   actorRole: {
@@ -27,18 +35,45 @@ const votingLogSchema = new mongoose.Schema({
       'election_approved',
       'election_started',
       'election_closed',
+      'election_template_saved',
       'position_created',
       'candidate_added',
       'candidate_updated',
       'candidate_withdrawn',
+      'nomination_submitted',
+      'nomination_seconded',
+      'nomination_withdrawn',
+      'nomination_approved',
+      'nomination_rejected',
+      'voter_roll_updated',
       'vote_link_generated',
       'vote_link_validated',
+      'vote_link_resent',
+      'vote_link_reminders_queued',
+      'vote_code_issued',
+      'vote_code_redeemed',
+      'vote_code_rejected',
       'vote_cast',
+      'proxy_vote_cast',
+      'proxy_requested',
+      'proxy_approved',
+      'proxy_rejected',
+      'proxy_revoked',
       'vote_invalidated',
+      'dispute_filed',
+      'dispute_withdrawn',
+      'dispute_investigation_started',
+      'dispute_note_added',
+      'dispute_resolved',
       'results_viewed',
       'results_exported',
+      'results_certified',
+      'audit_chain_exported',
+      'tie_break_recorded',
       'admin_created',
-      'admin_disabled'
+      'admin_disabled',
+      'observer_appointed',
+      'observer_revoked'
     ]
   },
 
@@ -46,7 +81,7 @@ const votingLogSchema = new mongoose.Schema({
   resource: {
     type: {
       type: String,
-      enum: ['election', 'position', 'candidate', 'vote', 'admin', 'link']
+      enum: ['election', 'position', 'candidate', 'nomination', 'proxy', 'vote', 'receipt', 'admin', 'link', 'observer', 'dispute', 'template']
     },
     id: mongoose.Schema.Types.ObjectId
   },
@@ -74,7 +109,12 @@ const votingLogSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  errorMessage: String
+  errorMessage: String,
+
+  // Hash Chain
+  sequence: Number,
+  previousHash: String,
+  hash: String
 }, {
   timestamps: true
 });
@@ -86,10 +126,60 @@ votingLogSchema.index({ electionId: 1, createdAt: -1 });
 votingLogSchema.index({ chapter: 1, createdAt: -1 });
 votingLogSchema.index({ 'resource.type': 1, 'resource.id': 1 });
 votingLogSchema.index({ createdAt: -1 });
+votingLogSchema.index(
+  { electionId: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+
+// Link new entries onto the end of their election's chain
+// Concurrent appends can pick the same sequence: log() retries the entry,
+// and castVote retries its whole transaction.
+votingLogSchema.pre('save', async function() {
+  if (!this.isNew) {
+    throw new Error('Voting log entries are immutable and cannot be modified');
+  }
+
+  const last = await this.constructor.findOne({
+    electionId: this.electionId || null,
+    sequence: { $exists: true }
+  })
+    .sort({ sequence: -1 })
+    .select('sequence hash')
+    .session(this.$session())
+    .lean();
+
+  if (!this.createdAt) {
+    this.createdAt = new Date();
+  }
+  this.sequence = last ? last.sequence + 1 : 1;
+  this.previousHash = last ? last.hash : GENESIS_HASH;
+  this.hash = hashEntry(this.toObject());
+});
+
+// Prevent updates and deletes
+votingLogSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function() {
+  throw new Error('Voting log entries are immutable and cannot be updated');
+});
+
+votingLogSchema.pre(['findOneAndDelete', 'deleteOne', 'deleteMany'], function() {
+  throw new Error('Voting log entries are immutable and cannot be deleted');
+});
 
 // Static method: Log action
-votingLogSchema.statics.log = async function(data) {
-  return this.create(data);
+// Concurrent writers can race for the same sequence number; the unique
+// index rejects the loser, which retries against the new chain head.
+// Logged entries are streamed, redacted, to the election's observers.
+votingLogSchema.statics.log = async function(data, attempts = 3) {
+  try {
+    const entry = await this.create(data);
+    require('../services/socket.service').emitObserverActivity(entry);
+    return entry;
+  } catch (error) {
+    if (error.code === 11000 && attempts > 1) {
+      return this.log(data, attempts - 1);
+    }
+    throw error;
+  }
 };
 
 module.exports = mongoose.model('VotingLog', votingLogSchema);
@@ -3,6 +3,7 @@ const router = express.Router();
 const adminController = require('../controllers/admin.controller');
 const { protect } = require('../middleware/auth.middleware');
 const { requirePermission, ensureAdminProfile } = require('../middleware/adminMiddleware');
+const { requireApproval } = require('../middleware/approvalMiddleware');
 
 /**
  * Protected routes - all require authentication
@@ -40,6 +41,13 @@ router.get(
   adminController.getActivityLogs
 );
 
+// Export audit log as CSV or JSON (Super Admin only)
+router.get(
+  '/logs/export',
+  requirePermission('view_logs'),
+  adminController.exportAuditLogs
+);
+
 // Get admin role statistics (Super Admin only)
 router.get(
   '/stats/roles',
@@ -89,21 +97,16 @@ router.post(
 // Log action - requires Admin profile
 router.post('/log-action', ensureAdminProfile, adminController.logAdminAction);
 
-// Export activity logs (Super Admin only)
-router.post(
-  '/logs/export',
-  requirePermission('view_logs'),
-  adminController.exportActivityLogs
-);
 
 /**
  * DELETE routes
  */
 
-// Delete admin (Super Admin only)
+// Delete admin (Super Admin only, second admin approves under dual control)
 router.delete(
   '/:adminId',
   requirePermission('manage_admins'),
+  requireApproval('delete_admin', req => ({ adminId: req.params.adminId })),
   adminController.deleteAdmin
 );
 
@@ -0,0 +1,48 @@
+/**
+ * Approval Routes
+ * Four-eyes approval requests for sensitive admin actions
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const { admin } = require('../middleware/adminMiddleware');
+const {
+  listRequests,
+  approveRequest,
+  rejectRequest,
+  cancelRequest
+} = require('../controllers/approval.controller');
+
+// Any admin can see requests; the service checks who may decide each one
+router.use(protect, admin);
+
+/**
+ * @route   GET /api/admin/approvals
+ * @desc    List approval requests
+ * @access  Private/Admin
+ */
+router.get('/', listRequests);
+
+/**
+ * @route   POST /api/admin/approvals/:id/approve
+ * @desc    Approve a request and carry out its action
+ * @access  Private/Admin authorized for the action, other than the requester
+ */
+router.post('/:id/approve', approveRequest);
+
+/**
+ * @route   POST /api/admin/approvals/:id/reject
+ * @desc    Reject a request
+ * @access  Private/Admin authorized for the action, other than the requester
+ */
+router.post('/:id/reject', rejectRequest);
+
+/**
+ * @route   POST /api/admin/approvals/:id/cancel
+ * @desc    Withdraw a request
+ * @access  Private/Requester
+ */
+router.post('/:id/cancel', cancelRequest);
+
+module.exports = router;
@@ -3,17 +3,28 @@ const router = express.Router();
 const passport = require('passport');
 const { protect, optionalAuth } = require('../middleware/authMiddleware');
 const { admin, requirePermission } = require('../middleware/adminMiddleware');
-const { authLimiter, passwordResetLimiter } = require('../middleware/rateLimiter');
+const { requireApproval } = require('../middleware/approvalMiddleware');
+const { authLimiter, passwordResetLimiter, passwordResetIpLimiter } = require('../middleware/rateLimiter');
 const { recaptcha } = require('../middleware/recaptchaMiddleware');
 const { sanitizeBody, schemas } = require('../middleware/inputSanitizer');
 
 const {
   register,
   login,
+  completeTwoFactorLogin,
   logout,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  forceLogoutUser,
   getProfile,
   updateProfile,
   changePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   googleCallback,
   getAllUsers,
   getUserById,
@@ -41,6 +52,31 @@ router.post('/login',
   //recaptcha({ required: true, version: 'v3', action: 'login', score_threshold: 0.3 }),
   login
 );
+// Second login step for accounts with two-factor authentication
+router.post('/login/2fa',
+  authLimiter,
+  completeTwoFactorLogin
+);
+
+// Access token refresh (rotates the refresh token)
+router.post('/refresh', refreshToken);
+
+// Email verification
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+
+// Password reset
+router.post('/forgot-password',
+  passwordResetIpLimiter,
+  sanitizeBody(schemas.auth),
+  passwordResetLimiter,
+  forgotPassword
+);
+router.post('/reset-password',
+  passwordResetIpLimiter,
+  sanitizeBody(schemas.auth),
+  resetPassword
+);
 
 // Google OAuth
 router.get('/google', passport.authenticate('google', { scope: ['profile', 'email'] }));
@@ -56,16 +92,28 @@ router.put('/profile', protect, updateProfile);
 router.post('/change-password', protect, changePassword);
 router.post('/deactivate', protect, deactivateAccount);
 
+// Protected routes - Sessions
+router.get('/sessions', protect, getSessions);
+router.post('/sessions/revoke-others', protect, revokeOtherSessions);
+router.delete('/sessions/:sessionId', protect, revokeSession);
+
 // Admin routes - User Management
 router.get('/users', protect, admin, getAllUsers);
 router.get('/users/:id', protect, admin, getUserById);
 router.put('/users/:id/role', protect, admin, updateUserRole);
 router.delete('/users/:id', protect, admin, deleteUser);
+router.post('/users/:id/force-logout', protect, requirePermission('manage_security'), forceLogoutUser);
 
 // Admin Login Assignment Routes (Super Admin only)
 router.post('/admin/create-login', protect, requirePermission('manage_admins'), createAdminLogin);
 router.post('/admin/assign-role', protect, requirePermission('manage_admins'), assignAdminRole);
-router.post('/admin/reset-password', protect, requirePermission('manage_admins'), resetAdminPassword);
+router.post(
+  '/admin/reset-password',
+  protect,
+  requirePermission('manage_admins'),
+  requireApproval('reset_admin_password', req => ({ adminId: req.body.adminId })),
+  resetAdminPassword
+);
 router.get('/admin/all-logins', protect, requirePermission('manage_admins'), getAllAdminLogins);
 router.put('/admin/:adminId/deactivate', protect, requirePermission('manage_admins'), deactivateAdminCredentials);
 router.put('/admin/:adminId/reactivate', protect, requirePermission('manage_admins'), reactivateAdminCredentials);
@@ -9,12 +9,16 @@ const multer = require('multer');
 const path = require('path');
 const { protect } = require('../middleware/authMiddleware');
 const { requirePermission } = require('../middleware/adminMiddleware');
+const { resourceScope } = require('../services/permission.service');
 const {
   addCandidate,
   updateCandidate,
   withdrawCandidate
 } = require('../controllers/candidate.controller');
 
+const candidateScope = resourceScope('Candidate');
+const positionParamScope = resourceScope('Position', 'positionId');
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -80,7 +84,7 @@ const chooseUpload = (req, res, next) => {
 router.post(
   '/positions/:positionId/candidates',
   protect,
-  requirePermission('MANAGE_EVENTS'),
+  requirePermission('manage_events', { scope: positionParamScope }),
   chooseUpload,
   addCandidate
 );
@@ -88,7 +92,7 @@ router.post(
 router.patch(
   '/candidates/:id',
   protect,
-  requirePermission('MANAGE_EVENTS'),
+  requirePermission('manage_events', { scope: candidateScope }),
   chooseUpload,
   updateCandidate
 );
@@ -96,7 +100,7 @@ router.patch(
 router.patch(
   '/candidates/:id/withdraw',
   protect,
-  requirePermission('MANAGE_EVENTS'),
+  requirePermission('manage_events', { scope: candidateScope }),
   withdrawCandidate
 );
 
@@ -15,12 +15,12 @@ const {
 // Public route - anyone can get contact info
 router.get('/', getContactInfo);
 
-// Admin routes - only admins with CONTACT_ADMIN role can update
+// Admin routes - only admins with the manage_contact permission can update
 router.put(
   '/',
   protect,
   admin,
-  requirePermission('CONTACT_ADMIN'),
+  requirePermission('manage_contact'),
   updateContactInfo
 );
 
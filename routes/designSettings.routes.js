@@ -17,6 +17,7 @@ const {
   upload
 } = require('../controllers/designSettings.controller');
 const { authenticateToken, requireAdmin } = require('../middleware/authMiddleware');
+const { requireApproval } = require('../middleware/approvalMiddleware');
 const { body, param } = require('express-validator');
 const { validateRequest } = require('../middleware/requestValidator');
 
@@ -107,6 +108,7 @@ router.put('/announcements', [
 ], validateRequest, updateAnnouncementSettings);
 
 // POST /api/design-settings/reset - Reset design settings to defaults
-router.post('/reset', resetDesignSettings);
+// Held for a second admin's approval when reset_design_settings is under dual control
+router.post('/reset', requireApproval('reset_design_settings', () => ({})), resetDesignSettings);
 
 module.exports = router;
@@ -0,0 +1,83 @@
+/**
+ * Dispute Routes
+ * Handles election disputes, investigation and vote invalidation
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/adminMiddleware');
+const { electionParamScope, resourceScope } = require('../services/permission.service');
+const {
+  fileDispute,
+  getMyDisputes,
+  withdrawDispute,
+  getElectionDisputes,
+  getDispute,
+  startInvestigation,
+  addNote,
+  getDisputeVotes,
+  invalidateVotes,
+  resolveDispute
+} = require('../controllers/dispute.controller');
+
+const disputeScope = resourceScope('ElectionDispute');
+
+// Candidates and observers
+router.get('/disputes/mine', protect, getMyDisputes);
+
+router.post('/elections/:electionId/disputes', protect, fileDispute);
+
+router.patch('/disputes/:id/withdraw', protect, withdrawDispute);
+
+// Admin
+router.get(
+  '/elections/:electionId/disputes',
+  protect,
+  requirePermission('view_reports', { scope: electionParamScope }),
+  getElectionDisputes
+);
+
+router.get(
+  '/disputes/:id',
+  protect,
+  requirePermission('view_reports', { scope: disputeScope }),
+  getDispute
+);
+
+router.patch(
+  '/disputes/:id/investigate',
+  protect,
+  requirePermission('manage_events', { scope: disputeScope }),
+  startInvestigation
+);
+
+router.post(
+  '/disputes/:id/notes',
+  protect,
+  requirePermission('manage_events', { scope: disputeScope }),
+  addNote
+);
+
+router.get(
+  '/disputes/:id/votes',
+  protect,
+  requirePermission('manage_admins', { scope: disputeScope }),
+  getDisputeVotes
+);
+
+router.post(
+  '/disputes/:id/invalidate-votes',
+  protect,
+  requirePermission('manage_admins', { scope: disputeScope }),
+  invalidateVotes
+);
+
+router.patch(
+  '/disputes/:id/resolve',
+  protect,
+  requirePermission('manage_admins', { scope: disputeScope }),
+  resolveDispute
+);
+
+module.exports = router;
@@ -5,8 +5,11 @@
 
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const { protect } = require('../middleware/authMiddleware');
 const { requirePermission } = require('../middleware/adminMiddleware');
+const { requireApproval } = require('../middleware/approvalMiddleware');
+const { electionScope } = require('../services/permission.service');
 const { recaptcha } = require('../middleware/recaptchaMiddleware');
 const {
   createElection,
@@ -15,27 +18,65 @@ const {
   closeElection,
   getElection,
   listElections,
-  exportResults
+  exportResults,
+  verifyAuditChain,
+  exportAuditChain,
+  reviewCertification,
+  certifyResults,
+  downloadResultsPdf,
+  getTurnoutAnalytics
 } = require('../controllers/election.controller');
+const {
+  getVoterRoll,
+  updateEligibilityRules,
+  addOverrides,
+  removeOverride,
+  importVoterRoll,
+  exportVoterRoll
+} = require('../controllers/voterRoll.controller');
+const { cloneElection } = require('../controllers/electionTemplate.controller');
+
+// Voter roll CSV imports are parsed in memory
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.csv$/i.test(file.originalname) || /csv|text\/plain/.test(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV files are allowed'));
+  }
+});
 
 // Public routes
 router.get('/', listElections);
 router.get('/:id', getElection);
 
 // Chapter Admin routes
+// electionScope lets chapter-scoped group grants cover their own chapter's
+// elections. Cloning can change chapter, so it needs an unscoped grant.
 router.post(
   '/',
   protect,
-  requirePermission('MANAGE_EVENTS'),
+  requirePermission('manage_events', { scope: electionScope }),
   recaptcha({ required: false }),
   createElection
 );
 
+router.post(
+  '/:id/clone',
+  protect,
+  requirePermission('manage_events'),
+  cloneElection
+);
+
 // Super Admin routes
 router.patch(
   '/:id/approve',
   protect,
-  requirePermission('MANAGE_ADMINS'),
+  requirePermission('manage_admins'),
   approveElection
 );
 
@@ -43,23 +84,112 @@ router.patch(
 router.patch(
   '/:id/start',
   protect,
-  requirePermission('MANAGE_EVENTS'),
+  requirePermission('manage_events', { scope: electionScope }),
   startElection
 );
 
 router.patch(
   '/:id/close',
   protect,
-  requirePermission('MANAGE_EVENTS'),
+  requirePermission('manage_events', { scope: electionScope }),
+  requireApproval('close_election', req => ({ electionId: req.params.id })),
   closeElection
 );
 
 router.get(
   '/:id/export',
   protect,
-  requirePermission('VIEW_REPORTS'),
+  requirePermission('view_reports', { scope: electionScope }),
   exportResults
 );
 
+router.get(
+  '/:id/audit-chain/verify',
+  protect,
+  requirePermission('view_reports', { scope: electionScope }),
+  verifyAuditChain
+);
+
+router.get(
+  '/:id/audit-chain/export',
+  protect,
+  requirePermission('view_reports', { scope: electionScope }),
+  exportAuditChain
+);
+
+// Results certification
+router.get(
+  '/:id/certification/review',
+  protect,
+  requirePermission('view_reports', { scope: electionScope }),
+  reviewCertification
+);
+
+router.post(
+  '/:id/certify',
+  protect,
+  requirePermission('manage_admins'),
+  certifyResults
+);
+
+router.get(
+  '/:id/certification/pdf',
+  protect,
+  requirePermission('view_reports', { scope: electionScope }),
+  downloadResultsPdf
+);
+
+// Turnout analytics
+router.get(
+  '/:id/analytics',
+  protect,
+  requirePermission('view_reports', { scope: electionScope }),
+  getTurnoutAnalytics
+);
+
+// Voter roll
+router.get(
+  '/:id/voter-roll',
+  protect,
+  requirePermission('view_reports', { scope: electionScope }),
+  getVoterRoll
+);
+
+router.get(
+  '/:id/voter-roll/export',
+  protect,
+  requirePermission('view_reports', { scope: electionScope }),
+  exportVoterRoll
+);
+
+router.put(
+  '/:id/voter-roll/rules',
+  protect,
+  requirePermission('manage_members', { scope: electionScope }),
+  updateEligibilityRules
+);
+
+router.post(
+  '/:id/voter-roll/overrides',
+  protect,
+  requirePermission('manage_members', { scope: electionScope }),
+  addOverrides
+);
+
+router.delete(
+  '/:id/voter-roll/overrides/:memberId',
+  protect,
+  requirePermission('manage_members', { scope: electionScope }),
+  removeOverride
+);
+
+router.post(
+  '/:id/voter-roll/import',
+  protect,
+  requirePermission('manage_members', { scope: electionScope }),
+  csvUpload.single('file'),
+  importVoterRoll
+);
+
 module.exports = router;
 
@@ -0,0 +1,28 @@
+/**
+ * Election Template Routes
+ * Handles reusable election templates
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/adminMiddleware');
+const {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createElectionFromTemplate
+} = require('../controllers/electionTemplate.controller');
+
+router.use(protect, requirePermission('manage_events'));
+
+router.get('/', listTemplates);
+router.post('/', createTemplate);
+router.get('/:id', getTemplate);
+router.put('/:id', updateTemplate);
+router.delete('/:id', deleteTemplate);
+router.post('/:id/elections', createElectionFromTemplate);
+
+module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const { protect, optionalAuth } = require('../middleware/authMiddleware');
+const { protect, optionalAuth, requireVerified } = require('../middleware/authMiddleware');
 const { admin } = require('../middleware/adminMiddleware');
 const { createLimiter } = require('../middleware/rateLimiter');
 
@@ -92,7 +92,7 @@ router.get('/featured', (req, res, next) => {
 router.get('/:id', getEventById);
 
 // Protected routes - User
-router.post('/:id/register', protect, registerForEvent);
+router.post('/:id/register', protect, requireVerified, registerForEvent);
 router.post('/:id/unregister', protect, unregisterFromEvent);
 router.post('/:id/like', protect, toggleLike);
 
@@ -0,0 +1,57 @@
+/**
+ * Impersonation Routes
+ * Super admins viewing the app as a member ("view as user")
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const { superAdmin } = require('../middleware/adminMiddleware');
+const {
+  startImpersonation,
+  listImpersonations,
+  getCurrentImpersonation,
+  stopCurrentImpersonation,
+  endImpersonation
+} = require('../controllers/impersonation.controller');
+
+// Made with the impersonation token, as the member being viewed
+
+/**
+ * @route   GET /api/admin/impersonation/current
+ * @desc    The impersonation session this request is made in
+ * @access  Private/Impersonation session
+ */
+router.get('/current', protect, getCurrentImpersonation);
+
+/**
+ * @route   POST /api/admin/impersonation/stop
+ * @desc    End the impersonation session this request is made in
+ * @access  Private/Impersonation session
+ */
+router.post('/stop', protect, stopCurrentImpersonation);
+
+// Made with the super admin's own token
+
+/**
+ * @route   POST /api/admin/impersonation
+ * @desc    Start viewing the app as a member
+ * @access  Private/Super Admin
+ */
+router.post('/', protect, superAdmin, startImpersonation);
+
+/**
+ * @route   GET /api/admin/impersonation
+ * @desc    List active impersonation sessions
+ * @access  Private/Super Admin
+ */
+router.get('/', protect, superAdmin, listImpersonations);
+
+/**
+ * @route   DELETE /api/admin/impersonation/:sessionId
+ * @desc    End an impersonation session
+ * @access  Private/Super Admin
+ */
+router.delete('/:sessionId', protect, superAdmin, endImpersonation);
+
+module.exports = router;
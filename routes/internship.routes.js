@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const internshipController = require('../controllers/internship.controller');
 const { protect } = require('../middleware/auth.middleware');
+const { requireVerified } = require('../middleware/authMiddleware');
 const { body, param, query } = require('express-validator');
 
 // Apply authentication middleware to all routes
@@ -130,6 +131,7 @@ router.delete('/:id',
 
 // Apply to internship
 router.post('/:id/apply',
+  requireVerified,
   [
     param('id').isMongoId().withMessage('Invalid internship ID'),
     body('resume').optional().isURL(),
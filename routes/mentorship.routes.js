@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const mentorshipController = require('../controllers/mentorship.controller');
 const { protect } = require('../middleware/auth.middleware');
+const { requireVerified } = require('../middleware/authMiddleware');
 const { body, param, query } = require('express-validator');
 
 // Apply authentication middleware to all routes
@@ -43,6 +44,7 @@ router.get('/:id',
 
 // Send mentorship request
 router.post('/request',
+  requireVerified,
   [
     body('mentorId').isMongoId().withMessage('Invalid mentor ID'),
     body('goals').optional().isArray(),
@@ -0,0 +1,106 @@
+/**
+ * Nomination Routes
+ * Handles candidate nominations during an election's nomination period
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const { protect, requireVerified } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/adminMiddleware');
+const { electionParamScope, resourceScope } = require('../services/permission.service');
+const {
+  setNominationPeriod,
+  createNomination,
+  secondNomination,
+  acceptNomination,
+  withdrawNomination,
+  getMyNominations,
+  getElectionNominations,
+  getElectionNominationsForReview,
+  approveNomination,
+  rejectNomination
+} = require('../controllers/nomination.controller');
+
+const nominationScope = resourceScope('Nomination');
+
+// Nominee photos are stored like candidate photos before upload to Cloudinary
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, 'uploads/candidates/');
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'nomination-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif|webp/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'));
+    }
+  }
+});
+
+// Admin: nomination period
+router.put(
+  '/elections/:electionId/nomination-period',
+  protect,
+  requirePermission('manage_events', { scope: electionParamScope }),
+  setNominationPeriod
+);
+
+// Members: nominate, second, accept, withdraw
+router.get('/nominations/mine', protect, getMyNominations);
+
+router.get('/elections/:electionId/nominations', protect, getElectionNominations);
+
+router.post(
+  '/positions/:positionId/nominations',
+  protect,
+  requireVerified,
+  upload.single('photo'),
+  createNomination
+);
+
+router.post('/nominations/:id/second', protect, requireVerified, secondNomination);
+
+router.post('/nominations/:id/accept', protect, acceptNomination);
+
+router.patch('/nominations/:id/withdraw', protect, withdrawNomination);
+
+// Admin: review
+router.get(
+  '/elections/:electionId/nominations/review',
+  protect,
+  requirePermission('manage_events', { scope: electionParamScope }),
+  getElectionNominationsForReview
+);
+
+router.patch(
+  '/nominations/:id/approve',
+  protect,
+  requirePermission('manage_events', { scope: nominationScope }),
+  approveNomination
+);
+
+router.patch(
+  '/nominations/:id/reject',
+  protect,
+  requirePermission('manage_events', { scope: nominationScope }),
+  rejectNomination
+);
+
+module.exports = router;
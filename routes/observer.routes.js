@@ -0,0 +1,52 @@
+/**
+ * Observer Routes
+ * Handles observer appointments and read-only election monitoring
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/adminMiddleware');
+const { requireObserverAccess } = require('../middleware/observerMiddleware');
+const {
+  appointObserver,
+  getElectionObservers,
+  revokeObserver,
+  getMyObservedElections,
+  getTurnout,
+  getActivity,
+  getDeliveryStats
+} = require('../controllers/observer.controller');
+
+// Observers
+router.get('/observer/elections', protect, getMyObservedElections);
+
+router.get('/observer/elections/:electionId/turnout', protect, requireObserverAccess, getTurnout);
+
+router.get('/observer/elections/:electionId/activity', protect, requireObserverAccess, getActivity);
+
+router.get('/observer/elections/:electionId/delivery', protect, requireObserverAccess, getDeliveryStats);
+
+// Admin
+router.post(
+  '/elections/:electionId/observers',
+  protect,
+  requirePermission('manage_admins'),
+  appointObserver
+);
+
+router.get(
+  '/elections/:electionId/observers',
+  protect,
+  requirePermission('view_reports'),
+  getElectionObservers
+);
+
+router.patch(
+  '/observers/:id/revoke',
+  protect,
+  requirePermission('manage_admins'),
+  revokeObserver
+);
+
+module.exports = router;
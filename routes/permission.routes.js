@@ -0,0 +1,32 @@
+/**
+ * Permission Routes
+ * Effective admin permissions and access explanations
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/adminMiddleware');
+const {
+  getEffectivePermissions,
+  explainPermission
+} = require('../controllers/permission.controller');
+
+// manage_admins cannot be granted through groups, so this stays with super admins
+router.use(protect, requirePermission('manage_admins'));
+
+/**
+ * @route   GET /api/admin/permissions/explain
+ * @desc    Explain why a user can or cannot use a permission
+ * @access  Private/Super Admin
+ */
+router.get('/explain', explainPermission);
+
+/**
+ * @route   GET /api/admin/permissions/users/:userId
+ * @desc    Get a user's effective permissions and their sources
+ * @access  Private/Super Admin
+ */
+router.get('/users/:userId', getEffectivePermissions);
+
+module.exports = router;
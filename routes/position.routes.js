@@ -7,9 +7,17 @@ const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/authMiddleware');
 const { requirePermission } = require('../middleware/adminMiddleware');
+const { electionParamScope, resourceScope } = require('../services/permission.service');
 const Position = require('../models/Position');
 const Election = require('../models/Election');
 const VotingLog = require('../models/VotingLog');
+const { recordTieBreak } = require('../controllers/position.controller');
+
+const positionScope = resourceScope('Position');
+
+// Fields an admin may change; the election, chapter, counters and tie-breaks
+// are set by the system
+const UPDATABLE_FIELDS = ['name', 'description', 'order', 'votingMethod', 'seats', 'candidateRequirements'];
 
 /**
  * Create position
@@ -17,11 +25,11 @@ const VotingLog = require('../models/VotingLog');
 router.post(
   '/elections/:electionId/positions',
   protect,
-  requirePermission('MANAGE_EVENTS'),
+  requirePermission('manage_events', { scope: electionParamScope }),
   async (req, res) => {
     try {
       const { electionId } = req.params;
-      const { name, description, order } = req.body;
+      const { name, description, order, votingMethod, seats, candidateRequirements } = req.body;
 
       // Verify election exists
       const election = await Election.findById(electionId);
@@ -45,7 +53,10 @@ router.post(
         description,
         electionId,
         chapter: election.chapter,
-        order: order || 0
+        order: order || 0,
+        votingMethod,
+        seats,
+        candidateRequirements
       });
 
       // Log action
@@ -60,7 +71,7 @@ router.post(
         },
         electionId,
         chapter: election.chapter,
-        details: { name },
+        details: { name, votingMethod: position.votingMethod, seats: position.seats },
         ip: req.ip,
         userAgent: req.get('user-agent'),
         success: true
@@ -110,11 +121,17 @@ router.get('/elections/:electionId/positions', async (req, res) => {
 router.patch(
   '/positions/:id',
   protect,
-  requirePermission('MANAGE_EVENTS'),
+  requirePermission('manage_events', { scope: positionScope }),
   async (req, res) => {
     try {
       const { id } = req.params;
-      const updateData = req.body;
+      const body = req.body || {};
+      const updateData = {};
+      for (const field of UPDATABLE_FIELDS) {
+        if (body[field] !== undefined) {
+          updateData[field] = body[field];
+        }
+      }
 
       const position = await Position.findById(id);
       if (!position) {
@@ -133,6 +150,17 @@ router.patch(
         });
       }
 
+      // Ballots already cast were validated against the current method and seats
+      const changesBallot =
+        (updateData.votingMethod && updateData.votingMethod !== position.votingMethod) ||
+        (updateData.seats && Number(updateData.seats) !== position.seats);
+      if (changesBallot && election && election.status === 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change voting method or seats once the election has started'
+        });
+      }
+
       Object.assign(position, updateData);
       await position.save();
 
@@ -157,7 +185,7 @@ router.patch(
 router.delete(
   '/positions/:id',
   protect,
-  requirePermission('MANAGE_EVENTS'),
+  requirePermission('manage_events', { scope: positionScope }),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -206,5 +234,17 @@ router.delete(
   }
 );
 
+/**
+ * Record a tie-break for a tied position
+ * seeded_draw orders the tied candidates by a seed the server generates;
+ * runoff records the winners of a runoff held outside this count.
+ */
+router.post(
+  '/positions/:id/tie-break',
+  protect,
+  requirePermission('manage_events', { scope: positionScope }),
+  recordTieBreak
+);
+
 module.exports = router;
 
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, optionalAuth } = require('../middleware/authMiddleware');
+const { protect, optionalAuth, requireVerified } = require('../middleware/authMiddleware');
 const { admin } = require('../middleware/adminMiddleware');
 const { createLimiter, commentLimiter } = require('../middleware/rateLimiter');
 
@@ -30,7 +30,7 @@ router.get('/slug/:slug', optionalAuth, getPostBySlug);
 
 // Protected routes - User
 router.post('/:id/like', protect, toggleLike);
-router.post('/:id/comments', protect, commentLimiter, addComment);
+router.post('/:id/comments', protect, requireVerified, commentLimiter, addComment);
 router.delete('/:id/comments/:commentId', protect, deleteComment);
 
 // Admin/Author routes
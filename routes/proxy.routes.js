@@ -0,0 +1,66 @@
+/**
+ * Proxy Routes
+ * Handles proxy vote delegation requests and review
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, requireVerified } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/adminMiddleware');
+const { electionParamScope, resourceScope } = require('../services/permission.service');
+const {
+  updateProxySettings,
+  requestDelegation,
+  getMyDelegations,
+  getElectionDelegations,
+  approveDelegation,
+  rejectDelegation,
+  revokeDelegation
+} = require('../controllers/proxy.controller');
+
+const proxyScope = resourceScope('ProxyDelegation');
+
+// Members
+router.get('/proxies/mine', protect, getMyDelegations);
+
+router.post('/elections/:electionId/proxies', protect, requireVerified, requestDelegation);
+
+router.patch('/proxies/:id/revoke', protect, revokeDelegation);
+
+// Admin
+router.put(
+  '/elections/:electionId/proxy-settings',
+  protect,
+  requirePermission('manage_events', { scope: electionParamScope }),
+  updateProxySettings
+);
+
+router.get(
+  '/elections/:electionId/proxies',
+  protect,
+  requirePermission('view_reports', { scope: electionParamScope }),
+  getElectionDelegations
+);
+
+router.patch(
+  '/proxies/:id/approve',
+  protect,
+  requirePermission('manage_members', { scope: proxyScope }),
+  approveDelegation
+);
+
+router.patch(
+  '/proxies/:id/reject',
+  protect,
+  requirePermission('manage_members', { scope: proxyScope }),
+  rejectDelegation
+);
+
+router.patch(
+  '/proxies/:id/force-revoke',
+  protect,
+  requirePermission('manage_members', { scope: proxyScope }),
+  revokeDelegation
+);
+
+module.exports = router;
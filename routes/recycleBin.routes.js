@@ -0,0 +1,39 @@
+/**
+ * Recycle Bin Routes
+ * Deleted posts, events, gallery items, partners and testimonials
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/adminMiddleware');
+const {
+  listItems,
+  restoreItem,
+  purgeItem
+} = require('../controllers/recycleBin.controller');
+
+router.use(protect, requirePermission('manage_recycle_bin'));
+
+/**
+ * @route   GET /api/admin/recycle-bin
+ * @desc    List deleted items
+ * @access  Private/Super Admin
+ */
+router.get('/', listItems);
+
+/**
+ * @route   POST /api/admin/recycle-bin/:id/restore
+ * @desc    Restore a deleted item
+ * @access  Private/Super Admin
+ */
+router.post('/:id/restore', restoreItem);
+
+/**
+ * @route   DELETE /api/admin/recycle-bin/:id
+ * @desc    Permanently delete an item and its uploaded files
+ * @access  Private/Super Admin
+ */
+router.delete('/:id', purgeItem);
+
+module.exports = router;
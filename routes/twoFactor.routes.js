@@ -0,0 +1,28 @@
+/**
+ * Two-Factor Authentication Routes
+ * Handles 2FA settings of the signed-in user
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const { authLimiter } = require('../middleware/rateLimiter');
+const {
+  getStatus,
+  beginSetup,
+  confirmSetup,
+  disable,
+  regenerateBackupCodes,
+  removeTrustedDevice
+} = require('../controllers/twoFactor.controller');
+
+router.use(protect);
+
+router.get('/status', getStatus);
+router.post('/setup', beginSetup);
+router.post('/verify', authLimiter, confirmSetup);
+router.post('/disable', authLimiter, disable);
+router.post('/backup-codes', authLimiter, regenerateBackupCodes);
+router.delete('/trusted-devices/:deviceId', removeTrustedDevice);
+
+module.exports = router;
@@ -7,16 +7,23 @@ const express = require('express');
 const router = express.Router();
 const { protect, optionalAuth } = require('../middleware/authMiddleware');
 const { recaptcha } = require('../middleware/recaptchaMiddleware');
+const { votingCodeLimiter } = require('../middleware/rateLimiter');
 const {
   validateVotingLink,
   submitVote,
+  submitProxyVote,
   getResults,
-  getLiveResults
+  getResultsPdf,
+  getTurnoutAnalytics,
+  getLiveResults,
+  getBulletinBoard,
+  verifyReceipt
 } = require('../controllers/vote.controller');
 
 // Public routes (with optional auth)
 router.post(
   '/validate-link',
+  votingCodeLimiter,
   recaptcha({ required: false }),
   validateVotingLink
 );
@@ -27,12 +34,35 @@ router.get(
   getResults
 );
 
+router.get(
+  '/results/:electionId/pdf',
+  optionalAuth,
+  getResultsPdf
+);
+
+router.get(
+  '/results/:electionId/analytics',
+  optionalAuth,
+  getTurnoutAnalytics
+);
+
 router.get(
   '/live/:electionId',
   optionalAuth,
   getLiveResults
 );
 
+router.get(
+  '/bulletin-board/:electionId',
+  getBulletinBoard
+);
+
+router.post(
+  '/receipts/verify',
+  recaptcha({ required: false }),
+  verifyReceipt
+);
+
 // Protected routes
 router.post(
   '/submit',
@@ -40,5 +70,12 @@ router.post(
   submitVote
 );
 
+router.post(
+  '/proxy/submit',
+  protect,
+  recaptcha({ required: true, version: 'v3', action: 'vote', score_threshold: 0.4 }),
+  submitProxyVote
+);
+
 module.exports = router;
 
@@ -7,16 +7,21 @@ const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/authMiddleware');
 const { requirePermission } = require('../middleware/adminMiddleware');
+const { bodyElectionScope, electionParamScope } = require('../services/permission.service');
 const {
   generateVotingLinks,
-  getVotingLinks
+  getVotingLinks,
+  resendVotingLinks,
+  remindNonVoters,
+  getDeliveryDashboard,
+  issueVotingCodes
 } = require('../controllers/votingLink.controller');
 
 // Generate voting links (Admin only)
 router.post(
   '/generate',
   protect,
-  requirePermission('MANAGE_MEMBERS'),
+  requirePermission('manage_members', { scope: bodyElectionScope }),
   generateVotingLinks
 );
 
@@ -24,9 +29,41 @@ router.post(
 router.get(
   '/elections/:electionId',
   protect,
-  requirePermission('VIEW_REPORTS'),
+  requirePermission('view_reports', { scope: electionParamScope }),
   getVotingLinks
 );
 
+// Delivery dashboard for an election
+router.get(
+  '/elections/:electionId/delivery',
+  protect,
+  requirePermission('view_reports', { scope: electionParamScope }),
+  getDeliveryDashboard
+);
+
+// Resend selected links
+router.post(
+  '/elections/:electionId/resend',
+  protect,
+  requirePermission('manage_members', { scope: electionParamScope }),
+  resendVotingLinks
+);
+
+// Remind members who have not voted
+router.post(
+  '/elections/:electionId/remind',
+  protect,
+  requirePermission('manage_members', { scope: electionParamScope }),
+  remindNonVoters
+);
+
+// Issue numeric one-time voting codes (optionally by SMS)
+router.post(
+  '/elections/:electionId/codes',
+  protect,
+  requirePermission('manage_members', { scope: electionParamScope }),
+  issueVotingCodes
+);
+
 module.exports = router;
 
@@ -0,0 +1,75 @@
+/**
+ * Migrate Admin Activity Logs
+ * Copies the activityLog arrays embedded in admin documents into the
+ * central audit log collection, then removes the arrays
+ *
+ * Each admin's array is removed right after its entries are copied, so an
+ * interrupted run can be restarted.
+ *
+ * Usage: node scripts/migrate-activity-logs.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const AuditLog = require('../models/AuditLog');
+const auditLogService = require('../services/auditLog.service');
+const logger = require('../utils/logger');
+
+const connectDB = require('../config/db');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const migrateActivityLogs = async () => {
+  try {
+    await connectDB();
+    logger.info('Database connected');
+
+    // activityLog is no longer in the Admin schema, so read it with the driver
+    const cursor = Admin.collection.find(
+      { 'activityLog.0': { $exists: true } },
+      { projection: { user: 1, adminRole: 1, activityLog: 1 } }
+    );
+
+    let admins = 0;
+    let entries = 0;
+
+    for await (const admin of cursor) {
+      const docs = admin.activityLog.map(log => {
+        const timestamp = log.timestamp || new Date();
+        const retentionDays = auditLogService.retentionDaysFor(log.module);
+
+        return {
+          actor: admin.user,
+          admin: admin._id,
+          adminRole: admin.adminRole,
+          action: log.action || 'unknown',
+          module: log.module || 'unknown',
+          details: log.details,
+          ipAddress: log.ipAddress,
+          userAgent: log.userAgent,
+          timestamp,
+          expiresAt: retentionDays > 0 ? new Date(timestamp.getTime() + retentionDays * DAY_MS) : undefined
+        };
+      });
+
+      await AuditLog.insertMany(docs);
+      await Admin.collection.updateOne({ _id: admin._id }, { $unset: { activityLog: '' } });
+
+      admins++;
+      entries += docs.length;
+    }
+
+    // The embedded array's index is no longer declared
+    await Admin.collection.dropIndex('activityLog.timestamp_-1').catch(() => {});
+
+    logger.info(`Migrated ${entries} activity log entries from ${admins} admins`);
+  } catch (error) {
+    logger.error('Error migrating activity logs:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrateActivityLogs();
@@ -26,6 +26,8 @@ try {
 // Initialize logger
 const logger = require('./utils/logger');
 const requestLogger = require('./middleware/requestLogger');
+const requestId = require('./middleware/requestId');
+const impersonationGuard = require('./middleware/impersonationMiddleware');
 
 // Initialize Express app
 const app = express();
@@ -151,6 +153,9 @@ app.use(passport.session());
 const requestTimeout = require('./middleware/timeout');
 app.use(requestTimeout(30000)); // 30 seconds
 
+// Request IDs for logs, error responses and audit entries
+app.use(requestId);
+
 // Custom request logger middleware
 app.use(requestLogger);
 
@@ -191,16 +196,26 @@ app.get('/', (req, res) => {
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
+const twoFactorRoutes = require('./routes/twoFactor.routes');
 const eventsRoutes = require('./routes/events.routes');
 const postsRoutes = require('./routes/posts.routes');
 const galleryRoutes = require('./routes/gallery.routes');
 const membersRoutes = require('./routes/members.routes');
 const adminRoutes = require('./routes/admin.routes');
 const adminGroupRoutes = require('./routes/adminGroup.routes');
+const recycleBinRoutes = require('./routes/recycleBin.routes');
+const permissionRoutes = require('./routes/permission.routes');
+const approvalRoutes = require('./routes/approval.routes');
+const impersonationRoutes = require('./routes/impersonation.routes');
 const recaptchaRoutes = require('./routes/recaptcha.routes');
 const electionRoutes = require('./routes/election.routes');
+const electionTemplateRoutes = require('./routes/electionTemplate.routes');
 const positionRoutes = require('./routes/position.routes');
 const candidateRoutes = require('./routes/candidate.routes');
+const nominationRoutes = require('./routes/nomination.routes');
+const proxyRoutes = require('./routes/proxy.routes');
+const observerRoutes = require('./routes/observer.routes');
+const disputeRoutes = require('./routes/dispute.routes');
 const voteRoutes = require('./routes/vote.routes');
 const votingLinkRoutes = require('./routes/votingLink.routes');
 const contactRoutes = require('./routes/contact.routes');
@@ -213,18 +228,32 @@ const internshipRoutes = require('./routes/internship.routes');
 const alumniRoutes = require('./routes/alumni.routes');
 const courseRoutes = require('./routes/course.routes');
 
+// Read-only limits and audit trail for admins viewing the app as a member
+app.use('/api', impersonationGuard);
+
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/events', sanitizeBody(schemas.content), eventsRoutes);
 app.use('/api/posts', sanitizeBody(schemas.content), postsRoutes);
 app.use('/api/gallery', galleryRoutes);
 app.use('/api/members', membersRoutes);
+// Before /api/admin, whose GET /:adminId would otherwise match these paths
+app.use('/api/admin/recycle-bin', recycleBinRoutes);
+app.use('/api/admin/permissions', permissionRoutes);
+app.use('/api/admin/approvals', approvalRoutes);
+app.use('/api/admin/impersonation', impersonationRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin/groups', adminGroupRoutes);
 app.use('/api/recaptcha', recaptchaRoutes);
 app.use('/api/elections', electionRoutes);
+app.use('/api/election-templates', electionTemplateRoutes);
 app.use('/api', positionRoutes);
 app.use('/api', candidateRoutes);
+app.use('/api', nominationRoutes);
+app.use('/api', proxyRoutes);
+app.use('/api', observerRoutes);
+app.use('/api', disputeRoutes);
 app.use('/api/vote', voteRoutes);
 app.use('/api/voting-links', votingLinkRoutes);
 app.use('/api/contact', sanitizeBody(schemas.contact), contactRoutes);
@@ -247,6 +276,10 @@ app.use(errorHandler);
 // Database connection
 const connectDB = require('./config/db');
 const { initializeSocket } = require('./services/socket.service');
+const electionLifecycle = require('./services/electionLifecycle.service');
+const linkDelivery = require('./services/linkDelivery.service');
+const recycleBin = require('./services/recycleBin.service');
+const approvals = require('./services/approval.service');
 
 // Store server instance for graceful shutdown
 let server;
@@ -265,6 +298,18 @@ const startServer = async () => {
     initializeSocket(server);
     logger.info('Socket.io initialized for real-time voting');
 
+    // Open and close elections at their scheduled times
+    electionLifecycle.startScheduler();
+
+    // Email queued voting links in throttled batches
+    linkDelivery.startDeliveryWorker();
+
+    // Permanently delete recycle bin items past their retention period
+    recycleBin.startPurgeJob();
+
+    // Expire approval requests nobody approved in time
+    approvals.startExpiryJob();
+
     return new Promise((resolve, reject) => {
       server.listen(PORT, '0.0.0.0', () => {
         const isProduction = process.env.NODE_ENV === 'production';
@@ -325,6 +370,11 @@ async function gracefulShutdown(signal) {
   logger.info(`👋 ${signal} RECEIVED. Shutting down gracefully`);
 
   try {
+    electionLifecycle.stopScheduler();
+    linkDelivery.stopDeliveryWorker();
+    recycleBin.stopPurgeJob();
+    approvals.stopExpiryJob();
+
     // Close HTTP server
     if (server) {
       await new Promise((resolve, reject) => {
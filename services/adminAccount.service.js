@@ -0,0 +1,89 @@
+/**
+ * Admin Account Service
+ * Deleting admin accounts and resetting admin passwords, shared by the
+ * admin routes and approved requests
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const User = require('../models/User');
+const Member = require('../models/Member');
+const Post = require('../models/Post');
+const Event = require('../models/Event');
+const GalleryItem = require('../models/GalleryItem');
+const Notification = require('../models/Notification');
+const TwoFactorAuth = require('../models/TwoFactorAuth');
+
+const PASSWORD_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*';
+const TEMPORARY_PASSWORD_LENGTH = 12;
+
+const findAdmin = async (adminId) => {
+  const admin = mongoose.isValidObjectId(adminId) ? await Admin.findById(adminId).populate('user') : null;
+  if (!admin) {
+    throw new Error('Admin not found');
+  }
+  return admin;
+};
+
+exports.findAdmin = findAdmin;
+
+/**
+ * Permanently delete an admin, their user account and their content
+ * @param {string} adminId
+ * @param {string} actorUserId - User performing the deletion
+ * @returns {Object} { email } of the deleted account
+ */
+exports.deleteAdminAccount = async (adminId, actorUserId) => {
+  const admin = await findAdmin(adminId);
+  const userId = admin.user?._id || admin.user;
+
+  if (String(userId) === String(actorUserId)) {
+    throw new Error('Cannot delete your own admin account');
+  }
+
+  await Admin.findByIdAndDelete(admin._id);
+  await User.findByIdAndDelete(userId);
+  await Member.deleteOne({ user: userId });
+  await Post.deleteMany({ author: userId });
+  await Event.deleteMany({ organizer: userId });
+  await GalleryItem.deleteMany({ uploadedBy: userId });
+  await Post.updateMany(
+    { 'comments.user': userId },
+    { $pull: { comments: { user: userId } } }
+  );
+  await Notification.deleteMany({ user: userId });
+  await TwoFactorAuth.deleteOne({ user: userId });
+
+  return { email: admin.user?.email };
+};
+
+/**
+ * Replace an admin's password with a random temporary one
+ * @param {string} adminId
+ * @returns {Object} { adminEmail, adminName, temporaryPassword, note }
+ */
+exports.resetAdminPassword = async (adminId) => {
+  const admin = await findAdmin(adminId);
+  const user = admin.user;
+  if (!user) {
+    throw new Error('Admin not found');
+  }
+
+  let temporaryPassword = '';
+  for (let i = 0; i < TEMPORARY_PASSWORD_LENGTH; i++) {
+    temporaryPassword += PASSWORD_CHARACTERS.charAt(crypto.randomInt(PASSWORD_CHARACTERS.length));
+  }
+
+  user.password = temporaryPassword;
+  await user.save();
+
+  return {
+    adminEmail: user.email,
+    adminName: `${user.firstName} ${user.lastName}`,
+    temporaryPassword,
+    note: 'Share this temporary password with the admin. They should change it on first login.'
+  };
+};
+
+module.exports = exports;
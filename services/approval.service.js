@@ -0,0 +1,461 @@
+/**
+ * Approval Service
+ * Four-eyes control for destructive and sensitive admin actions
+ *
+ * Actions listed in APPROVAL_REQUIRED_ACTIONS do not run when requested.
+ * They become pending requests that a second admin, different from the
+ * requester and authorized for the action, must approve within
+ * APPROVAL_WINDOW_HOURS; approval runs the action. Every step is written to
+ * the audit log.
+ */
+
+const mongoose = require('mongoose');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const Election = require('../models/Election');
+const DesignSettings = require('../models/DesignSettings');
+const adminAccountService = require('./adminAccount.service');
+const electionLifecycle = require('./electionLifecycle.service');
+const permissionService = require('./permission.service');
+const auditLogService = require('./auditLog.service');
+const logger = require('../utils/logger');
+
+const WINDOW_HOURS = parseInt(process.env.APPROVAL_WINDOW_HOURS, 10) || 24;
+const EXPIRY_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+const findElection = async (electionId) => {
+  const election = mongoose.isValidObjectId(electionId) ? await Election.findById(electionId) : null;
+  if (!election) {
+    throw new Error('Election not found');
+  }
+  if (election.status !== 'active') {
+    throw new Error('Only active elections can be closed');
+  }
+  return election;
+};
+
+/**
+ * Actions that can be put under dual control
+ * target(payload, req) validates the request and names what it acts on;
+ * execute(payload, req) runs it for the approving admin's request.
+ * permission (and scope) is what the approver must hold.
+ */
+const ACTIONS = {
+  delete_admin: {
+    label: 'Delete admin',
+    module: 'admin_management',
+    permission: 'manage_admins',
+    target: async ({ adminId }, req) => {
+      const admin = await adminAccountService.findAdmin(adminId);
+      if (String(admin.user?._id) === String(req.user._id)) {
+        throw new Error('Cannot delete your own admin account');
+      }
+      return { type: 'admin', id: admin._id, label: admin.user?.email };
+    },
+    execute: ({ adminId }, req, request) => adminAccountService.deleteAdminAccount(adminId, request.requestedBy)
+  },
+  reset_admin_password: {
+    label: 'Reset admin password',
+    module: 'admin_management',
+    permission: 'manage_admins',
+    target: async ({ adminId }) => {
+      const admin = await adminAccountService.findAdmin(adminId);
+      return { type: 'admin', id: admin._id, label: admin.user?.email };
+    },
+    execute: ({ adminId }) => adminAccountService.resetAdminPassword(adminId)
+  },
+  close_election: {
+    label: 'Close election',
+    module: 'elections',
+    permission: 'manage_events',
+    scope: ({ electionId }) => permissionService.scopeForElection(electionId),
+    target: async ({ electionId }) => {
+      const election = await findElection(electionId);
+      return { type: 'election', id: election._id, label: election.title };
+    },
+    execute: async ({ electionId }, req) => {
+      const election = await findElection(electionId);
+      await electionLifecycle.closeElection(election, electionLifecycle.actorFromRequest(req));
+      return { electionId: election._id, status: election.status };
+    }
+  },
+  reset_design_settings: {
+    label: 'Reset design settings',
+    module: 'design',
+    permission: 'manage_design',
+    target: async () => ({ type: 'design_settings', label: 'Design settings' }),
+    execute: async (payload, req) => {
+      await DesignSettings.resetToDefaults(req.user._id);
+      return {};
+    }
+  }
+};
+
+exports.ACTIONS = Object.keys(ACTIONS);
+
+// Unset means every action; 'none' turns dual control off
+const requiredActions = () => {
+  const configured = process.env.APPROVAL_REQUIRED_ACTIONS;
+  if (configured === undefined) {
+    return exports.ACTIONS;
+  }
+  return configured.split(',').map(action => action.trim()).filter(action => ACTIONS[action]);
+};
+
+/**
+ * Whether an action needs a second admin's approval
+ * @param {string} action
+ * @returns {boolean}
+ */
+exports.isRequired = (action) => requiredActions().includes(action);
+
+exports.labelFor = (action) => ACTIONS[action]?.label || action;
+
+const auditResource = (request) => ({
+  type: 'approval_request',
+  id: request._id,
+  label: `${exports.labelFor(request.action)}: ${request.resource?.label || 'n/a'}`
+});
+
+const auditDetails = (request, extra = {}) => ({
+  approvalAction: request.action,
+  target: request.resource,
+  requestedBy: request.requestedBy,
+  ...extra
+});
+
+/**
+ * Create a pending request instead of running an action
+ * @param {string} action
+ * @param {Object} payload - e.g. { adminId }
+ * @param {Object} req - Requesting admin's request
+ * @param {string} [reason]
+ * @returns {Object} The approval request
+ */
+exports.createRequest = async (action, payload, req, reason) => {
+  const config = ACTIONS[action];
+  if (!config) {
+    throw new Error(`Unknown action '${action}'`);
+  }
+
+  const resource = await config.target(payload, req);
+
+  let request;
+  try {
+    request = await ApprovalRequest.create({
+      action,
+      payload,
+      resource,
+      targetKey: String(resource.id || resource.type),
+      reason,
+      requestedBy: req.user._id,
+      expiresAt: new Date(Date.now() + WINDOW_HOURS * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new Error(`A ${config.label.toLowerCase()} request for ${resource.label} is already pending`);
+    }
+    throw error;
+  }
+
+  await auditLogService.record({
+    req,
+    admin: req.admin,
+    action: 'approval_requested',
+    module: config.module,
+    resource: auditResource(request),
+    details: auditDetails(request, { reason, expiresAt: request.expiresAt })
+  });
+
+  return request;
+};
+
+/**
+ * Why an admin may not approve or reject a request
+ * @param {Object} request
+ * @param {Object} admin - Deciding admin
+ * @returns {string|null} null when they may
+ */
+const decisionBlocker = async (request, admin) => {
+  if (String(request.requestedBy?._id || request.requestedBy) === String(admin.user?._id || admin.user)) {
+    return 'Requests must be approved by a different admin than the requester';
+  }
+  if (admin.adminRole === 'super_admin') {
+    return null;
+  }
+  const config = ACTIONS[request.action];
+  const scope = config.scope ? await config.scope(request.payload) : {};
+  const decision = await permissionService.can(admin, config.permission, scope);
+  return decision.allowed ? null : `Not authorized to decide on this request: '${config.permission}' permission required`;
+};
+
+const loadPending = async (requestId, admin) => {
+  const request = mongoose.isValidObjectId(requestId) ? await ApprovalRequest.findById(requestId) : null;
+  if (!request) {
+    throw new Error('Approval request not found');
+  }
+  if (request.status !== 'pending') {
+    throw new Error(`Approval request is already ${request.status}`);
+  }
+  if (request.expiresAt <= new Date()) {
+    throw new Error('Approval request has expired');
+  }
+  if (admin) {
+    const blocker = await decisionBlocker(request, admin);
+    if (blocker) {
+      throw new Error(blocker);
+    }
+  }
+  return request;
+};
+
+// Move a request out of pending; null if another admin got there first
+const claim = (request, update) => ApprovalRequest.findOneAndUpdate(
+  { _id: request._id, status: 'pending', expiresAt: { $gt: new Date() } },
+  update,
+  { new: true }
+);
+
+/**
+ * Approve a request and run its action
+ * @param {string} requestId
+ * @param {Object} req - Approving admin's request; req.admin must be set
+ * @param {string} [note]
+ * @returns {Object} { request, result } - result is what the action returned, if it succeeded
+ */
+exports.approveRequest = async (requestId, req, note) => {
+  const pending = await loadPending(requestId, req.admin);
+  const config = ACTIONS[pending.action];
+
+  const request = await claim(pending, {
+    status: 'approved',
+    decidedBy: req.user._id,
+    decidedAt: new Date(),
+    decisionNote: note
+  });
+  if (!request) {
+    throw new Error('Approval request was decided by another admin or has expired');
+  }
+
+  await auditLogService.record({
+    req,
+    admin: req.admin,
+    action: 'approval_approved',
+    module: config.module,
+    resource: auditResource(request),
+    details: auditDetails(request, { note })
+  });
+
+  let result;
+  try {
+    result = await config.execute(request.payload, req, request);
+    request.status = 'executed';
+    request.executedAt = new Date();
+  } catch (error) {
+    logger.error(`Approved ${request.action} request ${request._id} failed:`, error);
+    request.status = 'failed';
+    request.error = error.message;
+  }
+  await request.save();
+
+  // The action itself, attributed to the approver who ran it
+  await auditLogService.record({
+    req,
+    admin: req.admin,
+    action: request.status === 'executed' ? request.action : 'approval_failed',
+    module: config.module,
+    resource: request.resource,
+    details: auditDetails(request, { approvalRequest: request._id, error: request.error })
+  });
+
+  return { request, result };
+};
+
+/**
+ * Reject a request
+ * @param {string} requestId
+ * @param {Object} req - Rejecting admin's request; req.admin must be set
+ * @param {string} [note]
+ * @returns {Object} The request
+ */
+exports.rejectRequest = async (requestId, req, note) => {
+  const pending = await loadPending(requestId, req.admin);
+
+  const request = await claim(pending, {
+    status: 'rejected',
+    decidedBy: req.user._id,
+    decidedAt: new Date(),
+    decisionNote: note
+  });
+  if (!request) {
+    throw new Error('Approval request was decided by another admin or has expired');
+  }
+
+  await auditLogService.record({
+    req,
+    admin: req.admin,
+    action: 'approval_rejected',
+    module: ACTIONS[request.action].module,
+    resource: auditResource(request),
+    details: auditDetails(request, { note })
+  });
+
+  return request;
+};
+
+/**
+ * Withdraw a request; only its requester can
+ * @param {string} requestId
+ * @param {Object} req
+ * @returns {Object} The request
+ */
+exports.cancelRequest = async (requestId, req) => {
+  const pending = await loadPending(requestId);
+  if (String(pending.requestedBy) !== String(req.user._id)) {
+    throw new Error('Not authorized to cancel this request: only the requester can');
+  }
+
+  const request = await claim(pending, { status: 'cancelled', decidedBy: req.user._id, decidedAt: new Date() });
+  if (!request) {
+    throw new Error('Approval request was decided by another admin or has expired');
+  }
+
+  await auditLogService.record({
+    req,
+    admin: req.admin,
+    action: 'approval_cancelled',
+    module: ACTIONS[request.action].module,
+    resource: auditResource(request),
+    details: auditDetails(request)
+  });
+
+  return request;
+};
+
+/**
+ * List approval requests, newest first
+ * @param {Object} filters - { status, action, page, limit }
+ * @param {Object} admin - Viewing admin, to work out canDecide and canCancel
+ * @returns {Object} { items, pagination }
+ */
+exports.listRequests = async ({ status = 'pending', action, page = 1, limit = 20 } = {}, admin) => {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+  const query = { status };
+  if (action) {
+    query.action = action;
+  }
+  if (status === 'pending') {
+    query.expiresAt = { $gt: new Date() };
+  }
+
+  const [requests, total] = await Promise.all([
+    ApprovalRequest.find(query)
+      .populate('requestedBy', 'firstName lastName email')
+      .populate('decidedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    ApprovalRequest.countDocuments(query)
+  ]);
+
+  const items = await Promise.all(requests.map(async request => {
+    const pending = request.status === 'pending';
+    return {
+      ...request,
+      label: exports.labelFor(request.action),
+      canDecide: pending && !(await decisionBlocker(request, admin)),
+      canCancel: pending && String(request.requestedBy?._id) === String(admin.user?._id || admin.user)
+    };
+  }));
+
+  return {
+    items,
+    pagination: {
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / pageSize),
+      limit: pageSize
+    }
+  };
+};
+
+/**
+ * Count requests waiting for a decision
+ * @returns {number}
+ */
+exports.countPending = () => ApprovalRequest.countDocuments({ status: 'pending', expiresAt: { $gt: new Date() } });
+
+/**
+ * Mark pending requests past their window as expired
+ * @returns {number} Requests expired
+ */
+exports.expireStale = async () => {
+  const stale = await ApprovalRequest.find({ status: 'pending', expiresAt: { $lte: new Date() } });
+  let expired = 0;
+
+  for (const request of stale) {
+    const updated = await ApprovalRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      { status: 'expired' },
+      { new: true }
+    );
+    if (!updated) {
+      continue;
+    }
+    expired += 1;
+    await auditLogService.record({
+      action: 'approval_expired',
+      module: ACTIONS[updated.action]?.module || 'admin_management',
+      resource: auditResource(updated),
+      details: auditDetails(updated, { expiresAt: updated.expiresAt })
+    });
+  }
+
+  return expired;
+};
+
+let expiryInterval = null;
+let expiryRunning = false;
+
+/**
+ * Start the periodic expiry of stale requests
+ */
+exports.startExpiryJob = () => {
+  if (expiryInterval) {return;}
+
+  const tick = async () => {
+    if (expiryRunning) {return;}
+    expiryRunning = true;
+    try {
+      const expired = await exports.expireStale();
+      if (expired > 0) {
+        logger.info(`Expired ${expired} approval request(s)`);
+      }
+    } catch (error) {
+      logger.error('Approval request expiry failed:', error);
+    } finally {
+      expiryRunning = false;
+    }
+  };
+
+  expiryInterval = setInterval(tick, EXPIRY_INTERVAL);
+  expiryInterval.unref();
+  tick();
+
+  const actions = requiredActions();
+  logger.info(`Approval expiry job started (dual control: ${actions.length ? actions.join(', ') : 'off'})`);
+};
+
+/**
+ * Stop the expiry job
+ */
+exports.stopExpiryJob = () => {
+  if (expiryInterval) {
+    clearInterval(expiryInterval);
+    expiryInterval = null;
+  }
+};
+
+module.exports = exports;
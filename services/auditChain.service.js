@@ -0,0 +1,160 @@
+/**
+ * Audit Chain Service
+ * Verification, sealing and export of the per-election VotingLog hash chain
+ */
+
+const Election = require('../models/Election');
+const VotingLog = require('../models/VotingLog');
+const {
+  verifyEntries,
+  signPayload,
+  verifySignature
+} = require('../utils/auditChainUtil');
+
+const CHAIN_FIELDS = '-__v -updatedAt';
+
+/**
+ * Build the signed part of an election's seal
+ */
+const sealPayload = (electionId, seal) => ({
+  electionId,
+  headHash: seal.headHash,
+  entryCount: seal.entryCount,
+  sealedAt: seal.sealedAt
+});
+
+/**
+ * Walk an election's chain and report the first broken link
+ * Also checks the chain still reaches the head recorded when the election
+ * was sealed, which catches entries cut from the end of the chain.
+ * @param {string} electionId
+ * @returns {Object} { valid, entriesChecked, headHash, brokenLink, legacyEntries, seal }
+ */
+exports.verifyChain = async (electionId) => {
+  const election = await Election.findById(electionId).select('auditChain').lean();
+  if (!election) {
+    throw new Error('Election not found');
+  }
+
+  const [entries, legacyEntries] = await Promise.all([
+    VotingLog.find({ electionId, sequence: { $exists: true } })
+      .select(CHAIN_FIELDS)
+      .sort({ sequence: 1 })
+      .lean(),
+    VotingLog.countDocuments({ electionId, sequence: { $exists: false } })
+  ]);
+
+  const result = verifyEntries(entries);
+  const seal = election.auditChain && election.auditChain.signature ? election.auditChain : null;
+
+  if (seal) {
+    const signatureValid = verifySignature(sealPayload(election._id, seal), seal.signature);
+    const sealedEntry = entries[seal.entryCount - 1];
+    const headMatches = Boolean(sealedEntry) && sealedEntry.hash === seal.headHash;
+
+    if (result.valid && !headMatches) {
+      result.valid = false;
+      result.brokenLink = {
+        sequence: seal.entryCount,
+        entryId: sealedEntry ? sealedEntry._id : null,
+        action: sealedEntry ? sealedEntry.action : null,
+        reason: 'Chain no longer matches the head sealed when the election closed'
+      };
+    }
+
+    result.seal = {
+      headHash: seal.headHash,
+      entryCount: seal.entryCount,
+      sealedAt: seal.sealedAt,
+      signatureValid,
+      headMatches
+    };
+
+    if (!signatureValid) {
+      result.valid = false;
+    }
+  } else {
+    result.seal = null;
+  }
+
+  // Entries written before the chain existed cannot be verified
+  result.legacyEntries = legacyEntries;
+
+  return result;
+};
+
+/**
+ * Seal an election's chain at its current head
+ * Called once the election_closed entry has been written. Sealing is
+ * idempotent - an already sealed election keeps its original seal.
+ * @param {Object} election - Election document
+ * @returns {Object} The stored seal
+ */
+exports.sealChain = async (election) => {
+  if (election.auditChain && election.auditChain.signature) {
+    return election.auditChain;
+  }
+
+  const head = await VotingLog.findOne({ electionId: election._id, sequence: { $exists: true } })
+    .sort({ sequence: -1 })
+    .select('sequence hash')
+    .lean();
+
+  const seal = {
+    headHash: head ? head.hash : null,
+    entryCount: head ? head.sequence : 0,
+    sealedAt: new Date()
+  };
+  seal.signature = signPayload(sealPayload(election._id, seal));
+
+  election.auditChain = seal;
+  await election.save();
+
+  return seal;
+};
+
+/**
+ * Export the sealed chain of a closed election
+ * Contains every entry up to the sealed head together with the signed seal,
+ * so the export can be checked offline against the signing secret.
+ * @param {string} electionId
+ * @returns {Object} { election, seal, verification, entries }
+ */
+exports.exportChain = async (electionId) => {
+  const election = await Election.findById(electionId)
+    .select('title chapter status auditChain')
+    .lean();
+  if (!election) {
+    throw new Error('Election not found');
+  }
+
+  if (!election.auditChain || !election.auditChain.signature) {
+    throw new Error('The audit chain is exported once the election has closed');
+  }
+
+  const [entries, verification] = await Promise.all([
+    VotingLog.find({
+      electionId,
+      sequence: { $exists: true, $lte: election.auditChain.entryCount }
+    })
+      .select(CHAIN_FIELDS)
+      .sort({ sequence: 1 })
+      .lean(),
+    exports.verifyChain(electionId)
+  ]);
+
+  return {
+    election: {
+      _id: election._id,
+      title: election.title,
+      chapter: election.chapter,
+      status: election.status
+    },
+    seal: election.auditChain,
+    verification,
+    exportedAt: new Date(),
+    entries
+  };
+};
+
+module.exports = exports;
@@ -0,0 +1,264 @@
+/**
+ * Audit Log Service
+ * Recording, querying and exporting the central audit log
+ *
+ * Every entry is kept for the retention period of its module: security
+ * modules (admin and user management) for AUDIT_LOG_SECURITY_RETENTION_DAYS,
+ * everything else for AUDIT_LOG_RETENTION_DAYS. A value of 0 keeps entries
+ * indefinitely.
+ */
+
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { diffChanges, sanitize } = require('../utils/auditDiffUtil');
+const { toCsvRow } = require('../utils/csvUtil');
+const logger = require('../utils/logger');
+
+const parseDays = (value, fallback) => {
+  const days = parseInt(value, 10);
+  return Number.isNaN(days) || days < 0 ? fallback : days;
+};
+
+const RETENTION_DAYS = parseDays(process.env.AUDIT_LOG_RETENTION_DAYS, 365);
+const SECURITY_RETENTION_DAYS = parseDays(process.env.AUDIT_LOG_SECURITY_RETENTION_DAYS, 730);
+const SECURITY_MODULES = new Set(['admin_management', 'user_management', 'security']);
+
+const MAX_PAGE_SIZE = 500;
+
+const CSV_COLUMNS = [
+  'Timestamp', 'Actor ID', 'Actor Email', 'Admin Role', 'Action', 'Module',
+  'Resource Type', 'Resource ID', 'Resource', 'Changes', 'Details',
+  'Request ID', 'IP Address', 'User Agent'
+];
+
+/**
+ * Days an entry of a module is kept (0 = indefinitely)
+ * @param {string} module
+ * @returns {number}
+ */
+exports.retentionDaysFor = (module) =>
+  (SECURITY_MODULES.has(module) ? SECURITY_RETENTION_DAYS : RETENTION_DAYS);
+
+const expiryFor = (module) => {
+  const days = exports.retentionDaysFor(module);
+  return days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : undefined;
+};
+
+/**
+ * Record an action
+ * Failures are logged rather than thrown so auditing never blocks the action itself.
+ * @param {Object} entry
+ * @param {Object} [entry.req] - Request, for the actor, request ID, IP and user agent
+ * @param {Object|string} [entry.actor] - User performing the action (defaults to req.user)
+ * @param {Object} [entry.admin] - Admin profile of the actor
+ * @param {string} entry.action
+ * @param {string} entry.module
+ * @param {Object} [entry.resource] - { type, id, label }
+ * @param {Object} [entry.before] - Resource before the change
+ * @param {Object} [entry.after] - Resource after the change
+ * @param {Object} [entry.details]
+ * @returns {Document|null}
+ */
+exports.record = async ({ req, actor, admin, action, module, resource, before, after, details }) => {
+  try {
+    const actorUser = actor || req?.user;
+    const actorId = actorUser?._id || actorUser;
+    const actorEmail = actorUser?.email ||
+      (req?.user && String(req.user._id) === String(actorId) ? req.user.email : undefined);
+
+    return await AuditLog.create({
+      actor: actorId,
+      actorEmail,
+      admin: admin?._id || admin,
+      adminRole: admin?.adminRole,
+      action,
+      module,
+      resource,
+      changes: before || after ? diffChanges(before, after) || undefined : undefined,
+      details: sanitize(details),
+      requestId: req?.id,
+      ipAddress: req?.ip || req?.connection?.remoteAddress,
+      userAgent: typeof req?.get === 'function' ? req.get('user-agent') : undefined,
+      expiresAt: expiryFor(module)
+    });
+  } catch (error) {
+    logger.error(`Failed to write audit log entry for ${action}:`, error);
+    return null;
+  }
+};
+
+const objectIdFilter = (value, name) => {
+  if (!mongoose.isValidObjectId(value)) {
+    throw new Error(`Invalid ${name}`);
+  }
+  return value;
+};
+
+/**
+ * Build a query from request filters
+ * @param {Object} filters - { actorId, adminId, action, module, resourceType, resourceId, startDate, endDate }
+ * @returns {Object} MongoDB query; throws on invalid ids or dates
+ */
+const buildQuery = (filters = {}) => {
+  const { actorId, adminId, action, module, resourceType, resourceId, startDate, endDate } = filters;
+  const query = {};
+
+  if (actorId) {query.actor = objectIdFilter(actorId, 'actorId');}
+  if (adminId) {query.admin = objectIdFilter(adminId, 'adminId');}
+  if (action) {query.action = String(action);}
+  if (module) {query.module = String(module);}
+  if (resourceType) {query['resource.type'] = String(resourceType);}
+  if (resourceId) {query['resource.id'] = objectIdFilter(resourceId, 'resourceId');}
+
+  if (startDate || endDate) {
+    query.timestamp = {};
+    if (startDate) {
+      const start = new Date(startDate);
+      if (Number.isNaN(start.getTime())) {
+        throw new Error('Invalid startDate');
+      }
+      query.timestamp.$gte = start;
+    }
+    if (endDate) {
+      const end = new Date(endDate);
+      if (Number.isNaN(end.getTime())) {
+        throw new Error('Invalid endDate');
+      }
+      // Date-only values include the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(String(endDate))) {
+        end.setUTCHours(23, 59, 59, 999);
+      }
+      query.timestamp.$lte = end;
+    }
+  }
+
+  return query;
+};
+
+exports.buildQuery = buildQuery;
+
+/**
+ * List entries, newest first
+ * @param {Object} filters - See buildQuery, plus page and limit
+ */
+exports.listEntries = async (filters = {}) => {
+  const query = buildQuery(filters);
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .populate('actor', 'firstName lastName email')
+      .sort({ timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(query)
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit
+    }
+  };
+};
+
+/**
+ * Most recent entries, optionally for one admin
+ * @param {number} [limit]
+ * @param {string} [adminId]
+ */
+exports.recentEntries = (limit = 10, adminId) =>
+  AuditLog.find(adminId ? { admin: adminId } : {})
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .select('actor admin adminRole action module resource timestamp')
+    .lean();
+
+const toCsvLine = (entry) => `${toCsvRow([
+  entry.timestamp && new Date(entry.timestamp).toISOString(),
+  entry.actor,
+  entry.actorEmail,
+  entry.adminRole,
+  entry.action,
+  entry.module,
+  entry.resource?.type,
+  entry.resource?.id,
+  entry.resource?.label,
+  entry.changes ? JSON.stringify(entry.changes) : '',
+  entry.details ? JSON.stringify(entry.details) : '',
+  entry.requestId,
+  entry.ipAddress,
+  entry.userAgent
+])}\n`;
+
+/**
+ * Stream matching entries to a writable response, newest first
+ * Entries are read with a cursor and written as the client accepts them,
+ * so exports of any size use constant memory.
+ * @param {Object} query - From buildQuery
+ * @param {string} format - 'csv' or 'json'
+ * @param {Writable} res
+ * @returns {number} Entries written
+ */
+exports.streamExport = async (query, format, res) => {
+  const cursor = AuditLog.find(query)
+    .sort({ timestamp: -1 })
+    .select('-__v -expiresAt')
+    .lean()
+    .cursor();
+
+  let closed = false;
+  res.once('close', () => {
+    closed = true;
+  });
+
+  // Resolves when the client is ready for more, or has gone away
+  const waitForDrain = () => new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      await waitForDrain();
+    }
+  };
+
+  let count = 0;
+  try {
+    await write(format === 'json' ? '[' : `${toCsvRow(CSV_COLUMNS)}\n`);
+
+    for await (const entry of cursor) {
+      if (closed) {
+        break;
+      }
+      if (format === 'json') {
+        await write(`${count > 0 ? ',' : ''}\n${JSON.stringify(entry)}`);
+      } else {
+        await write(toCsvLine(entry));
+      }
+      count++;
+    }
+
+    if (format === 'json') {
+      await write('\n]\n');
+    }
+  } finally {
+    await cursor.close();
+    res.end();
+  }
+
+  return count;
+};
+
+module.exports = exports;
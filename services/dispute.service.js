@@ -0,0 +1,233 @@
+/**
+ * Dispute Service
+ * Filing rules for election disputes and invalidation of disputed votes
+ *
+ * Votes are never deleted: an invalidated vote keeps its record with the
+ * reason, and the counters of every affected position and candidate are
+ * recounted from the votes still valid. Ballots of secret-ballot elections
+ * carry no voter identity, so only identified votes can be invalidated.
+ * Invalidated ballots are listed by ballot hash on the bulletin board.
+ * Certified results are final; disputes and invalidations stop once an
+ * election is certified.
+ */
+
+const Election = require('../models/Election');
+const ElectionObserver = require('../models/ElectionObserver');
+const ElectionDispute = require('../models/ElectionDispute');
+const Candidate = require('../models/Candidate');
+const Position = require('../models/Position');
+const Vote = require('../models/Vote');
+const VotingLog = require('../models/VotingLog');
+const { emitVoteUpdate, emitObserverTurnout } = require('./socket.service');
+
+/**
+ * Work out in which capacity a user may file a dispute against an election
+ * @param {Object} election - Election document
+ * @param {Object} user - User document
+ * @returns {Object|null} { filedAs, candidateId } or null when the user is
+ *   neither a candidate nor a current observer of the election
+ */
+exports.getFilingCapacity = async (election, user) => {
+  const candidate = await Candidate.findOne({ electionId: election._id, memberId: user._id })
+    .select('_id')
+    .lean();
+  if (candidate) {
+    return { filedAs: 'candidate', candidateId: candidate._id };
+  }
+
+  const observer = await ElectionObserver.findCurrent(election._id, user._id);
+  return observer ? { filedAs: 'observer' } : null;
+};
+
+/**
+ * Check that an election can still take disputes and invalidations
+ * @param {Object} election - Election document
+ * @returns {string|null} The reason it cannot, or null
+ */
+exports.getLockReason = (election) => {
+  if (election.isCertified) {
+    return 'Election results have been certified and can no longer be disputed';
+  }
+  if (!['active', 'closed'].includes(election.status)) {
+    return `Disputes can only be handled for active or closed elections, not ${election.status} ones`;
+  }
+  return null;
+};
+
+/**
+ * Recount the positions and candidates a set of votes was counted for
+ * Percentages follow from the recounted position totals, so positions are
+ * recounted before their candidates.
+ */
+const recount = async (electionId, positionIds) => {
+  for (const positionId of positionIds) {
+    const position = await Position.findById(positionId);
+    if (!position) {continue;}
+    await position.updateVoteCount();
+
+    const candidates = await Candidate.find({ positionId });
+    await Promise.all(candidates.map(candidate => candidate.updateVoteStats()));
+  }
+
+  const election = await Election.findById(electionId);
+  if (election) {
+    await election.calculateTurnout();
+  }
+};
+
+/**
+ * Invalidate votes under a dispute
+ * Votes that are already invalidated, or belong to another election, are
+ * rejected as a whole so the admin can correct the selection.
+ * @param {Object} dispute - ElectionDispute document
+ * @param {Object} options - { voteIds, reason }
+ * @param {Object} admin - User document of the investigating admin
+ * @param {Object} context - { ip, userAgent } for the voting log
+ * @returns {Object} { invalidated, dispute }
+ */
+exports.invalidateVotes = async (dispute, { voteIds, reason }, admin, context = {}) => {
+  if (!dispute.isUnresolved()) {
+    throw new Error(`Cannot invalidate votes under a ${dispute.status} dispute`);
+  }
+  if (!Array.isArray(voteIds) || voteIds.length === 0) {
+    throw new Error('voteIds must be a non-empty array');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new Error('A reason is required to invalidate votes');
+  }
+
+  const election = await Election.findById(dispute.electionId);
+  if (!election) {
+    throw new Error('Election not found');
+  }
+  const lockReason = exports.getLockReason(election);
+  if (lockReason) {
+    throw new Error(lockReason);
+  }
+  if (election.secretBallot) {
+    throw new Error('Secret ballots carry no voter identity and cannot be invalidated individually');
+  }
+
+  const uniqueIds = [...new Set(voteIds.map(String))];
+  const votes = await Vote.find({ _id: { $in: uniqueIds }, electionId: election._id });
+  if (votes.length !== uniqueIds.length) {
+    throw new Error('Every vote must belong to this election');
+  }
+  const alreadyInvalid = votes.filter(vote => vote.status === 'invalidated');
+  if (alreadyInvalid.length > 0) {
+    throw new Error(`${alreadyInvalid.length} of the selected votes are already invalidated`);
+  }
+
+  const now = new Date();
+  const trimmedReason = String(reason).trim();
+  const invalidated = [];
+
+  for (const vote of votes) {
+    // Conditional so two admins cannot both invalidate the same vote
+    const result = await Vote.updateOne(
+      { _id: vote._id, status: { $ne: 'invalidated' } },
+      {
+        $set: {
+          status: 'invalidated',
+          invalidatedAt: now,
+          invalidatedBy: admin._id,
+          invalidationReason: trimmedReason
+        }
+      }
+    );
+    if (result.modifiedCount === 0) {continue;}
+
+    const candidateIds = vote.candidateIds && vote.candidateIds.length > 0
+      ? vote.candidateIds
+      : [vote.candidateId];
+    invalidated.push({
+      voteId: vote._id,
+      positionId: vote.positionId,
+      candidateIds,
+      ballotHash: vote.ballotHash,
+      reason: trimmedReason,
+      invalidatedBy: admin._id,
+      invalidatedAt: now
+    });
+
+    await VotingLog.log({
+      actorId: admin._id,
+      actorEmail: admin.email,
+      actorRole: admin.role,
+      action: 'vote_invalidated',
+      resource: {
+        type: 'vote',
+        id: vote._id
+      },
+      electionId: election._id,
+      chapter: vote.chapter,
+      details: {
+        disputeId: dispute._id,
+        positionId: vote.positionId,
+        candidateIds,
+        reason: trimmedReason
+      },
+      ip: context.ip,
+      userAgent: context.userAgent,
+      success: true
+    });
+  }
+
+  dispute.invalidatedVotes.push(...invalidated);
+  if (dispute.status === 'open') {
+    dispute.status = 'investigating';
+    dispute.assignedTo = dispute.assignedTo || admin._id;
+    dispute.investigationStartedAt = dispute.investigationStartedAt || now;
+  }
+  await dispute.save();
+
+  const positionIds = [...new Set(invalidated.map(entry => entry.positionId.toString()))];
+  await recount(election._id, positionIds);
+
+  for (const positionId of positionIds) {
+    const entry = invalidated.find(item => item.positionId.toString() === positionId);
+    await emitVoteUpdate(election._id, positionId, entry.candidateIds[0]);
+  }
+  await emitObserverTurnout(election._id);
+
+  return { invalidated, dispute };
+};
+
+/**
+ * Summarise disputes and invalidated votes for an election's results
+ * Only what is fit for publication: no complainant or voter details.
+ * @param {Object} election - Election document or plain object
+ * @returns {Object} { disputes, invalidatedByPosition } where
+ *   invalidatedByPosition maps position IDs to invalidated vote counts
+ */
+exports.getResultsSummary = async (election) => {
+  const [disputes, invalidated] = await Promise.all([
+    ElectionDispute.find({ electionId: election._id, status: { $ne: 'withdrawn' } })
+      .select('subject category positionId status resolution.summary resolution.resolvedAt invalidatedVotes createdAt')
+      .sort({ createdAt: 1 })
+      .lean(),
+    election.secretBallot
+      ? []
+      : Vote.aggregate([
+        { $match: { electionId: election._id, status: 'invalidated' } },
+        { $group: { _id: '$positionId', count: { $sum: 1 } } }
+      ])
+  ]);
+
+  return {
+    disputes: disputes.map(dispute => ({
+      _id: dispute._id,
+      subject: dispute.subject,
+      category: dispute.category,
+      positionId: dispute.positionId,
+      status: dispute.status,
+      resolutionSummary: dispute.resolution ? dispute.resolution.summary : undefined,
+      resolvedAt: dispute.resolution ? dispute.resolution.resolvedAt : undefined,
+      invalidatedVotes: dispute.invalidatedVotes.length,
+      filedAt: dispute.createdAt
+    })),
+    invalidatedByPosition: new Map(invalidated.map(group => [group._id.toString(), group.count]))
+  };
+};
+
+module.exports = exports;
@@ -0,0 +1,245 @@
+/**
+ * Election Lifecycle Service
+ * Opening and closing elections, manually or on schedule
+ *
+ * The scheduler polls for approved elections whose startTime has passed and
+ * active elections whose endTime has passed. Transitions are conditional
+ * updates on the election's status (see Election.start/close), so a restart
+ * or a second server instance cannot open or close an election twice.
+ */
+
+const Election = require('../models/Election');
+const VotingLog = require('../models/VotingLog');
+const { emitElectionStatus } = require('./socket.service');
+const auditChainService = require('./auditChain.service');
+const voterRollService = require('./voterRoll.service');
+const logger = require('../utils/logger');
+
+const SCHEDULER_INTERVAL = parseInt(process.env.ELECTION_SCHEDULER_INTERVAL_MS, 10) || 30000;
+
+// Actor recorded for transitions made by the scheduler
+const SYSTEM_ACTOR = {
+  actorRole: 'system',
+  actorEmail: 'scheduler'
+};
+
+let schedulerInterval = null;
+let tickRunning = false;
+
+/**
+ * Build the VotingLog actor fields for a request
+ */
+exports.actorFromRequest = (req) => ({
+  actorId: req.user._id,
+  actorEmail: req.user.email,
+  actorRole: req.user.role,
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+/**
+ * Open an approved election
+ * @param {Object} election - Election document
+ * @param {Object} [actor] - VotingLog actor fields; defaults to the scheduler
+ * @returns {Object} The election
+ */
+exports.openElection = async (election, actor = SYSTEM_ACTOR) => {
+  if (election.status !== 'approved') {
+    throw new Error('Only approved elections can be started');
+  }
+
+  // Freeze the voter roll before voting opens
+  const voterRoll = await voterRollService.freezeRoll(election);
+
+  await election.start(actor.actorId);
+
+  emitElectionStatus(election._id, 'active');
+
+  await VotingLog.log({
+    ...actor,
+    action: 'election_started',
+    resource: {
+      type: 'election',
+      id: election._id
+    },
+    electionId: election._id,
+    chapter: election.chapter,
+    details: {
+      voterRollSize: voterRoll.size,
+      voterRollHash: voterRoll.hash,
+      ...(actor.actorRole === 'system' ? { scheduled: true, startTime: election.startTime } : {})
+    },
+    success: true
+  });
+
+  return election;
+};
+
+/**
+ * Record final turnout, log the close and seal the audit chain
+ * Safe to repeat for an election that has already been finalized.
+ */
+const finalizeClosedElection = async (election, actor) => {
+  await election.calculateTurnout();
+
+  const alreadyLogged = await VotingLog.exists({
+    electionId: election._id,
+    action: 'election_closed'
+  });
+
+  if (!alreadyLogged) {
+    await VotingLog.log({
+      ...actor,
+      action: 'election_closed',
+      resource: {
+        type: 'election',
+        id: election._id
+      },
+      electionId: election._id,
+      chapter: election.chapter,
+      details: {
+        totalVotesCast: election.totalVotesCast,
+        turnoutPercentage: election.turnoutPercentage,
+        ...(actor.actorRole === 'system' ? { scheduled: true, endTime: election.endTime } : {})
+      },
+      success: true
+    });
+  }
+
+  // Seal the audit chain now that the closing entry is on it
+  await auditChainService.sealChain(election);
+};
+
+/**
+ * Finish a close whose status change has already been saved
+ * A failure here does not undo the close, so it is logged instead of thrown;
+ * the scheduler finishes the election on a later pass.
+ */
+const finalizeAfterClose = async (election, actor) => {
+  try {
+    await finalizeClosedElection(election, actor);
+  } catch (error) {
+    logger.error(`Election ${election._id} closed, but finishing the close failed; the scheduler will retry:`, error);
+  }
+};
+
+/**
+ * Close an active election
+ * @param {Object} election - Election document
+ * @param {Object} [actor] - VotingLog actor fields; defaults to the scheduler
+ * @returns {Object} The election
+ */
+exports.closeElection = async (election, actor = SYSTEM_ACTOR) => {
+  await election.close();
+
+  emitElectionStatus(election._id, 'closed');
+
+  await finalizeAfterClose(election, actor);
+
+  return election;
+};
+
+/**
+ * Run one scheduler pass
+ * Also freezes the voter roll of any active election without one, and
+ * finishes closes interrupted by a restart between the status change and
+ * sealing the audit chain.
+ * @returns {Object} { opened, closed, recovered }
+ */
+exports.runScheduledTransitions = async (now = new Date()) => {
+  const summary = { opened: 0, closed: 0, recovered: 0 };
+
+  const [toOpen, toClose, unfinished, unfrozen] = await Promise.all([
+    Election.find({ status: 'approved', startTime: { $lte: now }, endTime: { $gt: now } }),
+    Election.find({ status: 'active', endTime: { $lte: now } }),
+    Election.find({
+      status: 'closed',
+      closedAt: { $lte: new Date(now.getTime() - SCHEDULER_INTERVAL) },
+      'auditChain.sealedAt': { $exists: false }
+    }),
+    // Started before voter rolls existed, or interrupted between start and freeze
+    Election.find({ status: 'active', 'voterRoll.frozenAt': { $exists: false } })
+  ]);
+
+  for (const election of unfrozen) {
+    try {
+      await voterRollService.freezeRoll(election);
+      summary.recovered += 1;
+      logger.info(`Froze voter roll of active election ${election._id}`);
+    } catch (error) {
+      logger.error(`Failed to freeze voter roll of election ${election._id}:`, error);
+    }
+  }
+
+  for (const election of toOpen) {
+    try {
+      await exports.openElection(election);
+      summary.opened += 1;
+      logger.info(`Election ${election._id} opened on schedule`);
+    } catch (error) {
+      logger.warn(`Scheduled open skipped for election ${election._id}: ${error.message}`);
+    }
+  }
+
+  for (const election of toClose) {
+    try {
+      await exports.closeElection(election);
+      summary.closed += 1;
+      logger.info(`Election ${election._id} closed on schedule`);
+    } catch (error) {
+      logger.warn(`Scheduled close skipped for election ${election._id}: ${error.message}`);
+    }
+  }
+
+  for (const election of unfinished) {
+    try {
+      await finalizeClosedElection(election, SYSTEM_ACTOR);
+      summary.recovered += 1;
+      logger.info(`Finished interrupted close of election ${election._id}`);
+    } catch (error) {
+      logger.error(`Failed to finish close of election ${election._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Start polling for scheduled transitions
+ */
+exports.startScheduler = () => {
+  if (schedulerInterval) {return;}
+
+  const tick = async () => {
+    // Skip a pass while the previous one is still running
+    if (tickRunning) {return;}
+    tickRunning = true;
+    try {
+      await exports.runScheduledTransitions();
+    } catch (error) {
+      logger.error('Election scheduler pass failed:', error);
+    } finally {
+      tickRunning = false;
+    }
+  };
+
+  schedulerInterval = setInterval(tick, SCHEDULER_INTERVAL);
+  schedulerInterval.unref();
+
+  // Catch up on anything due while the server was down
+  tick();
+
+  logger.info(`Election scheduler started (every ${SCHEDULER_INTERVAL / 1000}s)`);
+};
+
+/**
+ * Stop polling for scheduled transitions
+ */
+exports.stopScheduler = () => {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+  }
+};
+
+module.exports = exports;
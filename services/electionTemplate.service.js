@@ -0,0 +1,333 @@
+/**
+ * Election Template Service
+ * Saves election structures as templates and creates elections from them
+ *
+ * A structure is everything about an election that carries over from year to
+ * year: title, settings, eligibility rules and the positions with their
+ * order, seats, voting methods and candidate requirements. Dates, voter
+ * rolls, candidates and results never carry over, except candidates who are
+ * explicitly carried over when cloning an election.
+ */
+
+const mongoose = require('mongoose');
+const Election = require('../models/Election');
+const ElectionTemplate = require('../models/ElectionTemplate');
+const Position = require('../models/Position');
+const Candidate = require('../models/Candidate');
+const User = require('../models/User');
+const VotingLog = require('../models/VotingLog');
+
+// Copy the listed keys of a rule object, dropping Mongoose internals
+const pickRules = (rules, keys) => keys.reduce((picked, key) => {
+  if (rules && rules[key] !== undefined) {
+    picked[key] = Array.isArray(rules[key]) ? [...rules[key]] : rules[key];
+  }
+  return picked;
+}, {});
+
+/**
+ * Build the reusable structure of an election
+ * @param {Object} election - Election document or plain object
+ * @param {Array} positions - The election's positions
+ * @returns {Object} Template fields
+ */
+const buildStructure = (election, positions) => {
+  const nominationPeriod = election.nominationPeriod || {};
+  const proxyVoting = election.proxyVoting || {};
+
+  return {
+    title: election.title,
+    electionDescription: election.description,
+    chapter: election.chapter,
+    isNational: election.isNational,
+    settings: {
+      allowMultiplePositions: election.allowMultiplePositions,
+      requireVerification: election.requireVerification,
+      publicResults: election.publicResults,
+      secretBallot: election.secretBallot,
+      nominations: {
+        requiredSeconders: nominationPeriod.requiredSeconders || 0,
+        allowSelfNomination: nominationPeriod.allowSelfNomination !== false
+      },
+      proxyVoting: {
+        enabled: Boolean(proxyVoting.enabled),
+        maxProxiesPerMember: proxyVoting.maxProxiesPerMember || 1
+      }
+    },
+    eligibilityRules: pickRules(election.eligibilityRules, ['chapters', 'yearsOfStudy', 'membershipStatuses', 'membershipTiers']),
+    positions: [...positions]
+      .sort((a, b) => (a.order || 0) - (b.order || 0))
+      .map(position => ({
+        name: position.name,
+        description: position.description,
+        votingMethod: position.votingMethod,
+        seats: position.seats,
+        candidateRequirements: pickRules(position.candidateRequirements, ['chapters', 'yearsOfStudy', 'membershipStatuses', 'requireVerified']),
+        order: position.order
+      }))
+  };
+};
+
+/**
+ * Save an election's structure as a template
+ * @param {string} electionId
+ * @param {Object} options - { name, description }
+ * @param {Object} user - User saving the template
+ * @returns {Object} The template
+ */
+exports.saveTemplateFromElection = async (electionId, { name, description }, user) => {
+  const election = await Election.findById(electionId).lean();
+  if (!election) {
+    throw new Error('Election not found');
+  }
+
+  const positions = await Position.find({ electionId: election._id, isActive: true }).lean();
+
+  return ElectionTemplate.create({
+    ...buildStructure(election, positions),
+    name: name || election.title,
+    description,
+    sourceElectionId: election._id,
+    createdBy: user._id
+  });
+};
+
+/**
+ * Create a pending election and its positions from a structure
+ * @param {Object} structure - Template or output of buildStructure
+ * @param {Object} options - { title, description, chapter, isNational,
+ *   startTime, endTime, nominationPeriod: { opensAt, closesAt } }; title,
+ *   description, chapter and isNational default to the structure's
+ * @param {Object} user - User creating the election
+ * @param {Object} session - Mongoose session
+ * @returns {Object} { election, positions }
+ */
+const createFromStructure = async (structure, options, user, session) => {
+  const settings = structure.settings || {};
+  const nominations = settings.nominations || {};
+  const startTime = new Date(options.startTime);
+  const endTime = new Date(options.endTime);
+
+  if (isNaN(startTime.getTime()) || isNaN(endTime.getTime())) {
+    throw new Error('Valid start and end times are required');
+  }
+  if (endTime <= startTime) {
+    throw new Error('End time must be after start time');
+  }
+
+  const nominationPeriod = {
+    requiredSeconders: nominations.requiredSeconders || 0,
+    allowSelfNomination: nominations.allowSelfNomination !== false
+  };
+  if (options.nominationPeriod && options.nominationPeriod.opensAt && options.nominationPeriod.closesAt) {
+    nominationPeriod.opensAt = new Date(options.nominationPeriod.opensAt);
+    nominationPeriod.closesAt = new Date(options.nominationPeriod.closesAt);
+    if (!(nominationPeriod.opensAt < nominationPeriod.closesAt && nominationPeriod.closesAt <= startTime)) {
+      throw new Error('The nomination period must open before it closes and close before voting starts');
+    }
+  }
+
+  const title = options.title || structure.title;
+  const chapter = options.chapter || structure.chapter;
+  if (!title || !chapter) {
+    throw new Error('Title and chapter are required');
+  }
+
+  const [election] = await Election.create([{
+    title,
+    description: options.description !== undefined ? options.description : structure.electionDescription,
+    chapter,
+    isNational: options.isNational !== undefined ? Boolean(options.isNational) : Boolean(structure.isNational),
+    startTime,
+    endTime,
+    createdBy: user._id,
+    allowMultiplePositions: settings.allowMultiplePositions !== false,
+    requireVerification: settings.requireVerification !== false,
+    publicResults: Boolean(settings.publicResults),
+    secretBallot: Boolean(settings.secretBallot),
+    nominationPeriod,
+    proxyVoting: settings.proxyVoting,
+    eligibilityRules: structure.eligibilityRules,
+    status: 'pending'
+  }], { session });
+
+  const positions = structure.positions.length > 0
+    ? await Position.create(structure.positions.map((position, index) => ({
+      name: position.name,
+      description: position.description,
+      electionId: election._id,
+      chapter: election.chapter,
+      order: position.order !== undefined ? position.order : index,
+      votingMethod: position.votingMethod,
+      seats: position.seats,
+      candidateRequirements: position.candidateRequirements
+    })), { session, ordered: true })
+    : [];
+
+  return { election, positions };
+};
+
+/**
+ * Copy candidates of a past election onto the matching positions of a new one
+ * Positions are matched by name. Withdrawn and inactive candidates, and
+ * candidates whose member account is no longer active, are skipped. Vote
+ * counts start at zero and photos are referenced, not copied.
+ * @param {string} sourceElectionId
+ * @param {Object} election - The new election
+ * @param {Array} positions - The new election's positions
+ * @param {Array|boolean} selection - true for every candidate, or candidate IDs
+ * @param {Object} session - Mongoose session
+ * @returns {Object} { carried, skipped }
+ */
+const carryOverCandidates = async (sourceElectionId, election, positions, selection, session) => {
+  const query = { electionId: sourceElectionId, isActive: true, isWithdrawn: false };
+  if (Array.isArray(selection)) {
+    query._id = { $in: selection };
+  }
+
+  const [sourcePositions, candidates] = await Promise.all([
+    Position.find({ electionId: sourceElectionId }).select('name').lean(),
+    Candidate.find(query).sort({ order: 1 }).lean()
+  ]);
+
+  const positionNames = new Map(sourcePositions.map(position => [position._id.toString(), position.name]));
+  const targets = new Map(positions.map(position => [position.name.toLowerCase(), position]));
+
+  const memberIds = candidates.filter(candidate => candidate.memberId).map(candidate => candidate.memberId);
+  const activeMembers = new Set((await User.find({ _id: { $in: memberIds }, isActive: true }).select('_id').lean())
+    .map(member => member._id.toString()));
+
+  const carried = [];
+  const skipped = [];
+  for (const candidate of candidates) {
+    const positionName = positionNames.get(candidate.positionId.toString());
+    const target = positionName && targets.get(positionName.toLowerCase());
+
+    if (!target) {
+      skipped.push({ candidateId: candidate._id, name: candidate.name, reason: 'Position not in the new election' });
+      continue;
+    }
+    if (candidate.memberId && !activeMembers.has(candidate.memberId.toString())) {
+      skipped.push({ candidateId: candidate._id, name: candidate.name, reason: 'Member is no longer active' });
+      continue;
+    }
+
+    const [copy] = await Candidate.create([{
+      name: candidate.name,
+      positionId: target._id,
+      electionId: election._id,
+      chapter: election.chapter,
+      memberId: candidate.memberId,
+      email: candidate.email,
+      phone: candidate.phone,
+      bio: candidate.bio,
+      manifesto: candidate.manifesto,
+      photoUrl: candidate.photoUrl,
+      order: candidate.order,
+      qualifications: candidate.qualifications,
+      achievements: candidate.achievements,
+      socialLinks: candidate.socialLinks
+    }], { session });
+    carried.push({ candidateId: copy._id, carriedOverFrom: candidate._id, name: copy.name, positionId: target._id });
+  }
+
+  if (Array.isArray(selection)) {
+    const found = new Set(candidates.map(candidate => candidate._id.toString()));
+    selection
+      .filter(id => !found.has(String(id)))
+      .forEach(id => skipped.push({ candidateId: id, reason: 'Not an active candidate of the source election' }));
+  }
+
+  return { carried, skipped };
+};
+
+/**
+ * Create an election from a template or a past election
+ * @param {Object} source - { templateId } or { electionId }
+ * @param {Object} options - Election options (see createFromStructure) plus
+ *   carryOverCandidates: true or candidate IDs, only when cloning an election
+ * @param {Object} user - User creating the election
+ * @param {Object} context - { ip, userAgent } for the voting log
+ * @returns {Object} { election, positions, candidates }
+ */
+exports.createElection = async ({ templateId, electionId }, options, user, context = {}) => {
+  let structure;
+  if (templateId) {
+    structure = await ElectionTemplate.findOne({ _id: templateId, isActive: true }).lean();
+    if (!structure) {
+      throw new Error('Template not found');
+    }
+  } else {
+    const sourceElection = await Election.findById(electionId).lean();
+    if (!sourceElection) {
+      throw new Error('Election not found');
+    }
+    const sourcePositions = await Position.find({ electionId, isActive: true }).lean();
+    structure = buildStructure(sourceElection, sourcePositions);
+  }
+
+  const carryOver = options.carryOverCandidates;
+  if (carryOver && templateId) {
+    throw new Error('Candidates can only be carried over when cloning an election');
+  }
+  if (Array.isArray(carryOver) && !carryOver.every(id => mongoose.isValidObjectId(id))) {
+    throw new Error('carryOverCandidates must be true or a list of candidate IDs');
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let created;
+  let candidates = { carried: [], skipped: [] };
+  try {
+    created = await createFromStructure(structure, options, user, session);
+    if (carryOver) {
+      candidates = await carryOverCandidates(electionId, created.election, created.positions, carryOver, session);
+    }
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  const { election, positions } = created;
+  await Promise.all(positions.map(position => position.updateCandidateCount()));
+
+  const logEntry = (action, resource, details) => VotingLog.log({
+    actorId: user._id,
+    actorEmail: user.email,
+    actorRole: user.role,
+    action,
+    resource,
+    electionId: election._id,
+    chapter: election.chapter,
+    details,
+    ip: context.ip,
+    userAgent: context.userAgent,
+    success: true
+  });
+
+  await logEntry('election_created', { type: 'election', id: election._id }, {
+    title: election.title,
+    startTime: election.startTime,
+    endTime: election.endTime,
+    templateId,
+    clonedFrom: electionId,
+    positions: positions.length
+  });
+  for (const candidate of candidates.carried) {
+    await logEntry('candidate_added', { type: 'candidate', id: candidate.candidateId }, {
+      name: candidate.name,
+      positionId: candidate.positionId,
+      carriedOverFrom: candidate.carriedOverFrom
+    });
+  }
+
+  return { election, positions, candidates };
+};
+
+exports.buildStructure = buildStructure;
+
+module.exports = exports;
@@ -0,0 +1,243 @@
+/**
+ * Impersonation Service
+ * Super admins viewing the app as a member, to see what the member sees
+ *
+ * An impersonation session is a short-lived login session for the member,
+ * started by a super admin with a reason. It lasts at most
+ * IMPERSONATION_MAX_MINUTES, is read-only unless started otherwise, and never
+ * allows sensitive actions such as voting or changing passwords (see
+ * utils/impersonationUtil). Starting and stopping it, and every request made
+ * in it, are written to the audit log.
+ */
+
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Admin = require('../models/Admin');
+const sessionService = require('./session.service');
+const auditLogService = require('./auditLog.service');
+
+const MAX_MINUTES = parseInt(process.env.IMPERSONATION_MAX_MINUTES, 10) || 30;
+const MIN_MINUTES = 5;
+const MIN_REASON_LENGTH = 10;
+
+const PERSON_FIELDS = 'firstName lastName email';
+
+const personName = (person) => (person ? `${person.firstName} ${person.lastName}`.trim() : undefined);
+
+const activeQuery = () => ({
+  impersonation: { $exists: true },
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+const resourceFor = (user) => ({
+  type: 'user',
+  id: user._id,
+  label: user.email
+});
+
+/**
+ * What clients are told about an impersonation session
+ * @param {Object} session - Session with user and impersonation.by populated
+ */
+const toSummary = (session) => ({
+  sessionId: session._id,
+  user: {
+    _id: session.user._id,
+    name: personName(session.user),
+    email: session.user.email
+  },
+  impersonator: {
+    _id: session.impersonation.by._id,
+    name: personName(session.impersonation.by),
+    email: session.impersonation.by.email
+  },
+  reason: session.impersonation.reason,
+  readOnly: session.impersonation.readOnly,
+  startedAt: session.createdAt,
+  expiresAt: session.expiresAt
+});
+
+exports.toSummary = toSummary;
+
+/**
+ * Active impersonation session, with the member and admin populated
+ * @param {string} sessionId
+ * @returns {Object|null} Lean session
+ */
+exports.findActive = async (sessionId) => {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  return Session.findOne({ _id: sessionId, ...activeQuery() })
+    .populate('user', PERSON_FIELDS)
+    .populate('impersonation.by', PERSON_FIELDS)
+    .lean();
+};
+
+/**
+ * End an impersonation session
+ * @param {Object} session - Lean session with user and impersonation.by populated
+ * @param {Object} req - Request ending it
+ * @param {string} endedBy - 'impersonator', 'admin' or 'new_session'
+ */
+const endSession = async (session, req, endedBy) => {
+  const now = new Date();
+  const actor = endedBy === 'admin' ? req.user : session.impersonation.by;
+  const result = await Session.updateOne(
+    { _id: session._id, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: 'impersonation_ended', revokedBy: actor._id } }
+  );
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await auditLogService.record({
+    req,
+    actor,
+    action: 'impersonation_stopped',
+    module: 'security',
+    resource: resourceFor(session.user),
+    details: {
+      sessionId: session._id,
+      impersonator: session.impersonation.by._id,
+      endedBy,
+      durationSeconds: Math.round((now - new Date(session.createdAt)) / 1000)
+    }
+  });
+  return true;
+};
+
+/**
+ * Start viewing the app as a member
+ * Any impersonation session the admin already has is ended first.
+ * @param {string} userId - Member to view as
+ * @param {Object} req - Request of the super admin
+ * @param {Object} options - { reason, readOnly = true, durationMinutes }
+ * @returns {Object} { token, expiresIn, impersonation }
+ */
+exports.startImpersonation = async (userId, req, { reason, readOnly = true, durationMinutes } = {}) => {
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (trimmedReason.length < MIN_REASON_LENGTH) {
+    throw new Error(`A reason of at least ${MIN_REASON_LENGTH} characters is required`);
+  }
+
+  let minutes = MAX_MINUTES;
+  if (durationMinutes !== undefined) {
+    minutes = parseInt(durationMinutes, 10);
+    if (Number.isNaN(minutes) || minutes < MIN_MINUTES || minutes > MAX_MINUTES) {
+      throw new Error(`durationMinutes must be between ${MIN_MINUTES} and ${MAX_MINUTES}`);
+    }
+  }
+
+  const user = mongoose.isValidObjectId(userId)
+    ? await User.findById(userId).select(`${PERSON_FIELDS} isActive`)
+    : null;
+  if (!user) {
+    throw new Error('User not found');
+  }
+  if (user._id.equals(req.user._id)) {
+    throw new Error('You cannot impersonate yourself');
+  }
+  if (!user.isActive) {
+    throw new Error('Deactivated accounts cannot be impersonated');
+  }
+  // Admins are never impersonated, so a session cannot borrow another admin's access
+  if (await Admin.exists({ user: user._id })) {
+    throw new Error('Admin accounts cannot be impersonated');
+  }
+
+  const previous = await Session.find({ 'impersonation.by': req.user._id, ...activeQuery() })
+    .populate('user', PERSON_FIELDS)
+    .populate('impersonation.by', PERSON_FIELDS)
+    .lean();
+  for (const session of previous) {
+    await endSession(session, req, 'new_session');
+  }
+
+  const { token, expiresIn, session } = await sessionService.createImpersonationSession(
+    user._id,
+    { by: req.user._id, reason: trimmedReason, readOnly: readOnly !== false },
+    minutes * 60 * 1000,
+    { ip: req.ip, userAgent: req.get('user-agent') }
+  );
+
+  await auditLogService.record({
+    req,
+    admin: req.admin,
+    action: 'impersonation_started',
+    module: 'security',
+    resource: resourceFor(user),
+    details: {
+      sessionId: session._id,
+      reason: trimmedReason,
+      readOnly: session.impersonation.readOnly,
+      expiresAt: session.expiresAt
+    }
+  });
+
+  return {
+    token,
+    expiresIn,
+    impersonation: toSummary({
+      ...session.toObject(),
+      user,
+      impersonation: { ...session.impersonation.toObject(), by: req.user }
+    })
+  };
+};
+
+/**
+ * Stop an impersonation session
+ * @param {string} sessionId
+ * @param {Object} req - Request of the impersonating admin (from the session itself)
+ *   or of another super admin
+ */
+exports.stopImpersonation = async (sessionId, req) => {
+  const session = await exports.findActive(sessionId);
+  if (!session) {
+    throw new Error('Impersonation session not found');
+  }
+
+  const endedBy = req.impersonation ? 'impersonator' : 'admin';
+  if (!(await endSession(session, req, endedBy))) {
+    throw new Error('Impersonation session not found');
+  }
+};
+
+/**
+ * Active impersonation sessions, newest first
+ */
+exports.listActive = async () => {
+  const sessions = await Session.find(activeQuery())
+    .populate('user', PERSON_FIELDS)
+    .populate('impersonation.by', PERSON_FIELDS)
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return sessions.map(toSummary);
+};
+
+/**
+ * Write a request made in an impersonation session to the audit log
+ * @param {Object} req - With req.impersonation set
+ * @param {Object} res
+ * @param {string|null} blocked - Why the request was refused, if it was
+ */
+exports.recordRequest = (req, res, blocked) => auditLogService.record({
+  req,
+  actor: req.impersonation.impersonator,
+  action: 'impersonation_request',
+  module: 'security',
+  resource: resourceFor(req.impersonation.user),
+  details: {
+    sessionId: req.impersonation.sessionId,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    query: req.query,
+    statusCode: res.statusCode,
+    blocked: blocked || undefined
+  }
+});
@@ -0,0 +1,366 @@
+/**
+ * Link Delivery Service
+ * Queued email delivery of voting links, with resends and reminders
+ *
+ * Links are queued by flagging their delivery status. A worker sends a
+ * limited batch per pass through utils/emailService, so large rolls are
+ * throttled rather than sent in one burst. Every attempt is recorded on the
+ * link; temporary failures are retried with backoff and permanent SMTP
+ * rejections mark the link as bounced.
+ */
+
+const mongoose = require('mongoose');
+const VotingLink = require('../models/VotingLink');
+const Election = require('../models/Election');
+const User = require('../models/User');
+const emailService = require('../utils/emailService');
+const logger = require('../utils/logger');
+
+const DELIVERY_INTERVAL = parseInt(process.env.LINK_DELIVERY_INTERVAL_MS, 10) || 10000;
+const BATCH_SIZE = parseInt(process.env.LINK_DELIVERY_BATCH_SIZE, 10) || 20;
+const MAX_ATTEMPTS = 3;
+
+// Retry delay after the nth failed attempt
+const RETRY_DELAYS = [60 * 1000, 5 * 60 * 1000];
+
+// A send that has not finished after this long is assumed lost
+const SENDING_TIMEOUT = 5 * 60 * 1000;
+
+// Attempts kept on each link
+const ATTEMPT_HISTORY = 20;
+
+const SENDABLE_LINK_STATUSES = ['pending', 'sent'];
+
+let deliveryInterval = null;
+let tickRunning = false;
+
+/**
+ * Check whether an SMTP error is a permanent rejection of the address
+ * @param {string} message - Error message returned by the transport
+ * @returns {boolean}
+ */
+const isPermanentFailure = (message) =>
+  /\b5[0-5]\d[ -]5\.\d{1,3}\.\d{1,3}\b|\b55[0-4]\b|recipients? (were|was) rejected/i.test(message || '');
+
+/**
+ * Queue links for delivery
+ * @param {Object} filter - VotingLink filter; links already used, revoked or
+ *   expired are never queued
+ * @param {string} kind - 'invitation', 'resend' or 'reminder'
+ * @returns {number} Number of links queued
+ */
+const queueLinks = async (filter, kind) => {
+  const now = new Date();
+  const { modifiedCount } = await VotingLink.updateMany(
+    {
+      ...filter,
+      status: { $in: SENDABLE_LINK_STATUSES },
+      expiresAt: { $gt: now },
+      'delivery.status': { $ne: 'sending' }
+    },
+    {
+      $set: {
+        'delivery.status': 'queued',
+        'delivery.kind': kind,
+        'delivery.queuedAt': now,
+        'delivery.nextAttemptAt': now,
+        'delivery.attemptCount': 0
+      },
+      $unset: { 'delivery.lastError': '' }
+    }
+  );
+  return modifiedCount;
+};
+
+exports.queueLinks = queueLinks;
+
+/**
+ * Queue the first invitation for newly generated links
+ * @param {Array} linkIds
+ * @returns {number}
+ */
+exports.queueInvitations = (linkIds) =>
+  queueLinks({ _id: { $in: linkIds }, 'delivery.status': 'not_queued' }, 'invitation');
+
+/**
+ * Queue selected links to be sent again
+ * The stored address is refreshed from the member's profile first, so a
+ * bounced link can be resent once the member's email is corrected.
+ * @param {string} electionId
+ * @param {Array} linkIds
+ * @returns {number}
+ */
+exports.resendLinks = async (electionId, linkIds) => {
+  const links = await VotingLink.find({ _id: { $in: linkIds }, electionId })
+    .select('memberId memberEmail')
+    .lean();
+
+  const members = await User.find({ _id: { $in: links.map(link => link.memberId) } })
+    .select('email')
+    .lean();
+  const emails = new Map(members.map(member => [member._id.toString(), member.email]));
+
+  const updates = links
+    .filter(link => emails.has(link.memberId.toString()) &&
+      emails.get(link.memberId.toString()) !== link.memberEmail)
+    .map(link => ({
+      updateOne: {
+        filter: { _id: link._id },
+        update: { $set: { memberEmail: emails.get(link.memberId.toString()) } }
+      }
+    }));
+  if (updates.length > 0) {
+    await VotingLink.bulkWrite(updates, { ordered: false });
+  }
+
+  return queueLinks({ _id: { $in: links.map(link => link._id) } }, 'resend');
+};
+
+/**
+ * Queue a reminder for every member who holds a link but has not voted
+ * Bounced addresses are skipped until their link is resent.
+ * @param {Object} election - Election document
+ * @returns {number}
+ */
+exports.remindNonVoters = async (election) => {
+  const Participation = mongoose.model(election.secretBallot ? 'BallotReceipt' : 'Vote');
+  const voterIds = await Participation.distinct('memberId', { electionId: election._id });
+
+  return queueLinks({
+    electionId: election._id,
+    memberId: { $nin: voterIds },
+    'delivery.status': { $ne: 'bounced' }
+  }, 'reminder');
+};
+
+/**
+ * Build and send the email for a claimed link
+ * @returns {Object} emailService.sendEmail result
+ */
+const sendLinkEmail = async (link, election) => {
+  const member = await User.findById(link.memberId).select('firstName lastName').lean();
+  const frontendUrl = process.env.FRONTEND_URL || 'https://embuni-elc-frontend.vercel.app';
+
+  return emailService.sendVotingLinkEmail({
+    to: link.memberEmail,
+    name: member ? `${member.firstName} ${member.lastName}` : 'Member',
+    electionTitle: election.title,
+    voteUrl: `${frontendUrl}/vote/${link.token}`,
+    expiresAt: link.expiresAt,
+    reminder: link.delivery.kind === 'reminder'
+  });
+};
+
+/**
+ * Record the outcome of a delivery attempt
+ * @param {Object} link - The claimed link
+ * @param {Object} result - { success, messageId, error }
+ * @param {boolean} [final] - Give up without retrying
+ */
+const recordAttempt = async (link, result, final = false) => {
+  const now = new Date();
+  const attemptCount = link.delivery.attemptCount + 1;
+  const attempt = {
+    kind: link.delivery.kind,
+    attemptedAt: now,
+    success: result.success,
+    messageId: result.messageId,
+    error: result.success ? undefined : (result.error || result.message)
+  };
+
+  const update = {
+    $set: {
+      'delivery.attemptCount': attemptCount,
+      'delivery.lastAttemptAt': now
+    },
+    $push: { 'delivery.attempts': { $each: [attempt], $slice: -ATTEMPT_HISTORY } }
+  };
+
+  if (result.success) {
+    update.$set['delivery.status'] = 'sent';
+    update.$unset = { 'delivery.lastError': '', 'delivery.nextAttemptAt': '' };
+    update.$set.emailSent = true;
+    update.$set.emailSentAt = now;
+    if (link.delivery.kind === 'reminder') {
+      update.$set['delivery.lastReminderAt'] = now;
+      update.$inc = { 'delivery.remindersSent': 1 };
+    }
+  } else if (isPermanentFailure(attempt.error)) {
+    update.$set['delivery.status'] = 'bounced';
+    update.$set['delivery.lastError'] = attempt.error;
+  } else if (final || attemptCount >= MAX_ATTEMPTS) {
+    update.$set['delivery.status'] = 'failed';
+    update.$set['delivery.lastError'] = attempt.error;
+  } else {
+    update.$set['delivery.status'] = 'queued';
+    update.$set['delivery.lastError'] = attempt.error;
+    update.$set['delivery.nextAttemptAt'] = new Date(now.getTime() + RETRY_DELAYS[attemptCount - 1]);
+  }
+
+  // Only the worker that claimed the link may finish it
+  await VotingLink.updateOne({ _id: link._id, 'delivery.status': 'sending' }, update);
+
+  // A link used while the email was in flight stays used
+  if (result.success) {
+    await VotingLink.updateOne({ _id: link._id, status: 'pending' }, { $set: { status: 'sent' } });
+  }
+};
+
+/**
+ * Send one batch of due links
+ * @param {Date} [now]
+ * @returns {Object} { sent, failed }
+ */
+exports.processQueue = async (now = new Date()) => {
+  // Requeue sends interrupted by a crash or restart
+  await VotingLink.updateMany(
+    {
+      'delivery.status': 'sending',
+      'delivery.lastAttemptAt': { $lt: new Date(now.getTime() - SENDING_TIMEOUT) }
+    },
+    { $set: { 'delivery.status': 'queued', 'delivery.nextAttemptAt': now } }
+  );
+
+  const elections = new Map();
+  const summary = { sent: 0, failed: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    // Claim one due link at a time so concurrent workers never share one
+    const link = await VotingLink.findOneAndUpdate(
+      { 'delivery.status': 'queued', 'delivery.nextAttemptAt': { $lte: now } },
+      { $set: { 'delivery.status': 'sending', 'delivery.lastAttemptAt': now } },
+      { sort: { 'delivery.nextAttemptAt': 1 }, new: true }
+    ).lean();
+    if (!link) {break;}
+
+    const electionKey = link.electionId.toString();
+    if (!elections.has(electionKey)) {
+      elections.set(electionKey, await Election.findById(link.electionId).select('title status').lean());
+    }
+    const election = elections.get(electionKey);
+
+    // The link may have been used, revoked or expired since it was queued
+    const stale = !election || !['approved', 'active'].includes(election.status) ||
+      !SENDABLE_LINK_STATUSES.includes(link.status) || link.expiresAt <= now;
+
+    let result;
+    if (stale) {
+      result = { success: false, error: 'Link is no longer valid for voting' };
+    } else {
+      try {
+        result = await sendLinkEmail(link, election);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+    }
+
+    await recordAttempt(link, result, stale);
+    summary[result.success ? 'sent' : 'failed'] += 1;
+  }
+
+  return summary;
+};
+
+/**
+ * Summarise delivery for an election's admin dashboard
+ * @param {string} electionId
+ * @returns {Object} { totals, byDeliveryStatus, byKind, problems }
+ */
+exports.getDeliveryStats = async (electionId) => {
+  const id = new mongoose.Types.ObjectId(electionId);
+
+  const [byDeliveryStatus, byLinkStatus, byKind, reminders, problems] = await Promise.all([
+    VotingLink.aggregate([
+      { $match: { electionId: id } },
+      { $group: { _id: { $ifNull: ['$delivery.status', 'not_queued'] }, count: { $sum: 1 } } }
+    ]),
+    VotingLink.aggregate([
+      { $match: { electionId: id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    VotingLink.aggregate([
+      { $match: { electionId: id } },
+      { $unwind: '$delivery.attempts' },
+      {
+        $group: {
+          _id: '$delivery.attempts.kind',
+          attempts: { $sum: 1 },
+          succeeded: { $sum: { $cond: ['$delivery.attempts.success', 1, 0] } }
+        }
+      }
+    ]),
+    VotingLink.aggregate([
+      { $match: { electionId: id } },
+      { $group: { _id: null, remindersSent: { $sum: '$delivery.remindersSent' } } }
+    ]),
+    VotingLink.find({ electionId: id, 'delivery.status': { $in: ['failed', 'bounced'] } })
+      .select('memberId memberEmail status delivery.status delivery.kind delivery.attemptCount delivery.lastAttemptAt delivery.lastError')
+      .populate('memberId', 'firstName lastName email')
+      .sort({ 'delivery.lastAttemptAt': -1 })
+      .limit(200)
+      .lean()
+  ]);
+
+  const toCounts = (groups) => groups.reduce((counts, group) => {
+    counts[group._id] = group.count;
+    return counts;
+  }, {});
+
+  const linkCounts = toCounts(byLinkStatus);
+  const totalLinks = Object.values(linkCounts).reduce((sum, count) => sum + count, 0);
+
+  return {
+    totals: {
+      links: totalLinks,
+      used: linkCounts.used || 0,
+      notYetVoted: (linkCounts.pending || 0) + (linkCounts.sent || 0),
+      remindersSent: reminders.length > 0 ? reminders[0].remindersSent : 0
+    },
+    byDeliveryStatus: toCounts(byDeliveryStatus),
+    byLinkStatus: linkCounts,
+    byKind: byKind.reduce((kinds, group) => {
+      kinds[group._id] = { attempts: group.attempts, succeeded: group.succeeded };
+      return kinds;
+    }, {}),
+    problems
+  };
+};
+
+/**
+ * Start the delivery worker
+ */
+exports.startDeliveryWorker = () => {
+  if (deliveryInterval) {return;}
+
+  const tick = async () => {
+    // Skip a pass while the previous batch is still sending
+    if (tickRunning) {return;}
+    tickRunning = true;
+    try {
+      await exports.processQueue();
+    } catch (error) {
+      logger.error('Voting link delivery pass failed:', error);
+    } finally {
+      tickRunning = false;
+    }
+  };
+
+  deliveryInterval = setInterval(tick, DELIVERY_INTERVAL);
+  deliveryInterval.unref();
+
+  logger.info(`Voting link delivery worker started (${BATCH_SIZE} emails every ${DELIVERY_INTERVAL / 1000}s)`);
+};
+
+/**
+ * Stop the delivery worker
+ */
+exports.stopDeliveryWorker = () => {
+  if (deliveryInterval) {
+    clearInterval(deliveryInterval);
+    deliveryInterval = null;
+  }
+};
+
+exports.isPermanentFailure = isPermanentFailure;
+
+module.exports = exports;
@@ -0,0 +1,181 @@
+/**
+ * Observer Service
+ * Read-only election monitoring for appointed observers
+ *
+ * Observers follow turnout, the voting log and link delivery of the elections
+ * they are appointed to. Nothing here returns who a voter is: turnout is
+ * counted, log entries are redacted and delivery problems are only counted.
+ * Admins with the VIEW_REPORTS permission see the same views.
+ */
+
+const mongoose = require('mongoose');
+const Election = require('../models/Election');
+const ElectionObserver = require('../models/ElectionObserver');
+const Vote = require('../models/Vote');
+const BallotReceipt = require('../models/BallotReceipt');
+const VoterRollEntry = require('../models/VoterRollEntry');
+const VotingLog = require('../models/VotingLog');
+const Admin = require('../models/Admin');
+const permissionService = require('./permission.service');
+const { getDeliveryStats } = require('./linkDelivery.service');
+const { redactLogEntry } = require('../utils/logRedactionUtil');
+
+/**
+ * Check whether a user may observe an election
+ * @param {string} userId
+ * @param {string} electionId
+ * @returns {Object|null} { admin: true } for admins with view_reports for the election,
+ *   { observer } for a current observer, null otherwise
+ */
+exports.getObserverAccess = async (userId, electionId) => {
+  if (!mongoose.isValidObjectId(electionId)) {
+    return null;
+  }
+
+  const admin = await Admin.findOne({ user: userId, isActive: true }).lean();
+  if (admin) {
+    const scope = await permissionService.scopeForElection(electionId);
+    if (admin.adminRole === 'super_admin' || (await permissionService.can(admin, 'view_reports', scope)).allowed) {
+      return { admin: true };
+    }
+  }
+
+  const observer = await ElectionObserver.findCurrent(electionId, userId);
+  return observer ? { observer } : null;
+};
+
+const toPercentage = (count, total) =>
+  total > 0 ? parseFloat((count / total * 100).toFixed(2)) : 0;
+
+/**
+ * Turnout over time and by chapter
+ * A member counts once, at the time of their first vote.
+ * @param {string} electionId
+ * @returns {Object} { eligible, voted, turnoutPercentage, byHour, byChapter }
+ */
+exports.getTurnout = async (electionId) => {
+  const election = await Election.findById(electionId)
+    .select('secretBallot totalEligibleVoters')
+    .lean();
+  if (!election) {
+    throw new Error('Election not found');
+  }
+
+  const id = election._id;
+  const [Participation, timeField, match] = election.secretBallot
+    ? [BallotReceipt, '$createdAt', { electionId: id }]
+    : [Vote, '$timestamp', { electionId: id, status: { $ne: 'invalidated' } }];
+
+  const [voters, roll] = await Promise.all([
+    Participation.aggregate([
+      { $match: match },
+      { $group: { _id: '$memberId', firstVoteAt: { $min: timeField }, chapter: { $first: '$chapter' } } },
+      {
+        $facet: {
+          byHour: [
+            { $group: { _id: { $dateTrunc: { date: '$firstVoteAt', unit: 'hour' } }, voters: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+          ],
+          byChapter: [
+            { $group: { _id: '$chapter', voters: { $sum: 1 } } }
+          ]
+        }
+      }
+    ]),
+    VoterRollEntry.aggregate([
+      { $match: { electionId: id } },
+      { $group: { _id: '$chapter', eligible: { $sum: 1 } } }
+    ])
+  ]);
+
+  const { byHour, byChapter } = voters[0];
+  const rollSize = roll.reduce((sum, chapter) => sum + chapter.eligible, 0);
+  const eligible = rollSize || election.totalEligibleVoters || 0;
+
+  let cumulative = 0;
+  const hours = byHour.map(hour => {
+    cumulative += hour.voters;
+    return {
+      hour: hour._id,
+      voters: hour.voters,
+      cumulativeVoters: cumulative,
+      cumulativeTurnoutPercentage: toPercentage(cumulative, eligible)
+    };
+  });
+
+  const chapters = new Map(roll.map(chapter => [chapter._id || 'Unassigned', { eligible: chapter.eligible, voters: 0 }]));
+  for (const chapter of byChapter) {
+    const name = chapter._id || 'Unassigned';
+    const counts = chapters.get(name) || { eligible: 0, voters: 0 };
+    counts.voters = chapter.voters;
+    chapters.set(name, counts);
+  }
+
+  return {
+    eligible,
+    voted: cumulative,
+    turnoutPercentage: toPercentage(cumulative, eligible),
+    byHour: hours,
+    byChapter: [...chapters.entries()]
+      .map(([chapter, counts]) => ({
+        chapter,
+        eligible: counts.eligible,
+        voters: counts.voters,
+        turnoutPercentage: toPercentage(counts.voters, counts.eligible)
+      }))
+      .sort((a, b) => a.chapter.localeCompare(b.chapter)),
+    generatedAt: new Date()
+  };
+};
+
+/**
+ * Redacted voting log activity, newest first
+ * @param {string} electionId
+ * @param {Object} options - { page, limit, action, before } where before is
+ *   a sequence number to page backwards from
+ * @returns {Object} { entries, pagination }
+ */
+exports.getActivity = async (electionId, { page = 1, limit = 50, action, before } = {}) => {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+  const query = { electionId };
+  if (action) {
+    query.action = action;
+  }
+  if (before) {
+    query.sequence = { $lt: parseInt(before, 10) };
+  }
+
+  const [entries, total] = await Promise.all([
+    VotingLog.find(query)
+      .sort({ sequence: -1, createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    VotingLog.countDocuments(query)
+  ]);
+
+  return {
+    entries: entries.map(redactLogEntry),
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize)
+    }
+  };
+};
+
+/**
+ * Link delivery statistics without the per-member problem list
+ * @param {string} electionId
+ */
+exports.getDeliveryStats = async (electionId) => {
+  const stats = await getDeliveryStats(electionId);
+  delete stats.problems;
+  stats.problemCount = (stats.byDeliveryStatus.failed || 0) + (stats.byDeliveryStatus.bounced || 0);
+  return stats;
+};
+
+module.exports = exports;
@@ -0,0 +1,171 @@
+/**
+ * Permission Service
+ * Effective admin permissions from the admin role plus every admin group the
+ * admin belongs to, with chapter-scoped grants
+ *
+ * Super admins hold every permission. Other admins hold their role's
+ * permissions everywhere, plus whatever their active groups grant at their
+ * group role, optionally limited to chapters.
+ */
+
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const AdminGroup = require('../models/AdminGroup');
+const Election = require('../models/Election');
+const TwoFactorAuth = require('../models/TwoFactorAuth');
+const { requiresTwoFactor } = require('../constants/adminRoles');
+const { collectGrants, evaluate, effectivePermissions } = require('../utils/permissionUtil');
+
+const loadGroups = (adminId) => AdminGroup.find({ 'members.member': adminId, isActive: true })
+  .select('name members permissions grants isActive')
+  .lean();
+
+/**
+ * All grants an admin holds, active or not
+ * @param {Object} admin - Admin document
+ * @returns {Object[]} See permissionUtil.collectGrants
+ */
+exports.grantsFor = async (admin) => collectGrants(admin, await loadGroups(admin._id));
+
+/**
+ * Whether an admin holds a permission for a resource
+ * @param {Object} admin - Admin document
+ * @param {string} permission
+ * @param {Object} [scope] - { chapter } of the resource being acted on
+ * @returns {Object} See permissionUtil.evaluate
+ */
+exports.can = async (admin, permission, scope = {}) => evaluate(await exports.grantsFor(admin), permission, scope);
+
+const loadAdminForUser = async (userId) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new Error('Invalid user id');
+  }
+  return Admin.findOne({ user: userId }).populate('user', 'name email');
+};
+
+const summarizeAdmin = (admin) => ({
+  id: admin._id,
+  user: admin.user,
+  adminRole: admin.adminRole,
+  isActive: admin.isActive
+});
+
+/**
+ * A user's effective permissions and where each comes from
+ * @param {string} userId
+ * @returns {Object|null} { admin, groups, permissions, grants }, or null without an admin profile
+ */
+exports.effectiveForUser = async (userId) => {
+  const admin = await loadAdminForUser(userId);
+  if (!admin) {
+    return null;
+  }
+
+  const groups = await loadGroups(admin._id);
+  const grants = collectGrants(admin, groups);
+
+  return {
+    admin: summarizeAdmin(admin),
+    groups: groups.map(group => ({
+      id: group._id,
+      name: group.name,
+      role: group.members.find(m => m.member.equals(admin._id)).role
+    })),
+    permissions: effectivePermissions(grants),
+    grants
+  };
+};
+
+/**
+ * Why a user can or cannot use a permission, checked the way requirePermission checks it
+ * @param {string} userId
+ * @param {string} permission
+ * @param {Object} [scope] - { chapter }
+ * @returns {Object} { allowed, permission, chapter, reasons, grants, admin }
+ */
+exports.explain = async (userId, permission, scope = {}) => {
+  const admin = await loadAdminForUser(userId);
+  const denied = (reason) => ({
+    ...evaluate([], permission, scope),
+    allowed: false,
+    reasons: [reason],
+    admin: admin ? summarizeAdmin(admin) : null
+  });
+
+  if (!admin) {
+    return denied('User has no admin profile');
+  }
+  if (!admin.isActive) {
+    return denied('Admin profile is deactivated');
+  }
+  if (requiresTwoFactor(admin.adminRole) &&
+      !(await TwoFactorAuth.exists({ user: admin.user?._id || admin.user, enabled: true }))) {
+    return denied(`Admin role '${admin.adminRole}' requires two-factor authentication, which is not enabled`);
+  }
+
+  const decision = evaluate(await exports.grantsFor(admin), permission, scope);
+  return { ...decision, admin: summarizeAdmin(admin) };
+};
+
+/**
+ * Resource scope of an election
+ * National elections have no chapter, so chapter-scoped grants never cover them.
+ * @param {string} electionId
+ * @returns {Object} { chapter }
+ */
+exports.scopeForElection = async (electionId) => {
+  if (!mongoose.isValidObjectId(electionId)) {
+    return {};
+  }
+  const election = await Election.findById(electionId).select('chapter isNational').lean();
+  if (!election || election.isNational) {
+    return {};
+  }
+  return { chapter: election.chapter };
+};
+
+/**
+ * requirePermission scope for election routes: the election's chapter for
+ * /:id routes, or the chapter an election is being created in
+ * @param {Object} req
+ * @returns {Object} { chapter }
+ */
+exports.electionScope = async (req) => {
+  if (!req.params.id) {
+    return req.body?.isNational ? {} : { chapter: req.body?.chapter };
+  }
+  return exports.scopeForElection(req.params.id);
+};
+
+/**
+ * requirePermission scope for routes under /elections/:electionId
+ * @param {Object} req
+ * @returns {Object} { chapter }
+ */
+exports.electionParamScope = (req) => exports.scopeForElection(req.params.electionId);
+
+/**
+ * requirePermission scope for routes on a resource of an election, such as
+ * a position, candidate, nomination, dispute or proxy delegation: the chapter
+ * of the resource's election
+ * @param {string} modelName - Model with an electionId field
+ * @param {string} [param='id'] - Route parameter holding the resource id
+ * @returns {Function} async (req) => { chapter }
+ */
+exports.resourceScope = (modelName, param = 'id') => async (req) => {
+  const resourceId = req.params[param];
+  if (!mongoose.isValidObjectId(resourceId)) {
+    return {};
+  }
+  const resource = await mongoose.model(modelName).findById(resourceId).select('electionId').lean();
+  return resource ? exports.scopeForElection(resource.electionId) : {};
+};
+
+/**
+ * requirePermission scope for routes naming the election in the body
+ * @param {Object} req
+ * @returns {Object} { chapter }
+ */
+exports.bodyElectionScope = (req) => exports.scopeForElection(req.body?.electionId);
+
+module.exports = exports;
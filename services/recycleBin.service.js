@@ -0,0 +1,336 @@
+/**
+ * Recycle Bin Service
+ * Soft delete, restore and retention-based purging of content
+ *
+ * Deleting an item moves a snapshot of its document into the recycle bin and
+ * removes it from its collection, so the rest of the app needs no deleted
+ * flag. Restoring inserts the snapshot back with its original _id. Uploaded
+ * files stay in place until the item is purged.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const cloudinary = require('cloudinary').v2;
+const RecycleBin = require('../models/RecycleBin');
+const Post = require('../models/Post');
+const Event = require('../models/Event');
+const GalleryItem = require('../models/GalleryItem');
+const Partner = require('../models/Partner');
+const Testimonial = require('../models/Testimonial');
+const logger = require('../utils/logger');
+
+const RETENTION_DAYS = parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS, 10) || 30;
+const PURGE_INTERVAL = parseInt(process.env.RECYCLE_BIN_PURGE_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000;
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+let purgeInterval = null;
+let purgeRunning = false;
+
+/**
+ * Content types that can be deleted into the recycle bin
+ * title: label shown in the bin; author: field holding the creator;
+ * files: uploads to delete when the item is purged
+ */
+const ITEM_TYPES = {
+  post: {
+    model: Post,
+    title: (doc) => doc.title,
+    author: 'author',
+    files: (doc) => [{ path: doc.featuredImage }]
+  },
+  event: {
+    model: Event,
+    title: (doc) => doc.title,
+    author: 'organizer',
+    files: (doc) => [{ path: doc.coverImage, publicId: doc.coverImagePublicId }]
+  },
+  gallery: {
+    model: GalleryItem,
+    title: (doc) => doc.title,
+    author: 'uploadedBy',
+    files: (doc) => [{ path: doc.imageUrl }, { path: doc.thumbnail }]
+  },
+  partner: {
+    model: Partner,
+    title: (doc) => doc.name,
+    author: 'addedBy',
+    files: (doc) => [{ path: doc.logo }]
+  },
+  testimonial: {
+    model: Testimonial,
+    title: (doc) => doc.authorName,
+    author: 'addedBy',
+    files: (doc) => [{ path: doc.authorImage }]
+  }
+};
+
+exports.ITEM_TYPES = Object.keys(ITEM_TYPES);
+
+/**
+ * Keep files this server can delete: local uploads and Cloudinary ids
+ */
+const collectFiles = (config, doc) => config.files(doc)
+  .map(file => ({
+    path: file.path && file.path.startsWith('/uploads/') ? file.path : undefined,
+    publicId: file.publicId || undefined
+  }))
+  .filter(file => file.path || file.publicId);
+
+/**
+ * Delete an item's uploaded files; failures are logged, not thrown
+ */
+const removeFiles = async (files) => {
+  for (const file of files) {
+    if (file.path) {
+      const filePath = path.resolve(UPLOADS_DIR, `.${file.path.slice('/uploads'.length)}`);
+      // Never follow a stored path outside the uploads directory
+      if (filePath.startsWith(UPLOADS_DIR + path.sep)) {
+        await fs.unlink(filePath).catch(error => {
+          if (error.code !== 'ENOENT') {
+            logger.warn(`Could not delete upload ${file.path}: ${error.message}`);
+          }
+        });
+      }
+    }
+    if (file.publicId && process.env.CLOUDINARY_URL) {
+      await cloudinary.uploader.destroy(file.publicId).catch(error => {
+        logger.warn(`Could not delete Cloudinary image ${file.publicId}: ${error.message}`);
+      });
+    }
+  }
+};
+
+/**
+ * Move an item into the recycle bin
+ * @param {string} itemType - Key of ITEM_TYPES
+ * @param {Document} doc - Loaded item
+ * @param {string} userId - User deleting the item
+ * @param {string} [reason]
+ * @returns {Document} Recycle bin entry
+ */
+exports.moveToBin = async (itemType, doc, userId, reason) => {
+  const config = ITEM_TYPES[itemType];
+  if (!config) {
+    throw new Error(`Unsupported item type: ${itemType}`);
+  }
+
+  const entry = await RecycleBin.create({
+    itemType,
+    itemId: doc._id,
+    originalData: doc.toObject({ depopulate: true, virtuals: false }),
+    files: collectFiles(config, doc),
+    deletedBy: userId,
+    deletionReason: reason,
+    metadata: {
+      title: config.title(doc),
+      slug: doc.slug,
+      author: doc[config.author]
+    }
+  });
+
+  try {
+    await config.model.deleteOne({ _id: doc._id });
+  } catch (error) {
+    await RecycleBin.deleteOne({ _id: entry._id });
+    throw error;
+  }
+
+  return entry;
+};
+
+/**
+ * Browse the recycle bin
+ * @param {Object} filters - { itemType, status: deleted|restored|purged, search, page, limit }
+ */
+exports.listItems = async ({ itemType, status = 'deleted', search, page = 1, limit = 20 } = {}) => {
+  const query = {};
+  if (itemType) {
+    query.itemType = itemType;
+  }
+  if (status === 'restored') {
+    query.restored = true;
+  } else if (status === 'purged') {
+    query.permanentlyDeleted = true;
+  } else {
+    query.restored = false;
+    query.permanentlyDeleted = false;
+  }
+  if (search) {
+    const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query['metadata.title'] = { $regex: escaped, $options: 'i' };
+  }
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+  const [items, total] = await Promise.all([
+    RecycleBin.find(query)
+      .select('-originalData')
+      .populate('deletedBy', 'firstName lastName email')
+      .populate('restoredBy', 'firstName lastName email')
+      .populate('permanentlyDeletedBy', 'firstName lastName email')
+      .sort({ deletedAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    RecycleBin.countDocuments(query)
+  ]);
+
+  const purgeAfter = RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+  return {
+    items: items.map(item => ({
+      ...item,
+      purgeAt: item.restored || item.permanentlyDeleted
+        ? null
+        : new Date(new Date(item.deletedAt).getTime() + purgeAfter)
+    })),
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize)
+    },
+    retentionDays: RETENTION_DAYS
+  };
+};
+
+const loadPendingEntry = async (entryId) => {
+  if (!mongoose.isValidObjectId(entryId)) {
+    throw new Error('Recycle bin item not found');
+  }
+  const entry = await RecycleBin.findById(entryId);
+  if (!entry) {
+    throw new Error('Recycle bin item not found');
+  }
+  if (entry.restored) {
+    throw new Error('Item has already been restored');
+  }
+  if (entry.permanentlyDeleted) {
+    throw new Error('Item has been permanently deleted');
+  }
+  return entry;
+};
+
+/**
+ * Put an item back into its collection with its original _id
+ * @returns {Document} Recycle bin entry
+ */
+exports.restoreItem = async (entryId, userId) => {
+  const entry = await loadPendingEntry(entryId);
+  const config = ITEM_TYPES[entry.itemType];
+  if (!config) {
+    throw new Error(`Items of type ${entry.itemType} cannot be restored`);
+  }
+
+  try {
+    // Raw insert keeps the snapshot exactly, without re-running save hooks
+    await config.model.collection.insertOne(entry.originalData);
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new Error('Cannot restore: an item with the same id or slug already exists');
+    }
+    throw error;
+  }
+
+  entry.restored = true;
+  entry.restoredBy = userId;
+  entry.restoredAt = new Date();
+  await entry.save();
+
+  return entry;
+};
+
+/**
+ * Permanently delete an item and its uploaded files
+ * The entry is kept as a record, without the item's data.
+ */
+const purgeEntry = async (entry, userId) => {
+  await removeFiles(entry.files);
+
+  await RecycleBin.updateOne(
+    { _id: entry._id },
+    {
+      $set: {
+        permanentlyDeleted: true,
+        permanentlyDeletedAt: new Date(),
+        permanentlyDeletedBy: userId,
+        files: []
+      },
+      $unset: { originalData: 1 }
+    }
+  );
+};
+
+/**
+ * Permanently delete one item now
+ * @returns {Document} Recycle bin entry as it was before the purge
+ */
+exports.purgeItem = async (entryId, userId) => {
+  const entry = await loadPendingEntry(entryId);
+  await purgeEntry(entry, userId);
+  return entry;
+};
+
+/**
+ * Permanently delete items older than the retention period
+ * @returns {number} Items purged
+ */
+exports.purgeExpired = async () => {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expired = await RecycleBin.find({
+    deletedAt: { $lt: cutoff },
+    restored: false,
+    permanentlyDeleted: false
+  }).select('files');
+
+  for (const entry of expired) {
+    await purgeEntry(entry);
+  }
+
+  return expired.length;
+};
+
+/**
+ * Start the periodic purge of expired items
+ */
+exports.startPurgeJob = () => {
+  if (purgeInterval) {return;}
+
+  // Earlier versions expired entries with a TTL index, which left their files behind
+  RecycleBin.collection.dropIndex('deletedAt_1').catch(() => {});
+
+  const tick = async () => {
+    if (purgeRunning) {return;}
+    purgeRunning = true;
+    try {
+      const purged = await exports.purgeExpired();
+      if (purged > 0) {
+        logger.info(`Recycle bin purge removed ${purged} expired item(s)`);
+      }
+    } catch (error) {
+      logger.error('Recycle bin purge failed:', error);
+    } finally {
+      purgeRunning = false;
+    }
+  };
+
+  purgeInterval = setInterval(tick, PURGE_INTERVAL);
+  purgeInterval.unref();
+  tick();
+
+  logger.info(`Recycle bin purge job started (retention ${RETENTION_DAYS} days)`);
+};
+
+/**
+ * Stop the periodic purge
+ */
+exports.stopPurgeJob = () => {
+  if (purgeInterval) {
+    clearInterval(purgeInterval);
+    purgeInterval = null;
+  }
+};
+
+module.exports = exports;
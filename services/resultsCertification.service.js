@@ -0,0 +1,348 @@
+/**
+ * Results Certification Service
+ * Review and certification of closed elections, and the official results PDF
+ *
+ * Certifying stores a hash of the final tallies signed with the audit chain
+ * secret. The PDF is rendered on demand and is only issued while the live
+ * tallies still match that hash.
+ */
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Election = require('../models/Election');
+const VotingLog = require('../models/VotingLog');
+const voteService = require('./vote.service');
+const auditChainService = require('./auditChain.service');
+const {
+  canonicalize,
+  signPayload,
+  verifySignature
+} = require('../utils/auditChainUtil');
+
+/**
+ * Reduce election results to the facts being certified
+ * Covers turnout, every candidate's tally and the winners of each position,
+ * with the tie-break applied, plus any disputes and invalidated votes. The
+ * dispute fields are only present when there is something to record, so
+ * results certified before disputes existed keep their hash.
+ * @param {Object} results - Output of voteService.getElectionResults
+ * @returns {Object}
+ */
+const buildResultsSnapshot = (results) => {
+  const snapshot = {
+    electionId: results.election._id,
+    totalEligibleVoters: results.election.totalEligibleVoters,
+    totalVotesCast: results.election.totalVotesCast,
+    totalVotersParticipated: results.election.totalVotersParticipated,
+    positions: results.positions.map(positionData => {
+      const position = {
+        positionId: positionData.position._id,
+        seats: positionData.position.seats,
+        votingMethod: positionData.position.votingMethod,
+        totalVotes: positionData.position.totalVotes,
+        candidates: positionData.candidates
+          .map(candidate => ({
+            candidateId: candidate._id,
+            votesCount: candidate.votesCount,
+            isElected: candidate.isElected
+          }))
+          .sort((a, b) => a.candidateId.toString().localeCompare(b.candidateId.toString())),
+        elected: [...positionData.elected].sort()
+      };
+      if (positionData.position.invalidatedVotes) {
+        position.invalidatedVotes = positionData.position.invalidatedVotes;
+      }
+      return position;
+    })
+  };
+
+  if (results.disputes && results.disputes.length > 0) {
+    snapshot.disputes = results.disputes
+      .map(dispute => ({
+        disputeId: dispute._id,
+        status: dispute.status,
+        invalidatedVotes: dispute.invalidatedVotes
+      }))
+      .sort((a, b) => a.disputeId.toString().localeCompare(b.disputeId.toString()));
+  }
+
+  return snapshot;
+};
+
+/**
+ * Hash a results snapshot
+ * @returns {string} hex SHA-256
+ */
+const hashResults = (snapshot) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(canonicalize(snapshot)))
+  .digest('hex');
+
+// The signed part of a certification, which also binds the sealed audit chain
+const certificationPayload = (election, certification) => ({
+  electionId: election._id,
+  certifierName: certification.certifierName,
+  certifiedAt: certification.certifiedAt,
+  resultsHash: certification.resultsHash,
+  auditChainHead: election.auditChain ? election.auditChain.headHash : null
+});
+
+/**
+ * Check the stored certification against its signature and the live tallies
+ * @returns {Object} { signatureValid, resultsMatch, currentHash }
+ */
+const checkCertification = (election, results) => {
+  const { certification } = election;
+  const currentHash = hashResults(buildResultsSnapshot(results));
+
+  return {
+    signatureValid: verifySignature(
+      certificationPayload(election, certification),
+      certification.signature
+    ),
+    resultsMatch: currentHash === certification.resultsHash,
+    currentHash
+  };
+};
+
+/**
+ * Load the results of an election and list what stands in the way of certifying
+ * @param {string} electionId
+ * @returns {Object} { election, results, resultsHash, blockers, warnings }
+ */
+exports.reviewResults = async (electionId) => {
+  const election = await Election.findById(electionId);
+  if (!election) {
+    throw new Error('Election not found');
+  }
+
+  const results = await voteService.getElectionResults(electionId);
+  const blockers = [];
+  const warnings = [];
+
+  if (election.status !== 'closed') {
+    blockers.push('Only closed elections can be certified');
+  }
+  if (election.isCertified) {
+    blockers.push('Results have already been certified');
+  }
+
+  results.positions
+    .filter(positionData => positionData.tie && !positionData.tie.resolved)
+    .forEach(positionData => {
+      blockers.push(`Unresolved tie for ${positionData.position.name}`);
+    });
+
+  results.disputes
+    .filter(dispute => ['open', 'investigating'].includes(dispute.status))
+    .forEach(dispute => {
+      blockers.push(`Unresolved dispute: ${dispute.subject}`);
+    });
+
+  if (election.status === 'closed' && !(election.auditChain && election.auditChain.signature)) {
+    warnings.push('The audit chain has not been sealed yet; it is sealed when the results are certified');
+  }
+
+  results.positions
+    .filter(positionData => !positionData.position.totalVotes)
+    .forEach(positionData => {
+      warnings.push(`No votes were cast for ${positionData.position.name}`);
+    });
+
+  return {
+    election,
+    results,
+    resultsHash: hashResults(buildResultsSnapshot(results)),
+    blockers,
+    warnings
+  };
+};
+
+/**
+ * Certify the results of a closed election
+ * @param {string} electionId
+ * @param {Object} certifier - User document of the returning officer
+ * @param {Object} options - { notes, resultsHash } where resultsHash is the
+ *   hash the certifier reviewed; certification fails if the tallies moved since
+ * @param {Object} actor - VotingLog actor fields
+ * @returns {Object} The certification
+ */
+exports.certifyResults = async (electionId, certifier, { notes, resultsHash } = {}, actor) => {
+  const review = await exports.reviewResults(electionId);
+  const { election } = review;
+
+  if (review.blockers.length > 0) {
+    throw new Error(review.blockers.join('; '));
+  }
+
+  if (resultsHash && resultsHash !== review.resultsHash) {
+    throw new Error('Results changed since they were reviewed; review them again before certifying');
+  }
+
+  const certification = {
+    certifiedBy: certifier._id,
+    certifierName: `${certifier.firstName} ${certifier.lastName}`.trim() || certifier.email,
+    certifiedAt: new Date(),
+    notes,
+    resultsHash: review.resultsHash
+  };
+
+  // The signature covers the sealed chain head
+  await auditChainService.sealChain(election);
+  certification.signature = signPayload(certificationPayload(election, certification));
+
+  election.certification = certification;
+  await election.save();
+
+  await VotingLog.log({
+    ...actor,
+    action: 'results_certified',
+    resource: {
+      type: 'election',
+      id: election._id
+    },
+    electionId: election._id,
+    chapter: election.chapter,
+    details: {
+      resultsHash: certification.resultsHash,
+      notes
+    },
+    success: true
+  });
+
+  return election.certification;
+};
+
+const formatDate = (date) => (date ? new Date(date).toUTCString() : '-');
+
+/**
+ * Lay out the results PDF
+ * @returns {Promise<Buffer>}
+ */
+const renderPdf = (election, results) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `${election.title} - Official Results`,
+      Subject: 'Certified election results'
+    }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { certification } = election;
+
+  // Header
+  doc.fontSize(18).font('Helvetica-Bold').text('Official Election Results', { align: 'center' });
+  doc.moveDown(0.5);
+  doc.fontSize(14).text(election.title, { align: 'center' });
+  doc.fontSize(10).font('Helvetica')
+    .text(election.isNational ? 'National election' : `Chapter: ${election.chapter}`, { align: 'center' });
+  doc.moveDown();
+
+  doc.text(`Voting opened: ${formatDate(election.startTime)}`);
+  doc.text(`Voting closed: ${formatDate(election.closedAt || election.endTime)}`);
+  doc.moveDown();
+
+  // Turnout
+  doc.fontSize(12).font('Helvetica-Bold').text('Turnout');
+  doc.fontSize(10).font('Helvetica')
+    .text(`Eligible voters: ${results.election.totalEligibleVoters}`)
+    .text(`Members who voted: ${results.election.totalVotersParticipated}`)
+    .text(`Votes cast: ${results.election.totalVotesCast}`)
+    .text(`Turnout: ${results.election.turnoutPercentage}%`);
+  doc.moveDown();
+
+  // Positions
+  results.positions.forEach(positionData => {
+    const { position } = positionData;
+    doc.fontSize(12).font('Helvetica-Bold')
+      .text(`${position.name} (${position.seats} seat${position.seats === 1 ? '' : 's'})`);
+    doc.fontSize(10).font('Helvetica');
+
+    positionData.candidates.forEach(candidate => {
+      const marker = candidate.isElected ? '  - ELECTED' : '';
+      doc.text(`${candidate.name}: ${candidate.votesCount} votes (${candidate.votePercentage}%)${marker}`, {
+        indent: 15
+      });
+    });
+
+    if (positionData.tieBreak) {
+      doc.font('Helvetica-Oblique')
+        .text(`Tie resolved by ${positionData.tieBreak.method.replace('_', ' ')}`, { indent: 15 })
+        .font('Helvetica');
+    }
+    if (position.invalidatedVotes) {
+      doc.font('Helvetica-Oblique')
+        .text(`Invalidated votes excluded from the count: ${position.invalidatedVotes}`, { indent: 15 })
+        .font('Helvetica');
+    }
+    doc.moveDown();
+  });
+
+  // Disputes
+  if (results.disputes.length > 0) {
+    doc.fontSize(12).font('Helvetica-Bold').text('Disputes');
+    doc.fontSize(10).font('Helvetica');
+    results.disputes.forEach(dispute => {
+      doc.text(`${dispute.subject}: ${dispute.status}` +
+        (dispute.invalidatedVotes ? `, ${dispute.invalidatedVotes} vote(s) invalidated` : ''), { indent: 15 });
+      if (dispute.resolutionSummary) {
+        doc.font('Helvetica-Oblique').text(dispute.resolutionSummary, { indent: 30 }).font('Helvetica');
+      }
+    });
+    doc.moveDown();
+  }
+
+  // Certification
+  doc.fontSize(12).font('Helvetica-Bold').text('Certification');
+  doc.fontSize(10).font('Helvetica')
+    .text(`Certified by: ${certification.certifierName}`)
+    .text(`Certified at: ${formatDate(certification.certifiedAt)}`);
+  if (certification.notes) {
+    doc.text(`Notes: ${certification.notes}`);
+  }
+  doc.moveDown();
+
+  doc.fontSize(8).font('Courier')
+    .text(`Results hash: ${certification.resultsHash}`)
+    .text(`Signature: ${certification.signature}`);
+  if (election.auditChain && election.auditChain.headHash) {
+    doc.text(`Audit chain head: ${election.auditChain.headHash}`);
+  }
+
+  doc.end();
+});
+
+/**
+ * Render the official results PDF of a certified election
+ * @param {string} electionId
+ * @returns {Buffer}
+ */
+exports.generateResultsPdf = async (electionId) => {
+  const election = await Election.findById(electionId).lean();
+  if (!election) {
+    throw new Error('Election not found');
+  }
+
+  if (!election.certification || !election.certification.certifiedAt) {
+    throw new Error('Results have not been certified');
+  }
+
+  const results = await voteService.getElectionResults(electionId);
+  const check = checkCertification(election, results);
+  if (!check.signatureValid || !check.resultsMatch) {
+    throw new Error('Results no longer match the certified results hash');
+  }
+
+  return renderPdf(election, results);
+};
+
+exports.buildResultsSnapshot = buildResultsSnapshot;
+exports.hashResults = hashResults;
+exports.checkCertification = checkCertification;
+
+module.exports = exports;
@@ -0,0 +1,265 @@
+/**
+ * Session Service
+ * Short-lived access tokens, rotating refresh tokens and session revocation
+ *
+ * Access tokens are JWTs carrying the session id (sid) and are checked against
+ * the session on every request. Refresh tokens are random strings stored as
+ * hashes and replaced on every use; presenting a replaced token again revokes
+ * the session, since it means the token was copied.
+ *
+ * Impersonation sessions, in which an admin views the app as a user, get a
+ * single access token lasting the whole session and carrying an act claim
+ * naming the admin. They have no refresh token.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { describeUserAgent } = require('../utils/userAgentUtil');
+
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+// A token replaced this recently is a refresh race between tabs, not a copied token
+const ROTATION_GRACE_MS = 30 * 1000;
+// lastSeenAt is written at most this often
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+const INVALID_REFRESH_TOKEN = 'Refresh token is invalid or has expired';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+/**
+ * Sign an access token for a session
+ * @returns {Object} { token, refreshToken, expiresIn } - expiresIn in seconds
+ */
+const issueTokens = (session, refreshToken) => {
+  const token = jwt.sign(
+    { id: session.user.toString(), sid: session._id.toString() },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+  );
+  const { iat, exp } = jwt.decode(token);
+
+  return { token, refreshToken, expiresIn: exp - iat };
+};
+
+/**
+ * Start a session for a login
+ * @param {string} userId
+ * @param {Object} [client] - { ip, userAgent }
+ * @returns {Object} { token, refreshToken, expiresIn }
+ */
+exports.createSession = async (userId, client = {}) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceName: describeUserAgent(client.userAgent),
+    userAgent: client.userAgent,
+    ip: client.ip,
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return issueTokens(session, refreshToken);
+};
+
+/**
+ * Start a session in which an admin views the app as another user
+ * @param {string} userId - User being viewed
+ * @param {Object} impersonation - { by, reason, readOnly }
+ * @param {number} ttlMs - How long the session lasts
+ * @param {Object} [client] - { ip, userAgent } of the admin
+ * @returns {Object} { token, expiresIn, session }
+ */
+exports.createImpersonationSession = async (userId, impersonation, ttlMs, client = {}) => {
+  const session = await Session.create({
+    user: userId,
+    // Never handed out, so the session cannot be refreshed
+    refreshTokenHash: hashToken(newRefreshToken()),
+    impersonation,
+    deviceName: describeUserAgent(client.userAgent),
+    userAgent: client.userAgent,
+    ip: client.ip,
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  const expiresIn = Math.floor(ttlMs / 1000);
+  const token = jwt.sign(
+    { id: session.user.toString(), sid: session._id.toString(), act: { sub: impersonation.by.toString() } },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn }
+  );
+
+  return { token, expiresIn, session };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken
+ * @param {Object} [client] - { ip, userAgent }
+ * @returns {Object} { token, refreshToken, expiresIn }
+ */
+exports.refresh = async (refreshToken, client = {}) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new Error(INVALID_REFRESH_TOKEN);
+  }
+
+  const hash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const now = new Date();
+
+  // Rotate atomically so a refresh token can only be exchanged once
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousRefreshTokenHash: hash,
+        rotatedAt: now,
+        lastSeenAt: now,
+        ip: client.ip,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const replaced = await Session.findOne({ previousRefreshTokenHash: hash, revokedAt: null });
+    if (replaced && replaced.rotatedAt > new Date(now.getTime() - ROTATION_GRACE_MS)) {
+      const error = new Error('Refresh token was already rotated');
+      error.code = 'REFRESH_TOKEN_ROTATED';
+      throw error;
+    }
+    if (replaced) {
+      replaced.revokedAt = now;
+      replaced.revokedReason = 'refresh_token_reuse';
+      await replaced.save();
+    }
+    throw new Error(INVALID_REFRESH_TOKEN);
+  }
+
+  const user = await User.findById(session.user).select('isActive passwordChangedAt');
+  if (!user || !user.isActive) {
+    await exports.revokeAllSessions(session.user, 'account_deactivated');
+    throw new Error(INVALID_REFRESH_TOKEN);
+  }
+  // Covers every way a password can change, including admin resets
+  if (user.changedPasswordAfter(Math.floor(session.createdAt.getTime() / 1000))) {
+    await exports.revokeAllSessions(session.user, 'password_changed');
+    throw new Error(INVALID_REFRESH_TOKEN);
+  }
+
+  return issueTokens(session, nextToken);
+};
+
+/**
+ * Check that an access token's session is still active, and note the activity
+ * @param {string} sessionId - sid claim of the access token
+ * @param {string} userId - id claim of the access token
+ * @param {string} [ip]
+ * @returns {boolean}
+ */
+exports.validateSession = async (sessionId, userId, ip) => {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+    return false;
+  }
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).select('lastSeenAt').lean();
+  if (!session) {
+    return false;
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+    const update = ip ? { lastSeenAt: new Date(), ip } : { lastSeenAt: new Date() };
+    Session.updateOne({ _id: sessionId }, update).catch(() => {});
+  }
+
+  return true;
+};
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string} userId
+ * @param {string} [currentSessionId] - Marked with current: true
+ */
+exports.listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('deviceName userAgent ip lastSeenAt createdAt')
+    .sort({ lastSeenAt: -1 })
+    .lean();
+
+  return sessions.map(session => ({
+    _id: session._id,
+    deviceName: session.deviceName,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+  }));
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} userId
+ * @param {string} sessionId
+ * @param {string} [reason]
+ */
+exports.revokeSession = async (userId, sessionId, reason = 'user_revoked') => {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw new Error('Session not found');
+  }
+
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  if (result.modifiedCount === 0) {
+    throw new Error('Session not found');
+  }
+};
+
+/**
+ * Revoke every session of a user except the current one
+ * @returns {number} Sessions revoked
+ */
+exports.revokeOtherSessions = async (userId, currentSessionId) => {
+  const result = await Session.updateMany(
+    { user: userId, _id: { $ne: currentSessionId }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'user_revoked' } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Revoke every session of a user
+ * @param {string} userId
+ * @param {string} reason
+ * @param {string} [revokedBy] - Admin forcing the logout
+ * @returns {number} Sessions revoked
+ */
+exports.revokeAllSessions = async (userId, reason, revokedBy) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = exports;
@@ -0,0 +1,99 @@
+/**
+ * SMS Service
+ * Sends text messages through a pluggable provider
+ *
+ * A provider is an object with `send({ to, message })` resolving to
+ * `{ success, messageId, error }`. The active provider is chosen by
+ * SMS_PROVIDER; with none set, SMS delivery is disabled. The built-in 'file'
+ * provider appends each message to a local file instead of sending it, for
+ * development and testing.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const providers = new Map();
+
+/**
+ * File stub provider
+ * Writes one JSON line per message to SMS_STUB_FILE (default logs/sms-outbox.log)
+ */
+const fileProvider = {
+  async send({ to, message }) {
+    const file = process.env.SMS_STUB_FILE || path.join(__dirname, '../logs/sms-outbox.log');
+    const messageId = `stub-${crypto.randomBytes(8).toString('hex')}`;
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, JSON.stringify({
+      messageId,
+      to,
+      message,
+      sentAt: new Date().toISOString()
+    }) + '\n');
+
+    return { success: true, messageId };
+  }
+};
+
+/**
+ * Register an SMS provider under a name usable in SMS_PROVIDER
+ * @param {string} name
+ * @param {Object} provider - { send({ to, message }) }
+ */
+exports.registerProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error('An SMS provider must implement send({ to, message })');
+  }
+  providers.set(name, provider);
+};
+
+exports.registerProvider('file', fileProvider);
+
+/**
+ * Get the configured provider, or null when SMS is disabled
+ */
+const getProvider = () => {
+  const name = process.env.SMS_PROVIDER;
+  if (!name) {
+    return null;
+  }
+
+  const provider = providers.get(name);
+  if (!provider) {
+    logger.warn(`Unknown SMS provider "${name}". SMS sending disabled.`);
+    return null;
+  }
+  return provider;
+};
+
+/**
+ * Check whether SMS can be sent
+ */
+exports.isEnabled = () => Boolean(getProvider());
+
+/**
+ * Send an SMS
+ * @param {Object} options - { to, message }
+ * @returns {Object} { success, messageId, error }
+ */
+exports.sendSms = async ({ to, message }) => {
+  const provider = getProvider();
+  if (!provider) {
+    return { success: false, error: 'SMS provider not configured' };
+  }
+
+  if (!to) {
+    return { success: false, error: 'No phone number' };
+  }
+
+  try {
+    return await provider.send({ to, message });
+  } catch (error) {
+    logger.error(`Failed to send SMS to ${to}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = exports;
@@ -6,6 +6,8 @@
  * Configure: Set SOCKET_ORIGIN in .env
  */
 
+const logger = require('../utils/logger');
+
 let io = null;
 
 /**
@@ -46,11 +48,17 @@ exports.initializeSocket = (server) => {
         const User = require('../models/User');
         const user = await User.findById(decoded.id).select('-password');
 
-        if (!user || !user.isActive) {
+        if (!user || !user.isActive || user.changedPasswordAfter(decoded.iat)) {
+          return next(new Error('Authentication failed'));
+        }
+
+        const sessionService = require('./session.service');
+        if (!(await sessionService.validateSession(decoded.sid, decoded.id))) {
           return next(new Error('Authentication failed'));
         }
 
         socket.user = user;
+        socket.data.userId = user._id.toString();
         socket.isAuthenticated = true;
         next();
       } catch (error) {
@@ -119,6 +127,50 @@ exports.initializeSocket = (server) => {
         }
       });
 
+      // Join the observer room of an election (observers and report admins only)
+      socket.on('observe', async (data) => {
+        try {
+          const { electionId } = data || {};
+
+          if (!electionId) {
+            socket.emit('error', { message: 'electionId is required' });
+            return;
+          }
+
+          if (!socket.isAuthenticated || !socket.user) {
+            socket.emit('error', { message: 'Authentication required' });
+            return;
+          }
+
+          const observerService = require('./observer.service');
+          const access = await observerService.getObserverAccess(socket.user._id, electionId);
+          if (!access) {
+            socket.emit('error', { message: 'Access denied' });
+            return;
+          }
+
+          socket.join(`observer:${electionId}`);
+
+          socket.emit('observer-initial', {
+            electionId,
+            turnout: await observerService.getTurnout(electionId)
+          });
+
+          logger.debug(`Socket ${socket.id} observing election ${electionId}`);
+        } catch (error) {
+          console.error('Observe error:', error);
+          socket.emit('error', { message: error.message });
+        }
+      });
+
+      // Leave the observer room of an election
+      socket.on('unobserve', (data) => {
+        const { electionId } = data || {};
+        if (electionId) {
+          socket.leave(`observer:${electionId}`);
+        }
+      });
+
       // Unsubscribe from election
       socket.on('unsubscribe', (data) => {
         const { electionId } = data;
@@ -210,6 +262,60 @@ exports.emitElectionStatus = (electionId, status) => {
   });
 };
 
+/**
+ * Emit a voting log entry, redacted, to an election's observers
+ */
+exports.emitObserverActivity = (entry) => {
+  if (!io || !entry || !entry.electionId) {return;}
+
+  const { redactLogEntry } = require('../utils/logRedactionUtil');
+  const plain = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+
+  io.of('/votes').to(`observer:${entry.electionId}`).emit('observer-activity', redactLogEntry(plain));
+};
+
+/**
+ * Emit current turnout to an election's observers
+ */
+exports.emitObserverTurnout = async (electionId) => {
+  if (!io) {return;}
+
+  try {
+    const Election = require('../models/Election');
+    const election = await Election.findById(electionId)
+      .select('totalVotersParticipated totalEligibleVoters turnoutPercentage')
+      .lean();
+    if (!election) {return;}
+
+    io.of('/votes').to(`observer:${electionId}`).emit('observer-turnout', {
+      electionId: electionId.toString(),
+      totalVotersParticipated: election.totalVotersParticipated,
+      totalEligibleVoters: election.totalEligibleVoters,
+      turnoutPercentage: election.turnoutPercentage,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error emitting observer turnout:', error);
+  }
+};
+
+/**
+ * Remove a user's sockets from an election's observer room
+ * Used when their appointment is revoked.
+ */
+exports.removeObserver = async (electionId, userId) => {
+  if (!io) {return;}
+
+  const room = `observer:${electionId}`;
+  const sockets = await io.of('/votes').in(room).fetchSockets();
+  for (const socket of sockets) {
+    if (socket.data.userId === userId.toString()) {
+      socket.leave(room);
+      socket.emit('observer-revoked', { electionId: electionId.toString() });
+    }
+  }
+};
+
 /**
  * Get Socket.io instance
  */
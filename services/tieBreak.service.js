@@ -0,0 +1,124 @@
+/**
+ * Tie-break Service
+ * Resolution of ties for the last seat of a position once an election closes
+ *
+ * A seeded draw orders the tied candidates by a seed generated here when the
+ * draw is made, so the admin recording it cannot pick a seed that favours a
+ * candidate. The seed is published with the draw so anyone can repeat it. A
+ * runoff records the winners of a runoff held outside this count.
+ */
+
+const crypto = require('crypto');
+const Position = require('../models/Position');
+const Election = require('../models/Election');
+const VotingLog = require('../models/VotingLog');
+const voteService = require('./vote.service');
+const { drawBySeed } = require('../utils/tallyUtil');
+const cache = require('../utils/cache');
+
+const METHODS = ['seeded_draw', 'runoff'];
+
+/**
+ * Record a tie-break for a tied position
+ * @param {string} positionId
+ * @param {Object} options - { method, winners, runoffElectionId, notes }
+ * @param {Object} user - User recording the tie-break
+ * @param {Object} context - { ip, userAgent } for the voting log
+ * @returns {Object} The recorded tie-break
+ */
+exports.recordTieBreak = async (positionId, { method, winners, runoffElectionId, notes }, user, context = {}) => {
+  if (!METHODS.includes(method)) {
+    throw new Error(`method must be one of: ${METHODS.join(', ')}`);
+  }
+
+  const position = await Position.findById(positionId);
+  if (!position) {
+    throw new Error('Position not found');
+  }
+
+  const election = await Election.findById(position.electionId);
+  if (!election || election.status !== 'closed') {
+    throw new Error('Ties can only be resolved once the election is closed');
+  }
+  if (election.isCertified) {
+    throw new Error('Cannot record a tie-break after the results are certified');
+  }
+
+  const results = await voteService.getElectionResults(election._id);
+  const positionData = results.positions.find(p => p.position._id.toString() === position._id.toString());
+  const tie = positionData && positionData.tie;
+
+  if (!tie) {
+    throw new Error('This position has no tie to resolve');
+  }
+  if (tie.resolved) {
+    throw new Error('This tie has already been resolved');
+  }
+
+  const entry = {
+    method,
+    candidates: tie.candidates,
+    seats: tie.seats,
+    runoffElectionId,
+    notes,
+    resolvedBy: user._id,
+    resolvedAt: new Date()
+  };
+
+  if (method === 'seeded_draw') {
+    entry.seed = crypto.randomBytes(16).toString('hex');
+    entry.drawOrder = drawBySeed(tie.candidates, entry.seed);
+    entry.winners = entry.drawOrder.slice(0, tie.seats);
+  } else {
+    const runoffWinners = Array.isArray(winners) ? winners.map(String) : [];
+    const valid = runoffWinners.length === tie.seats &&
+      new Set(runoffWinners).size === runoffWinners.length &&
+      runoffWinners.every(winner => tie.candidates.includes(winner));
+
+    if (!valid) {
+      throw new Error(`winners must list ${tie.seats} of the tied candidates`);
+    }
+
+    entry.winners = runoffWinners;
+  }
+
+  // Conditional on the tie-breaks read above, so two requests cannot both
+  // draw for the same tie
+  const result = await Position.updateOne(
+    { _id: position._id, tieBreaks: { $size: position.tieBreaks.length } },
+    { $push: { tieBreaks: entry } }
+  );
+  if (result.modifiedCount === 0) {
+    throw new Error('This tie has already been resolved');
+  }
+  cache.delete(`results:${election._id}`);
+
+  await VotingLog.log({
+    actorId: user._id,
+    actorEmail: user.email,
+    actorRole: user.role,
+    action: 'tie_break_recorded',
+    resource: {
+      type: 'position',
+      id: position._id
+    },
+    electionId: election._id,
+    chapter: election.chapter,
+    details: {
+      method,
+      candidates: entry.candidates,
+      seats: entry.seats,
+      seed: entry.seed,
+      winners: entry.winners,
+      runoffElectionId
+    },
+    ip: context.ip,
+    userAgent: context.userAgent,
+    success: true
+  });
+
+  const updated = await Position.findById(position._id).select('tieBreaks').lean();
+  return updated.tieBreaks[updated.tieBreaks.length - 1];
+};
+
+module.exports = exports;
@@ -0,0 +1,157 @@
+/**
+ * Turnout Analytics Service
+ * Turnout breakdowns, the hourly voting curve and voting link conversion
+ *
+ * Everything is computed from participation (who voted and when they first
+ * voted), the frozen voter roll and voting link usage. Vote choices are never
+ * read. Members whose votes were later invalidated still count as having
+ * taken part, as in Election.calculateTurnout.
+ */
+
+const Election = require('../models/Election');
+const Vote = require('../models/Vote');
+const BallotReceipt = require('../models/BallotReceipt');
+const VoterRollEntry = require('../models/VoterRollEntry');
+const VotingLink = require('../models/VotingLink');
+const User = require('../models/User');
+const { buildBreakdown, buildHourlyCurve, toPercentage } = require('../utils/turnoutUtil');
+
+const PUBLIC_MIN_GROUP_SIZE = parseInt(process.env.TURNOUT_MIN_GROUP_SIZE, 10) || 5;
+
+// Member attributes turnout is broken down by
+const BREAKDOWN_FIELDS = ['chapter', 'yearOfStudy', 'course', 'membershipTier'];
+
+/**
+ * Load each voter's first vote time
+ * @returns {Object[]} [{ _id: memberId, firstVoteAt }]
+ */
+const getVoters = (election) => {
+  const [Participation, timeField] = election.secretBallot
+    ? [BallotReceipt, '$createdAt']
+    : [Vote, '$timestamp'];
+
+  return Participation.aggregate([
+    { $match: { electionId: election._id } },
+    { $group: { _id: '$memberId', firstVoteAt: { $min: timeField } } }
+  ]);
+};
+
+/**
+ * Load the electorate with the attributes turnout is broken down by
+ * Uses the frozen voter roll; course is not frozen and comes from the
+ * member's profile. Without a roll, only voters are known.
+ * @returns {Object} { members, rollFrozen }
+ */
+const getElectorate = async (election, voters) => {
+  const roll = await VoterRollEntry.find({ electionId: election._id })
+    .select('memberId chapter yearOfStudy membershipTier')
+    .lean();
+  const rollFrozen = roll.length > 0;
+
+  const memberIds = rollFrozen ? roll.map(entry => entry.memberId) : voters.map(voter => voter._id);
+  const users = await User.find({ _id: { $in: memberIds } })
+    .select('chapter yearOfStudy course membershipTier')
+    .lean();
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const members = rollFrozen
+    ? roll.map(entry => ({
+      ...entry,
+      course: (usersById.get(entry.memberId.toString()) || {}).course
+    }))
+    : memberIds.map(memberId => ({ memberId, ...usersById.get(memberId.toString()) }));
+
+  return { members, rollFrozen };
+};
+
+/**
+ * Voting link conversion: how many links were opened and how many were used to vote
+ */
+const getLinkConversion = async (election) => {
+  const [stats] = await VotingLink.aggregate([
+    { $match: { electionId: election._id } },
+    {
+      $group: {
+        _id: null,
+        links: { $sum: 1 },
+        opened: { $sum: { $cond: [{ $gt: ['$accessCount', 0] }, 1, 0] } },
+        totalAccesses: { $sum: { $ifNull: ['$accessCount', 0] } },
+        used: { $sum: { $cond: [{ $eq: ['$status', 'used'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const { links = 0, opened = 0, totalAccesses = 0, used = 0 } = stats || {};
+  return {
+    links,
+    opened,
+    used,
+    totalAccesses,
+    openRate: toPercentage(opened, links),
+    linkToVoteRate: toPercentage(used, links),
+    openToVoteRate: toPercentage(used, opened)
+  };
+};
+
+/**
+ * Turnout analytics of an election
+ * @param {string} electionId
+ * @param {Object} [options] - { minGroupSize } groups smaller than this are
+ *   merged or withheld (see turnoutUtil.buildBreakdown)
+ * @returns {Object} { election, summary, byHour, breakdowns, links }
+ */
+exports.getTurnoutAnalytics = async (electionId, { minGroupSize = 0 } = {}) => {
+  const election = await Election.findById(electionId)
+    .select('title status secretBallot startTime endTime totalEligibleVoters')
+    .lean();
+  if (!election) {
+    throw new Error('Election not found');
+  }
+
+  const voters = await getVoters(election);
+  const [{ members, rollFrozen }, links] = await Promise.all([
+    getElectorate(election, voters),
+    getLinkConversion(election)
+  ]);
+
+  const voterIds = new Set(voters.map(voter => voter._id.toString()));
+  const eligible = rollFrozen ? members.length : election.totalEligibleVoters || 0;
+
+  const breakdowns = BREAKDOWN_FIELDS.reduce((result, field) => {
+    const rows = buildBreakdown(members, voterIds, field, { minGroupSize });
+    // Without a roll the groups hold voters only, so there is no turnout to show
+    result[field] = rollFrozen
+      ? rows
+      : rows.map(row => ({ group: row.group, eligible: null, voters: row.voters, turnoutPercentage: null }));
+    return result;
+  }, {});
+
+  return {
+    election: {
+      _id: election._id,
+      title: election.title,
+      status: election.status,
+      startTime: election.startTime,
+      endTime: election.endTime
+    },
+    summary: {
+      eligible,
+      voted: voters.length,
+      turnoutPercentage: toPercentage(voters.length, eligible),
+      rollFrozen
+    },
+    byHour: buildHourlyCurve(voters.map(voter => voter.firstVoteAt), eligible),
+    breakdowns,
+    links,
+    generatedAt: new Date()
+  };
+};
+
+/**
+ * Turnout analytics for publication, with small groups merged or withheld
+ * @param {string} electionId
+ */
+exports.getPublicTurnoutAnalytics = (electionId) =>
+  exports.getTurnoutAnalytics(electionId, { minGroupSize: PUBLIC_MIN_GROUP_SIZE });
+
+module.exports = exports;
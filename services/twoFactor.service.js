@@ -0,0 +1,324 @@
+/**
+ * Two-Factor Authentication Service
+ * TOTP enrollment, backup codes, login challenges and trusted devices
+ *
+ * Only hashes of backup codes, login challenge tokens and trusted device
+ * tokens are stored. The TOTP secret itself is kept (select: false) because
+ * codes are computed from it.
+ */
+
+const crypto = require('crypto');
+const TwoFactorAuth = require('../models/TwoFactorAuth');
+const Admin = require('../models/Admin');
+const { requiresTwoFactor } = require('../constants/adminRoles');
+const {
+  generateSecret,
+  matchTotp,
+  buildOtpAuthUri,
+  generateBackupCodes,
+  hashBackupCode
+} = require('../utils/totpUtil');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'ELP Embu';
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const TRUSTED_DEVICE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_TRUSTED_DEVICES = 10;
+const BACKUP_CODE_COUNT = 10;
+
+const INVALID_CODE = 'Invalid verification code';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const storeBackupCodes = (record) => {
+  const codes = generateBackupCodes(BACKUP_CODE_COUNT);
+  record.backupCodes = codes.map(code => ({ code: hashBackupCode(code), used: false }));
+  return codes;
+};
+
+/**
+ * Claim a TOTP time step for the record
+ * Conditional so the same code cannot be accepted by two requests at once.
+ * @returns {boolean} false when a code of this or a later step was already used
+ */
+const claimTotpCounter = async (record, counter) => {
+  const result = await TwoFactorAuth.updateOne(
+    {
+      _id: record._id,
+      $or: [
+        { lastTotpCounter: null },
+        { lastTotpCounter: { $lt: counter } }
+      ]
+    },
+    { $set: { lastTotpCounter: counter } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Mark an unused backup code as used
+ * Conditional on the code still being unused, so two requests cannot both
+ * spend it.
+ * @returns {boolean} false when the code is unknown or already used
+ */
+const claimBackupCode = async (record, hash) => {
+  const result = await TwoFactorAuth.updateOne(
+    { _id: record._id, backupCodes: { $elemMatch: { code: hash, used: false } } },
+    { $set: { 'backupCodes.$.used': true, 'backupCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Check a TOTP or unused backup code, counting wrong codes towards the lock
+ * A TOTP code is accepted once: its time step is stored on the record and
+ * codes from that step or earlier are refused.
+ * @param {Document} record - Loaded with +secret +backupCodes.code
+ */
+const verifyCode = async (record, code) => {
+  if (record.isLocked()) {
+    throw new Error('Too many wrong codes. Try again later');
+  }
+
+  const counter = matchTotp(record.secret, code, { lastCounter: record.lastTotpCounter });
+  let valid = counter !== null && await claimTotpCounter(record, counter);
+
+  if (!valid && record.enabled) {
+    valid = await claimBackupCode(record, hashBackupCode(code || ''));
+  }
+
+  if (!valid) {
+    await record.recordFailure();
+    throw new Error(INVALID_CODE);
+  }
+
+  record.failedAttempts = 0;
+  record.lockedUntil = undefined;
+  record.lastUsedAt = new Date();
+};
+
+const findEnabled = (userId) =>
+  TwoFactorAuth.findOne({ user: userId, enabled: true }).select('+secret +backupCodes.code');
+
+/**
+ * Whether the user's admin role requires two-factor authentication
+ */
+exports.isRequiredFor = async (userId) => {
+  const admin = await Admin.findOne({ user: userId, isActive: true }).select('adminRole').lean();
+  return Boolean(admin && requiresTwoFactor(admin.adminRole));
+};
+
+/**
+ * Whether the user has two-factor authentication enabled
+ */
+exports.isEnabled = async (userId) => Boolean(await TwoFactorAuth.exists({ user: userId, enabled: true }));
+
+/**
+ * Two-factor status for the user's own settings page
+ */
+exports.getStatus = async (userId) => {
+  const [record, required] = await Promise.all([
+    TwoFactorAuth.findOne({ user: userId }).lean(),
+    exports.isRequiredFor(userId)
+  ]);
+  const enabled = Boolean(record && record.enabled);
+
+  return {
+    enabled,
+    required,
+    method: enabled ? record.method : null,
+    verifiedAt: enabled ? record.verifiedAt : null,
+    backupCodesRemaining: enabled ? record.backupCodes.filter(entry => !entry.used).length : 0,
+    trustedDevices: enabled
+      ? record.trustedDevices.map(device => ({
+        _id: device._id,
+        deviceName: device.deviceName,
+        ip: device.ip,
+        trustedAt: device.trustedAt,
+        lastUsedAt: device.lastUsedAt
+      }))
+      : []
+  };
+};
+
+/**
+ * Start enrollment with a new secret; enabled once a code is confirmed
+ * @returns {Object} { secret, otpauthUri }
+ */
+exports.beginSetup = async (user) => {
+  let record = await TwoFactorAuth.findOne({ user: user._id });
+  if (record && record.enabled) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  if (!record) {
+    record = new TwoFactorAuth({ user: user._id });
+  }
+  record.method = 'totp';
+  record.secret = secret;
+  record.lastTotpCounter = undefined;
+  record.verified = false;
+  record.failedAttempts = 0;
+  record.lockedUntil = undefined;
+  await record.save();
+
+  return {
+    secret,
+    otpauthUri: buildOtpAuthUri({ secret, account: user.email, issuer: ISSUER })
+  };
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @returns {string[]} Backup codes, shown to the user once
+ */
+exports.confirmSetup = async (user, code) => {
+  const record = await TwoFactorAuth.findOne({ user: user._id }).select('+secret +backupCodes.code');
+  if (!record || !record.secret) {
+    throw new Error('Start two-factor setup first');
+  }
+  if (record.enabled) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  await verifyCode(record, code);
+
+  record.enabled = true;
+  record.verified = true;
+  record.verifiedAt = new Date();
+  const backupCodes = storeBackupCodes(record);
+  await record.save();
+
+  return backupCodes;
+};
+
+/**
+ * Turn two-factor authentication off; requires a current code
+ */
+exports.disable = async (user, code) => {
+  const record = await findEnabled(user._id);
+  if (!record) {
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  await verifyCode(record, code);
+
+  record.enabled = false;
+  record.verified = false;
+  record.verifiedAt = undefined;
+  record.secret = undefined;
+  record.lastTotpCounter = undefined;
+  record.backupCodes = [];
+  record.trustedDevices = [];
+  record.pendingLogin = undefined;
+  await record.save();
+};
+
+/**
+ * Replace all backup codes; requires a current code
+ * @returns {string[]} New backup codes
+ */
+exports.regenerateBackupCodes = async (user, code) => {
+  const record = await findEnabled(user._id);
+  if (!record) {
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  await verifyCode(record, code);
+
+  const backupCodes = storeBackupCodes(record);
+  await record.save();
+
+  return backupCodes;
+};
+
+/**
+ * Start the second login step if the user has two-factor enabled
+ * A device trusted within the last 30 days skips the challenge.
+ * @param {string} userId
+ * @param {string} [deviceToken] - Token returned when the device was trusted
+ * @returns {Object|null} { challengeToken, method, expiresAt }, or null when no challenge is needed
+ */
+exports.createLoginChallenge = async (userId, deviceToken) => {
+  const record = await TwoFactorAuth.findOne({ user: userId, enabled: true });
+  if (!record || !record.requireOnLogin) {
+    return null;
+  }
+
+  if (deviceToken) {
+    const deviceId = hashToken(deviceToken);
+    const trustedSince = new Date(Date.now() - TRUSTED_DEVICE_TTL_MS);
+    const device = record.trustedDevices.find(entry => entry.deviceId === deviceId && entry.trustedAt > trustedSince);
+    if (device) {
+      device.lastUsedAt = new Date();
+      await record.save();
+      return null;
+    }
+  }
+
+  const challengeToken = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MS);
+  record.pendingLogin = { tokenHash: hashToken(challengeToken), expiresAt };
+  await record.save();
+
+  return { challengeToken, method: record.method, expiresAt };
+};
+
+/**
+ * Complete the second login step
+ * @param {string} challengeToken
+ * @param {string} code - TOTP or backup code
+ * @param {Object} [options] - { trustDevice, deviceName, ip, userAgent }
+ * @returns {Object} { userId, deviceToken? }
+ */
+exports.completeLoginChallenge = async (challengeToken, code, options = {}) => {
+  const record = await TwoFactorAuth.findOne({
+    'pendingLogin.tokenHash': hashToken(challengeToken),
+    'pendingLogin.expiresAt': { $gt: new Date() },
+    enabled: true
+  }).select('+secret +backupCodes.code');
+  if (!record) {
+    throw new Error('Login challenge is invalid or has expired');
+  }
+
+  await verifyCode(record, code);
+
+  record.pendingLogin = undefined;
+
+  let deviceToken;
+  if (options.trustDevice) {
+    deviceToken = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    record.trustedDevices.push({
+      deviceId: hashToken(deviceToken),
+      deviceName: options.deviceName || 'Unknown device',
+      ip: options.ip,
+      userAgent: options.userAgent,
+      trustedAt: now,
+      lastUsedAt: now
+    });
+    // Keep the most recently trusted devices
+    if (record.trustedDevices.length > MAX_TRUSTED_DEVICES) {
+      record.trustedDevices.splice(0, record.trustedDevices.length - MAX_TRUSTED_DEVICES);
+    }
+  }
+
+  await record.save();
+
+  return { userId: record.user, deviceToken };
+};
+
+/**
+ * Stop trusting one of the user's devices
+ */
+exports.removeTrustedDevice = async (userId, deviceId) => {
+  const result = await TwoFactorAuth.updateOne(
+    { user: userId, 'trustedDevices._id': deviceId },
+    { $pull: { trustedDevices: { _id: deviceId } } }
+  );
+  if (result.modifiedCount === 0) {
+    throw new Error('Trusted device not found');
+  }
+};
+
+module.exports = exports;
@@ -3,21 +3,75 @@
  * Business logic for voting with transactions and real-time updates
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const Vote = require('../models/Vote');
+const Ballot = require('../models/Ballot');
+const BallotReceipt = require('../models/BallotReceipt');
 const Candidate = require('../models/Candidate');
 const Position = require('../models/Position');
 const Election = require('../models/Election');
 const VotingLog = require('../models/VotingLog');
 const VotingLink = require('../models/VotingLink');
-const { emitVoteUpdate } = require('./socket.service');
+const BulletinBoardEntry = require('../models/BulletinBoardEntry');
+const ProxyDelegation = require('../models/ProxyDelegation');
+const { emitVoteUpdate, emitObserverActivity, emitObserverTurnout } = require('./socket.service');
+const { getResultsSummary: getDisputeSummary } = require('./dispute.service');
+const { isEligible } = require('./voterRoll.service');
+const {
+  validateSelections,
+  tallyInstantRunoff,
+  determineWinners,
+  VOTING_METHODS
+} = require('../utils/tallyUtil');
+const {
+  generateReceiptCode,
+  generateBallotNonce,
+  hashReceiptCode,
+  hashBallot
+} = require('../utils/votingTokenUtil');
+
+// Attempts at a ballot whose transaction lost a race with another ballot
+const CAST_VOTE_ATTEMPTS = 5;
+
+/**
+ * Whether a failed vote transaction can simply be run again
+ * Ballots in the same election race for the next voting log sequence; the
+ * loser gets a write conflict or a duplicate sequence and is retried against
+ * the new chain head. A retried duplicate ballot fails the already-voted check.
+ */
+const isRetryableVoteError = (error) => {
+  if (typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError')) {
+    return true;
+  }
+  return error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.sequence);
+};
 
 /**
  * Cast a vote with transaction
- * @param {Object} voteData - { memberId, candidateId, positionId, electionId, token, ip, userAgent }
- * @returns {Object} Vote document
+ * For secret-ballot elections a Ballot without voter identity and a separate BallotReceipt
+ * are written instead of an identified Vote.
+ * @param {Object} voteData - { memberId, candidateId, candidateIds, positionId, electionId, token, ip, userAgent, proxyId }
+ *   proxyId is set when a proxy votes on memberId's behalf under an approved delegation
+ *   candidateIds carries the ranking (ranked choice) or approved set (approval);
+ *   plurality ballots may pass a single candidateId instead
+ * @returns {Object} { vote, receipt } - vote is the Vote document, or the
+ *   BallotReceipt for secret-ballot elections; receipt holds the one-time
+ *   receipt code and bulletin board ballot hash for the voter
  */
 exports.castVote = async (voteData) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await castVoteOnce(voteData);
+    } catch (error) {
+      if (attempt >= CAST_VOTE_ATTEMPTS || !isRetryableVoteError(error)) {
+        throw error;
+      }
+    }
+  }
+};
+
+const castVoteOnce = async (voteData) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -25,14 +79,21 @@ exports.castVote = async (voteData) => {
     const {
       memberId,
       candidateId,
+      candidateIds,
       positionId,
       electionId,
       token,
       ip,
       userAgent,
-      chapter
+      chapter,
+      proxyId
     } = voteData;
 
+    const selections = (Array.isArray(candidateIds) && candidateIds.length > 0
+      ? candidateIds
+      : [candidateId].filter(Boolean)
+    ).map(id => id.toString());
+
     // 1. Verify election is active and within time window
     const election = await Election.findById(electionId).session(session);
     if (!election) {
@@ -59,37 +120,94 @@ exports.castVote = async (voteData) => {
       throw new Error('Member account is not active');
     }
 
-    if (election.requireVerification && !member.isVerified) {
-      throw new Error('Member is not verified and cannot vote');
+    // Eligibility comes from the voter roll frozen when the election started
+    if (!(await isEligible(election, memberId, session))) {
+      throw new Error(proxyId
+        ? 'The member you are voting for is not on the voter roll for this election'
+        : 'You are not on the voter roll for this election');
+    }
+
+    // 2b. Proxy ballots need an approved delegation from the member covering this position
+    let delegation = null;
+    let proxy = null;
+    if (proxyId) {
+      if (!election.proxyVoting || !election.proxyVoting.enabled) {
+        throw new Error('Proxy voting is not enabled for this election');
+      }
+
+      delegation = await ProxyDelegation.findOne({
+        electionId,
+        principalId: memberId,
+        proxyId,
+        status: 'approved'
+      }).session(session);
+
+      if (!delegation || !delegation.coversPosition(positionId)) {
+        throw new Error('You do not hold an approved proxy for this member and position');
+      }
+
+      proxy = await User.findById(proxyId).session(session);
+      if (!proxy || !proxy.isActive || !proxy.isVerified) {
+        throw new Error('Proxy account must be active and verified');
+      }
     }
 
     // 3. Check if member already voted for this position
-    const existingVote = await Vote.findOne({
-      memberId,
-      positionId,
-      electionId,
-      status: 'cast'
-    }).session(session);
+    const existingVote = election.secretBallot
+      ? await BallotReceipt.findOne({
+        memberId,
+        positionId,
+        electionId
+      }).session(session)
+      : await Vote.findOne({
+        memberId,
+        positionId,
+        electionId,
+        status: 'cast'
+      }).session(session);
 
     if (existingVote) {
       throw new Error('You have already voted for this position');
     }
 
-    // 4. Verify candidate exists and is active
-    const candidate = await Candidate.findById(candidateId).session(session);
-    if (!candidate) {
-      throw new Error('Candidate not found');
+    // 4. Verify the ballot fits the position's voting method
+    const position = await Position.findById(positionId).session(session);
+    if (!position || position.electionId.toString() !== electionId.toString()) {
+      throw new Error('Position not found');
     }
 
-    if (!candidate.isActive || candidate.isWithdrawn) {
-      throw new Error('Candidate is not eligible for voting');
+    const votingMethod = position.votingMethod || VOTING_METHODS.PLURALITY;
+    const selectionError = validateSelections(votingMethod, selections, position.seats || 1);
+    if (selectionError) {
+      throw new Error(selectionError);
     }
 
-    if (candidate.positionId.toString() !== positionId.toString()) {
-      throw new Error('Candidate does not belong to this position');
+    // 5. Verify candidates exist and are active
+    const candidates = await Candidate.find({ _id: { $in: selections } }).session(session);
+    if (candidates.length !== selections.length) {
+      throw new Error('Candidate not found');
     }
 
-    // 5. Verify voting link token if provided
+    for (const selected of candidates) {
+      if (!selected.isActive || selected.isWithdrawn) {
+        throw new Error('Candidate is not eligible for voting');
+      }
+
+      if (selected.positionId.toString() !== positionId.toString()) {
+        throw new Error('Candidate does not belong to this position');
+      }
+    }
+
+    // Ranked-choice ballots count towards the first preference; plurality
+    // (up to one selection per seat) and approval ballots count towards
+    // every selected candidate
+    const firstChoiceId = selections[0];
+    const candidate = candidates.find(c => c._id.toString() === firstChoiceId);
+    const countedCandidateIds = votingMethod === VOTING_METHODS.RANKED_CHOICE
+      ? [firstChoiceId]
+      : selections;
+
+    // 6. Verify voting link token if provided
     let votingLink = null;
     if (token) {
       const tokenHash = require('../utils/votingTokenUtil').hashToken(token);
@@ -111,91 +229,158 @@ exports.castVote = async (voteData) => {
       }
     }
 
-    // 6. Create vote document
-    const vote = new Vote({
-      memberId,
-      memberEmail: member.email,
-      memberName: `${member.firstName} ${member.lastName}`,
-      candidateId,
-      positionId,
-      electionId,
-      chapter: chapter || member.chapter || election.chapter,
-      linkToken: token,
-      linkTokenHash: token ? require('../utils/votingTokenUtil').hashToken(token) : null,
-      timestamp: now,
-      ipAddress: ip,
-      userAgent: userAgent,
-      verified: true,
-      status: 'cast'
-    });
-
-    await vote.save({ session });
-
-    // 7. Atomically increment candidate vote count
-    await Candidate.findByIdAndUpdate(
-      candidateId,
+    // 7. Create vote document (or receipt + ballot without voter identity for secret ballots).
+    // The ballot hash is worked out first so an identified vote can name its
+    // bulletin board entry if it is ever invalidated.
+    const { code: receiptCode, receiptHash } = generateReceiptCode();
+    const nonce = generateBallotNonce();
+    const ballotHash = hashBallot(receiptHash, positionId, selections, nonce);
+    const voterChapter = chapter || member.chapter || election.chapter;
+    const linkTokenHash = token ? require('../utils/votingTokenUtil').hashToken(token) : null;
+    let vote;
+
+    if (election.secretBallot) {
+      vote = new BallotReceipt({
+        memberId,
+        memberEmail: member.email,
+        positionId,
+        electionId,
+        chapter: voterChapter,
+        linkTokenHash,
+        ipAddress: ip,
+        userAgent: userAgent,
+        castByProxyId: proxyId,
+        delegationId: delegation ? delegation._id : undefined
+      });
+
+      await vote.save({ session });
+      await Ballot.create([{
+        electionId,
+        positionId,
+        candidateId: firstChoiceId,
+        candidateIds: selections
+      }], { session });
+    } else {
+      vote = new Vote({
+        memberId,
+        memberEmail: member.email,
+        memberName: `${member.firstName} ${member.lastName}`,
+        candidateId: firstChoiceId,
+        candidateIds: selections,
+        positionId,
+        electionId,
+        chapter: voterChapter,
+        linkToken: token,
+        linkTokenHash,
+        timestamp: now,
+        ipAddress: ip,
+        userAgent: userAgent,
+        castByProxyId: proxyId,
+        delegationId: delegation ? delegation._id : undefined,
+        verified: true,
+        status: 'cast',
+        ballotHash
+      });
+
+      await vote.save({ session });
+    }
+
+    // 8. Atomically increment candidate vote counts
+    await Candidate.updateMany(
+      { _id: { $in: countedCandidateIds } },
       { $inc: { votesCount: 1 } },
-      { session, new: true }
+      { session }
     );
 
-    // 8. Update position vote count
+    // 9. Update position vote count
     await Position.findByIdAndUpdate(
       positionId,
       { $inc: { totalVotes: 1 } },
       { session }
     );
 
-    // 9. Update election vote count
+    // 10. Update election vote count
     await Election.findByIdAndUpdate(
       electionId,
       { $inc: { totalVotesCast: 1 } },
       { session }
     );
 
-    // 10. Mark voting link as used
+    // 11. Mark voting link as used
     if (votingLink) {
       await votingLink.markAsUsed([positionId]);
       await votingLink.save({ session });
     }
 
-    // 11. Log the vote
-    await VotingLog.create([{
-      actorId: memberId,
-      actorEmail: member.email,
+    // 12. Publish the ballot on the bulletin board under a fresh receipt code
+    await BulletinBoardEntry.create([{
+      electionId,
+      positionId,
+      receiptHash,
+      nonce,
+      selections,
+      ballotHash
+    }], { session });
+
+    // 13. Log the vote (secret ballots only record participation). Proxy
+    // ballots are logged against the proxy with the member they voted for.
+    const proxyDetails = proxy ? { principalId: memberId, delegationId: delegation._id } : {};
+    const [logEntry] = await VotingLog.create([{
+      actorId: proxy ? proxy._id : memberId,
+      actorEmail: proxy ? proxy.email : member.email,
       actorRole: 'member',
-      action: 'vote_cast',
+      action: proxy ? 'proxy_vote_cast' : 'vote_cast',
       resource: {
-        type: 'vote',
+        type: election.secretBallot ? 'receipt' : 'vote',
         id: vote._id
       },
       electionId,
       chapter: chapter || member.chapter,
-      details: {
-        candidateId,
-        positionId,
-        candidateName: candidate.name
-      },
+      details: election.secretBallot
+        ? { ...proxyDetails, positionId, secretBallot: true }
+        : {
+          ...proxyDetails,
+          candidateId: firstChoiceId,
+          candidateIds: selections,
+          positionId,
+          votingMethod,
+          candidateName: candidate.name
+        },
       ip,
       userAgent,
       success: true
     }], { session });
 
-    // 12. Commit transaction
+    // 14. Commit transaction
     await session.commitTransaction();
 
-    // 13. Update statistics (outside transaction for performance)
+    // 15. Update statistics (outside transaction for performance)
+    await updatePositionStats(positionId);
     await Promise.all([
-      candidate.updateVoteStats(),
-      updatePositionStats(positionId),
+      ...candidates.map(selected => selected.updateVoteStats()),
       updateElectionStats(electionId)
     ]);
 
-    // 14. Emit real-time update via Socket.io
-    await emitVoteUpdate(electionId, positionId, candidateId);
+    // 16. Emit real-time update via Socket.io (per-candidate updates would
+    // let a subscriber time-correlate a secret ballot with its voter)
+    if (!election.secretBallot) {
+      await emitVoteUpdate(electionId, positionId, firstChoiceId);
+    }
+    emitObserverActivity(logEntry);
+    await emitObserverTurnout(electionId);
 
-    return vote;
+    return {
+      vote,
+      receipt: {
+        code: receiptCode,
+        ballotHash
+      }
+    };
   } catch (error) {
-    await session.abortTransaction();
+    // Only a failure before the commit leaves a transaction to abort
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     throw error;
   } finally {
     session.endSession();
@@ -225,8 +410,81 @@ const updateElectionStats = async (electionId) => {
 };
 
 /**
- * Get election results
+ * Load the preference lists of every counted ballot for a position
  */
+const getRankedBallots = async (election, positionId) => {
+  const BallotModel = election.secretBallot ? Ballot : Vote;
+  const ballots = await BallotModel.find({ positionId, status: 'cast' })
+    .select('candidateId candidateIds')
+    .lean();
+
+  return ballots.map(ballot =>
+    (ballot.candidateIds && ballot.candidateIds.length > 0
+      ? ballot.candidateIds
+      : [ballot.candidateId]
+    ).map(id => id.toString())
+  );
+};
+
+/**
+ * Run the instant-runoff count for a ranked-choice position and label each
+ * round with candidate names
+ */
+const getRunoffResults = async (election, position, candidates) => {
+  const ballots = await getRankedBallots(election, position._id);
+  const standing = candidates
+    .filter(candidate => candidate.isActive && !candidate.isWithdrawn)
+    .map(candidate => candidate._id.toString());
+  const names = new Map(candidates.map(candidate => [candidate._id.toString(), candidate.name]));
+
+  const { winner, tied, rounds } = tallyInstantRunoff(ballots, standing);
+
+  return {
+    winner,
+    tied,
+    rounds: rounds.map(round => ({
+      round: round.round,
+      tallies: Object.entries(round.counts)
+        .map(([candidateId, votes]) => ({ candidateId, name: names.get(candidateId), votes }))
+        .sort((a, b) => b.votes - a.votes),
+      exhausted: round.exhausted,
+      eliminated: round.eliminated,
+      elected: round.elected
+    }))
+  };
+};
+
+/**
+ * Work out who is elected to a position and whether the last seat is tied
+ * Ranked-choice positions use the final instant-runoff round; the others use
+ * candidate vote counts. The most recent recorded tie-break is applied when
+ * it covers the detected tie.
+ */
+const getPositionWinners = (position, candidates, runoff) => {
+  const tieBreak = position.tieBreaks && position.tieBreaks.length > 0
+    ? position.tieBreaks[position.tieBreaks.length - 1]
+    : null;
+
+  if (!position.totalVotes) {
+    return { elected: [], tie: null, tieBreak };
+  }
+
+  let tallies;
+  if (runoff) {
+    const finalRound = runoff.rounds[runoff.rounds.length - 1];
+    tallies = finalRound
+      ? finalRound.tallies.map(({ candidateId, votes }) => ({ candidateId, votes }))
+      : [];
+  } else {
+    tallies = candidates
+      .filter(candidate => candidate.isActive && !candidate.isWithdrawn)
+      .map(candidate => ({ candidateId: candidate._id, votes: candidate.votesCount }));
+  }
+
+  const { elected, tie } = determineWinners(tallies, position.seats || 1, tieBreak);
+  return { elected, tie, tieBreak };
+};
+
 /**
  * Get election results
  * Optimized with lean queries and parallel processing
@@ -250,31 +508,56 @@ exports.getElectionResults = async (electionId) => {
       .lean()
   );
 
-  const candidatesArrays = await Promise.all(candidatesPromises);
+  const [candidatesArrays, disputeSummary] = await Promise.all([
+    Promise.all(candidatesPromises),
+    getDisputeSummary(election)
+  ]);
+
+  // Ranked-choice positions need the individual preference lists
+  const runoffs = await Promise.all(positions.map((position, index) =>
+    position.votingMethod === VOTING_METHODS.RANKED_CHOICE
+      ? getRunoffResults(election, position, candidatesArrays[index])
+      : null
+  ));
 
   // Process results in parallel
   const results = positions.map((position, index) => {
     const candidates = candidatesArrays[index];
     const totalVotes = position.totalVotes || 0;
 
+    const { elected, tie, tieBreak } = getPositionWinners(position, candidates, runoffs[index]);
+
     // Calculate percentages efficiently
     const candidatesWithStats = candidates.map(candidate => ({
       ...candidate,
       votePercentage: totalVotes > 0
         ? parseFloat((candidate.votesCount / totalVotes * 100).toFixed(2))
-        : 0
+        : 0,
+      isElected: elected.includes(candidate._id.toString())
     }));
 
-    return {
+    const result = {
       position: {
         _id: position._id,
         name: position.name,
         description: position.description,
+        votingMethod: position.votingMethod || VOTING_METHODS.PLURALITY,
+        seats: position.seats || 1,
         totalVotes,
+        invalidatedVotes: disputeSummary.invalidatedByPosition.get(position._id.toString()) || 0,
         totalCandidates: candidates.length
       },
-      candidates: candidatesWithStats
+      candidates: candidatesWithStats,
+      elected,
+      tie,
+      tieBreak
     };
+
+    if (runoffs[index]) {
+      result.runoff = runoffs[index];
+    }
+
+    return result;
   });
 
   return {
@@ -284,11 +567,108 @@ exports.getElectionResults = async (electionId) => {
       status: election.status,
       totalVotesCast: election.totalVotesCast,
       totalEligibleVoters: election.totalEligibleVoters,
+      totalVotersParticipated: election.totalVotersParticipated,
       turnoutPercentage: election.turnoutPercentage,
       startTime: election.startTime,
-      endTime: election.endTime
+      endTime: election.endTime,
+      chapter: election.chapter,
+      isNational: election.isNational,
+      closedAt: election.closedAt,
+      certification: election.certification && election.certification.certifiedAt
+        ? election.certification
+        : null
+    },
+    positions: results,
+    disputes: disputeSummary.disputes
+  };
+};
+
+/**
+ * Get the public bulletin board for an election
+ * Published once voting has closed so that the board cannot be used to
+ * follow ballots as they arrive. Ballot hashes and selections are listed
+ * separately and each list is sorted on its own, so no published value
+ * links a voter's receipt to their selections. Ballots invalidated under a
+ * dispute keep their hash on the board, are listed in invalidatedBallotHashes
+ * and are left out of the ballots that observers recount.
+ */
+exports.getBulletinBoard = async (electionId) => {
+  const election = await Election.findById(electionId).lean();
+  if (!election) {
+    throw new Error('Election not found');
+  }
+
+  if (election.status !== 'closed') {
+    throw new Error('The bulletin board is published when the election closes');
+  }
+
+  const [entries, invalidatedVotes] = await Promise.all([
+    BulletinBoardEntry.find({ electionId })
+      .select('-_id positionId selections ballotHash')
+      .lean(),
+    Vote.find({ electionId, status: 'invalidated', ballotHash: { $exists: true } })
+      .select('-_id ballotHash')
+      .lean()
+  ]);
+  const invalidatedBallotHashes = invalidatedVotes.map(vote => vote.ballotHash).sort();
+  const invalidated = new Set(invalidatedBallotHashes);
+
+  // Sorting hides the order in which ballots were cast
+  const ballotHashes = entries.map(entry => entry.ballotHash).sort();
+  const ballotKey = (ballot) => `${ballot.positionId}:${ballot.selections.join(',')}`;
+  const ballots = entries
+    .filter(entry => !invalidated.has(entry.ballotHash))
+    .map(({ positionId, selections }) => ({ positionId: String(positionId), selections: selections.map(String) }))
+    .sort((a, b) => ballotKey(a).localeCompare(ballotKey(b)));
+
+  const boardHash = crypto
+    .createHash('sha256')
+    .update(ballotHashes.join(''))
+    .digest('hex');
+
+  return {
+    election: {
+      _id: election._id,
+      title: election.title,
+      status: election.status
     },
-    positions: results
+    totalEntries: entries.length,
+    boardHash,
+    ballotHashes,
+    invalidatedBallotHashes,
+    ballots
+  };
+};
+
+/**
+ * Check that a receipt appears on the bulletin board
+ * Confirms presence and integrity only - the ballot's selections are not returned.
+ * Also says whether the ballot was invalidated under a dispute.
+ */
+exports.verifyReceipt = async (receiptCode) => {
+  if (!receiptCode) {
+    throw new Error('Receipt code is required');
+  }
+
+  const receiptHash = hashReceiptCode(receiptCode);
+  const entry = await BulletinBoardEntry.findOne({ receiptHash }).select('+nonce').lean();
+
+  if (!entry) {
+    return { found: false };
+  }
+
+  const [position, invalidated] = await Promise.all([
+    Position.findById(entry.positionId).select('name').lean(),
+    Vote.exists({ ballotHash: entry.ballotHash, status: 'invalidated' })
+  ]);
+
+  return {
+    found: true,
+    electionId: entry.electionId,
+    position: position ? { _id: position._id, name: position.name } : { _id: entry.positionId },
+    ballotHash: entry.ballotHash,
+    intact: hashBallot(receiptHash, entry.positionId, entry.selections, entry.nonce) === entry.ballotHash,
+    invalidated: Boolean(invalidated)
   };
 };
 
@@ -361,8 +741,9 @@ exports.validateVotingLink = async (token, memberId) => {
       .lean()
   );
 
+  const VoteRecord = election.secretBallot ? BallotReceipt : Vote;
   const voteCheckPromises = positions.map(position =>
-    Vote.hasVoted(
+    VoteRecord.hasVoted(
       payload.memberId || memberId,
       position._id,
       election._id
@@ -379,6 +760,8 @@ exports.validateVotingLink = async (token, memberId) => {
     _id: position._id,
     name: position.name,
     description: position.description,
+    votingMethod: position.votingMethod || VOTING_METHODS.PLURALITY,
+    seats: position.seats || 1,
     candidates: candidatesArrays[index],
     hasVoted: hasVotedArray[index]
   }));
@@ -390,7 +773,8 @@ exports.validateVotingLink = async (token, memberId) => {
       description: election.description,
       startTime: election.startTime,
       endTime: election.endTime,
-      status: election.status
+      status: election.status,
+      secretBallot: election.secretBallot
     },
     positions: positionsWithCandidates,
     memberId: payload.memberId || memberId
@@ -0,0 +1,338 @@
+/**
+ * Voter Roll Service
+ * Builds election voter rolls from eligibility rules and admin overrides,
+ * and freezes them into a snapshot when the election starts
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Member = require('../models/Member');
+const VoterRollEntry = require('../models/VoterRollEntry');
+const VoterRollOverride = require('../models/VoterRollOverride');
+const { parseCsvRecords, toCsvRow } = require('../utils/csvUtil');
+
+const MEMBER_FIELDS = 'firstName lastName email chapter yearOfStudy membershipStatus';
+const INSERT_BATCH_SIZE = 1000;
+
+const isFrozen = (election) => Boolean(election.voterRoll && election.voterRoll.frozenAt);
+
+/**
+ * Translate an election's eligibility rules into a User query
+ */
+const buildRuleQuery = (election) => {
+  const rules = election.eligibilityRules || {};
+  const query = {
+    role: 'member',
+    isActive: true
+  };
+
+  const chapters = rules.chapters && rules.chapters.length > 0
+    ? rules.chapters
+    : (election.isNational ? [] : [election.chapter]);
+  if (chapters.length > 0) {
+    query.chapter = { $in: chapters };
+  }
+
+  if (election.requireVerification) {
+    query.isVerified = true;
+  }
+
+  if (rules.yearsOfStudy && rules.yearsOfStudy.length > 0) {
+    query.yearOfStudy = { $in: rules.yearsOfStudy };
+  }
+
+  if (rules.membershipStatuses && rules.membershipStatuses.length > 0) {
+    query.membershipStatus = { $in: rules.membershipStatuses };
+  }
+
+  return query;
+};
+
+/**
+ * Look up membership tiers for a set of users
+ * @returns {Map<string, string>} userId -> membershipTier
+ */
+const getMembershipTiers = async (userIds) => {
+  const members = await Member.find({ user: { $in: userIds } })
+    .select('user membershipTier')
+    .lean();
+
+  return new Map(members.map(member => [member.user.toString(), member.membershipTier]));
+};
+
+const toRollMember = (user, tier, source) => ({
+  memberId: user._id,
+  memberEmail: user.email,
+  memberName: `${user.firstName} ${user.lastName}`,
+  chapter: user.chapter,
+  yearOfStudy: user.yearOfStudy,
+  membershipStatus: user.membershipStatus,
+  membershipTier: tier,
+  source
+});
+
+/**
+ * Compute the current roll from rules and overrides
+ * @param {Object} election - Election document
+ * @returns {Object[]} Roll members sorted by email
+ */
+exports.computeRoll = async (election) => {
+  const rules = election.eligibilityRules || {};
+  const tierFilter = rules.membershipTiers || [];
+
+  const [ruleUsers, overrides] = await Promise.all([
+    User.find(buildRuleQuery(election)).select(MEMBER_FIELDS).lean(),
+    VoterRollOverride.find({ electionId: election._id }).lean()
+  ]);
+
+  const removed = new Set(overrides.filter(o => o.action === 'remove').map(o => o.memberId.toString()));
+  const addedIds = overrides.filter(o => o.action === 'add').map(o => o.memberId);
+
+  const addedUsers = addedIds.length > 0
+    ? await User.find({ _id: { $in: addedIds }, isActive: true }).select(MEMBER_FIELDS).lean()
+    : [];
+
+  const tiers = await getMembershipTiers([...ruleUsers, ...addedUsers].map(user => user._id));
+  const roll = new Map();
+
+  ruleUsers.forEach(user => {
+    const id = user._id.toString();
+    const tier = tiers.get(id);
+    if (removed.has(id) || (tierFilter.length > 0 && !tierFilter.includes(tier))) {
+      return;
+    }
+    roll.set(id, toRollMember(user, tier, 'rules'));
+  });
+
+  addedUsers.forEach(user => {
+    const id = user._id.toString();
+    if (!roll.has(id)) {
+      roll.set(id, toRollMember(user, tiers.get(id), 'override'));
+    }
+  });
+
+  return [...roll.values()].sort((a, b) => (a.memberEmail || '').localeCompare(b.memberEmail || ''));
+};
+
+/**
+ * Freeze the roll into VoterRollEntry documents and record its size
+ * Safe to repeat - entries already written are kept and the stored size
+ * always reflects the snapshot.
+ * @param {Object} election - Election document
+ * @returns {Object} election.voterRoll
+ */
+exports.freezeRoll = async (election) => {
+  if (isFrozen(election)) {
+    return election.voterRoll;
+  }
+
+  const roll = await exports.computeRoll(election);
+
+  for (let i = 0; i < roll.length; i += INSERT_BATCH_SIZE) {
+    const batch = roll.slice(i, i + INSERT_BATCH_SIZE)
+      .map(member => ({ ...member, electionId: election._id }));
+    try {
+      await VoterRollEntry.insertMany(batch, { ordered: false });
+    } catch (error) {
+      // Entries left by an interrupted freeze are already on the roll
+      const writeErrors = error.writeErrors || [];
+      const duplicatesOnly = error.code === 11000 ||
+        (writeErrors.length > 0 && writeErrors.every(e => e.code === 11000));
+      if (!duplicatesOnly) {
+        throw error;
+      }
+    }
+  }
+
+  const memberIds = (await VoterRollEntry.find({ electionId: election._id }).select('memberId').lean())
+    .map(entry => entry.memberId.toString())
+    .sort();
+
+  election.voterRoll = {
+    frozenAt: new Date(),
+    size: memberIds.length,
+    hash: crypto.createHash('sha256').update(memberIds.join('\n')).digest('hex')
+  };
+  election.totalEligibleVoters = memberIds.length;
+  await election.save();
+
+  return election.voterRoll;
+};
+
+/**
+ * Check whether a member may vote in an election
+ * Requires a frozen roll - rolls are frozen when the election starts.
+ */
+exports.isEligible = async (election, memberId, session = null) => {
+  if (!isFrozen(election)) {
+    return false;
+  }
+  return VoterRollEntry.isOnRoll(election._id, memberId, session);
+};
+
+/**
+ * Get a page of the roll - the snapshot once frozen, otherwise a live preview
+ * @returns {Object} { frozen, members, total }
+ */
+exports.getRoll = async (election, { page = 1, limit = 50, search } = {}) => {
+  const skip = (page - 1) * limit;
+  const pattern = search ? new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') : null;
+
+  if (isFrozen(election)) {
+    const query = { electionId: election._id };
+    if (pattern) {
+      query.$or = [{ memberEmail: pattern }, { memberName: pattern }];
+    }
+
+    const [members, total] = await Promise.all([
+      VoterRollEntry.find(query).sort({ memberEmail: 1 }).skip(skip).limit(limit).lean(),
+      VoterRollEntry.countDocuments(query)
+    ]);
+    return { frozen: true, members, total };
+  }
+
+  let members = await exports.computeRoll(election);
+  if (pattern) {
+    members = members.filter(m => pattern.test(m.memberEmail) || pattern.test(m.memberName));
+  }
+  return { frozen: false, members: members.slice(skip, skip + limit), total: members.length };
+};
+
+/**
+ * Resolve member IDs and emails to users
+ * @returns {Object} { users, notFound }
+ */
+const resolveMembers = async ({ memberIds = [], emails = [] }) => {
+  const normalizedEmails = emails.map(email => String(email).trim().toLowerCase()).filter(Boolean);
+  const users = await User.find({
+    $or: [
+      { _id: { $in: memberIds } },
+      { email: { $in: normalizedEmails } }
+    ]
+  }).select('email').lean();
+
+  const foundIds = new Set(users.map(user => user._id.toString()));
+  const foundEmails = new Set(users.map(user => user.email));
+  const notFound = [
+    ...memberIds.filter(id => !foundIds.has(id.toString())),
+    ...normalizedEmails.filter(email => !foundEmails.has(email))
+  ];
+
+  return { users, notFound };
+};
+
+/**
+ * Add or remove members from the roll ahead of the rules
+ * @param {Object} election - Election document (roll must not be frozen)
+ * @param {Object[]} changes - [{ memberId | email, action, reason }]
+ * @param {Object} options - { createdBy, source }
+ * @returns {Object} { applied, notFound }
+ */
+exports.applyOverrides = async (election, changes, { createdBy, source = 'manual' } = {}) => {
+  if (isFrozen(election)) {
+    throw new Error('The voter roll is frozen once the election starts');
+  }
+
+  const { users, notFound } = await resolveMembers({
+    memberIds: changes.filter(c => c.memberId).map(c => c.memberId),
+    emails: changes.filter(c => !c.memberId && c.email).map(c => c.email)
+  });
+
+  const byId = new Map(users.map(user => [user._id.toString(), user]));
+  const byEmail = new Map(users.map(user => [user.email, user]));
+
+  const operations = [];
+  changes.forEach(change => {
+    const user = change.memberId
+      ? byId.get(change.memberId.toString())
+      : byEmail.get(String(change.email || '').trim().toLowerCase());
+    if (!user) {return;}
+
+    operations.push({
+      updateOne: {
+        filter: { electionId: election._id, memberId: user._id },
+        update: {
+          $set: {
+            memberEmail: user.email,
+            action: change.action,
+            reason: change.reason,
+            source,
+            createdBy
+          }
+        },
+        upsert: true
+      }
+    });
+  });
+
+  if (operations.length > 0) {
+    await VoterRollOverride.bulkWrite(operations);
+  }
+
+  return { applied: operations.length, notFound };
+};
+
+/**
+ * Remove an override, returning the member to whatever the rules decide
+ */
+exports.clearOverride = async (election, memberId) => {
+  if (isFrozen(election)) {
+    throw new Error('The voter roll is frozen once the election starts');
+  }
+
+  const result = await VoterRollOverride.deleteOne({ electionId: election._id, memberId });
+  return result.deletedCount > 0;
+};
+
+/**
+ * Parse an override CSV
+ * Columns: email or memberId, optional action (add/remove, default add),
+ * optional reason.
+ * @returns {Object} { changes, invalidRows }
+ */
+exports.parseOverrideCsv = (csvText) => {
+  const changes = [];
+  const invalidRows = [];
+
+  parseCsvRecords(csvText).forEach((record, index) => {
+    const action = (record.action || 'add').toLowerCase();
+    const memberId = record.memberid || record.member_id;
+    const email = record.email;
+
+    if ((!memberId && !email) || !['add', 'remove'].includes(action) ||
+        (memberId && !/^[a-f\d]{24}$/i.test(memberId))) {
+      // +2: one for the header row, one for 1-based line numbers
+      invalidRows.push(index + 2);
+      return;
+    }
+
+    changes.push({ memberId, email, action, reason: record.reason });
+  });
+
+  return { changes, invalidRows };
+};
+
+/**
+ * Export the roll (snapshot once frozen, otherwise the current preview) as CSV
+ */
+exports.exportRollCsv = async (election) => {
+  const members = isFrozen(election)
+    ? await VoterRollEntry.find({ electionId: election._id }).sort({ memberEmail: 1 }).lean()
+    : await exports.computeRoll(election);
+
+  const header = ['memberId', 'email', 'name', 'chapter', 'yearOfStudy', 'membershipStatus', 'membershipTier', 'source'];
+  const rows = members.map(member => toCsvRow([
+    member.memberId,
+    member.memberEmail,
+    member.memberName,
+    member.chapter,
+    member.yearOfStudy,
+    member.membershipStatus,
+    member.membershipTier,
+    member.source
+  ]));
+
+  return [toCsvRow(header), ...rows].join('\n') + '\n';
+};
+
+module.exports = exports;
@@ -0,0 +1,209 @@
+/**
+ * Voting Code Service
+ * Short numeric one-time codes for members who vote without an email link
+ *
+ * A code is attached to the member's VotingLink and redeemed once for the
+ * link's token: it works while the link is pending or sent and before the
+ * link expires, and is cleared when redeemed. Each link allows a limited
+ * number of wrong codes before its code is locked; a locked code has to be
+ * reissued.
+ */
+
+const VotingLink = require('../models/VotingLink');
+const VotingLog = require('../models/VotingLog');
+const User = require('../models/User');
+const smsService = require('./sms.service');
+const { generateVotingCode, verifyVotingCode } = require('../utils/votingTokenUtil');
+
+const MAX_CODE_ATTEMPTS = parseInt(process.env.VOTING_CODE_MAX_ATTEMPTS, 10) || 5;
+
+const ACTIVE_LINK_STATUSES = ['pending', 'sent'];
+
+// One message for every failure, so a wrong guess reveals nothing
+const INVALID_CODE = 'Invalid voting code';
+
+/**
+ * Issue a code for each matching link of an election
+ * Reissuing replaces the previous code and clears its failed attempts.
+ * @param {Object} election - Election document
+ * @param {Object} options - { memberIds, linkIds, sendSms }
+ * @param {Object} issuer - User issuing the codes
+ * @returns {Array} One entry per link; `code` is only returned when it was
+ *   not sent by SMS, for the admin to hand over
+ */
+exports.issueCodes = async (election, { memberIds, linkIds, sendSms = false }, issuer) => {
+  const now = new Date();
+  const query = {
+    electionId: election._id,
+    status: { $in: ACTIVE_LINK_STATUSES },
+    expiresAt: { $gt: now }
+  };
+  if (Array.isArray(memberIds) && memberIds.length > 0) {
+    query.memberId = { $in: memberIds };
+  }
+  if (Array.isArray(linkIds) && linkIds.length > 0) {
+    query._id = { $in: linkIds };
+  }
+
+  const links = await VotingLink.find(query);
+  const members = await User.find({ _id: { $in: links.map(link => link.memberId) } })
+    .select('firstName phone')
+    .lean();
+  const membersById = new Map(members.map(member => [member._id.toString(), member]));
+
+  const issued = [];
+  for (const link of links) {
+    const member = membersById.get(link.memberId.toString());
+    const { code, codeHash } = generateVotingCode(link._id);
+
+    link.code = {
+      codeHash,
+      issuedAt: now,
+      issuedBy: issuer._id,
+      failedAttempts: 0,
+      channel: sendSms ? 'sms' : 'manual'
+    };
+
+    if (sendSms) {
+      const to = member && member.phone;
+      const result = await smsService.sendSms({
+        to,
+        message: `${election.title}: your one-time voting code is ${code}. ` +
+          `Valid until ${link.expiresAt.toLocaleString()}. Do not share it.`
+      });
+
+      link.code.sms = {
+        to,
+        status: result.success ? 'sent' : 'failed',
+        messageId: result.messageId,
+        error: result.success ? undefined : result.error,
+        sentAt: result.success ? now : undefined
+      };
+      if (result.success && link.status === 'pending') {
+        link.status = 'sent';
+      }
+    }
+
+    await link.save();
+
+    issued.push({
+      linkId: link._id,
+      memberId: link.memberId,
+      memberEmail: link.memberEmail,
+      code: sendSms ? undefined : code,
+      sms: link.code.sms
+    });
+  }
+
+  return issued;
+};
+
+/**
+ * Redeem a code for the voting link it was issued on
+ * @param {Object} options - { code, identifier, electionId } where identifier
+ *   is the member's email or phone number
+ * @param {Object} [context] - { ip, userAgent } for the voting log
+ * @returns {Object} The matching VotingLink
+ */
+exports.redeemCode = async ({ code, identifier, electionId }, context = {}) => {
+  const value = String(identifier || '').trim();
+  if (!value || !code) {
+    throw new Error(INVALID_CODE);
+  }
+
+  const member = await User.findOne({
+    $or: [
+      { email: value.toLowerCase() },
+      { phone: { $in: [value, value.replace(/[\s-]/g, '')] } }
+    ]
+  }).select('email role');
+  if (!member) {
+    throw new Error(INVALID_CODE);
+  }
+
+  const query = {
+    memberId: member._id,
+    status: { $in: ACTIVE_LINK_STATUSES },
+    'code.codeHash': { $exists: true },
+    'code.redeemedAt': null,
+    'code.lockedAt': { $exists: false },
+    'code.failedAttempts': { $lt: MAX_CODE_ATTEMPTS }
+  };
+  if (electionId) {
+    query.electionId = electionId;
+  }
+
+  const links = await VotingLink.find(query);
+  const match = links.find(link => verifyVotingCode(link._id, code, link.code.codeHash));
+  const now = new Date();
+
+  // Every write below repeats the lookup's conditions and counts the attempt,
+  // so parallel guesses cannot get past MAX_CODE_ATTEMPTS or redeem a code twice
+  const openCode = (link) => ({
+    _id: link._id,
+    'code.codeHash': link.code.codeHash,
+    'code.redeemedAt': null,
+    'code.lockedAt': { $exists: false },
+    'code.failedAttempts': { $lt: MAX_CODE_ATTEMPTS }
+  });
+
+  const logAttempt = (link, success, errorMessage) => VotingLog.log({
+    actorId: member._id,
+    actorEmail: member.email,
+    actorRole: 'member',
+    action: success ? 'vote_code_redeemed' : 'vote_code_rejected',
+    resource: {
+      type: 'link',
+      id: link ? link._id : undefined
+    },
+    electionId: link ? link.electionId : electionId,
+    chapter: link ? link.chapter : undefined,
+    details: success ? {} : { reason: errorMessage },
+    ip: context.ip,
+    userAgent: context.userAgent,
+    success,
+    errorMessage
+  });
+
+  if (!match) {
+    // Every open code of the member counts the miss
+    if (links.length > 0) {
+      const ids = links.map(link => link._id);
+      await Promise.all(links.map(link =>
+        VotingLink.updateOne(openCode(link), { $inc: { 'code.failedAttempts': 1 } })
+      ));
+      await VotingLink.updateMany(
+        {
+          _id: { $in: ids },
+          'code.failedAttempts': { $gte: MAX_CODE_ATTEMPTS },
+          'code.lockedAt': { $exists: false }
+        },
+        { $set: { 'code.lockedAt': now } }
+      );
+    }
+    await logAttempt(links.length === 1 ? links[0] : null, false, 'Wrong code');
+    throw new Error(INVALID_CODE);
+  }
+
+  if (now > match.expiresAt) {
+    match.status = 'expired';
+    await match.save();
+    await logAttempt(match, false, 'Link expired');
+    throw new Error('Voting code has expired');
+  }
+
+  const result = await VotingLink.updateOne(openCode(match), {
+    $set: { 'code.redeemedAt': now },
+    $unset: { 'code.codeHash': 1 },
+    $inc: { 'code.failedAttempts': 1 }
+  });
+  if (result.modifiedCount === 0) {
+    await logAttempt(match, false, 'Code already redeemed or locked');
+    throw new Error(INVALID_CODE);
+  }
+  await logAttempt(match, true);
+
+  return match;
+};
+
+module.exports = exports;
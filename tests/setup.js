@@ -7,6 +7,7 @@
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret-key-minimum-32-characters-long';
 process.env.SESSION_SECRET = 'test-session-secret-key-minimum-32-characters';
+process.env.AUDIT_CHAIN_SECRET = 'test-audit-chain-secret-minimum-32-characters';
 process.env.MONGO_URI = process.env.TEST_MONGO_URI || 'mongodb://localhost:27017/elp-test';
 
 // Increase timeout for async operations
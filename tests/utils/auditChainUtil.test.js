@@ -0,0 +1,92 @@
+/**
+ * Audit Chain Utility Tests
+ */
+
+const {
+  hashEntry,
+  signPayload,
+  verifySignature,
+  verifyEntries,
+  GENESIS_HASH
+} = require('../../utils/auditChainUtil');
+
+const buildChain = (actions) => {
+  let previousHash = GENESIS_HASH;
+
+  return actions.map((action, index) => {
+    const entry = {
+      _id: `entry-${index + 1}`,
+      electionId: 'election-1',
+      sequence: index + 1,
+      previousHash,
+      actorEmail: 'admin@example.com',
+      action,
+      details: { index },
+      createdAt: new Date(Date.UTC(2025, 0, 1, 0, index))
+    };
+    entry.hash = hashEntry(entry);
+    previousHash = entry.hash;
+    return entry;
+  });
+};
+
+describe('Audit Chain Utility', () => {
+  describe('hashEntry', () => {
+    it('should ignore key order and empty values', () => {
+      const entry = { action: 'vote_cast', details: { b: 2, a: 1 }, resource: {}, message: null };
+      const reordered = { details: { a: 1, b: 2 }, action: 'vote_cast' };
+
+      expect(hashEntry(entry)).toBe(hashEntry(reordered));
+    });
+
+    it('should change when a hashed field changes', () => {
+      const entry = { action: 'vote_cast', details: { positionId: 'p1' } };
+
+      expect(hashEntry(entry)).not.toBe(hashEntry({ ...entry, details: { positionId: 'p2' } }));
+    });
+  });
+
+  describe('verifyEntries', () => {
+    it('should accept an intact chain', () => {
+      const chain = buildChain(['election_started', 'vote_cast', 'election_closed']);
+      const result = verifyEntries(chain);
+
+      expect(result.valid).toBe(true);
+      expect(result.entriesChecked).toBe(3);
+      expect(result.headHash).toBe(chain[2].hash);
+    });
+
+    it('should report an edited entry', () => {
+      const chain = buildChain(['election_started', 'vote_cast', 'election_closed']);
+      chain[1].details = { index: 99 };
+
+      const result = verifyEntries(chain);
+
+      expect(result.valid).toBe(false);
+      expect(result.brokenLink.sequence).toBe(2);
+      expect(result.brokenLink.entryId).toBe('entry-2');
+    });
+
+    it('should report a deleted entry', () => {
+      const chain = buildChain(['election_started', 'vote_cast', 'vote_cast', 'election_closed']);
+      chain.splice(1, 1);
+
+      const result = verifyEntries(chain);
+
+      expect(result.valid).toBe(false);
+      expect(result.brokenLink.sequence).toBe(2);
+      expect(result.entriesChecked).toBe(1);
+    });
+  });
+
+  describe('signPayload', () => {
+    it('should verify its own signature and reject a modified payload', () => {
+      const payload = { electionId: 'election-1', headHash: 'abc', entryCount: 3 };
+      const signature = signPayload(payload);
+
+      expect(verifySignature(payload, signature)).toBe(true);
+      expect(verifySignature({ ...payload, entryCount: 2 }, signature)).toBe(false);
+      expect(verifySignature(payload, 'not-a-signature')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Audit Diff Utility Tests
+ */
+
+const mongoose = require('mongoose');
+const { diffChanges, sanitize } = require('../../utils/auditDiffUtil');
+
+describe('diffChanges', () => {
+  it('keeps only the fields that changed', () => {
+    const id = new mongoose.Types.ObjectId();
+    const changes = diffChanges(
+      { _id: id, adminRole: 'events_admin', department: 'Events', permissions: ['manage_events'] },
+      { _id: id, adminRole: 'content_admin', department: 'Events', permissions: ['manage_posts'] }
+    );
+
+    expect(changes).toEqual({
+      before: { adminRole: 'events_admin', permissions: ['manage_events'] },
+      after: { adminRole: 'content_admin', permissions: ['manage_posts'] }
+    });
+  });
+
+  it('records added and removed fields on one side only', () => {
+    expect(diffChanges({ notes: 'old' }, { title: 'New' })).toEqual({
+      before: { notes: 'old' },
+      after: { title: 'New' }
+    });
+    expect(diffChanges(undefined, { title: 'Created' })).toEqual({
+      before: {},
+      after: { title: 'Created' }
+    });
+  });
+
+  it('returns null when nothing changed apart from updatedAt', () => {
+    expect(diffChanges(
+      { title: 'Same', updatedAt: new Date('2026-01-01') },
+      { title: 'Same', updatedAt: new Date('2026-02-01') }
+    )).toBeNull();
+  });
+
+  it('redacts secrets instead of recording them', () => {
+    const changes = diffChanges({ password: 'old-secret' }, { password: 'new-secret' });
+
+    expect(changes).toEqual({
+      before: { password: '[REDACTED]' },
+      after: { password: '[REDACTED]' }
+    });
+  });
+});
+
+describe('sanitize', () => {
+  it('converts ids and dates and redacts nested secrets', () => {
+    const id = new mongoose.Types.ObjectId();
+
+    expect(sanitize({
+      user: id,
+      at: new Date('2026-03-01T00:00:00.000Z'),
+      twoFactor: { backupCodes: ['a', 'b'], enabled: true },
+      __v: 3
+    })).toEqual({
+      user: id.toString(),
+      at: '2026-03-01T00:00:00.000Z',
+      twoFactor: { backupCodes: '[REDACTED]', enabled: true }
+    });
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * CSV Utility Tests
+ */
+
+const { parseCsv, parseCsvRecords, toCsvRow } = require('../../utils/csvUtil');
+
+describe('CSV Utility', () => {
+  describe('parseCsv', () => {
+    it('should parse quoted fields with commas, quotes and newlines', () => {
+      const rows = parseCsv('a,"b, c","say ""hi""","line\nbreak"\r\nd,e,f,g');
+
+      expect(rows).toEqual([
+        ['a', 'b, c', 'say "hi"', 'line\nbreak'],
+        ['d', 'e', 'f', 'g']
+      ]);
+    });
+
+    it('should skip blank lines and a byte order mark', () => {
+      expect(parseCsv('\uFEFFemail\n\nx@example.com\n')).toEqual([['email'], ['x@example.com']]);
+    });
+  });
+
+  describe('parseCsvRecords', () => {
+    it('should key rows by lower-cased header', () => {
+      const records = parseCsvRecords('Email,Action\n a@example.com ,remove\nb@example.com');
+
+      expect(records).toEqual([
+        { email: 'a@example.com', action: 'remove' },
+        { email: 'b@example.com', action: '' }
+      ]);
+    });
+  });
+
+  describe('toCsvRow', () => {
+    it('should quote only fields that need it and round-trip', () => {
+      const values = ['plain', 'with,comma', 'with "quote"', null, 3];
+      const row = toCsvRow(values);
+
+      expect(row).toBe('plain,"with,comma","with ""quote""",,3');
+      expect(parseCsv(row)[0]).toEqual(['plain', 'with,comma', 'with "quote"', '', '3']);
+    });
+
+    it('should stop text from being read as a spreadsheet formula', () => {
+      const row = toCsvRow(['=HYPERLINK("http://x")', '+1', '-cmd', '@SUM(A1)', 'a=b', -5]);
+
+      expect(row).toBe('"\'=HYPERLINK(""http://x"")",\'+1,\'-cmd,\'@SUM(A1),a=b,-5');
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Impersonation Utility Tests
+ */
+
+const { blockedReason } = require('../../utils/impersonationUtil');
+
+describe('blockedReason', () => {
+  it('allows reads in read-only sessions', () => {
+    expect(blockedReason('GET', '/members/me')).toBeNull();
+    expect(blockedReason('get', '/elections')).toBeNull();
+    expect(blockedReason('OPTIONS', '/events')).toBeNull();
+  });
+
+  it('blocks writes in read-only sessions', () => {
+    expect(blockedReason('PUT', '/auth/profile')).toBe('This impersonation session is read-only');
+    expect(blockedReason('POST', '/mentorship/requests', { readOnly: true })).toMatch(/read-only/);
+  });
+
+  it('allows ordinary writes when the session is not read-only', () => {
+    expect(blockedReason('PUT', '/auth/profile', { readOnly: false })).toBeNull();
+  });
+
+  it('blocks sensitive actions in every mode', () => {
+    expect(blockedReason('POST', '/vote/submit', { readOnly: false })).toMatch(/^Voting/);
+    expect(blockedReason('POST', '/vote/proxy/submit', { readOnly: false })).toMatch(/^Voting/);
+    expect(blockedReason('POST', '/auth/change-password', { readOnly: false })).toMatch(/^Changing passwords/);
+    expect(blockedReason('POST', '/auth/2fa/disable', { readOnly: false })).toMatch(/^Two-factor/);
+    expect(blockedReason('DELETE', '/auth/sessions/abc', { readOnly: false })).toMatch(/^Managing sessions/);
+    expect(blockedReason('POST', '/auth/deactivate', { readOnly: false })).toMatch(/^Deactivating/);
+  });
+
+  it('blocks acting in elections on the member\'s behalf', () => {
+    expect(blockedReason('POST', '/elections/abc/proxies', { readOnly: false })).toMatch(/^Proxy voting/);
+    expect(blockedReason('PATCH', '/proxies/abc/revoke', { readOnly: false })).toMatch(/^Proxy voting/);
+    expect(blockedReason('POST', '/positions/abc/nominations', { readOnly: false })).toMatch(/^Nominating/);
+    expect(blockedReason('POST', '/nominations/abc/second', { readOnly: false })).toMatch(/^Nominating/);
+    expect(blockedReason('POST', '/elections/abc/disputes', { readOnly: false })).toMatch(/^Filing disputes/);
+    expect(blockedReason('PATCH', '/disputes/abc/withdraw', { readOnly: false })).toMatch(/^Filing disputes/);
+  });
+
+  it('matches paths regardless of case', () => {
+    expect(blockedReason('POST', '/Vote/submit', { readOnly: false })).toMatch(/^Voting/);
+    expect(blockedReason('POST', '/Auth/2FA/disable', { readOnly: false })).toMatch(/^Two-factor/);
+    expect(blockedReason('GET', '/Admin/dashboard/stats', { readOnly: false })).toMatch(/^Admin actions/);
+    expect(blockedReason('POST', '/Admin/Impersonation/Stop')).toBeNull();
+  });
+
+  it('still allows looking at sensitive pages', () => {
+    expect(blockedReason('GET', '/vote/results/123')).toBeNull();
+    expect(blockedReason('GET', '/auth/sessions')).toBeNull();
+  });
+
+  it('blocks the admin area, reads included', () => {
+    expect(blockedReason('GET', '/admin/dashboard/stats', { readOnly: false })).toMatch(/^Admin actions/);
+    expect(blockedReason('GET', '/admin')).toMatch(/^Admin actions/);
+  });
+
+  it('always allows leaving the session', () => {
+    expect(blockedReason('POST', '/admin/impersonation/stop')).toBeNull();
+    expect(blockedReason('GET', '/admin/impersonation/current')).toBeNull();
+    expect(blockedReason('POST', '/auth/logout')).toBeNull();
+    expect(blockedReason('DELETE', '/admin/impersonation/abc', { readOnly: false })).toMatch(/^Admin actions/);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Log Redaction Utility Tests
+ */
+
+const { redactLogEntry } = require('../../utils/logRedactionUtil');
+
+describe('Log Redaction Utility', () => {
+  describe('redactLogEntry', () => {
+    it('should remove the voter and vote id from a cast vote', () => {
+      const entry = redactLogEntry({
+        action: 'proxy_vote_cast',
+        actorId: 'u1',
+        actorEmail: 'voter@example.com',
+        actorRole: 'member',
+        resource: { type: 'vote', id: 'v1' },
+        chapter: 'Embu',
+        details: { principalId: 'u2', delegationId: 'd1', positionId: 'p1', candidateName: 'A' },
+        ip: '10.0.0.1',
+        userAgent: 'Mozilla'
+      });
+
+      expect(entry.actorId).toBeUndefined();
+      expect(entry.actorEmail).toBeUndefined();
+      expect(entry.ip).toBeUndefined();
+      expect(entry.userAgent).toBeUndefined();
+      expect(entry.resource).toEqual({ type: 'vote', id: undefined });
+      expect(entry.details).toEqual({ positionId: 'p1', candidateName: 'A' });
+      expect(entry.chapter).toBe('Embu');
+    });
+
+    it('should keep the actor of an official action but strip voter details', () => {
+      const entry = redactLogEntry({
+        action: 'vote_link_generated',
+        actorId: 'a1',
+        actorEmail: 'admin@example.com',
+        actorRole: 'admin',
+        resource: { type: 'election', id: 'e1' },
+        details: { count: 2, links: [{ memberId: 'u1', memberEmail: 'x@example.com', status: 'sent' }] }
+      });
+
+      expect(entry.actorEmail).toBe('admin@example.com');
+      expect(entry.resource.id).toBe('e1');
+      expect(entry.details).toEqual({ count: 2, links: [{ status: 'sent' }] });
+    });
+
+    it('should redact the actor of any other action', () => {
+      const entry = redactLogEntry({ action: 'results_viewed', actorId: 'u1', actorEmail: 'm@example.com' });
+
+      expect(entry.actorId).toBeUndefined();
+      expect(entry.actorEmail).toBeUndefined();
+    });
+  });
+});
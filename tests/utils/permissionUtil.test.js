@@ -0,0 +1,107 @@
+/**
+ * Permission Utility Tests
+ */
+
+const mongoose = require('mongoose');
+const {
+  normalizeGroupGrants,
+  collectGrants,
+  evaluate,
+  effectivePermissions
+} = require('../../utils/permissionUtil');
+
+const adminId = new mongoose.Types.ObjectId();
+
+const group = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Nairobi Events',
+  isActive: true,
+  members: [{ member: adminId, role: 'member' }],
+  permissions: [],
+  grants: [],
+  ...overrides
+});
+
+describe('collectGrants and evaluate', () => {
+  it('grants role permissions everywhere', () => {
+    const grants = collectGrants({ _id: adminId, adminRole: 'events_admin' });
+
+    expect(evaluate(grants, 'manage_events', { chapter: 'Nairobi' }).allowed).toBe(true);
+    expect(evaluate(grants, 'MANAGE_EVENTS').allowed).toBe(true);
+    expect(evaluate(grants, 'manage_posts').allowed).toBe(false);
+  });
+
+  it('limits chapter-scoped grants to their chapters', () => {
+    const grants = collectGrants({ _id: adminId, adminRole: 'content_admin' }, [
+      group({ grants: [{ permission: 'events_admin', chapters: ['Nairobi'] }] })
+    ]);
+
+    expect(evaluate(grants, 'manage_events', { chapter: 'nairobi' }).allowed).toBe(true);
+
+    const otherChapter = evaluate(grants, 'manage_events', { chapter: 'Mombasa' });
+    expect(otherChapter.allowed).toBe(false);
+    expect(otherChapter.reasons[0]).toMatch(/only for chapters Nairobi, not Mombasa/);
+
+    expect(evaluate(grants, 'manage_events').allowed).toBe(false);
+  });
+
+  it('applies grants only at or above their minimum group role', () => {
+    const groups = [group({ grants: [{ permission: 'view_reports', chapters: [], minRole: 'moderator' }] })];
+
+    const asMember = evaluate(collectGrants({ _id: adminId, adminRole: 'about_admin' }, groups), 'view_reports');
+    expect(asMember.allowed).toBe(false);
+    expect(asMember.reasons[0]).toMatch(/only to moderators and above/);
+
+    groups[0].members[0].role = 'admin';
+    expect(evaluate(collectGrants({ _id: adminId, adminRole: 'about_admin' }, groups), 'view_reports').allowed).toBe(true);
+  });
+
+  it('ignores inactive groups, other members and non-delegable permissions', () => {
+    const grants = collectGrants({ _id: adminId, adminRole: 'about_admin' }, [
+      group({ isActive: false, permissions: ['manage_posts'] }),
+      group({ members: [{ member: new mongoose.Types.ObjectId(), role: 'admin' }], permissions: ['manage_gallery'] }),
+      group({ permissions: ['manage_admins', 'super_admin', 'unknown_permission'] })
+    ]);
+
+    expect(grants.map(grant => grant.permission)).toEqual(['edit_about_page']);
+  });
+
+  it('explains unknown permissions and missing grants', () => {
+    const grants = collectGrants({ _id: adminId, adminRole: 'about_admin' });
+
+    expect(evaluate(grants, 'fly').reasons).toEqual(["'fly' is not a known permission"]);
+    expect(evaluate(grants, 'manage_posts').reasons).toEqual([
+      "Neither the admin role nor any group grants 'manage_posts'"
+    ]);
+  });
+});
+
+describe('effectivePermissions', () => {
+  it('merges chapters and lets an unscoped grant win', () => {
+    const grants = collectGrants({ _id: adminId, adminRole: 'gallery_admin' }, [
+      group({ grants: [{ permission: 'manage_events', chapters: ['Nairobi'] }] }),
+      group({ grants: [{ permission: 'manage_events', chapters: ['Kisumu'] }, { permission: 'manage_gallery', chapters: ['Kisumu'] }] })
+    ]);
+
+    const permissions = effectivePermissions(grants);
+    expect(permissions.manage_events).toEqual(['Nairobi', 'Kisumu']);
+    expect(permissions.manage_gallery).toBeNull();
+  });
+});
+
+describe('normalizeGroupGrants', () => {
+  it('normalizes names and chapters', () => {
+    expect(normalizeGroupGrants(['MANAGE_POSTS', 'manage_posts'], [
+      { permission: 'Events_Admin', chapters: [' Nairobi ', 'Nairobi', ''] }
+    ])).toEqual({
+      permissions: ['manage_posts'],
+      grants: [{ permission: 'events_admin', chapters: ['Nairobi'], minRole: 'member' }]
+    });
+  });
+
+  it('rejects entries groups cannot grant', () => {
+    expect(() => normalizeGroupGrants(['manage_admins'])).toThrow(/groups can grant/);
+    expect(() => normalizeGroupGrants([], [{ permission: 'super_admin' }])).toThrow(/groups can grant/);
+    expect(() => normalizeGroupGrants([], [{ permission: 'manage_posts', minRole: 'owner' }])).toThrow(/minRole/);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tally Utility Tests
+ */
+
+const {
+  tallyInstantRunoff,
+  determineWinners,
+  drawBySeed,
+  validateSelections
+} = require('../../utils/tallyUtil');
+
+describe('Tally Utility', () => {
+  describe('tallyInstantRunoff', () => {
+    it('should elect a first-round majority winner', () => {
+      const ballots = [['a', 'b'], ['a'], ['b', 'a']];
+      const result = tallyInstantRunoff(ballots, ['a', 'b']);
+
+      expect(result.winner).toBe('a');
+      expect(result.rounds).toHaveLength(1);
+      expect(result.rounds[0].counts).toEqual({ a: 2, b: 1 });
+    });
+
+    it('should eliminate the last-placed candidate and transfer their ballots', () => {
+      const ballots = [
+        ['a', 'b'], ['a', 'b'], ['a'],
+        ['b', 'a'], ['b', 'a'],
+        ['c', 'b'], ['c', 'b']
+      ];
+      const result = tallyInstantRunoff(ballots, ['a', 'b', 'c']);
+
+      // b and c tie for last with two each; b had no earlier round to separate them
+      expect(result.rounds[0].eliminated).toEqual(expect.arrayContaining(['b', 'c']));
+      expect(result.winner).toBe('a');
+    });
+
+    it('should count ballots with no continuing preference as exhausted', () => {
+      const ballots = [['a'], ['a'], ['a'], ['b'], ['b'], ['b'], ['c'], ['c', 'a']];
+      const result = tallyInstantRunoff(ballots, ['a', 'b', 'c']);
+      const secondRound = result.rounds[1];
+
+      expect(result.rounds[0].eliminated).toEqual(['c']);
+      expect(secondRound.counts).toEqual({ a: 4, b: 3 });
+      expect(secondRound.exhausted).toBe(1);
+      expect(result.winner).toBe('a');
+    });
+
+    it('should report a tie when every continuing candidate is level', () => {
+      const result = tallyInstantRunoff([['a'], ['b']], ['a', 'b']);
+
+      expect(result.winner).toBeNull();
+      expect(result.tied).toEqual(expect.arrayContaining(['a', 'b']));
+    });
+  });
+
+  describe('determineWinners', () => {
+    const tallies = [
+      { candidateId: 'a', votes: 10 },
+      { candidateId: 'b', votes: 7 },
+      { candidateId: 'c', votes: 7 },
+      { candidateId: 'd', votes: 2 }
+    ];
+
+    it('should elect the top candidates for a multi-seat position', () => {
+      const result = determineWinners(tallies, 3);
+
+      expect(result.elected).toEqual(['a', 'b', 'c']);
+      expect(result.tie).toBeNull();
+    });
+
+    it('should detect a tie for the last seat', () => {
+      const result = determineWinners(tallies, 2);
+
+      expect(result.elected).toEqual(['a']);
+      expect(result.tie).toEqual({ candidates: ['b', 'c'], seats: 1, resolved: false });
+    });
+
+    it('should apply a recorded tie-break covering the tie', () => {
+      const result = determineWinners(tallies, 2, { candidates: ['c', 'b'], winners: ['c'] });
+
+      expect(result.elected).toEqual(['a', 'c']);
+      expect(result.tie.resolved).toBe(true);
+    });
+  });
+
+  describe('drawBySeed', () => {
+    it('should produce the same order for the same seed', () => {
+      const first = drawBySeed(['a', 'b', 'c'], 'public-seed');
+      const second = drawBySeed(['c', 'a', 'b'], 'public-seed');
+
+      expect(first).toEqual(second);
+      expect(first).toHaveLength(3);
+    });
+  });
+
+  describe('validateSelections', () => {
+    it('should require exactly one candidate for plurality positions', () => {
+      expect(validateSelections('plurality', ['a'])).toBeNull();
+      expect(validateSelections('plurality', ['a', 'b'])).not.toBeNull();
+    });
+
+    it('should allow up to one selection per seat for plurality positions', () => {
+      expect(validateSelections('plurality', ['a', 'b', 'c'], 3)).toBeNull();
+      expect(validateSelections('plurality', ['a', 'b', 'c', 'd'], 3)).not.toBeNull();
+    });
+
+    it('should reject duplicate selections', () => {
+      expect(validateSelections('ranked_choice', ['a', 'a'])).not.toBeNull();
+      expect(validateSelections('approval', ['a', 'b'])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * TOTP Utility Tests
+ */
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  matchTotp,
+  buildOtpAuthUri,
+  generateBackupCodes,
+  hashBackupCode
+} = require('../../utils/totpUtil');
+
+// RFC 6238 test secret: ASCII "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Utility', () => {
+  it('should round-trip base32 secrets', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Encode(base32Decode(secret))).toBe(secret);
+  });
+
+  it('should match the RFC 6238 SHA-1 test vectors', () => {
+    expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateTotp(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+  });
+
+  it('should accept codes within the drift window only', () => {
+    const time = 1234567890 * 1000;
+    const previous = generateTotp(RFC_SECRET, time - 30 * 1000);
+    const stale = generateTotp(RFC_SECRET, time - 90 * 1000);
+
+    expect(verifyTotp(RFC_SECRET, '005924', { time })).toBe(true);
+    expect(verifyTotp(RFC_SECRET, previous, { time })).toBe(true);
+    expect(verifyTotp(RFC_SECRET, stale, { time })).toBe(false);
+    expect(verifyTotp(RFC_SECRET, 'abc', { time })).toBe(false);
+  });
+
+  it('should return the time step of a matching code', () => {
+    const time = 1234567890 * 1000;
+    const counter = Math.floor(1234567890 / 30);
+    const next = generateTotp(RFC_SECRET, time + 30 * 1000);
+
+    expect(matchTotp(RFC_SECRET, '005924', { time })).toBe(counter);
+    expect(matchTotp(RFC_SECRET, next, { time })).toBe(counter + 1);
+    expect(matchTotp(RFC_SECRET, '000000', { time })).toBeNull();
+  });
+
+  it('should reject codes at or before the last used time step', () => {
+    const time = 1234567890 * 1000;
+    const counter = Math.floor(1234567890 / 30);
+    const previous = generateTotp(RFC_SECRET, time - 30 * 1000);
+    const next = generateTotp(RFC_SECRET, time + 30 * 1000);
+
+    expect(verifyTotp(RFC_SECRET, '005924', { time, lastCounter: counter })).toBe(false);
+    expect(verifyTotp(RFC_SECRET, previous, { time, lastCounter: counter - 2 })).toBe(true);
+    expect(verifyTotp(RFC_SECRET, previous, { time, lastCounter: counter - 1 })).toBe(false);
+    expect(verifyTotp(RFC_SECRET, next, { time, lastCounter: counter })).toBe(true);
+  });
+
+  it('should build an otpauth URI', () => {
+    const uri = buildOtpAuthUri({ secret: 'JBSWY3DPEHPK3PXP', account: 'jane@example.com', issuer: 'ELP' });
+    expect(uri).toBe('otpauth://totp/ELP%3Ajane%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=ELP&algorithm=SHA1&digits=6&period=30');
+  });
+
+  it('should generate backup codes that hash regardless of format', () => {
+    const codes = generateBackupCodes(5);
+    expect(codes).toHaveLength(5);
+    expect(codes[0]).toMatch(/^[0-9A-F]{4}-[0-9A-F]{4}$/);
+    expect(hashBackupCode(codes[0].toLowerCase().replace('-', ''))).toBe(hashBackupCode(codes[0]));
+  });
+});
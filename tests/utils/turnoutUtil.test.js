@@ -0,0 +1,54 @@
+/**
+ * Turnout Utility Tests
+ */
+
+const { buildBreakdown, buildHourlyCurve } = require('../../utils/turnoutUtil');
+
+describe('Turnout Utility', () => {
+  describe('buildBreakdown', () => {
+    const members = [
+      { memberId: 'm1', chapter: 'Embu' },
+      { memberId: 'm2', chapter: 'Embu' },
+      { memberId: 'm3', chapter: 'Embu' },
+      { memberId: 'm4', chapter: 'Meru' },
+      { memberId: 'm5' }
+    ];
+    const voters = new Set(['m1', 'm2', 'm4']);
+
+    it('should count eligible members and voters per group', () => {
+      expect(buildBreakdown(members, voters, 'chapter')).toEqual([
+        { group: 'Embu', eligible: 3, voters: 2, turnoutPercentage: 66.67 },
+        { group: 'Meru', eligible: 1, voters: 1, turnoutPercentage: 100 },
+        { group: 'Unknown', eligible: 1, voters: 0, turnoutPercentage: 0 }
+      ]);
+    });
+
+    it('should merge small groups and withhold voters of a group that stays small', () => {
+      expect(buildBreakdown(members, voters, 'chapter', { minGroupSize: 3 })).toEqual([
+        { group: 'Embu', eligible: 3, voters: 2, turnoutPercentage: 66.67 },
+        { group: 'Other', eligible: 2, voters: null, turnoutPercentage: null, suppressed: true }
+      ]);
+    });
+  });
+
+  describe('buildHourlyCurve', () => {
+    it('should fill empty hours and accumulate voters', () => {
+      const curve = buildHourlyCurve([
+        new Date('2026-03-01T08:10:00Z'),
+        new Date('2026-03-01T08:50:00Z'),
+        new Date('2026-03-01T10:05:00Z')
+      ], 4);
+
+      expect(curve.map(point => [point.hour.toISOString(), point.voters, point.cumulativeVoters])).toEqual([
+        ['2026-03-01T08:00:00.000Z', 2, 2],
+        ['2026-03-01T09:00:00.000Z', 0, 2],
+        ['2026-03-01T10:00:00.000Z', 1, 3]
+      ]);
+      expect(curve[2].cumulativeTurnoutPercentage).toBe(75);
+    });
+
+    it('should return an empty curve when nobody voted', () => {
+      expect(buildHourlyCurve([], 10)).toEqual([]);
+    });
+  });
+});
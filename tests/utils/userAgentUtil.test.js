@@ -0,0 +1,27 @@
+/**
+ * User Agent Utility Tests
+ */
+
+const { describeUserAgent } = require('../../utils/userAgentUtil');
+
+describe('describeUserAgent', () => {
+  it('names the browser and platform', () => {
+    expect(describeUserAgent(
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    )).toBe('Chrome on Windows');
+    expect(describeUserAgent(
+      'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+    )).toBe('Safari on iOS');
+    expect(describeUserAgent(
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0'
+    )).toBe('Edge on Windows');
+    expect(describeUserAgent(
+      'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36'
+    )).toBe('Chrome on Android');
+  });
+
+  it('falls back for missing or unknown agents', () => {
+    expect(describeUserAgent(undefined)).toBe('Unknown device');
+    expect(describeUserAgent('curl/8.4.0')).toBe('Unknown device');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Voting Token Utility Tests
+ */
+
+const {
+  generateVotingToken,
+  hashToken,
+  generateVotingCode,
+  hashVotingCode,
+  verifyVotingCode,
+  generateReceiptCode,
+  generateBallotNonce,
+  hashBallot
+} = require('../../utils/votingTokenUtil');
+
+describe('votingTokenUtil', () => {
+  describe('generateVotingToken', () => {
+    it('stores the hash that links are looked up by', () => {
+      const { token, tokenHash } = generateVotingToken({
+        memberId: 'member-1',
+        electionId: 'election-1'
+      });
+
+      expect(tokenHash).toBe(hashToken(token));
+    });
+  });
+
+  describe('voting codes', () => {
+    it('generates numeric codes of the configured length', () => {
+      const { code } = generateVotingCode('link-1');
+
+      expect(code).toMatch(/^\d{8}$/);
+    });
+
+    it('verifies the issued code, ignoring spaces and dashes', () => {
+      const { code, codeHash } = generateVotingCode('link-1');
+      const typed = `${code.slice(0, 4)} - ${code.slice(4)}`;
+
+      expect(verifyVotingCode('link-1', code, codeHash)).toBe(true);
+      expect(verifyVotingCode('link-1', typed, codeHash)).toBe(true);
+    });
+
+    it('rejects a wrong code', () => {
+      const { code, codeHash } = generateVotingCode('link-1');
+      const wrong = code.replace(/^\d/, digit => String((Number(digit) + 1) % 10));
+
+      expect(verifyVotingCode('link-1', wrong, codeHash)).toBe(false);
+    });
+
+    it('binds the code to its link', () => {
+      const { code, codeHash } = generateVotingCode('link-1');
+
+      expect(verifyVotingCode('link-2', code, codeHash)).toBe(false);
+      expect(hashVotingCode('link-2', code)).not.toBe(codeHash);
+    });
+
+    it('rejects a missing hash', () => {
+      expect(verifyVotingCode('link-1', '12345678', undefined)).toBe(false);
+    });
+  });
+
+  describe('hashBallot', () => {
+    it('cannot be reproduced from the receipt and selections without the nonce', () => {
+      const { receiptHash } = generateReceiptCode();
+      const nonce = generateBallotNonce();
+      const ballotHash = hashBallot(receiptHash, 'position-1', ['candidate-a'], nonce);
+
+      expect(hashBallot(receiptHash, 'position-1', ['candidate-a'], nonce)).toBe(ballotHash);
+      expect(hashBallot(receiptHash, 'position-1', ['candidate-a'], generateBallotNonce())).not.toBe(ballotHash);
+    });
+
+    it('changes with the selections', () => {
+      const { receiptHash } = generateReceiptCode();
+      const nonce = generateBallotNonce();
+
+      expect(hashBallot(receiptHash, 'position-1', ['candidate-a', 'candidate-b'], nonce))
+        .not.toBe(hashBallot(receiptHash, 'position-1', ['candidate-b', 'candidate-a'], nonce));
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Audit Chain Utility
+ * Hashing and signing helpers for the tamper-evident VotingLog chain
+ */
+
+const crypto = require('crypto');
+
+// Read when used, with no fallback: a known key would make seals and signatures forgeable
+const chainSecret = () => {
+  if (!process.env.AUDIT_CHAIN_SECRET) {
+    throw new Error('AUDIT_CHAIN_SECRET is not set');
+  }
+  return process.env.AUDIT_CHAIN_SECRET;
+};
+
+// previousHash of the first entry in every chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Entry fields covered by the hash, in a fixed order
+const HASHED_FIELDS = [
+  'electionId',
+  'sequence',
+  'previousHash',
+  'actorId',
+  'actorEmail',
+  'actorRole',
+  'action',
+  'resource',
+  'chapter',
+  'details',
+  'message',
+  'ip',
+  'userAgent',
+  'requestId',
+  'success',
+  'errorMessage',
+  'createdAt'
+];
+
+/**
+ * Reduce a value to a stable JSON-safe form
+ * Keys are sorted, ObjectIds and Dates become strings, and null/undefined
+ * values and empty objects are dropped so a document hashes the same before
+ * and after a round trip through MongoDB.
+ */
+const canonicalize = (value) => {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value.toHexString === 'function') {
+    return value.toHexString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      const canonical = canonicalize(item);
+      return canonical === undefined ? null : canonical;
+    });
+  }
+
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    const result = {};
+    keys.forEach(key => {
+      const canonical = canonicalize(value[key]);
+      if (canonical !== undefined) {
+        result[key] = canonical;
+      }
+    });
+
+    // Mongoose minimizes empty objects away on save
+    return Object.keys(result).length > 0 ? result : undefined;
+  }
+
+  return value;
+};
+
+/**
+ * Compute the chain hash of a VotingLog entry
+ * @param {Object} entry - Plain entry object (document.toObject() or lean())
+ * @returns {string} hex SHA-256
+ */
+exports.hashEntry = (entry) => {
+  const payload = HASHED_FIELDS.reduce((result, field) => {
+    result[field] = canonicalize(entry[field]);
+    return result;
+  }, {});
+
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+};
+
+/**
+ * Sign an audit chain export
+ * @param {Object} payload - Export summary to sign
+ * @returns {string} hex HMAC-SHA256
+ */
+exports.signPayload = (payload) => {
+  const hmac = crypto.createHmac('sha256', chainSecret());
+  hmac.update(JSON.stringify(canonicalize(payload)));
+  return hmac.digest('hex');
+};
+
+/**
+ * Check an export signature
+ */
+exports.verifySignature = (payload, signature) => {
+  const expected = Buffer.from(exports.signPayload(payload), 'hex');
+  const actual = Buffer.from(String(signature || ''), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Walk a chain of entries in sequence order and find the first broken link
+ * @param {Object[]} entries - Entries sorted by sequence
+ * @returns {Object} { valid, entriesChecked, headHash, brokenLink }
+ */
+exports.verifyEntries = (entries) => {
+  let previousHash = GENESIS_HASH;
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const expectedSequence = i + 1;
+    let reason = null;
+
+    if (entry.sequence !== expectedSequence) {
+      reason = `Expected sequence ${expectedSequence} but found ${entry.sequence} - entries are missing`;
+    } else if (entry.previousHash !== previousHash) {
+      reason = 'previousHash does not match the hash of the preceding entry';
+    } else if (exports.hashEntry(entry) !== entry.hash) {
+      reason = 'Entry contents do not match its stored hash';
+    }
+
+    if (reason) {
+      return {
+        valid: false,
+        entriesChecked: i,
+        headHash: previousHash,
+        brokenLink: {
+          sequence: expectedSequence,
+          entryId: entry._id,
+          action: entry.action,
+          reason
+        }
+      };
+    }
+
+    previousHash = entry.hash;
+  }
+
+  return {
+    valid: true,
+    entriesChecked: entries.length,
+    headHash: previousHash,
+    brokenLink: null
+  };
+};
+
+exports.canonicalize = canonicalize;
+exports.GENESIS_HASH = GENESIS_HASH;
+
+module.exports = exports;
@@ -0,0 +1,87 @@
+/**
+ * Audit Diff Utility
+ * Before/after snapshots of changed fields for audit log entries
+ */
+
+// Never written to the audit log, at any depth
+const SENSITIVE_KEY = /password|token|secret|hash|backupcodes|otp/i;
+
+const REDACTED = '[REDACTED]';
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value._bsontype);
+
+/**
+ * Convert documents, ObjectIds and Dates into plain JSON values
+ * with sensitive keys redacted
+ * @param {*} value
+ * @param {boolean} [redact] - false keeps sensitive values, for comparison only
+ * @returns {*}
+ */
+const sanitize = (value, redact = true) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (typeof value.toObject === 'function' && !value._bsontype) {
+    return sanitize(value.toObject({ depopulate: true, virtuals: false }), redact);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value._bsontype) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, redact));
+  }
+  if (isPlainObject(value)) {
+    return Object.keys(value).reduce((result, key) => {
+      if (key === '__v') {
+        return result;
+      }
+      result[key] = redact && SENSITIVE_KEY.test(key) ? REDACTED : sanitize(value[key], redact);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+exports.sanitize = (value) => sanitize(value);
+
+/**
+ * Top-level fields that differ between two versions of a record
+ * @param {Object} [before] - Record before the change (omit for creations)
+ * @param {Object} [after] - Record after the change (omit for deletions)
+ * @returns {Object|null} { before, after } holding only changed fields, or null if nothing changed
+ */
+exports.diffChanges = (before, after) => {
+  // Compared unredacted so changes to secrets are still recorded, as [REDACTED]
+  const previousRaw = sanitize(before, false) || {};
+  const nextRaw = sanitize(after, false) || {};
+  const previous = sanitize(before) || {};
+  const next = sanitize(after) || {};
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  const changes = { before: {}, after: {} };
+  let changed = false;
+
+  keys.forEach(key => {
+    if (key === 'updatedAt') {
+      return;
+    }
+    if (JSON.stringify(previousRaw[key]) === JSON.stringify(nextRaw[key])) {
+      return;
+    }
+    changed = true;
+    if (key in previous) {
+      changes.before[key] = previous[key];
+    }
+    if (key in next) {
+      changes.after[key] = next[key];
+    }
+  });
+
+  return changed ? changes : null;
+};
+
+module.exports = exports;
@@ -0,0 +1,98 @@
+/**
+ * CSV Utility
+ * Minimal RFC 4180 parsing and formatting for admin imports and exports
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings.
+ * Blank lines are skipped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+exports.parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by lower-cased header
+ * @param {string} text
+ * @returns {Object[]}
+ */
+exports.parseCsvRecords = (text) => {
+  const [header, ...rows] = exports.parseCsv(text);
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.map(key => key.trim().toLowerCase());
+  return rows.map(row => keys.reduce((record, key, index) => {
+    record[key] = (row[index] || '').trim();
+    return record;
+  }, {}));
+};
+
+/**
+ * Format one CSV row, quoting fields that need it
+ * Text starting with =, +, - or @ is prefixed with ' so spreadsheets do not
+ * run it as a formula; numbers are written as they are.
+ * @param {Array} values
+ * @returns {string}
+ */
+exports.toCsvRow = (values) => values
+  .map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && /^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  })
+  .join(',');
+
+module.exports = exports;
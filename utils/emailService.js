@@ -280,6 +280,37 @@ class EmailService {
     });
   }
 
+  /**
+   * Send a one-time voting link, or a reminder to use it
+   */
+  async sendVotingLinkEmail({ to, name, electionTitle, voteUrl, expiresAt, reminder = false }) {
+    const subject = reminder
+      ? `Reminder: You have not voted yet in ${electionTitle}`
+      : `Voting Invitation: ${electionTitle}`;
+    const intro = reminder
+      ? `<p>Our records show you have not yet voted in <strong>${electionTitle}</strong>. Your personal voting link is still valid.</p>`
+      : `<p>You have been invited to vote in <strong>${electionTitle}</strong>.</p>`;
+
+    return this.sendEmail({
+      to,
+      subject,
+      html: this.generateFallbackHTML({
+        subject,
+        message: `
+          <p>Dear ${name},</p>
+          ${intro}
+          <p><a href="${voteUrl}">Cast your vote</a></p>
+          <ul>
+            <li>This link is unique to you and can only be used once</li>
+            <li>The link expires on ${new Date(expiresAt).toLocaleString()}</li>
+            <li>Do not share this link with anyone</li>
+          </ul>
+        `
+      }),
+      text: `Dear ${name},\n\n${reminder ? 'Reminder: you have not voted yet in' : 'You have been invited to vote in'} ${electionTitle}.\n\nVote here: ${voteUrl}\n\nThis link is unique to you and expires on ${new Date(expiresAt).toLocaleString()}.`
+    });
+  }
+
   /**
    * Send mentorship session reminder
    */
@@ -39,6 +39,22 @@ const requiredEnvVars = {
       }
     }
   },
+  ACCESS_TOKEN_EXPIRE: {
+    required: false,
+    description: 'Access token lifetime (e.g. 15m)',
+    default: '15m'
+  },
+  REFRESH_TOKEN_EXPIRE_DAYS: {
+    required: false,
+    description: 'Days a session may go unused before logging in again',
+    default: '30',
+    validate: (value) => {
+      const num = parseInt(value);
+      if (isNaN(num) || num < 1) {
+        throw new Error('REFRESH_TOKEN_EXPIRE_DAYS must be a positive number');
+      }
+    }
+  },
   SESSION_SECRET: {
     required: true,
     description: 'Session secret for express-session',
@@ -105,6 +121,158 @@ const requiredEnvVars = {
       }
     }
   },
+  AUDIT_CHAIN_SECRET: {
+    required: true,
+    description: 'HMAC secret for sealing election audit chains and signing certified results',
+    validate: (value) => {
+      if (value && value.length < 32) {
+        throw new Error('AUDIT_CHAIN_SECRET must be at least 32 characters long');
+      }
+    }
+  },
+  ELECTION_SCHEDULER_INTERVAL_MS: {
+    required: false,
+    description: 'How often the scheduler checks for elections to open or close',
+    default: '30000',
+    validate: (value) => {
+      const num = parseInt(value);
+      if (isNaN(num) || num < 5000) {
+        throw new Error('ELECTION_SCHEDULER_INTERVAL_MS must be at least 5000 (5 seconds)');
+      }
+    }
+  },
+  LINK_DELIVERY_INTERVAL_MS: {
+    required: false,
+    description: 'How often the next batch of queued voting link emails is sent',
+    default: '10000',
+    validate: (value) => {
+      const num = parseInt(value);
+      if (isNaN(num) || num < 1000) {
+        throw new Error('LINK_DELIVERY_INTERVAL_MS must be at least 1000 (1 second)');
+      }
+    }
+  },
+  AUDIT_LOG_RETENTION_DAYS: {
+    required: false,
+    description: 'Days audit log entries are kept (0 = indefinitely)',
+    default: '365',
+    validate: (value) => {
+      const num = parseInt(value);
+      if (isNaN(num) || num < 0) {
+        throw new Error('AUDIT_LOG_RETENTION_DAYS must be 0 or a positive number');
+      }
+    }
+  },
+  AUDIT_LOG_SECURITY_RETENTION_DAYS: {
+    required: false,
+    description: 'Days admin and user management audit entries are kept (0 = indefinitely)',
+    default: '730',
+    validate: (value) => {
+      const num = parseInt(value);
+      if (isNaN(num) || num < 0) {
+        throw new Error('AUDIT_LOG_SECURITY_RETENTION_DAYS must be 0 or a positive number');
+      }
+    }
+  },
+  RECYCLE_BIN_RETENTION_DAYS: {
+    required: false,
+    description: 'Days deleted content stays in the recycle bin before it is permanently deleted',
+    default: '30',
+    validate: (value) => {
+      const num = parseInt(value);
+      if (isNaN(num) || num < 1) {
+        throw new Error('RECYCLE_BIN_RETENTION_DAYS must be a positive number');
+      }
+    }
+  },
+  APPROVAL_REQUIRED_ACTIONS: {
+    required: false,
+    description: "Comma-separated admin actions that need a second admin's approval ('none' to turn off)",
+    default: 'delete_admin,reset_admin_password,close_election,reset_design_settings',
+    validate: (value) => {
+      const actions = ['delete_admin', 'reset_admin_password', 'close_election', 'reset_design_settings'];
+      const unknown = value.split(',').map(action => action.trim())
+        .filter(action => action && action !== 'none' && !actions.includes(action));
+      if (unknown.length) {
+        throw new Error(`APPROVAL_REQUIRED_ACTIONS has unknown actions: ${unknown.join(', ')}`);
+      }
+    }
+  },
+  APPROVAL_WINDOW_HOURS: {
+    required: false,
+    description: 'Hours a second admin has to approve a request before it expires',
+    default: '24',
+    validate: (value) => {
+      const num = parseInt(value);
+      if (isNaN(num) || num < 1) {
+        throw new Error('APPROVAL_WINDOW_HOURS must be a positive number');
+      }
+    }
+  },
+  IMPERSONATION_MAX_MINUTES: {
+    required: false,
+    description: 'Longest a super admin can view the app as a member, in minutes',
+    default: '30',
+    validate: (value) => {
+      const num = parseInt(value);
+      if (isNaN(num) || num < 5 || num > 240) {
+        throw new Error('IMPERSONATION_MAX_MINUTES must be between 5 and 240');
+      }
+    }
+  },
+  VOTING_CODE_MAX_ATTEMPTS: {
+    required: false,
+    description: 'Wrong one-time voting codes allowed before a code is locked',
+    default: '5',
+    validate: (value) => {
+      const num = parseInt(value);
+      if (isNaN(num) || num < 1 || num > 10) {
+        throw new Error('VOTING_CODE_MAX_ATTEMPTS must be between 1 and 10');
+      }
+    }
+  },
+  VOTING_CODE_LENGTH: {
+    required: false,
+    description: 'Digits in a one-time voting code',
+    default: '8',
+    validate: (value) => {
+      const num = parseInt(value);
+      if (isNaN(num) || num < 6 || num > 12) {
+        throw new Error('VOTING_CODE_LENGTH must be between 6 and 12 digits');
+      }
+    }
+  },
+  SMS_PROVIDER: {
+    required: false,
+    description: 'SMS provider for voting codes (\'file\' writes messages to SMS_STUB_FILE)'
+  },
+  LINK_DELIVERY_BATCH_SIZE: {
+    required: false,
+    description: 'Voting link emails sent per delivery batch',
+    default: '20',
+    validate: (value) => {
+      const num = parseInt(value);
+      if (isNaN(num) || num < 1) {
+        throw new Error('LINK_DELIVERY_BATCH_SIZE must be a positive number');
+      }
+    }
+  },
+  TWO_FACTOR_ISSUER: {
+    required: false,
+    description: 'Issuer name shown in authenticator apps',
+    default: 'ELP Embu'
+  },
+  TURNOUT_MIN_GROUP_SIZE: {
+    required: false,
+    description: 'Smallest group shown separately in public turnout analytics',
+    default: '5',
+    validate: (value) => {
+      const num = parseInt(value);
+      if (isNaN(num) || num < 1) {
+        throw new Error('TURNOUT_MIN_GROUP_SIZE must be a positive number');
+      }
+    }
+  },
   // Email (optional)
   SMTP_HOST: {
     required: false,
@@ -0,0 +1,63 @@
+/**
+ * Impersonation Utilities
+ * What a request may do while an admin is viewing the app as another user
+ *
+ * Impersonation sessions are read-only unless started otherwise. Some actions
+ * are blocked in every mode, because they would act on the member's behalf
+ * rather than show what the member sees.
+ */
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Paths are relative to /api and matched in lower case, because Express
+// routes paths case-insensitively
+const ALWAYS_ALLOWED = [
+  { method: 'POST', path: /^\/auth\/logout\/?$/ },
+  { method: 'POST', path: /^\/admin\/impersonation\/stop\/?$/ },
+  { method: 'GET', path: /^\/admin\/impersonation\/current\/?$/ }
+];
+
+const SENSITIVE_ACTIONS = [
+  { label: 'Voting', path: /^\/vote\// },
+  { label: 'Proxy voting', path: /^\/(elections\/[^/]+\/)?proxies(\/|$)/ },
+  { label: 'Nominating', path: /^\/(positions\/[^/]+\/)?nominations(\/|$)/ },
+  { label: 'Filing disputes', path: /^\/(elections\/[^/]+\/)?disputes(\/|$)/ },
+  { label: 'Changing passwords', path: /^\/auth\/(change-password|forgot-password|reset-password)\/?$/ },
+  { label: 'Two-factor settings', path: /^\/auth\/2fa(\/|$)/ },
+  { label: 'Managing sessions', path: /^\/auth\/sessions(\/|$)/ },
+  { label: 'Deactivating the account', path: /^\/auth\/deactivate\/?$/ },
+  { label: 'Admin actions', path: /^\/admin(\/|$)/, readsAllowed: false }
+];
+
+/**
+ * Why a request is not allowed in an impersonation session
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to /api, without the query string
+ * @param {Object} [options]
+ * @param {boolean} [options.readOnly=true]
+ * @returns {string|null} Reason it is blocked, or null when it may go ahead
+ */
+const blockedReason = (method, path, { readOnly = true } = {}) => {
+  const verb = String(method).toUpperCase();
+  const isRead = READ_METHODS.includes(verb);
+  const target = String(path).toLowerCase();
+
+  if (ALWAYS_ALLOWED.some(rule => rule.method === verb && rule.path.test(target))) {
+    return null;
+  }
+
+  const sensitive = SENSITIVE_ACTIONS.find(action => action.path.test(target));
+  if (sensitive && (!isRead || sensitive.readsAllowed === false)) {
+    return `${sensitive.label} is not allowed while viewing as another user`;
+  }
+
+  if (readOnly && !isRead) {
+    return 'This impersonation session is read-only';
+  }
+
+  return null;
+};
+
+module.exports = {
+  blockedReason
+};
@@ -0,0 +1,101 @@
+/**
+ * Log Redaction Utility
+ * Strips voter identities from voting log entries shown to election observers
+ *
+ * Officials' actions keep their actor so observers can see who ran the
+ * election; every other entry loses its actor. Request metadata, voter
+ * references in details and the ids of votes, receipts, links and proxy
+ * delegations are always removed.
+ */
+
+// Actions taken by election officials rather than voters
+const OFFICIAL_ACTIONS = new Set([
+  'election_created',
+  'election_approved',
+  'election_started',
+  'election_closed',
+  'election_template_saved',
+  'position_created',
+  'candidate_added',
+  'candidate_updated',
+  'candidate_withdrawn',
+  'nomination_approved',
+  'nomination_rejected',
+  'voter_roll_updated',
+  'vote_link_generated',
+  'vote_link_resent',
+  'vote_link_reminders_queued',
+  'vote_code_issued',
+  'proxy_approved',
+  'proxy_rejected',
+  'vote_invalidated',
+  'dispute_investigation_started',
+  'dispute_note_added',
+  'dispute_resolved',
+  'results_exported',
+  'results_certified',
+  'audit_chain_exported',
+  'tie_break_recorded',
+  'observer_appointed',
+  'observer_revoked'
+]);
+
+// Resources whose id leads back to a voter
+const VOTER_RESOURCES = new Set(['vote', 'receipt', 'link', 'proxy']);
+
+// Detail keys that identify a voter
+const VOTER_DETAIL_KEY = /member|principal|proxy|delegation|voter|email|phone|token|receipt|^ip$|useragent/i;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !value._bsontype;
+
+const redactDetails = (details) => {
+  if (Array.isArray(details)) {
+    return details.map(redactDetails);
+  }
+  if (!isPlainObject(details)) {
+    return details;
+  }
+
+  return Object.keys(details).reduce((redacted, key) => {
+    if (!VOTER_DETAIL_KEY.test(key)) {
+      redacted[key] = redactDetails(details[key]);
+    }
+    return redacted;
+  }, {});
+};
+
+/**
+ * Redact a voting log entry for observers
+ * @param {Object} entry - Plain voting log entry
+ * @returns {Object}
+ */
+exports.redactLogEntry = (entry) => {
+  const official = OFFICIAL_ACTIONS.has(entry.action) || entry.actorRole === 'system';
+  const resource = entry.resource || {};
+
+  return {
+    _id: entry._id,
+    sequence: entry.sequence,
+    action: entry.action,
+    actorRole: entry.actorRole,
+    actorId: official ? entry.actorId : undefined,
+    actorEmail: official ? entry.actorEmail : undefined,
+    resource: {
+      type: resource.type,
+      id: VOTER_RESOURCES.has(resource.type) ? undefined : resource.id
+    },
+    electionId: entry.electionId,
+    chapter: entry.chapter,
+    details: redactDetails(entry.details),
+    success: entry.success,
+    errorMessage: entry.errorMessage,
+    hash: entry.hash,
+    createdAt: entry.createdAt
+  };
+};
+
+exports.OFFICIAL_ACTIONS = OFFICIAL_ACTIONS;
+
+module.exports = exports;
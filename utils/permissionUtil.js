@@ -0,0 +1,240 @@
+/**
+ * Permission Utility
+ * Resolves an admin's effective permissions from their admin role and the
+ * admin groups they belong to, and explains individual decisions
+ */
+
+const {
+  ADMIN_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  NON_DELEGABLE_PERMISSIONS,
+  GROUP_ROLES
+} = require('../constants/adminRoles');
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+/**
+ * Lowercase a permission or role name, so 'MANAGE_EVENTS' and 'manage_events' match
+ * @param {string} value
+ * @returns {string}
+ */
+const normalizePermission = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+const isPermission = (value) => ALL_PERMISSIONS.includes(normalizePermission(value));
+
+/**
+ * Permissions a group grant stands for
+ * A grant names either one permission or an admin role, which stands for all
+ * of that role's permissions. Super admin and non-delegable permissions
+ * cannot be granted through groups.
+ * @param {string} value - Permission or admin role name
+ * @returns {string[]} Empty when the value cannot be granted
+ */
+const expandGrant = (value) => {
+  const name = normalizePermission(value);
+  if (name === ADMIN_ROLES.SUPER_ADMIN || NON_DELEGABLE_PERMISSIONS.includes(name)) {
+    return [];
+  }
+  if (ROLE_PERMISSIONS[name]) {
+    return ROLE_PERMISSIONS[name].filter(permission => !NON_DELEGABLE_PERMISSIONS.includes(permission));
+  }
+  return ALL_PERMISSIONS.includes(name) ? [name] : [];
+};
+
+const normalizeChapters = (chapters) => {
+  const list = (Array.isArray(chapters) ? chapters : [chapters])
+    .filter(chapter => typeof chapter === 'string' && chapter.trim())
+    .map(chapter => chapter.trim());
+  return [...new Set(list)];
+};
+
+/**
+ * Validate and normalize a group's permissions and scoped grants
+ * @param {string[]} [permissions] - Granted to every member, everywhere
+ * @param {Object[]} [grants] - [{ permission, chapters, minRole }]
+ * @returns {Object} { permissions, grants }
+ * @throws {Error} When an entry cannot be granted
+ */
+const normalizeGroupGrants = (permissions = [], grants = []) => {
+  if (!Array.isArray(permissions) || !Array.isArray(grants)) {
+    throw new Error('permissions and grants must be arrays');
+  }
+
+  const checkGrantable = (value) => {
+    const name = normalizePermission(value);
+    if (!expandGrant(name).length) {
+      throw new Error(`'${value}' is not a permission or admin role that groups can grant`);
+    }
+    return name;
+  };
+
+  return {
+    permissions: [...new Set(permissions.map(checkGrantable))],
+    grants: grants.map(grant => {
+      const minRole = grant?.minRole || GROUP_ROLES[0];
+      if (!GROUP_ROLES.includes(minRole)) {
+        throw new Error(`minRole must be one of: ${GROUP_ROLES.join(', ')}`);
+      }
+      return {
+        permission: checkGrantable(grant?.permission),
+        chapters: normalizeChapters(grant?.chapters),
+        minRole
+      };
+    })
+  };
+};
+
+const describeSource = (source) => {
+  if (source.type === 'role') {
+    return `admin role '${source.role}'`;
+  }
+  const via = source.grant === source.permission ? '' : ` via '${source.grant}'`;
+  return `group '${source.groupName}' (${source.groupRole})${via}`;
+};
+
+/**
+ * Every permission an admin holds, with where it comes from
+ * Group grants the admin's group role is too low for are kept with an
+ * inactive reason so decisions can be explained.
+ * @param {Object} admin - { _id, adminRole }
+ * @param {Object[]} [groups] - Groups the admin belongs to
+ * @returns {Object[]} [{ permission, chapters, source, inactive? }]
+ *   chapters is null for grants that apply everywhere
+ */
+const collectGrants = (admin, groups = []) => {
+  const grants = (ROLE_PERMISSIONS[admin.adminRole] || []).map(permission => ({
+    permission,
+    chapters: null,
+    source: { type: 'role', role: admin.adminRole }
+  }));
+
+  groups.forEach(group => {
+    if (group.isActive === false) {
+      return;
+    }
+    const membership = (group.members || []).find(
+      m => String(m.member?._id || m.member) === String(admin._id)
+    );
+    if (!membership) {
+      return;
+    }
+
+    const entries = [
+      ...(group.permissions || []).map(permission => ({ permission })),
+      ...(group.grants || [])
+    ];
+
+    entries.forEach(entry => {
+      const minRole = entry.minRole || GROUP_ROLES[0];
+      const tooLow = GROUP_ROLES.indexOf(membership.role) < GROUP_ROLES.indexOf(minRole);
+      const chapters = entry.chapters && entry.chapters.length ? entry.chapters : null;
+
+      expandGrant(entry.permission).forEach(permission => {
+        const grant = {
+          permission,
+          chapters,
+          source: {
+            type: 'group',
+            groupId: String(group._id),
+            groupName: group.name,
+            groupRole: membership.role,
+            grant: normalizePermission(entry.permission),
+            permission
+          }
+        };
+        if (tooLow) {
+          grant.inactive = `${describeSource(grant.source)} grants it only to ${minRole}s and above`;
+        }
+        grants.push(grant);
+      });
+    });
+  });
+
+  return grants;
+};
+
+/**
+ * Decide whether grants allow a permission, and why
+ * Chapter-scoped grants only apply to resources in one of their chapters;
+ * resources without a chapter need an unscoped grant.
+ * @param {Object[]} grants - From collectGrants
+ * @param {string} permission
+ * @param {Object} [scope] - { chapter } of the resource being acted on
+ * @returns {Object} { allowed, permission, chapter, reasons, grants }
+ */
+const evaluate = (grants, permission, scope = {}) => {
+  const name = normalizePermission(permission);
+  const chapter = typeof scope.chapter === 'string' && scope.chapter.trim() ? scope.chapter.trim() : null;
+
+  if (!isPermission(name)) {
+    return {
+      allowed: false,
+      permission: name,
+      chapter,
+      reasons: [`'${permission}' is not a known permission`],
+      grants: []
+    };
+  }
+
+  const considered = grants
+    .filter(grant => grant.permission === name)
+    .map(grant => {
+      const from = describeSource(grant.source);
+      if (grant.inactive) {
+        return { ...grant, applies: false, reason: grant.inactive };
+      }
+      if (!grant.chapters) {
+        return { ...grant, applies: true, reason: `Granted by ${from}` };
+      }
+      const list = grant.chapters.join(', ');
+      if (!chapter) {
+        return { ...grant, applies: false, reason: `${from} grants it only for chapters ${list}, and this resource has no chapter` };
+      }
+      const inChapter = grant.chapters.some(c => c.toLowerCase() === chapter.toLowerCase());
+      return inChapter
+        ? { ...grant, applies: true, reason: `Granted by ${from} for chapter ${chapter}` }
+        : { ...grant, applies: false, reason: `${from} grants it only for chapters ${list}, not ${chapter}` };
+    });
+
+  const reasons = considered.map(grant => grant.reason);
+  if (!considered.length) {
+    reasons.push(`Neither the admin role nor any group grants '${name}'`);
+  }
+
+  return {
+    allowed: considered.some(grant => grant.applies),
+    permission: name,
+    chapter,
+    reasons,
+    grants: considered
+  };
+};
+
+/**
+ * Summarize active grants by permission
+ * @param {Object[]} grants - From collectGrants
+ * @returns {Object} { [permission]: null for everywhere, or the chapters it is limited to }
+ */
+const effectivePermissions = (grants) => grants.reduce((result, grant) => {
+  if (grant.inactive) {
+    return result;
+  }
+  const current = result[grant.permission];
+  if (current === null || !grant.chapters) {
+    result[grant.permission] = null;
+  } else {
+    result[grant.permission] = [...new Set([...(current || []), ...grant.chapters])];
+  }
+  return result;
+}, {});
+
+module.exports = {
+  normalizePermission,
+  isPermission,
+  expandGrant,
+  normalizeGroupGrants,
+  collectGrants,
+  evaluate,
+  effectivePermissions
+};
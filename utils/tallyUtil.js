@@ -0,0 +1,195 @@
+/**
+ * Tally Utility
+ * Pure counting functions for the supported position voting methods
+ */
+
+const crypto = require('crypto');
+
+const VOTING_METHODS = {
+  PLURALITY: 'plurality',
+  RANKED_CHOICE: 'ranked_choice',
+  APPROVAL: 'approval'
+};
+
+/**
+ * Count the first continuing preference on each ballot
+ * @param {string[][]} ballots - Candidate IDs in preference order
+ * @param {Set<string>} continuing - Candidates still in the count
+ * @returns {Object} { counts, exhausted }
+ */
+const countFirstPreferences = (ballots, continuing) => {
+  const counts = {};
+  continuing.forEach(id => {
+    counts[id] = 0;
+  });
+
+  let exhausted = 0;
+  ballots.forEach(ballot => {
+    const preference = ballot.find(id => continuing.has(id));
+    if (preference) {
+      counts[preference] += 1;
+    } else {
+      exhausted += 1;
+    }
+  });
+
+  return { counts, exhausted };
+};
+
+/**
+ * Narrow a set of tied candidates by looking back through earlier rounds
+ * and keeping those who had the fewest votes most recently
+ */
+const breakTieBackwards = (tied, rounds) => {
+  let remaining = tied;
+
+  for (let i = rounds.length - 2; i >= 0 && remaining.length > 1; i--) {
+    const previous = rounds[i].counts;
+    const lowest = Math.min(...remaining.map(id => previous[id] || 0));
+    remaining = remaining.filter(id => (previous[id] || 0) === lowest);
+  }
+
+  return remaining;
+};
+
+/**
+ * Instant-runoff (ranked-choice) tally
+ * Each round counts every ballot towards its highest-ranked continuing
+ * candidate. A candidate with a majority of continuing ballots wins;
+ * otherwise the last-placed candidate is eliminated. Ties for last place
+ * are broken by earlier-round counts, and any remaining tie is eliminated
+ * together.
+ * @param {string[][]} ballots - Candidate IDs in preference order
+ * @param {string[]} candidateIds - Candidates standing for the position
+ * @returns {Object} { winner, tied, rounds }
+ */
+exports.tallyInstantRunoff = (ballots, candidateIds) => {
+  const normalizedBallots = ballots.map(ballot => ballot.map(id => id.toString()));
+  const continuing = new Set(candidateIds.map(id => id.toString()));
+  const rounds = [];
+
+  while (continuing.size > 0) {
+    const { counts, exhausted } = countFirstPreferences(normalizedBallots, continuing);
+    const continuingBallots = normalizedBallots.length - exhausted;
+    const round = {
+      round: rounds.length + 1,
+      counts,
+      exhausted,
+      eliminated: [],
+      elected: null
+    };
+    rounds.push(round);
+
+    const ranked = [...continuing].sort((a, b) => counts[b] - counts[a]);
+    const leader = ranked[0];
+
+    if (continuing.size === 1 || (continuingBallots > 0 && counts[leader] * 2 > continuingBallots)) {
+      round.elected = leader;
+      return { winner: leader, tied: [], rounds };
+    }
+
+    const lowest = counts[ranked[ranked.length - 1]];
+    const lastPlaced = ranked.filter(id => counts[id] === lowest);
+
+    // Every continuing candidate is level - there is no one left to eliminate
+    if (lastPlaced.length === continuing.size) {
+      return { winner: null, tied: lastPlaced, rounds };
+    }
+
+    const eliminated = breakTieBackwards(lastPlaced, rounds);
+    eliminated.forEach(id => continuing.delete(id));
+    round.eliminated = eliminated;
+  }
+
+  return { winner: null, tied: [], rounds };
+};
+
+/**
+ * Determine who fills a position's seats from final vote counts
+ * Candidates strictly above the last seat's vote count are elected. If more
+ * candidates share that count than there are seats left, the position is
+ * tied; a recorded tie-break over exactly those candidates fills the
+ * remaining seats.
+ * @param {Object[]} tallies - [{ candidateId, votes }]
+ * @param {number} seats - Number of seats to fill
+ * @param {Object} [tieBreak] - Recorded tie-break { candidates, winners }
+ * @returns {Object} { elected, tie } where tie is { candidates, seats, resolved } or null
+ */
+exports.determineWinners = (tallies, seats = 1, tieBreak = null) => {
+  const sorted = tallies
+    .map(({ candidateId, votes }) => ({ candidateId: candidateId.toString(), votes }))
+    .sort((a, b) => b.votes - a.votes);
+
+  if (sorted.length <= seats) {
+    return { elected: sorted.map(t => t.candidateId), tie: null };
+  }
+
+  const boundary = sorted[seats - 1].votes;
+  const above = sorted.filter(t => t.votes > boundary).map(t => t.candidateId);
+  const atBoundary = sorted.filter(t => t.votes === boundary).map(t => t.candidateId);
+  const seatsLeft = seats - above.length;
+
+  if (atBoundary.length <= seatsLeft) {
+    return { elected: [...above, ...atBoundary], tie: null };
+  }
+
+  const tie = { candidates: atBoundary, seats: seatsLeft, resolved: false };
+  const tieBreakCandidates = tieBreak ? tieBreak.candidates.map(id => id.toString()) : [];
+  const coversTie = tieBreak &&
+    tieBreakCandidates.length === atBoundary.length &&
+    atBoundary.every(id => tieBreakCandidates.includes(id)) &&
+    tieBreak.winners.length === seatsLeft;
+
+  if (coversTie) {
+    tie.resolved = true;
+    return { elected: [...above, ...tieBreak.winners.map(id => id.toString())], tie };
+  }
+
+  return { elected: above, tie };
+};
+
+/**
+ * Order tied candidates by a seeded draw
+ * Each candidate is ranked by SHA-256(seed:candidateId), so anyone holding
+ * the published seed can reproduce the draw.
+ * @param {string[]} candidateIds - Tied candidates
+ * @param {string} seed - Draw seed
+ * @returns {string[]} Candidate IDs in draw order
+ */
+exports.drawBySeed = (candidateIds, seed) => {
+  const score = id => crypto.createHash('sha256').update(`${seed}:${id}`).digest('hex');
+
+  return candidateIds
+    .map(id => id.toString())
+    .sort((a, b) => score(a).localeCompare(score(b)));
+};
+
+/**
+ * Validate a member's selections against a position's voting method
+ * @param {string} votingMethod - One of VOTING_METHODS
+ * @param {string[]} selections - Candidate IDs, in preference order for ranked choice
+ * @param {number} [seats=1] - Seats on the position; plurality ballots may select up to this many
+ * @returns {string|null} Error message, or null when the ballot is well-formed
+ */
+exports.validateSelections = (votingMethod, selections, seats = 1) => {
+  if (!Array.isArray(selections) || selections.length === 0) {
+    return 'At least one candidate must be selected';
+  }
+
+  const unique = new Set(selections.map(id => id.toString()));
+  if (unique.size !== selections.length) {
+    return 'A candidate cannot be selected more than once';
+  }
+
+  if (votingMethod === VOTING_METHODS.PLURALITY && selections.length > seats) {
+    return seats === 1
+      ? 'Exactly one candidate must be selected for this position'
+      : `At most ${seats} candidates can be selected for this position`;
+  }
+
+  return null;
+};
+
+exports.VOTING_METHODS = VOTING_METHODS;
+
+module.exports = exports;
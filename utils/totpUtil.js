@@ -0,0 +1,160 @@
+/**
+ * TOTP Utility
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication
+ *
+ * Codes are 6 digits from HMAC-SHA1 over 30 second steps, the defaults of
+ * common authenticator apps.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as unpadded base32
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Time step counter for a time
+ * @param {number} time - Milliseconds since the epoch
+ */
+const counterAt = (time) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Generate a random base32 secret (160 bits, as recommended by RFC 4226)
+ */
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Code for a secret at a time
+ * @param {string} secret - Base32 secret
+ * @param {number} [time] - Milliseconds since the epoch
+ * @returns {string} Zero-padded code
+ */
+exports.generateTotp = (secret, time = Date.now()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(counterAt(time)));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Find the time step a code belongs to, allowing `window` steps of clock
+ * drift either way. Steps at or below `lastCounter` (the step of the last
+ * code accepted) are skipped, so a code cannot be used twice.
+ * @returns {number|null} The matching time step counter, or null
+ */
+exports.matchTotp = (secret, code, { window = 1, time = Date.now(), lastCounter } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) {
+    return null;
+  }
+
+  for (let step = -window; step <= window; step++) {
+    const stepTime = time + step * STEP_SECONDS * 1000;
+    if (typeof lastCounter === 'number' && counterAt(stepTime) <= lastCounter) {
+      continue;
+    }
+    const expected = exports.generateTotp(secret, stepTime);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return counterAt(stepTime);
+    }
+  }
+  return null;
+};
+
+/**
+ * Check a code; see matchTotp for the options
+ * @returns {boolean}
+ */
+exports.verifyTotp = (secret, code, options) => exports.matchTotp(secret, code, options) !== null;
+
+/**
+ * otpauth:// URI for provisioning an authenticator app (usually shown as a QR code)
+ * @param {Object} options - { secret, account, issuer }
+ */
+exports.buildOtpAuthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate single-use backup codes formatted as XXXX-XXXX
+ * @param {number} [count]
+ * @returns {string[]}
+ */
+exports.generateBackupCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(4).toString('hex').toUpperCase();
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+  });
+
+/**
+ * Hash a backup code for storage, ignoring case and dashes
+ */
+exports.hashBackupCode = (code) =>
+  crypto.createHash('sha256')
+    .update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''))
+    .digest('hex');
+
+exports.base32Encode = base32Encode;
+exports.base32Decode = base32Decode;
+
+module.exports = exports;
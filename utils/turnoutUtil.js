@@ -0,0 +1,103 @@
+/**
+ * Turnout Utility
+ * Pure functions for turnout breakdowns and voting curves
+ *
+ * Turnout is only ever counted per group of members; nothing here sees how
+ * anyone voted.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Percentage rounded to two decimals, 0 when there is nothing to divide by
+ */
+const toPercentage = (count, total) =>
+  total > 0 ? parseFloat((count / total * 100).toFixed(2)) : 0;
+
+/**
+ * Count eligible members and voters per value of a member attribute
+ * Groups with fewer than minGroupSize eligible members are merged into an
+ * 'Other' group, and the voters of an 'Other' group that is still too small
+ * are withheld, so small groups cannot be used to tell whether a particular
+ * member voted.
+ * @param {Object[]} members - Eligible members, each with memberId and the field
+ * @param {Set<string>} voterIds - IDs of members who voted
+ * @param {string} field - Attribute to group by
+ * @param {Object} [options] - { minGroupSize }
+ * @returns {Object[]} [{ group, eligible, voters, turnoutPercentage, suppressed? }]
+ */
+exports.buildBreakdown = (members, voterIds, field, { minGroupSize = 0 } = {}) => {
+  const groups = new Map();
+  members.forEach(member => {
+    const value = member[field];
+    const group = value === undefined || value === null || value === '' ? 'Unknown' : String(value);
+    const counts = groups.get(group) || { eligible: 0, voters: 0 };
+    counts.eligible += 1;
+    if (voterIds.has(member.memberId.toString())) {
+      counts.voters += 1;
+    }
+    groups.set(group, counts);
+  });
+
+  const rows = [];
+  const other = { eligible: 0, voters: 0 };
+  [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+    .forEach(([group, counts]) => {
+      if (counts.eligible < minGroupSize) {
+        other.eligible += counts.eligible;
+        other.voters += counts.voters;
+      } else {
+        rows.push({ group, ...counts, turnoutPercentage: toPercentage(counts.voters, counts.eligible) });
+      }
+    });
+
+  if (other.eligible > 0) {
+    rows.push(other.eligible < minGroupSize
+      ? { group: 'Other', eligible: other.eligible, voters: null, turnoutPercentage: null, suppressed: true }
+      : { group: 'Other', ...other, turnoutPercentage: toPercentage(other.voters, other.eligible) });
+  }
+
+  return rows;
+};
+
+/**
+ * Build an hourly voting curve from the times members first voted
+ * Hours without voters between the first and last vote are included, so the
+ * curve can be charted directly.
+ * @param {Date[]} times - First vote time of each voter
+ * @param {number} eligible - Size of the electorate
+ * @returns {Object[]} [{ hour, voters, cumulativeVoters, cumulativeTurnoutPercentage }]
+ */
+exports.buildHourlyCurve = (times, eligible) => {
+  if (times.length === 0) {
+    return [];
+  }
+
+  const counts = new Map();
+  times.forEach(time => {
+    const hour = Math.floor(new Date(time).getTime() / HOUR) * HOUR;
+    counts.set(hour, (counts.get(hour) || 0) + 1);
+  });
+
+  const hours = [...counts.keys()];
+  const last = Math.max(...hours);
+  const curve = [];
+  let cumulative = 0;
+  for (let hour = Math.min(...hours); hour <= last; hour += HOUR) {
+    const voters = counts.get(hour) || 0;
+    cumulative += voters;
+    curve.push({
+      hour: new Date(hour),
+      voters,
+      cumulativeVoters: cumulative,
+      cumulativeTurnoutPercentage: toPercentage(cumulative, eligible)
+    });
+  }
+
+  return curve;
+};
+
+exports.toPercentage = toPercentage;
+
+module.exports = exports;
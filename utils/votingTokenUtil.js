@@ -6,6 +6,7 @@
 const crypto = require('crypto');
 
 const VOTE_LINK_SECRET = process.env.VOTE_LINK_SECRET || 'change-this-secret-in-production-min-32-chars';
+const VOTING_CODE_LENGTH = parseInt(process.env.VOTING_CODE_LENGTH, 10) || 8;
 
 /**
  * Generate HMAC signature for token
@@ -39,8 +40,8 @@ exports.generateVotingToken = (data) => {
   // Create token (base64 encoded payload)
   const token = Buffer.from(JSON.stringify(payload)).toString('base64url');
 
-  // Create hash for storage/verification
-  const tokenHash = signToken(payload);
+  // Create hash for storage; links are looked up by hashToken(token)
+  const tokenHash = exports.hashToken(token);
 
   return {
     token,
@@ -92,5 +93,101 @@ exports.hashToken = (token) => {
   return crypto.createHash('sha256').update(token).digest('hex');
 };
 
+/**
+ * Normalize a voting code as typed or keyed in (spaces and dashes ignored)
+ */
+const normalizeVotingCode = (code) => {
+  return String(code || '').replace(/\D/g, '');
+};
+
+/**
+ * Generate a short numeric one-time voting code
+ * Short enough to type on a feature phone; brute force is held off by the
+ * per-link attempt limit, so the code is only stored as a keyed hash.
+ * @param {string} linkId - VotingLink the code is issued for
+ * @returns {Object} { code, codeHash }
+ */
+exports.generateVotingCode = (linkId) => {
+  let code = '';
+  for (let i = 0; i < VOTING_CODE_LENGTH; i++) {
+    code += crypto.randomInt(0, 10);
+  }
+
+  return {
+    code,
+    codeHash: exports.hashVotingCode(linkId, code)
+  };
+};
+
+/**
+ * Hash a voting code for a link
+ * Keyed with the link ID, so equal codes on different links never share a hash
+ */
+exports.hashVotingCode = (linkId, code) => {
+  const hmac = crypto.createHmac('sha256', VOTE_LINK_SECRET);
+  hmac.update(`${linkId}:${normalizeVotingCode(code)}`);
+  return hmac.digest('hex');
+};
+
+/**
+ * Compare a typed voting code with a stored hash in constant time
+ */
+exports.verifyVotingCode = (linkId, code, codeHash) => {
+  const expected = Buffer.from(exports.hashVotingCode(linkId, code), 'hex');
+  const actual = Buffer.from(String(codeHash || ''), 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Normalize a receipt code as typed by a voter (case and dashes ignored)
+ */
+const normalizeReceiptCode = (code) => {
+  return String(code || '').replace(/[^0-9a-z]/gi, '').toUpperCase();
+};
+
+/**
+ * Generate a voter-verifiable ballot receipt code
+ * The code is shown to the voter once; only its hash is stored.
+ * @returns {Object} { code, receiptHash }
+ */
+exports.generateReceiptCode = () => {
+  const raw = crypto.randomBytes(16).toString('hex').toUpperCase();
+  const code = raw.match(/.{4}/g).join('-');
+
+  return {
+    code,
+    receiptHash: exports.hashToken(normalizeReceiptCode(code))
+  };
+};
+
+/**
+ * Hash a receipt code for bulletin board lookup
+ */
+exports.hashReceiptCode = (code) => {
+  return exports.hashToken(normalizeReceiptCode(code));
+};
+
+/**
+ * Generate the secret nonce of a bulletin board ballot
+ */
+exports.generateBallotNonce = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Hash a bulletin board ballot
+ * Binds the receipt to the position and the exact selections, so any later
+ * change to a published ballot is detectable. The nonce is never published,
+ * so someone holding the receipt code cannot try candidates against the hash.
+ * @param {string} receiptHash
+ * @param {string} positionId
+ * @param {string[]} selections - Candidate IDs in ballot order
+ * @param {string} nonce - From generateBallotNonce
+ */
+exports.hashBallot = (receiptHash, positionId, selections, nonce) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${receiptHash}:${positionId}:${selections.map(String).join(',')}:${nonce}`)
+    .digest('hex');
+};
+
 module.exports = exports;
 
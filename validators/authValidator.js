@@ -149,6 +149,46 @@ const authValidator = {
       errors.confirmPassword = 'Passwords do not match';
     }
 
+    return Object.keys(errors).length === 0 ? null : errors;
+  },
+
+  /**
+   * Validate forgot password request
+   */
+  validateForgotPassword: (data) => {
+    const errors = {};
+
+    if (!data.email || !data.email.trim()) {
+      errors.email = 'Email is required';
+    } else if (!validator.isEmail(data.email)) {
+      errors.email = 'Please provide a valid email address';
+    }
+
+    return Object.keys(errors).length === 0 ? null : errors;
+  },
+
+  /**
+   * Validate password reset
+   */
+  validatePasswordReset: (data) => {
+    const errors = {};
+
+    if (!data.token || typeof data.token !== 'string') {
+      errors.token = 'Reset token is required';
+    }
+
+    if (!data.password) {
+      errors.password = 'Password is required';
+    } else if (data.password.length < 6) {
+      errors.password = 'Password must be at least 6 characters';
+    } else if (data.password.length > 128) {
+      errors.password = 'Password cannot exceed 128 characters';
+    }
+
+    if (data.password !== data.confirmPassword) {
+      errors.confirmPassword = 'Passwords do not match';
+    }
+
     return Object.keys(errors).length === 0 ? null : errors;
   }
 };
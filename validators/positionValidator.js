@@ -86,10 +86,10 @@ const positionSchema = Joi.object({
     }),
 
   votingMethod: Joi.string()
-    .valid('single', 'multiple', 'ranked')
-    .default('single')
+    .valid('plurality', 'ranked_choice', 'approval')
+    .default('plurality')
     .messages({
-      'any.only': 'Voting method must be one of: single, multiple, ranked'
+      'any.only': 'Voting method must be one of: plurality, ranked_choice, approval'
     }),
 
   allowAbstention: Joi.boolean()